@@ -0,0 +1,26 @@
+// CORS dla funkcji z katalogu api/. Aplikacja wywołuje endpointy z tej samej domeny, więc nagłówek
+// Access-Control-Allow-Origin dostają tylko domeny z ALLOWED_ORIGINS (lista po przecinku). Bez tej zmiennej
+// przeglądarka zablokuje wywołania z innych domen.
+
+function allowedOrigins() {
+  return String(process.env.ALLOWED_ORIGINS || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Ustawia nagłówki CORS odpowiedzi.
+ * @param {import("http").IncomingMessage} req
+ * @param {import("http").ServerResponse} res
+ * @param {{ methods?: string, headers?: string }} [options]
+ */
+export function applyCors(req, res, { methods = "POST, OPTIONS", headers = "Content-Type" } = {}) {
+  const origin = req.headers?.origin;
+  if (origin && allowedOrigins().includes(origin)) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+  }
+  res.setHeader("Vary", "Origin");
+  res.setHeader("Access-Control-Allow-Methods", methods);
+  res.setHeader("Access-Control-Allow-Headers", headers);
+}
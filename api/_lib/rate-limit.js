@@ -0,0 +1,97 @@
+import { createClient } from "@supabase/supabase-js";
+
+// Wspólne limity częstotliwości dla funkcji z katalogu api/ (Vercel nie publikuje plików z katalogów zaczynających się
+// od „_”). Token bucket: kubełek mieści `capacity` żetonów i odnawia się o `perHour` żetonów na godzinę. Stan trzymamy
+// w Postgresie (public.consume_rate_limit z supabase/rate_limits.sql), a bez bazy – np. przy lokalnym uruchomieniu albo
+// z RATE_LIMIT_STORE=memory – w pamięci procesu.
+
+const MEMORY_MAX_BUCKETS = 10_000;
+const memoryBuckets = new Map();
+let supabaseAdmin = null;
+let warnedFallback = false;
+
+/** Adres klienta za proxy Vercel (pierwszy wpis X-Forwarded-For). */
+export function clientIp(req) {
+  const forwarded = String(req.headers?.["x-forwarded-for"] || "").split(",")[0].trim();
+  return forwarded || String(req.headers?.["x-real-ip"] || "").trim() || req.socket?.remoteAddress || "unknown";
+}
+
+function consumeFromMemory(key, capacity, perHour, cost) {
+  const now = Date.now();
+  if (memoryBuckets.size > MEMORY_MAX_BUCKETS) {
+    // Kubełek nieużywany od doby jest i tak pełny – można go zapomnieć
+    for (const [bucketKey, bucket] of memoryBuckets) {
+      if (now - bucket.updatedAt > 86_400_000) memoryBuckets.delete(bucketKey);
+    }
+  }
+  const bucket = memoryBuckets.get(key) || { tokens: capacity, updatedAt: now };
+  const tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 3_600_000) * perHour);
+  if (tokens >= cost) {
+    memoryBuckets.set(key, { tokens: tokens - cost, updatedAt: now });
+    return { allowed: true, remaining: Math.floor(tokens - cost), retryAfter: 0 };
+  }
+  memoryBuckets.set(key, { tokens, updatedAt: now });
+  const retryAfter = perHour > 0 ? Math.ceil(((cost - tokens) / perHour) * 3600) : 3600;
+  return { allowed: false, remaining: 0, retryAfter };
+}
+
+function getSupabaseAdmin() {
+  if (process.env.RATE_LIMIT_STORE === "memory") return null;
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceRole = process.env.SUPABASE_SERVICE_ROLE;
+  if (!supabaseUrl || !serviceRole) return null;
+  if (!supabaseAdmin) {
+    supabaseAdmin = createClient(supabaseUrl, serviceRole, {
+      auth: { autoRefreshToken: false, persistSession: false },
+    });
+  }
+  return supabaseAdmin;
+}
+
+/**
+ * Pobiera żetony z kubełka `key`.
+ * @param {string} key
+ * @param {{ capacity: number, perHour: number, cost?: number }} rule
+ * @returns {Promise<{ allowed: boolean, remaining: number, retryAfter: number }>}
+ */
+export async function consumeRateLimit(key, { capacity, perHour, cost = 1 }) {
+  const client = getSupabaseAdmin();
+  if (client) {
+    const { data, error } = await client.rpc("consume_rate_limit", {
+      p_key: key,
+      p_capacity: capacity,
+      p_per_hour: perHour,
+      p_cost: cost,
+    });
+    const row = Array.isArray(data) ? data[0] : data;
+    if (!error && row) {
+      return { allowed: row.allowed === true, remaining: Number(row.remaining) || 0, retryAfter: Number(row.retry_after) || 0 };
+    }
+    if (!warnedFallback) {
+      console.warn("rate-limit: Postgres buckets unavailable, falling back to in-memory limits", error);
+      warnedFallback = true;
+    }
+  }
+  return consumeFromMemory(key, capacity, perHour, cost);
+}
+
+/**
+ * Sprawdza kolejno limity (np. na adres IP i na użytkownika) i ustawia nagłówki odpowiedzi.
+ * Zwraca pierwszy przekroczony limit (handler odpowiada wtedy 429) albo null.
+ * @param {import("http").ServerResponse} res
+ * @param {{ key: string, capacity: number, perHour: number, cost?: number }[]} limits
+ */
+export async function checkRateLimits(res, limits) {
+  let remaining = Infinity;
+  for (const limit of limits) {
+    const result = await consumeRateLimit(limit.key, limit);
+    if (!result.allowed) {
+      res.setHeader("Retry-After", String(result.retryAfter));
+      res.setHeader("X-RateLimit-Remaining", "0");
+      return result;
+    }
+    remaining = Math.min(remaining, result.remaining);
+  }
+  if (Number.isFinite(remaining)) res.setHeader("X-RateLimit-Remaining", String(remaining));
+  return null;
+}
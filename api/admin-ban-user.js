@@ -0,0 +1,147 @@
+import { createClient } from "@supabase/supabase-js";
+import { checkRateLimits, clientIp } from "./_lib/rate-limit.js";
+
+export const config = { runtime: "nodejs", maxDuration: 15 };
+
+// Blokada „na stałe” w Supabase Auth to po prostu bardzo długi ban_duration (100 lat)
+const PERMANENT_BAN_DURATION = "876000h";
+const RATE_LIMIT = { capacity: 20, perHour: 120 };
+
+function send(res, statusCode, data) {
+  if (res.headersSent) return;
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(data));
+}
+
+async function parseBody(req) {
+  if (!req) return {};
+  if (typeof req.body === "string") {
+    if (!req.body) return {};
+    return JSON.parse(req.body);
+  }
+  if (req.body && typeof req.body === "object") {
+    return req.body;
+  }
+  return await new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (chunk) => {
+      data += chunk;
+      if (data.length > 100_000) {
+        reject(new Error("Payload too large"));
+      }
+    });
+    req.on("end", () => {
+      if (!data) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(data));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Czas trwania blokady w formacie Supabase Auth („<godziny>h”); null = zdjęcie blokady.
+ * @param {string | null} until ISO lub "infinity"
+ */
+export function banDuration(until) {
+  if (!until) return "none";
+  if (until === "infinity") return PERMANENT_BAN_DURATION;
+  const hours = Math.ceil((Date.parse(until) - Date.now()) / 3_600_000);
+  return `${Math.max(1, hours)}h`;
+}
+
+/**
+ * Blokuje lub odblokowuje konto. Uprawnienia i zapis w dzienniku sprawdza RPC admin_set_user_ban
+ * (supabase/moderation.sql) wywołane w imieniu administratora; klucz serwisowy służy tylko do blokady logowania.
+ */
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    send(res, 405, { ok: false, error: "Method not allowed" });
+    return;
+  }
+
+  const limited = await checkRateLimits(res, [{ key: `admin-ban-user:ip:${clientIp(req)}`, ...RATE_LIMIT }]);
+  if (limited) {
+    send(res, 429, { ok: false, error: "Too many requests", retry_after: limited.retryAfter });
+    return;
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const anonKey = process.env.SUPABASE_ANON_KEY;
+  const serviceRole = process.env.SUPABASE_SERVICE_ROLE;
+  if (!supabaseUrl || !anonKey || !serviceRole) {
+    send(res, 500, { ok: false, error: "Supabase env vars missing" });
+    return;
+  }
+
+  const authHeader = req.headers?.authorization || "";
+  if (!authHeader.startsWith("Bearer ")) {
+    send(res, 401, { ok: false, error: "unauthorized" });
+    return;
+  }
+
+  let body;
+  try {
+    body = await parseBody(req);
+  } catch (err) {
+    console.error("admin-ban-user: failed to parse body", err);
+    send(res, 400, { ok: false, error: "Invalid JSON body" });
+    return;
+  }
+
+  const userId = String(body?.user_id || "").trim();
+  const until = body?.until ? String(body.until) : null;
+  if (!userId) {
+    send(res, 400, { ok: false, error: "user_id is required" });
+    return;
+  }
+  if (until && until !== "infinity" && Number.isNaN(Date.parse(until))) {
+    send(res, 400, { ok: false, error: "until must be an ISO date or 'infinity'" });
+    return;
+  }
+
+  const supabaseAsAdmin = createClient(supabaseUrl, anonKey, {
+    auth: { autoRefreshToken: false, persistSession: false },
+    global: { headers: { Authorization: authHeader } },
+  });
+  const { error: banError } = await supabaseAsAdmin.rpc("admin_set_user_ban", {
+    p_user_id: userId,
+    p_until: until,
+    p_reason: body?.reason ? String(body.reason).slice(0, 500) : null,
+  });
+  if (banError) {
+    if (banError.code === "42501") {
+      send(res, 403, { ok: false, error: banError.message });
+      return;
+    }
+    if (["22023", "23514", "P0002"].includes(banError.code)) {
+      send(res, 422, { ok: false, error: banError.message });
+      return;
+    }
+    console.error("admin-ban-user: failed to save ban", banError);
+    send(res, 500, { ok: false, error: "Failed to save ban" });
+    return;
+  }
+
+  const supabaseAdmin = createClient(supabaseUrl, serviceRole, {
+    auth: { autoRefreshToken: false, persistSession: false },
+  });
+  const { error: authError } = await supabaseAdmin.auth.admin.updateUserById(userId, {
+    ban_duration: banDuration(until),
+  });
+  if (authError) {
+    // Blokada w profilu już obowiązuje (ogłoszenia, wiadomości); logowanie zablokuje ponowna próba
+    console.error("admin-ban-user: failed to update auth ban", authError);
+    send(res, 502, { ok: false, error: "Ban saved, but login could not be blocked" });
+    return;
+  }
+
+  send(res, 200, { ok: true, user_id: userId, until });
+}
@@ -1,10 +1,15 @@
 import { createClient } from "@supabase/supabase-js";
+import { applyCors } from "./_lib/cors.js";
+import { checkRateLimits, clientIp } from "./_lib/rate-limit.js";
+
+// Limity wywołań: na adres IP oraz na zalogowanego autora (z tokenu sesji)
+const IP_RATE_LIMIT = { capacity: 30, perHour: 120 };
+const USER_RATE_LIMIT = { capacity: 20, perHour: 60 };
 
 function send(res, statusCode, data) {
   if (res.headersSent) return;
   res.statusCode = statusCode;
   res.setHeader("Content-Type", "application/json; charset=utf-8");
-  res.setHeader("Access-Control-Allow-Origin", "*");
   res.end(JSON.stringify(data));
 }
 
@@ -44,27 +49,6 @@ async function parseBody(req) {
   });
 }
 
-function normalizeDate(value) {
-  if (!value) return null;
-  if (value instanceof Date) {
-    if (Number.isNaN(value.getTime())) return null;
-    return value.toISOString();
-  }
-  const str = String(value).trim();
-  if (!str) return null;
-  const ts = Date.parse(str);
-  if (!Number.isNaN(ts)) {
-    return new Date(ts).toISOString();
-  }
-  return null;
-}
-
-function normalizeDateOnly(value) {
-  const iso = normalizeDate(value);
-  if (!iso) return null;
-  return iso.slice(0, 10);
-}
-
 function safeNumber(value) {
   if (typeof value === "number" && Number.isFinite(value)) return value;
   const parsed = Number(value);
@@ -72,40 +56,41 @@ function safeNumber(value) {
   return null;
 }
 
-function sanitizeListing(raw) {
-  if (!raw || typeof raw !== "object") {
-    throw new Error("Listing payload is required.");
-  }
-  const type = raw.type === "buy" ? "buy" : "sell";
-  const price = safeNumber(raw.price);
-  if (price == null) {
-    throw new Error("Listing price is required.");
-  }
-  const ownerId = raw.owner_id || raw.ownerId || raw.user_id || raw.userId;
-  if (!ownerId) {
-    throw new Error("Listing owner_id is required.");
-  }
-  const createdAtMs = safeNumber(raw.createdAt);
-  const createdAtIso = createdAtMs ? new Date(createdAtMs).toISOString() : normalizeDate(raw.created_at) || new Date().toISOString();
-  const payload = { ...raw };
+const PRICE_DROP_WINDOW_MS = 24 * 60 * 60 * 1000;
+const LISTING_COLUMNS =
+  "id,type,race_name,edition_id,edition_event_name,edition_year,edition_start_date,distance,price,owner_id,location,status,hidden_at,created_at,payload";
 
+function bundleSummary(listingRow) {
+  const items = Array.isArray(listingRow.payload?.bundle?.items) ? listingRow.payload.bundle.items : [];
+  if (!items.length) return null;
   return {
-    id: String(raw.id || "").trim(),
-    type,
-    race_name: String(raw.raceName || raw.race_name || "").trim(),
-    edition_id: raw.edition_id ?? raw.editionId ?? null,
-    edition_event_name: raw.editionEventName || raw.edition_event_name || null,
-    edition_year: raw.editionYear ?? raw.edition_year ?? null,
-    edition_start_date: normalizeDateOnly(raw.editionStartDate || raw.edition_start_date || raw.eventDate || raw.event_date),
-    distance: raw.distance || null,
-    price,
-    owner_id: ownerId,
-    location: raw.location || null,
-    created_at: createdAtIso,
-    payload,
+    total: items.length,
+    available: items.filter((item) => !item?.sold).length,
+    together: listingRow.payload.bundle.sellMode === "together",
   };
 }
 
+const PACKAGE_EXTRA_LABELS = {
+  medal: "medal",
+  pasta_party: "pasta party",
+  accommodation: "nocleg",
+  parking: "parking",
+};
+
+/** Zawartość pakietu (payload.packageContents) w jednej linii e-maila; null, gdy autor jej nie podał. */
+function packageSummary(listingRow) {
+  const contents = listingRow.payload?.packageContents;
+  if (!contents || typeof contents !== "object") return null;
+  const parts = [
+    contents.shirtSize ? `koszulka ${contents.shirtSize}` : null,
+    contents.gender === "K" ? "kategoria kobiet" : contents.gender === "M" ? "kategoria mężczyzn" : null,
+    contents.ageCategory ? `kat. ${contents.ageCategory}` : null,
+    contents.wave ? `strefa ${contents.wave}` : null,
+    ...(Array.isArray(contents.extras) ? contents.extras.map((extra) => PACKAGE_EXTRA_LABELS[extra]) : []),
+  ].filter(Boolean);
+  return parts.length ? parts.join(", ") : null;
+}
+
 function buildNotificationPayload(listingRow, alerts) {
   const base = {
     id: listingRow.id,
@@ -118,6 +103,7 @@ function buildNotificationPayload(listingRow, alerts) {
     created_at: listingRow.created_at,
   };
   return {
+    kind: "alert_match",
     listing: base,
     alerts: alerts.map((a) => ({
       alert_id: a.alert_id,
@@ -185,10 +171,153 @@ async function sendEmail(resendKey, message) {
   return res.json();
 }
 
+/**
+ * Szuka ostatniej zmiany ceny w historii ogłoszenia – zwraca ją tylko, jeśli była obniżką
+ * do aktualnej ceny i nastąpiła niedawno.
+ */
+async function findPriceDrop(client, listingRow) {
+  const { data, error } = await client
+    .from("listing_history")
+    .select("id, changed_at, changes")
+    .eq("listing_id", listingRow.id)
+    .not("changes->price", "is", null)
+    .order("version", { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  const entry = data?.[0];
+  if (!entry) return null;
+  const oldPrice = safeNumber(entry.changes?.price?.from);
+  const newPrice = safeNumber(entry.changes?.price?.to);
+  if (oldPrice == null || newPrice == null || newPrice >= oldPrice) return null;
+  if (newPrice !== listingRow.price) return null;
+  const changedAt = Date.parse(entry.changed_at);
+  if (Number.isNaN(changedAt) || Date.now() - changedAt > PRICE_DROP_WINDOW_MS) return null;
+  return { historyId: String(entry.id), oldPrice, newPrice };
+}
+
+/** Użytkownicy obserwujący ogłoszenie lub prowadzący rozmowę na jego temat (bez autora). */
+async function loadPriceDropRecipients(client, listingRow, historyId) {
+  const recipients = new Set();
+  const { data: favorites, error: favoritesError } = await client
+    .from("listing_favorites")
+    .select("user_id")
+    .eq("listing_id", listingRow.id);
+  if (favoritesError) throw favoritesError;
+  for (const row of favorites || []) {
+    if (row.user_id) recipients.add(row.user_id);
+  }
+  const { data: messages, error: messagesError } = await client
+    .from("messages")
+    .select("from_user, to_user")
+    .eq("listing_id", listingRow.id);
+  if (messagesError) throw messagesError;
+  for (const row of messages || []) {
+    if (row.from_user) recipients.add(row.from_user);
+    if (row.to_user) recipients.add(row.to_user);
+  }
+  recipients.delete(listingRow.owner_id);
+
+  if (!recipients.size) return [];
+  const { data: sent, error: sentError } = await client
+    .from("notifications")
+    .select("user_id")
+    .eq("listing_id", listingRow.id)
+    .eq("channel", "inapp")
+    .eq("payload->>kind", "price_drop")
+    .eq("payload->>history_id", historyId);
+  if (sentError) throw sentError;
+  for (const row of sent || []) {
+    recipients.delete(row.user_id);
+  }
+  return Array.from(recipients);
+}
+
+async function notifyPriceDrop(client, listingRow, priceDrop, { resendKey, resendFrom }) {
+  const recipients = await loadPriceDropRecipients(client, listingRow, priceDrop.historyId);
+  if (!recipients.length) return 0;
+
+  const currency = listingRow.payload?.currency || "PLN";
+  const payload = {
+    kind: "price_drop",
+    history_id: priceDrop.historyId,
+    old_price: priceDrop.oldPrice,
+    new_price: priceDrop.newPrice,
+    currency,
+    listing: {
+      id: listingRow.id,
+      type: listingRow.type,
+      race_name: listingRow.race_name,
+      price: listingRow.price,
+      distance: listingRow.distance,
+      edition_event_name: listingRow.edition_event_name,
+      edition_year: listingRow.edition_year,
+      created_at: listingRow.created_at,
+    },
+  };
+  const profiles = await fetchProfiles(client, recipients);
+  const emails = await fetchUserEmails(
+    client,
+    recipients.filter((userId) => profiles.get(userId)?.email_notifications)
+  );
+
+  let inserted = 0;
+  for (const userId of recipients) {
+    try {
+      const { error: insertError } = await client.from("notifications").insert({
+        user_id: userId,
+        listing_id: listingRow.id,
+        channel: "inapp",
+        is_read: false,
+        payload,
+      });
+      if (insertError) throw insertError;
+      inserted += 1;
+    } catch (err) {
+      console.error("alerts-fanout: failed to insert price drop notification", err);
+      continue;
+    }
+
+    const profile = profiles.get(userId);
+    const recipient = emails.get(userId);
+    if (!profile?.email_notifications || !recipient) continue;
+    const lines = [
+      `Cześć ${profile?.display_name || ""}`.trim(),
+      "",
+      `Cena ogłoszenia „${listingRow.race_name}”, którym się interesujesz, spadła:`,
+      `• Było: ${priceDrop.oldPrice.toFixed(2)} ${currency}`,
+      `• Jest: ${priceDrop.newPrice.toFixed(2)} ${currency}`,
+      "",
+      "Zaloguj się do marketplace, aby skontaktować się z autorem ogłoszenia.",
+      "",
+      "Dziękujemy, zespół Race Marketplace",
+    ];
+    try {
+      await sendEmail(resendKey, {
+        from: resendFrom,
+        to: [recipient],
+        subject: `Obniżka ceny: ${listingRow.race_name}`,
+        text: lines.join("\n"),
+      });
+      const { error: emailNotifError } = await client.from("notifications").insert({
+        user_id: userId,
+        listing_id: listingRow.id,
+        channel: "email",
+        is_read: true,
+        payload,
+      });
+      if (emailNotifError) {
+        console.error("alerts-fanout: failed to log email notification", emailNotifError);
+      }
+      inserted += 1;
+    } catch (err) {
+      console.error("alerts-fanout: failed to send price drop email", err);
+    }
+  }
+  return inserted;
+}
+
 export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  applyCors(req, res, { headers: "Content-Type, Authorization" });
 
   if (req.method === "OPTIONS") {
     res.statusCode = 204;
@@ -201,6 +330,12 @@ export default async function handler(req, res) {
     return;
   }
 
+  const ipLimited = await checkRateLimits(res, [{ key: `alerts-fanout:ip:${clientIp(req)}`, ...IP_RATE_LIMIT }]);
+  if (ipLimited) {
+    send(res, 429, { status: "error", error: "Too many requests", retryAfter: ipLimited.retryAfter });
+    return;
+  }
+
   const supabaseUrl = process.env.SUPABASE_URL;
   const serviceRole = process.env.SUPABASE_SERVICE_ROLE;
   if (!supabaseUrl || !serviceRole) {
@@ -208,6 +343,30 @@ export default async function handler(req, res) {
     return;
   }
 
+  const authHeader = req.headers?.authorization || "";
+  if (!authHeader.startsWith("Bearer ")) {
+    send(res, 401, { status: "error", error: "unauthorized" });
+    return;
+  }
+
+  const supabaseAdmin = createClient(supabaseUrl, serviceRole, {
+    auth: { autoRefreshToken: false, persistSession: false },
+  });
+
+  // Klucz serwisowy omija RLS, więc autora ustalamy z tokenu sesji, a nie z treści żądania
+  const { data: authData, error: authError } = await supabaseAdmin.auth.getUser(authHeader.slice("Bearer ".length).trim());
+  const userId = authData?.user?.id;
+  if (authError || !userId) {
+    send(res, 401, { status: "error", error: "unauthorized" });
+    return;
+  }
+
+  const userLimited = await checkRateLimits(res, [{ key: `alerts-fanout:user:${userId}`, ...USER_RATE_LIMIT }]);
+  if (userLimited) {
+    send(res, 429, { status: "error", error: "Too many requests", retryAfter: userLimited.retryAfter });
+    return;
+  }
+
   let body;
   try {
     body = await parseBody(req);
@@ -217,28 +376,69 @@ export default async function handler(req, res) {
     return;
   }
 
-  const listingInput = body?.listing;
-  let listingRow;
-  try {
-    listingRow = sanitizeListing(listingInput);
-    if (!listingRow.id) {
-      throw new Error("Listing id is required.");
-    }
-  } catch (err) {
-    send(res, 400, { status: "error", error: err?.message || "Invalid listing" });
+  // Ogłoszenie zapisuje sama aplikacja (z RLS i limitem listing_publish), endpoint tylko odczytuje zapisany wiersz
+  const listingId = String(body?.listingId ?? "").trim();
+  if (!listingId) {
+    send(res, 400, { status: "error", error: "Listing id is required." });
     return;
   }
 
-  const supabaseAdmin = createClient(supabaseUrl, serviceRole, {
-    auth: { autoRefreshToken: false, persistSession: false },
-  });
+  const { data: listingRow, error: listingError } = await supabaseAdmin
+    .from("listings")
+    .select(LISTING_COLUMNS)
+    .eq("id", listingId)
+    .maybeSingle();
+  if (listingError) {
+    console.error("alerts-fanout: failed to load listing", listingError);
+    send(res, 500, { status: "error", error: "Failed to load listing" });
+    return;
+  }
+  if (!listingRow) {
+    send(res, 404, { status: "error", error: "Listing not found" });
+    return;
+  }
+  if (listingRow.owner_id !== userId) {
+    send(res, 403, { status: "error", error: "Listing belongs to another user" });
+    return;
+  }
+  listingRow.price = safeNumber(listingRow.price);
 
-  try {
-    const { error: upsertError } = await supabaseAdmin.from("listings").upsert(listingRow);
-    if (upsertError) throw upsertError;
-  } catch (err) {
-    console.error("alerts-fanout: failed to upsert listing", err);
-    send(res, 500, { status: "error", error: "Failed to persist listing" });
+  // Zablokowane konto (supabase/moderation.sql) nie wysyła powiadomień o swoich ogłoszeniach
+  const { data: ownerBanned, error: banCheckError } = await supabaseAdmin.rpc("is_banned", { p_user_id: userId });
+  if (banCheckError) {
+    console.error("alerts-fanout: failed to check owner ban", banCheckError);
+    send(res, 500, { status: "error", error: "Failed to check owner ban" });
+    return;
+  }
+  if (ownerBanned === true) {
+    send(res, 403, { status: "error", error: "Konto autora jest zablokowane." });
+    return;
+  }
+
+  const resendKey = process.env.RESEND_API_KEY || "";
+  const resendFrom = process.env.RESEND_FROM || "Race Marketplace <alerts@example.com>";
+
+  // Ogłoszenie ukryte po zgłoszeniach (supabase/reports.sql) czeka na moderację – nikogo nie powiadamiamy
+  if (listingRow.hidden_at) {
+    send(res, 200, { status: "ok", notifiedUsers: 0, notifications: 0, priceDropNotifications: 0, skipped: "hidden" });
+    return;
+  }
+
+  // Obniżka ceny nie może zablokować fan-outu alertów – błędy tylko logujemy
+  let priceDropNotifications = 0;
+  if (listingRow.status === "active" || listingRow.status === "reserved") {
+    try {
+      const priceDrop = await findPriceDrop(supabaseAdmin, listingRow);
+      if (priceDrop) {
+        priceDropNotifications = await notifyPriceDrop(supabaseAdmin, listingRow, priceDrop, { resendKey, resendFrom });
+      }
+    } catch (err) {
+      console.error("alerts-fanout: failed to process price drop", err);
+    }
+  }
+
+  if (listingRow.status !== "active") {
+    send(res, 200, { status: "ok", notifiedUsers: 0, notifications: 0, priceDropNotifications, skipped: "inactive" });
     return;
   }
 
@@ -267,7 +467,7 @@ export default async function handler(req, res) {
   }
 
   if (!distinctMatches.size) {
-    send(res, 200, { status: "ok", notifiedUsers: 0, notifications: 0 });
+    send(res, 200, { status: "ok", notifiedUsers: 0, notifications: 0, priceDropNotifications });
     return;
   }
 
@@ -283,8 +483,6 @@ export default async function handler(req, res) {
   }
 
   const emails = await fetchUserEmails(supabaseAdmin, userIds);
-  const resendKey = process.env.RESEND_API_KEY || "";
-  const resendFrom = process.env.RESEND_FROM || "Race Marketplace <alerts@example.com>";
 
   let notifiedUsers = 0;
   let notificationsInserted = 0;
@@ -317,7 +515,9 @@ export default async function handler(req, res) {
 
     const subjectPrefix = listingRow.type === "sell" ? "Nowe ogłoszenie: Sprzedam" : "Nowe ogłoszenie: Kupię";
     const subject = `${subjectPrefix} ${listingRow.race_name}`;
-    const priceLabel = typeof listingRow.price === "number" ? `${listingRow.price.toFixed(2)} PLN` : String(listingRow.price || "");
+    const priceLabel = typeof listingRow.price === "number" ? `${listingRow.price.toFixed(2)} ${listingRow.payload?.currency || "PLN"}` : String(listingRow.price || "");
+    const bundle = bundleSummary(listingRow);
+    const packageLabel = packageSummary(listingRow);
     const lines = [
       `Cześć ${profile?.display_name || ""}`.trim(),
       "",
@@ -325,7 +525,11 @@ export default async function handler(req, res) {
       `• Bieg: ${listingRow.race_name}`,
       listingRow.distance ? `• Dystans: ${listingRow.distance}` : null,
       `• Typ ogłoszenia: ${listingRow.type === "sell" ? "Sprzedam" : "Kupię"}`,
-      `• Cena / budżet: ${priceLabel}`,
+      `• Cena / budżet: ${bundle && !bundle.together ? `od ${priceLabel}` : priceLabel}`,
+      bundle
+        ? `• Ogłoszenie zbiorcze: ${bundle.available} z ${bundle.total} pakietów (${bundle.together ? "tylko w całości" : "można kupić pojedynczo"})`
+        : null,
+      packageLabel ? `• Pakiet: ${packageLabel}` : null,
       "",
       "Zaloguj się do marketplace, aby skontaktować się z autorem ogłoszenia.",
       "",
@@ -355,5 +559,5 @@ export default async function handler(req, res) {
     }
   }
 
-  send(res, 200, { status: "ok", notifiedUsers, notifications: notificationsInserted });
+  send(res, 200, { status: "ok", notifiedUsers, notifications: notificationsInserted, priceDropNotifications });
 }
@@ -0,0 +1,502 @@
+import { createClient } from "@supabase/supabase-js";
+import { checkRateLimits, clientIp } from "./_lib/rate-limit.js";
+
+export const config = { runtime: "nodejs", maxDuration: 60 };
+
+const PAGE_SIZE = 500;
+// Identyfikatory w filtrze .in() trafiają do adresu zapytania – dzielimy je na paczki, żeby nie przekroczyć limitu URL
+const ID_CHUNK_SIZE = 100;
+const RATE_LIMIT = { capacity: 5, perHour: 12 };
+const EXPIRY_NOTICE_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Przypomnienia o terminie przepisania pakietu: N dni (TRANSFER_REMINDER_DAYS) i dzień przed terminem
+const TRANSFER_REMINDER_DAYS = Math.max(2, Number.parseInt(process.env.TRANSFER_REMINDER_DAYS || "", 10) || 3);
+// Rozmowa o ogłoszeniu jest aktywna, jeśli padła w niej wiadomość w ciągu tylu dni
+const ACTIVE_CONVERSATION_DAYS = 30;
+
+function send(res, statusCode, data) {
+  if (res.headersSent) return;
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(data));
+}
+
+function normalizeDateOnly(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  if (!str) return null;
+  if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+  const ts = Date.parse(str);
+  if (Number.isNaN(ts)) return null;
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+function addDays(dateStr, days) {
+  return new Date(Date.parse(`${dateStr}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Zwraca najbliższą datę, po której ogłoszenie traci ważność (start biegu lub termin przepisania pakietu).
+ * @returns {{ date: string, reason: "event_passed" | "transfer_deadline" } | null}
+ */
+function listingExpiry(row) {
+  const payload = row?.payload && typeof row.payload === "object" ? row.payload : {};
+  const candidates = [
+    { date: normalizeDateOnly(row.edition_start_date || payload.eventDate), reason: "event_passed" },
+    { date: normalizeDateOnly(payload.transferDeadline), reason: "transfer_deadline" },
+  ].filter((item) => item.date);
+  if (!candidates.length) return null;
+  return candidates.reduce((earliest, item) => (item.date < earliest.date ? item : earliest));
+}
+
+/**
+ * Etap przypomnienia o terminie przepisania: "days" (N dni przed) lub "24h" (dzień przed lub w dniu terminu).
+ * @returns {{ deadline: string, stage: "days" | "24h", daysLeft: number } | null}
+ */
+function transferReminderStage(row, today) {
+  const payload = row?.payload && typeof row.payload === "object" ? row.payload : {};
+  const deadline = normalizeDateOnly(payload.transferDeadline);
+  if (!deadline || deadline < today) return null;
+  const daysLeft = Math.round((Date.parse(`${deadline}T00:00:00Z`) - Date.parse(`${today}T00:00:00Z`)) / DAY_MS);
+  if (daysLeft <= 1) return { deadline, stage: "24h", daysLeft };
+  if (daysLeft <= TRANSFER_REMINDER_DAYS) return { deadline, stage: "days", daysLeft };
+  return null;
+}
+
+function isAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return true;
+  const header = req.headers?.authorization || "";
+  const key = req.query?.key;
+  return header === `Bearer ${secret}` || key === secret;
+}
+
+async function sendEmail(resendKey, message) {
+  if (!resendKey) return { skipped: true };
+  const res = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${resendKey}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(message),
+  });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Resend error ${res.status}: ${text}`);
+  }
+  return res.json();
+}
+
+async function loadActiveListings(client) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await client
+      .from("listings")
+      .select("id, type, race_name, price, distance, owner_id, status, edition_start_date, expiry_notice_sent_at, payload")
+      .is("archived_at", null)
+      .order("created_at", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return rows;
+}
+
+function buildOwnerMessage(kind, row, expiry) {
+  const raceName = row.race_name || "Twoje ogłoszenie";
+  if (kind === "listing_expiring") {
+    const reasonLabel = expiry.reason === "transfer_deadline" ? "termin przepisania pakietu" : "termin biegu";
+    return {
+      subject: `Ogłoszenie wkrótce wygaśnie: ${raceName}`,
+      lines: [
+        `Twoje ogłoszenie „${raceName}” wygaśnie ${expiry.date} (${reasonLabel}).`,
+        "Jeśli pakiet jest nadal dostępny, skontaktuj się z zainteresowanymi przed tym terminem.",
+      ],
+    };
+  }
+  return {
+    subject: `Ogłoszenie zarchiwizowane: ${raceName}`,
+    lines: [
+      `Twoje ogłoszenie „${raceName}” zostało przeniesione do archiwum, ponieważ minął ${
+        expiry.reason === "transfer_deadline" ? "termin przepisania pakietu" : "termin biegu"
+      } (${expiry.date}).`,
+      "Ogłoszenie nie jest już widoczne w serwisie, ale pozostaje w statystykach cen.",
+    ],
+  };
+}
+
+function buildTransferReminderMessage(role, row, reminder) {
+  const raceName = row.race_name || "pakiet";
+  const when = reminder.stage === "24h" ? "już jutro" : `za ${reminder.daysLeft} dni`;
+  const whenLabel = reminder.daysLeft === 0 ? "dziś" : when;
+  if (role === "seller") {
+    return {
+      subject: `Termin przepisania pakietu mija ${whenLabel}: ${raceName}`,
+      lines: [
+        `Termin przepisania pakietu z ogłoszenia „${raceName}” u organizatora mija ${reminder.deadline} (${whenLabel}).`,
+        "Jeśli pakiet jest sprzedany lub zarezerwowany, dokończ przepisanie z kupującym przed tym terminem.",
+      ],
+    };
+  }
+  return {
+    subject: `Termin przepisania pakietu mija ${whenLabel}: ${raceName}`,
+    lines: [
+      `Termin przepisania pakietu „${raceName}”, o którym rozmawiasz ze sprzedającym, mija ${reminder.deadline} (${whenLabel}).`,
+      "Po tym terminie organizator nie pozwoli już zmienić uczestnika – uzgodnij szczegóły jak najszybciej.",
+    ],
+  };
+}
+
+async function notifyOwner(client, { kind, row, expiry, profile, email, resendKey, resendFrom }) {
+  const payload = {
+    kind,
+    expires_on: expiry.date,
+    reason: expiry.reason,
+    listing: {
+      id: row.id,
+      type: row.type,
+      race_name: row.race_name,
+      price: row.price,
+      distance: row.distance,
+    },
+  };
+  const { error } = await client.from("notifications").insert({
+    user_id: row.owner_id,
+    listing_id: row.id,
+    channel: "inapp",
+    is_read: false,
+    payload,
+  });
+  if (error) throw error;
+
+  if (!profile?.email_notifications || !email) return;
+  const message = buildOwnerMessage(kind, row, expiry);
+  try {
+    await sendEmail(resendKey, {
+      from: resendFrom,
+      to: [email],
+      subject: message.subject,
+      text: [`Cześć ${profile?.display_name || ""}`.trim(), "", ...message.lines, "", "Zespół Race Marketplace"].join("\n"),
+    });
+    const { error: emailNotifError } = await client.from("notifications").insert({
+      user_id: row.owner_id,
+      listing_id: row.id,
+      channel: "email",
+      is_read: true,
+      payload,
+    });
+    if (emailNotifError) {
+      console.error("expire-listings: failed to log email notification", emailNotifError);
+    }
+  } catch (err) {
+    console.error("expire-listings: failed to send email", err);
+  }
+}
+
+/**
+ * Rozmówcy (poza autorem) z wiadomości o ogłoszeniach wysłanych w ostatnich ACTIVE_CONVERSATION_DAYS dniach.
+ * @returns {Promise<Map<string, Set<string>>>} id ogłoszenia → id użytkowników
+ */
+async function loadConversationPartners(client, rows, today) {
+  const partners = new Map();
+  if (!rows.length) return partners;
+  const owners = new Map(rows.map((row) => [String(row.id), row.owner_id]));
+  const listingIds = Array.from(owners.keys());
+  const messages = [];
+  for (let start = 0; start < listingIds.length; start += ID_CHUNK_SIZE) {
+    const chunk = listingIds.slice(start, start + ID_CHUNK_SIZE);
+    // PostgREST zwraca domyślnie najwyżej 1000 wierszy, więc stronicujemy także wewnątrz paczki
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await client
+        .from("messages")
+        .select("id, listing_id, from_user, to_user")
+        .in("listing_id", chunk)
+        .gte("created_at", addDays(today, -ACTIVE_CONVERSATION_DAYS))
+        .order("id", { ascending: true })
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      messages.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+  }
+  for (const message of messages) {
+    const ownerId = owners.get(String(message.listing_id));
+    const set = partners.get(String(message.listing_id)) || new Set();
+    for (const userId of [message.from_user, message.to_user]) {
+      if (userId && userId !== ownerId) set.add(userId);
+    }
+    partners.set(String(message.listing_id), set);
+  }
+  return partners;
+}
+
+/**
+ * Zapisuje przypomnienia w transfer_deadline_reminders i zwraca tylko te, których jeszcze nie wysłano.
+ * Wpis powstaje przed wysyłką, więc równoległe uruchomienie zadania nie zdubluje powiadomień; gdy wysyłka się nie uda,
+ * releaseTransferReminder usuwa wpis i kolejne uruchomienie spróbuje ponownie.
+ */
+async function claimTransferReminders(client, entries) {
+  if (!entries.length) return [];
+  const { data, error } = await client
+    .from("transfer_deadline_reminders")
+    .upsert(
+      entries.map(({ row, userId, reminder }) => ({
+        listing_id: String(row.id),
+        user_id: userId,
+        stage: reminder.stage,
+        deadline: reminder.deadline,
+      })),
+      { onConflict: "listing_id,user_id,stage,deadline", ignoreDuplicates: true }
+    )
+    .select("listing_id, user_id, stage");
+  if (error) throw error;
+  const claimed = new Set((data || []).map((item) => `${item.listing_id}:${item.user_id}:${item.stage}`));
+  return entries.filter(({ row, userId, reminder }) => claimed.has(`${row.id}:${userId}:${reminder.stage}`));
+}
+
+async function releaseTransferReminder(client, { row, userId, reminder }) {
+  const { error } = await client
+    .from("transfer_deadline_reminders")
+    .delete()
+    .eq("listing_id", String(row.id))
+    .eq("user_id", userId)
+    .eq("stage", reminder.stage)
+    .eq("deadline", reminder.deadline);
+  if (error) {
+    console.error("expire-listings: failed to release transfer reminder", row.id, error);
+  }
+}
+
+async function notifyTransferDeadline(client, { role, row, userId, reminder, profile, email, resendKey, resendFrom }) {
+  const payload = {
+    kind: "transfer_deadline",
+    deadline: reminder.deadline,
+    stage: reminder.stage,
+    role,
+    listing: {
+      id: row.id,
+      type: row.type,
+      race_name: row.race_name,
+      price: row.price,
+      distance: row.distance,
+    },
+  };
+  const { error } = await client.from("notifications").insert({
+    user_id: userId,
+    listing_id: row.id,
+    channel: "inapp",
+    is_read: false,
+    payload,
+  });
+  if (error) throw error;
+
+  if (!profile?.email_notifications || !email) return;
+  const message = buildTransferReminderMessage(role, row, reminder);
+  try {
+    await sendEmail(resendKey, {
+      from: resendFrom,
+      to: [email],
+      subject: message.subject,
+      text: [`Cześć ${profile?.display_name || ""}`.trim(), "", ...message.lines, "", "Zespół Race Marketplace"].join("\n"),
+    });
+    const { error: emailNotifError } = await client.from("notifications").insert({
+      user_id: userId,
+      listing_id: row.id,
+      channel: "email",
+      is_read: true,
+      payload,
+    });
+    if (emailNotifError) {
+      console.error("expire-listings: failed to log email notification", emailNotifError);
+    }
+  } catch (err) {
+    console.error("expire-listings: failed to send email", err);
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    send(res, 405, { ok: false, error: "Method not allowed" });
+    return;
+  }
+  // Zadanie uruchamia Vercel Cron; limit spowalnia też zgadywanie CRON_SECRET
+  const limited = await checkRateLimits(res, [{ key: `expire-listings:ip:${clientIp(req)}`, ...RATE_LIMIT }]);
+  if (limited) {
+    send(res, 429, { ok: false, error: "Too many requests", retry_after: limited.retryAfter });
+    return;
+  }
+  if (!isAuthorized(req)) {
+    send(res, 401, { ok: false, error: "unauthorized" });
+    return;
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceRole = process.env.SUPABASE_SERVICE_ROLE;
+  if (!supabaseUrl || !serviceRole) {
+    send(res, 500, { ok: false, error: "Supabase service role env vars missing" });
+    return;
+  }
+
+  const supabaseAdmin = createClient(supabaseUrl, serviceRole, {
+    auth: { autoRefreshToken: false, persistSession: false },
+  });
+
+  const today = new Date().toISOString().slice(0, 10);
+  const noticeUntil = addDays(today, EXPIRY_NOTICE_DAYS);
+
+  let rows;
+  try {
+    rows = await loadActiveListings(supabaseAdmin);
+  } catch (err) {
+    console.error("expire-listings: failed to load listings", err);
+    send(res, 500, { ok: false, error: "Failed to load listings" });
+    return;
+  }
+
+  const toArchive = [];
+  const toWarn = [];
+  const toRemind = [];
+  for (const row of rows) {
+    const reminder = row.status === "active" || row.status === "reserved" ? transferReminderStage(row, today) : null;
+    if (reminder) toRemind.push({ row, reminder });
+    const expiry = listingExpiry(row);
+    if (!expiry) continue;
+    // O zbliżającym się terminie przepisania informują osobne przypomnienia (toRemind)
+    if (expiry.date < today) {
+      toArchive.push({ row, expiry });
+    } else if (
+      expiry.reason === "event_passed" &&
+      expiry.date <= noticeUntil &&
+      !row.expiry_notice_sent_at &&
+      (row.status === "active" || row.status === "reserved")
+    ) {
+      toWarn.push({ row, expiry });
+    }
+  }
+
+  let reminderEntries = [];
+  try {
+    const partners = await loadConversationPartners(supabaseAdmin, toRemind.map((item) => item.row), today);
+    for (const { row, reminder } of toRemind) {
+      reminderEntries.push({ role: "seller", row, userId: row.owner_id, reminder });
+      for (const userId of partners.get(String(row.id)) || []) {
+        reminderEntries.push({ role: "buyer", row, userId, reminder });
+      }
+    }
+    reminderEntries = await claimTransferReminders(supabaseAdmin, reminderEntries);
+  } catch (err) {
+    console.error("expire-listings: failed to prepare transfer reminders", err);
+    reminderEntries = [];
+  }
+
+  const recipientIds = Array.from(
+    new Set([...toArchive, ...toWarn].map((item) => item.row.owner_id).concat(reminderEntries.map((item) => item.userId)))
+  );
+  const profiles = new Map();
+  const emails = new Map();
+  const recipientProfiles = [];
+  for (let start = 0; start < recipientIds.length; start += ID_CHUNK_SIZE) {
+    const { data, error } = await supabaseAdmin
+      .from("profiles")
+      .select("id, display_name, email_notifications")
+      .in("id", recipientIds.slice(start, start + ID_CHUNK_SIZE));
+    if (error) {
+      console.error("expire-listings: failed to load profiles", error);
+    }
+    recipientProfiles.push(...(data || []));
+  }
+  for (const profile of recipientProfiles) {
+    profiles.set(profile.id, profile);
+    if (!profile.email_notifications) continue;
+    try {
+      const { data: userData, error: userError } = await supabaseAdmin.auth.admin.getUserById(profile.id);
+      if (userError) throw userError;
+      if (userData?.user?.email) emails.set(profile.id, userData.user.email);
+    } catch (err) {
+      console.error("Failed to fetch email for user", profile.id, err?.message || err);
+    }
+  }
+
+  const resendKey = process.env.RESEND_API_KEY || "";
+  const resendFrom = process.env.RESEND_FROM || "Race Marketplace <alerts@example.com>";
+  const stats = { scanned: rows.length, warned: 0, reminded: 0, archived: 0, failed: 0 };
+
+  for (const entry of reminderEntries) {
+    try {
+      await notifyTransferDeadline(supabaseAdmin, {
+        ...entry,
+        profile: profiles.get(entry.userId),
+        email: emails.get(entry.userId),
+        resendKey,
+        resendFrom,
+      });
+      stats.reminded += 1;
+    } catch (err) {
+      console.error("expire-listings: failed to send transfer reminder", entry.row.id, err);
+      await releaseTransferReminder(supabaseAdmin, entry);
+      stats.failed += 1;
+    }
+  }
+
+  for (const { row, expiry } of toWarn) {
+    try {
+      const { error } = await supabaseAdmin
+        .from("listings")
+        .update({ expiry_notice_sent_at: new Date().toISOString() })
+        .eq("id", row.id)
+        .is("expiry_notice_sent_at", null);
+      if (error) throw error;
+      await notifyOwner(supabaseAdmin, {
+        kind: "listing_expiring",
+        row,
+        expiry,
+        profile: profiles.get(row.owner_id),
+        email: emails.get(row.owner_id),
+        resendKey,
+        resendFrom,
+      });
+      stats.warned += 1;
+    } catch (err) {
+      console.error("expire-listings: failed to warn owner", row.id, err);
+      stats.failed += 1;
+    }
+  }
+
+  for (const { row, expiry } of toArchive) {
+    try {
+      const { error } = await supabaseAdmin
+        .from("listings")
+        .update({ archived_at: new Date().toISOString(), archive_reason: expiry.reason })
+        .eq("id", row.id)
+        .is("archived_at", null);
+      if (error) throw error;
+      stats.archived += 1;
+      if (row.status !== "active" && row.status !== "reserved") continue;
+      await notifyOwner(supabaseAdmin, {
+        kind: "listing_archived",
+        row,
+        expiry,
+        profile: profiles.get(row.owner_id),
+        email: emails.get(row.owner_id),
+        resendKey,
+        resendFrom,
+      });
+    } catch (err) {
+      console.error("expire-listings: failed to archive listing", row.id, err);
+      stats.failed += 1;
+    }
+  }
+
+  // Kubełek limitu nieużywany od doby i tak jest już pełny (supabase/rate_limits.sql)
+  const { error: purgeError } = await supabaseAdmin
+    .from("rate_limit_buckets")
+    .delete()
+    .lt("updated_at", new Date(Date.now() - 86_400_000).toISOString());
+  if (purgeError) {
+    console.error("expire-listings: failed to purge rate limit buckets", purgeError);
+  }
+
+  send(res, 200, { ok: true, today, ...stats });
+}
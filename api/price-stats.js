@@ -0,0 +1,188 @@
+import { createClient } from "@supabase/supabase-js";
+import { checkRateLimits, clientIp } from "./_lib/rate-limit.js";
+
+export const config = { runtime: "nodejs", maxDuration: 15 };
+
+// Poniżej tylu cen z bieżącej edycji sięgamy po poprzednią edycję tego samego biegu
+const MIN_SAMPLE = 3;
+const MAX_ROWS = 1000;
+// Ogłoszenia zakończone i zarchiwizowane też się liczą – to historia cen; szkice, wycofane i ukryte przez moderację nie
+const PRICED_STATUSES = ["active", "reserved", "sold"];
+const RATE_LIMIT = { capacity: 60, perHour: 600 };
+
+function send(res, statusCode, data, headers = {}) {
+  if (res.headersSent) return;
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  for (const [key, value] of Object.entries(headers)) res.setHeader(key, value);
+  res.end(JSON.stringify(data));
+}
+
+function normalizeDistance(value) {
+  return String(value || "").trim().toLowerCase();
+}
+
+function safeNumber(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  if (value == null || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function quantile(sorted, q) {
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const rest = pos - base;
+  const next = sorted[base + 1];
+  return next === undefined ? sorted[base] : sorted[base] + rest * (next - sorted[base]);
+}
+
+/**
+ * Kursy z tabeli exchange_rates (supabase/exchange_rates.sql): ile PLN za 1 jednostkę waluty.
+ * @returns {Promise<Map<string, number>>}
+ */
+async function loadRatesPln(client) {
+  const { data, error } = await client.from("exchange_rates").select("currency, rate_pln");
+  if (error) throw error;
+  const rates = new Map([["PLN", 1]]);
+  for (const row of data || []) {
+    const rate = safeNumber(row.rate_pln);
+    if (row.currency && rate > 0) rates.set(String(row.currency).toUpperCase(), rate);
+  }
+  return rates;
+}
+
+/**
+ * Ceny sprzedaży pakietu na danym dystansie, przeliczone na PLN. W ogłoszeniach zbiorczych sprzedawanych pojedynczo
+ * liczy się cena każdej pozycji; pakiety sprzedawane tylko w całości pomijamy, bo ich cena nie dotyczy jednego pakietu.
+ * Ogłoszenia w walucie bez znanego kursu też pomijamy.
+ */
+function listingPrices(row, distanceKey, ratesPln) {
+  const payload = row?.payload && typeof row.payload === "object" ? row.payload : {};
+  const rate = ratesPln.get(String(payload.currency || "PLN").toUpperCase());
+  if (!rate) return [];
+  const toPln = (price) => (price != null && price > 0 ? Math.round(price * rate * 100) / 100 : null);
+  const items = Array.isArray(payload.bundle?.items) ? payload.bundle.items : [];
+  if (items.length) {
+    if (payload.bundle.sellMode === "together") return [];
+    return items
+      .filter((item) => normalizeDistance(item?.distance) === distanceKey)
+      .map((item) => toPln(safeNumber(item.price)))
+      .filter((price) => price != null);
+  }
+  const distances = Array.isArray(payload.distances) && payload.distances.length ? payload.distances : [row.distance];
+  if (!distances.some((value) => normalizeDistance(value) === distanceKey)) return [];
+  const price = toPln(safeNumber(row.price));
+  return price != null ? [price] : [];
+}
+
+async function loadEditionPrices(client, editionId, distanceKey, ratesPln) {
+  const { data, error } = await client
+    .from("listings")
+    .select("id, price, distance, payload")
+    .eq("edition_id", editionId)
+    .eq("type", "sell")
+    .in("status", PRICED_STATUSES)
+    .is("hidden_at", null)
+    .order("created_at", { ascending: false })
+    .limit(MAX_ROWS);
+  if (error) throw error;
+  return (data || []).flatMap((row) => listingPrices(row, distanceKey, ratesPln));
+}
+
+async function findPreviousEdition(client, editionId) {
+  const { data: edition, error } = await client
+    .from("event_editions")
+    .select("id, event_id, year")
+    .eq("id", editionId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!edition?.event_id || !edition.year) return null;
+  const { data: previous, error: previousError } = await client
+    .from("event_editions")
+    .select("id, year")
+    .eq("event_id", edition.event_id)
+    .eq("year", edition.year - 1)
+    .limit(1)
+    .maybeSingle();
+  if (previousError) throw previousError;
+  return previous || null;
+}
+
+/**
+ * Mediana, minimum, maksimum oraz granice typowych cen (Q1 − 1,5·IQR, Q3 + 1,5·IQR) –
+ * cena poza nimi jest oznaczana w formularzu jako odstająca.
+ */
+function buildStats(prices) {
+  const sorted = [...prices].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    count: sorted.length,
+    median: round(quantile(sorted, 0.5)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1],
+    typicalLow: round(Math.max(0, q1 - 1.5 * iqr)),
+    typicalHigh: round(q3 + 1.5 * iqr),
+    currency: "PLN",
+  };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    send(res, 405, { ok: false, error: "Method not allowed" });
+    return;
+  }
+
+  const limited = await checkRateLimits(res, [{ key: `price-stats:ip:${clientIp(req)}`, ...RATE_LIMIT }]);
+  if (limited) {
+    send(res, 429, { ok: false, error: "Too many requests", retry_after: limited.retryAfter });
+    return;
+  }
+
+  const editionId = safeNumber(req.query?.edition_id);
+  const distanceKey = normalizeDistance(req.query?.distance);
+  if (editionId == null || !distanceKey) {
+    send(res, 400, { ok: false, error: "edition_id and distance are required" });
+    return;
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceRole = process.env.SUPABASE_SERVICE_ROLE;
+  if (!supabaseUrl || !serviceRole) {
+    send(res, 500, { ok: false, error: "Supabase service role env vars missing" });
+    return;
+  }
+
+  const supabaseAdmin = createClient(supabaseUrl, serviceRole, {
+    auth: { autoRefreshToken: false, persistSession: false },
+  });
+
+  try {
+    const ratesPln = await loadRatesPln(supabaseAdmin);
+    let prices = await loadEditionPrices(supabaseAdmin, editionId, distanceKey, ratesPln);
+    let source = { edition_id: editionId, year: null, fallback: false };
+    if (prices.length < MIN_SAMPLE) {
+      const previous = await findPreviousEdition(supabaseAdmin, editionId);
+      if (previous) {
+        const previousPrices = await loadEditionPrices(supabaseAdmin, previous.id, distanceKey, ratesPln);
+        if (previousPrices.length > prices.length) {
+          prices = previousPrices;
+          source = { edition_id: previous.id, year: previous.year, fallback: true };
+        }
+      }
+    }
+    send(
+      res,
+      200,
+      { ok: true, distance: req.query.distance, source, stats: prices.length ? buildStats(prices) : null },
+      { "Cache-Control": "s-maxage=300, stale-while-revalidate=600" }
+    );
+  } catch (err) {
+    console.error("price-stats: failed to compute stats", err);
+    send(res, 500, { ok: false, error: "Failed to compute price statistics" });
+  }
+}
@@ -1,8 +1,15 @@
 import { runScraperChunk } from "../scripts/scrape-maratonypolskie.js";
+import { checkRateLimits, clientIp } from "./_lib/rate-limit.js";
 
 export const config = { runtime: "nodejs", maxDuration: 60 };
 
+const RATE_LIMIT = { capacity: 5, perHour: 12 };
+
 export default async function handler(req, res) {
+  const limited = await checkRateLimits(res, [{ key: `run-scraper:ip:${clientIp(req)}`, ...RATE_LIMIT }]);
+  if (limited) {
+    return res.status(429).json({ ok: false, error: "Too many requests", retry_after: limited.retryAfter });
+  }
   const { from = "2025-10-01", to = "2026-12-31", cursor, budgetMs, key } = req.query || {};
   if (process.env.SCRAPER_SECRET && key !== process.env.SCRAPER_SECRET) {
     return res.status(401).json({ ok: false, error: "unauthorized" });
@@ -0,0 +1,104 @@
+import { createClient } from "@supabase/supabase-js";
+import { checkRateLimits, clientIp } from "./_lib/rate-limit.js";
+// Źródło offline (EXCHANGE_RATES_SOURCE=fixture) – te same kursy zapasowe, których używa aplikacja w src/lib/currency.js
+import fixtureRates from "../src/lib/exchange-rates-fixture.json" with { type: "json" };
+
+export const config = { runtime: "nodejs", maxDuration: 30 };
+
+const RATE_LIMIT = { capacity: 5, perHour: 12 };
+const NBP_TABLE_URL = "https://api.nbp.pl/api/exchangerates/tables/A?format=json";
+const CURRENCIES = ["EUR", "CZK", "USD", "GBP", "CHF", "HUF", "SEK", "DKK", "NOK"];
+
+function send(res, statusCode, data) {
+  if (res.headersSent) return;
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+  res.end(JSON.stringify(data));
+}
+
+function isAuthorized(req) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return true;
+  const header = req.headers?.authorization || "";
+  const key = req.query?.key;
+  return header === `Bearer ${secret}` || key === secret;
+}
+
+/**
+ * Średnie kursy z tabeli A NBP (ile PLN za 1 jednostkę waluty).
+ * @returns {Promise<{ asOf: string, rates: Record<string, number> }>}
+ */
+async function fetchNbpRates() {
+  const res = await fetch(NBP_TABLE_URL, { headers: { Accept: "application/json" } });
+  if (!res.ok) {
+    throw new Error(`NBP error ${res.status}`);
+  }
+  const [table] = await res.json();
+  const rates = {};
+  for (const item of table?.rates || []) {
+    const code = String(item?.code || "").toUpperCase();
+    const mid = Number(item?.mid);
+    if (CURRENCIES.includes(code) && mid > 0) rates[code] = mid;
+  }
+  if (!Object.keys(rates).length || !table?.effectiveDate) {
+    throw new Error("NBP response without rates");
+  }
+  return { asOf: table.effectiveDate, rates };
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    send(res, 405, { ok: false, error: "Method not allowed" });
+    return;
+  }
+  // Zadanie uruchamia Vercel Cron; limit spowalnia też zgadywanie CRON_SECRET
+  const limited = await checkRateLimits(res, [{ key: `update-exchange-rates:ip:${clientIp(req)}`, ...RATE_LIMIT }]);
+  if (limited) {
+    send(res, 429, { ok: false, error: "Too many requests", retry_after: limited.retryAfter });
+    return;
+  }
+  if (!isAuthorized(req)) {
+    send(res, 401, { ok: false, error: "unauthorized" });
+    return;
+  }
+
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const serviceRole = process.env.SUPABASE_SERVICE_ROLE;
+  if (!supabaseUrl || !serviceRole) {
+    send(res, 500, { ok: false, error: "Supabase service role env vars missing" });
+    return;
+  }
+
+  const supabaseAdmin = createClient(supabaseUrl, serviceRole, {
+    auth: { autoRefreshToken: false, persistSession: false },
+  });
+
+  const source = process.env.EXCHANGE_RATES_SOURCE === "fixture" ? "fixture" : "nbp";
+  let snapshot;
+  try {
+    snapshot = source === "fixture" ? fixtureRates : await fetchNbpRates();
+  } catch (err) {
+    console.error("update-exchange-rates: failed to fetch rates", err);
+    send(res, 502, { ok: false, error: "Failed to fetch exchange rates" });
+    return;
+  }
+
+  const updatedAt = new Date().toISOString();
+  const rows = Object.entries(snapshot.rates)
+    .filter(([currency]) => CURRENCIES.includes(currency))
+    .map(([currency, rate]) => ({
+      currency,
+      rate_pln: rate,
+      as_of: snapshot.asOf,
+      source,
+      updated_at: updatedAt,
+    }));
+  const { error } = await supabaseAdmin.from("exchange_rates").upsert(rows, { onConflict: "currency" });
+  if (error) {
+    console.error("update-exchange-rates: failed to save rates", error);
+    send(res, 500, { ok: false, error: "Failed to save exchange rates" });
+    return;
+  }
+
+  send(res, 200, { ok: true, source, as_of: snapshot.asOf, updated: rows.length });
+}
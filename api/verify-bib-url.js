@@ -1,10 +1,14 @@
+import { applyCors } from "./_lib/cors.js";
+import { checkRateLimits, clientIp } from "./_lib/rate-limit.js";
+
 const FETCH_TIMEOUT_MS = 10000;
+// Każde sprawdzenie pobiera zewnętrzną stronę, więc limit na adres IP jest niski
+const RATE_LIMIT = { capacity: 10, perHour: 30 };
 
 function send(res, statusCode, data) {
   if (res.headersSent) return;
   res.statusCode = statusCode;
   res.setHeader("Content-Type", "application/json; charset=utf-8");
-  res.setHeader("Access-Control-Allow-Origin", "*");
   res.end(JSON.stringify(data));
 }
 
@@ -92,9 +96,7 @@ function isCsvType(contentType = "", url = "") {
 }
 
 export default async function handler(req, res) {
-  res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Methods", "POST, OPTIONS");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+  applyCors(req, res);
 
   if (req.method === "OPTIONS") {
     res.statusCode = 204;
@@ -107,6 +109,16 @@ export default async function handler(req, res) {
     return;
   }
 
+  const limited = await checkRateLimits(res, [{ key: `verify-bib-url:ip:${clientIp(req)}`, ...RATE_LIMIT }]);
+  if (limited) {
+    send(res, 429, {
+      status: "error",
+      error: `Zbyt wiele sprawdzeń numeru. Spróbuj ponownie za ${limited.retryAfter} s.`,
+      retryAfter: limited.retryAfter,
+    });
+    return;
+  }
+
   let body;
   try {
     body = await parseBody(req);
@@ -27,6 +27,10 @@ const PAGE_DELAY_MS = 800;
 const DETAIL_DELAY_MS = 800;
 const MAX_PAGES = 400;
 
+// SCRAPER_FEES=1 włącza odczyt opłaty startowej ze strony szczegółów (dodatkowe zapytanie na każdą imprezę)
+const SCRAPE_FEES = process.env.SCRAPER_FEES === '1';
+const FEE_PATTERN = /op[łl]at[aay]\s+startow[aey][^0-9]{0,40}?(\d{2,4}(?:[.,]\d{1,2})?)\s*(?:z[łl]|pln)/i;
+
 const DATE_PATTERN = /(\d{4}[.\/-]\d{1,2}[.\/-]\d{1,2}|\d{1,2}[.\/-]\d{1,2}[.\/-]\d{4})/;
 
 const detailCache = new Map();
@@ -75,6 +79,42 @@ function sanitizeCity(raw) {
   return city;
 }
 
+const VOIVODESHIPS = [
+  'dolnośląskie',
+  'kujawsko-pomorskie',
+  'lubelskie',
+  'lubuskie',
+  'łódzkie',
+  'małopolskie',
+  'mazowieckie',
+  'opolskie',
+  'podkarpackie',
+  'podlaskie',
+  'pomorskie',
+  'śląskie',
+  'świętokrzyskie',
+  'warmińsko-mazurskie',
+  'wielkopolskie',
+  'zachodniopomorskie',
+];
+
+function foldRegion(value) {
+  return value
+    .toLowerCase()
+    .replace(/ł/g, 'l')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+// Województwo z dopisku „woj. mazowieckie” / „Województwo: mazowieckie” (events.region, supabase/listings_region.sql)
+function extractRegion(raw) {
+  if (!raw) return null;
+  const match = raw.match(/woj(?:ew[oó]dztwo|\.)\s*:?\s*([a-ząćęłńóśźż]+(?:-[a-ząćęłńóśźż]+)?)/i);
+  if (!match) return null;
+  const folded = foldRegion(match[1]);
+  return VOIVODESHIPS.find((region) => foldRegion(region) === folded) || null;
+}
+
 function normalizeDistanceLabel(value) {
   if (!value) return [];
   const lower = value.toLowerCase();
@@ -163,7 +203,7 @@ async function makeUniqueSlug(sb, name, city) {
 }
 
 async function findEventByNameCity(name, city) {
-  let query = supabase.from('events').select('id');
+  let query = supabase.from('events').select('id, region');
 
   if (name) {
     query = query.ilike('name', name);
@@ -242,6 +282,8 @@ function parseRow($, row) {
     }
   }
 
+  const region = extractRegion(rowText);
+
   let name = null;
   let detailHref = null;
   const anchor = $row.find('a[href]').first();
@@ -292,6 +334,7 @@ function parseRow($, row) {
   return {
     date,
     city,
+    region,
     name,
     detailHref,
     distances,
@@ -366,10 +409,14 @@ async function parseDetailPage(url) {
       detailCity = sanitizeCity(cityMatch[1]);
     }
   }
+  const feeMatch = detailText ? detailText.match(FEE_PATTERN) : null;
+  const fee = feeMatch ? Number.parseFloat(feeMatch[1].replace(',', '.')) : null;
   const detail = {
     name: nameCandidates.find((candidate) => candidate && candidate.length > 3) || null,
     distances,
     city: detailCity,
+    region: extractRegion(detailText),
+    fee: Number.isFinite(fee) && fee > 0 ? fee : null,
   };
   detailCache.set(url, detail);
   return detail;
@@ -407,10 +454,14 @@ async function collectItems(offset) {
   return { url, items: results };
 }
 
-async function upsertEvent({ name, city }) {
+async function upsertEvent({ name, city, region }) {
   const existing = await findEventByNameCity(name, city);
 
   if (existing) {
+    if (region && !existing.region) {
+      const { error } = await supabase.from('events').update({ region }).eq('id', existing.id);
+      if (error) throw error;
+    }
     return { id: existing.id, created: false };
   }
 
@@ -422,6 +473,7 @@ async function upsertEvent({ name, city }) {
         name,
         slug,
         city,
+        region: region || null,
         country_code: 'PL',
         sport_type: 'running',
       })
@@ -500,6 +552,35 @@ async function upsertEdition(eventId, date, distances) {
   return { id: data.id, action: 'inserted' };
 }
 
+// Opłata z opisu imprezy nie wskazuje dystansu, więc zapisujemy ją tylko dla edycji z jednym dystansem.
+// Wpisy dodane ręcznie przez administratora nie są nadpisywane.
+async function upsertScrapedFee(editionId, distances, fee, sourceUrl) {
+  if (!fee || !Array.isArray(distances) || distances.length !== 1) {
+    return 'skipped';
+  }
+  const distance = distances[0];
+  const { data: existing, error: selectError } = await supabase
+    .from('edition_fees')
+    .select('id, source, fee')
+    .eq('edition_id', editionId)
+    .eq('distance_key', distance.trim().toLowerCase())
+    .maybeSingle();
+  if (selectError) {
+    throw selectError;
+  }
+  if (existing && (existing.source !== 'scraper' || Number(existing.fee) === fee)) {
+    return 'skipped';
+  }
+  const row = { fee, currency: 'PLN', source: 'scraper', source_url: sourceUrl, updated_at: new Date().toISOString() };
+  const { error } = existing
+    ? await supabase.from('edition_fees').update(row).eq('id', existing.id)
+    : await supabase.from('edition_fees').insert({ ...row, edition_id: editionId, distance });
+  if (error) {
+    throw error;
+  }
+  return 'saved';
+}
+
 async function runScraperChunkWithStats({
   from = DEFAULT_FROM,
   to = DEFAULT_TO,
@@ -537,6 +618,7 @@ async function runScraperChunkWithStats({
     editionsSkipped: 0,
     skippedMissingName: 0,
     skippedMissingCity: 0,
+    feesSaved: 0,
     seen: 0,
     inserted: 0,
   };
@@ -627,7 +709,7 @@ async function runScraperChunkWithStats({
       stats.seen += 1;
 
       let detail = null;
-      if (item.detailHref && (!item.name || !item.city || !(item.distances && item.distances.length))) {
+      if (item.detailHref && (SCRAPE_FEES || !item.name || !item.city || !(item.distances && item.distances.length))) {
         try {
           detail = await parseDetailPage(item.detailHref);
         } catch (error) {
@@ -644,6 +726,9 @@ async function runScraperChunkWithStats({
       if (!item.city && detail?.city) {
         item.city = detail.city;
       }
+      if (!item.region && detail?.region) {
+        item.region = detail.region;
+      }
       if (!item.city && detail?.name) {
         const inferredCity = sanitizeCity(detail.name.split('-')[0]);
         if (inferredCity) {
@@ -672,7 +757,7 @@ async function runScraperChunkWithStats({
       }
 
       try {
-        const { id: eventId, created } = await upsertEvent({ name: item.name, city: item.city });
+        const { id: eventId, created } = await upsertEvent({ name: item.name, city: item.city, region: item.region });
         if (created) {
           stats.eventsCreated += 1;
         } else {
@@ -688,6 +773,16 @@ async function runScraperChunkWithStats({
         } else {
           stats.editionsSkipped += 1;
         }
+
+        if (SCRAPE_FEES && detail?.fee) {
+          try {
+            if ((await upsertScrapedFee(editionResult.id, item.distances, detail.fee, item.detailHref)) === 'saved') {
+              stats.feesSaved += 1;
+            }
+          } catch (error) {
+            console.warn(`[scraper] Failed to save fee for ${item.detailHref}: ${error.message}`);
+          }
+        }
       } catch (error) {
         console.error('[scraper] Failed to upsert entry', {
           name: item.name,
@@ -734,6 +829,7 @@ async function runScraperChunkWithStats({
     editionsInserted: stats.editionsInserted,
     editionsUpdated: stats.editionsUpdated,
     editionsSkipped: stats.editionsSkipped,
+    feesSaved: stats.feesSaved,
     skippedMissingName: stats.skippedMissingName,
     skippedMissingCity: stats.skippedMissingCity,
     pagesFetched: stats.pagesFetched,
@@ -1,8 +1,52 @@
-import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useDeferredValue, useEffect, useLayoutEffect, useMemo, useRef, useState } from "react";
 import { supabase } from "./lib/supabase";
+import {
+  MAX_ATTACHMENTS,
+  attachmentUrl,
+  removeListingAttachments,
+  uploadListingAttachment,
+  validateAttachmentFile,
+} from "./lib/attachments";
+import { csvCell, parseCsv, stripCsvFormulaGuard } from "./lib/csv";
+import {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  convertAmount,
+  loadExchangeRates,
+  normalizeCurrency,
+  readStoredPreferredCurrency,
+  storePreferredCurrency,
+} from "./lib/currency";
+import {
+  LISTING_COLUMNS,
+  LISTING_STATUSES,
+  VOIVODESHIPS,
+  extractDateString,
+  formatDateOnly,
+  getListingOwnerId,
+  getListingStatus,
+  inferDistance,
+  listingFromRow,
+  normalizeListing,
+  parseDistanceToKm,
+  sanitizeDistances,
+} from "./lib/listings";
+import { LISTINGS_PAGE_SIZE, fetchMarketPage, marketPageCursor } from "./lib/market";
+import {
+  applyOutboxToListings,
+  enqueueOutboxMutation,
+  isTransientSyncError,
+  loadOutbox,
+  outboxAfterReplay,
+  rateLimitMessage,
+  replayOutboxEntry,
+  retryOutboxListing,
+  saveOutbox,
+} from "./lib/outbox";
 
 // ----------------------------- Typy -----------------------------
 /** @typedef {"sell" | "buy"} ListingType */
+/** @typedef {"draft" | "active" | "reserved" | "sold" | "withdrawn"} ListingStatus */
 
 const DISTANCES = /** @type {const} */ (
   ["5 km", "10 km", "15 km", "Półmaraton", "Maraton", "Ultramaraton", "50 km", "100 km"]
@@ -21,6 +65,61 @@ const DISTANCE_SUGGESTIONS = /** @type {const} */ ([
 
 /** @typedef {string} Distance */
 
+// Statusy widoczne w ogólnodostępnym widoku ogłoszeń (szkice i wycofane widzi tylko autor)
+const MARKET_VISIBLE_STATUSES = /** @type {const} */ (["active", "reserved", "sold"]);
+
+// Dozwolone przejścia – odpowiednik wyzwalacza listings_status_transition w supabase/listings_status.sql
+/** @type {Record<ListingStatus, ListingStatus[]>} */
+const LISTING_STATUS_TRANSITIONS = {
+  draft: ["active", "withdrawn"],
+  active: ["reserved", "sold", "withdrawn"],
+  reserved: ["active", "sold", "withdrawn"],
+  sold: [],
+  withdrawn: ["active"],
+};
+
+/** @type {Record<ListingStatus, "publishedAt" | "reservedAt" | "soldAt" | "withdrawnAt" | null>} */
+const LISTING_STATUS_TIMESTAMP_FIELDS = {
+  draft: null,
+  active: "publishedAt",
+  reserved: "reservedAt",
+  sold: "soldAt",
+  withdrawn: "withdrawnAt",
+};
+
+// Wartość filtra dla ogłoszeń bez województwa (ani w wydarzeniu, ani wybranego przez autora)
+const UNKNOWN_REGION = "nieznane";
+
+/**
+ * @typedef {Object} ListingFacets
+ * @property {string} dateFrom
+ * @property {string} dateTo
+ * @property {string} city
+ * @property {string} region
+ * @property {string} priceMin
+ * @property {string} priceMax
+ * @property {boolean} verifiedOnly
+ * @property {boolean} deadlineOpen
+ * @property {string} shirtSize
+ * @property {string} gender
+ * @property {string} extras // wartości PackageExtra rozdzielone przecinkami; wymagane wszystkie
+ */
+
+/** @type {ListingFacets} */
+const EMPTY_FACETS = {
+  dateFrom: "",
+  dateTo: "",
+  city: "",
+  region: "",
+  priceMin: "",
+  priceMax: "",
+  verifiedOnly: false,
+  deadlineOpen: false,
+  shirtSize: "",
+  gender: "",
+  extras: "",
+};
+
 /**
  * @typedef {Object} Listing
  * @property {string} id
@@ -28,6 +127,7 @@ const DISTANCE_SUGGESTIONS = /** @type {const} */ ([
  * @property {string} raceName
  * @property {string} [eventDate]
  * @property {string} [location]
+ * @property {string} [region] // województwo (listings.region)
  * @property {number} price
  * @property {string} [currency]
   * @property {string} contact
@@ -43,16 +143,76 @@ const DISTANCE_SUGGESTIONS = /** @type {const} */ ([
  * @property {"none" | "verified" | "not_found" | "error"} [proof_status]
  * @property {string} [proof_source_url]
  * @property {string} [proof_checked_at]
+ * @property {import("./lib/attachments").ListingAttachment[]} [attachments]
+ * @property {ListingBundle} [bundle] // ogłoszenie zbiorcze: kilka pakietów / miejsc w sztafecie
+ * @property {PackageContents} [packageContents]
  * @property {number} [transferFee]
  * @property {string} [transferFeeCurrency]
  * @property {string} [transferDeadline]
  * @property {number} createdAt // epoch ms
+ * @property {string} [updatedAt] // updated_at z public.listings (wersja kopii serwerowej)
+ * @property {string} [archivedAt] // ustawiane przez /api/expire-listings po wygaśnięciu
+ * @property {string} [hiddenAt] // ukryte po zgłoszeniach lub decyzją moderacji (supabase/reports.sql)
+ * @property {"reports" | "moderation"} [hiddenReason]
+ * @property {ListingStatus} [status] // brak = "active" (ogłoszenia sprzed wprowadzenia statusów)
+ * @property {string} [statusChangedAt]
+ * @property {string} [publishedAt]
+ * @property {string} [reservedAt]
+ * @property {string} [soldAt]
+ * @property {string} [withdrawnAt]
  * @property {string} [ownerId]
  * @property {string} [owner_id]
  * @property {string} [user_id]
  * @property {string} [author_display_name]
  */
 
+/** @typedef {"XS" | "S" | "M" | "L" | "XL" | "XXL"} ShirtSize */
+/** @typedef {"medal" | "pasta_party" | "accommodation" | "parking"} PackageExtra */
+
+/**
+ * Zawartość pakietu startowego; puste pola oznaczają „nie podano”.
+ * @typedef {Object} PackageContents
+ * @property {ShirtSize} [shirtSize]
+ * @property {"K" | "M"} [gender] // kategoria płci z zapisów
+ * @property {string} [ageCategory] // np. „M30”, „K40”
+ * @property {string} [wave] // strefa / fala startowa
+ * @property {PackageExtra[]} [extras]
+ */
+
+/**
+ * Pojedynczy pakiet w ogłoszeniu zbiorczym.
+ * @typedef {Object} BundleItem
+ * @property {string} id
+ * @property {string} distance
+ * @property {number} price
+ * @property {string} [bib]
+ * @property {boolean} [sold] // tylko przy sprzedaży pojedynczo
+ */
+
+/** @typedef {{ id: string, distance: string, price: string, bib: string, sold: boolean }} BundleFormItem */
+
+/**
+ * @typedef {Object} ListingBundle
+ * @property {"separately" | "together"} sellMode
+ * @property {BundleItem[]} items
+ */
+
+/**
+ * Oczekująca zmiana ogłoszenia w kolejce offline.
+ * @typedef {Object} OutboxEntry
+ * @property {string} id
+ * @property {"upsert" | "delete"} op
+ * @property {string} listingId
+ * @property {string} ownerId
+ * @property {Listing} [listing]
+ * @property {string | null} baseUpdatedAt // updated_at kopii serwerowej, na której oparto zmianę
+ * @property {"pending" | "conflict" | "error"} status
+ * @property {"write" | "fanout"} [stage]
+ * @property {Listing | null} [serverListing]
+ * @property {string} [error]
+ * @property {number} queuedAt
+ */
+
 /**
  * @typedef {Object} DirectMessage
  * @property {number} id
@@ -66,6 +226,16 @@ const DISTANCE_SUGGESTIONS = /** @type {const} */ ([
  * @property {string | null} [to_display_name]
  */
 
+/**
+ * @typedef {Object} ListingHistoryEntry
+ * @property {number} id
+ * @property {string} listing_id
+ * @property {number} version
+ * @property {string} changed_at
+ * @property {string | null} [changed_by]
+ * @property {Record<string, { from: any, to: any }>} changes
+ */
+
 /**
  * @typedef {Object} EditionSearchResult
  * @property {number} edition_id
@@ -89,6 +259,9 @@ const DISTANCE_SUGGESTIONS = /** @type {const} */ ([
  * @property {string | null} [query_text]
  * @property {Distance | null} [distance]
  * @property {number | null} [max_price]
+ * @property {ShirtSize | null} [shirt_size]
+ * @property {"K" | "M" | null} [gender]
+ * @property {PackageExtra[]} [extras] // ogłoszenie musi zawierać wszystkie
  * @property {boolean} is_active
  * @property {boolean} send_email
  * @property {string} created_at
@@ -102,30 +275,18 @@ const DISTANCE_SUGGESTIONS = /** @type {const} */ ([
  * @property {"inapp" | "email"} channel
  * @property {boolean} is_read
  * @property {string} created_at
- * @property {{ listing?: any, alerts?: any[] }} [payload]
+ * @property {{ kind?: NotificationKind, listing?: any, alerts?: any[], expires_on?: string, reason?: string, old_price?: number, new_price?: number, currency?: string, deadline?: string, stage?: "days" | "24h", role?: "seller" | "buyer" }} [payload]
  */
 
+/** @typedef {"alert_match" | "listing_expiring" | "listing_archived" | "price_drop" | "transfer_deadline" | "listing_hidden" | "listing_restored" | "listing_removed"} NotificationKind */
+
 // ----------------------- Pomocnicze funkcje ----------------------
+// localStorage służy wyłącznie jako pamięć podręczna – źródłem prawdy jest tabela public.listings
 const STORAGE_KEY = "race_listings_v1";
-
-function formatDateOnly(date) {
-  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return "";
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, "0");
-  const day = String(date.getDate()).padStart(2, "0");
-  return `${year}-${month}-${day}`;
-}
-
-function extractDateString(value) {
-  if (!value) return null;
-  const str = String(value).trim();
-  if (!str) return null;
-  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str;
-  if (/^\d{4}-\d{2}-\d{2}[T\s]/.test(str)) return str.slice(0, 10);
-  const parsed = new Date(str);
-  if (Number.isNaN(parsed.getTime())) return null;
-  return formatDateOnly(parsed);
-}
+const OUTBOX_RETRY_MS = 30 * 1000;
+const SEARCH_DEBOUNCE_MS = 250;
+// Te same końcówki odcina public.search_stem w supabase/listings_search.sql
+const SEARCH_SUFFIX_RE = /(owie|ami|ach|iem|ow|om|em|ie|iu|y|i|a|u|e|o)$/;
 
 function listingIsExpired(listing, todayStr) {
   if (!todayStr) return false;
@@ -141,7 +302,10 @@ function listingIsExpired(listing, todayStr) {
   return false;
 }
 
-/** @returns {Listing[]} */
+/**
+ * Odczytuje ogłoszenia z pamięci podręcznej przeglądarki (do czasu pobrania ich z Supabase).
+ * @returns {Listing[]}
+ */
 function loadListings() {
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
@@ -166,6 +330,18 @@ function saveListings(listings) {
   }
 }
 
+/**
+ * Parametry RPC market_listings i market_facet_counts (supabase/listings_market.sql) dla bieżących filtrów rynku;
+ * key zmienia się tylko wtedy, gdy zmienia się wynik (fraza porównywana po rdzeniach słów).
+ * @param {{ query: string, typeFilter: string, distanceFilter: string, statusFilter: string, sort: string, facets: ListingFacets, currency: string, today: string }} options
+ * @returns {import("./lib/market").MarketQuery}
+ */
+function buildMarketQuery({ query, typeFilter, distanceFilter, statusFilter, sort, facets, currency, today }) {
+  const filters = { query, type: typeFilter, distance: distanceFilter, status: statusFilter, currency, today, facets };
+  const key = JSON.stringify([searchTokens(query), typeFilter, distanceFilter, statusFilter, sort, facets, currency, today]);
+  return { key, filters, sort };
+}
+
 function toCurrency(v, currency = "PLN") {
   const n = Number(v);
   if (!Number.isFinite(n)) return "";
@@ -229,116 +405,113 @@ function proofStatusBadgeMeta(status = "") {
   }
 }
 
-/**
- * @param {string} raceName
- * @returns {Distance | undefined}
- */
-function inferDistance(raceName = "") {
-  const lower = raceName.toLowerCase();
-  if (lower.includes("ultra")) return "Ultramaraton";
-  if (lower.includes("pół") || lower.includes("pol") || lower.includes("half")) return "Półmaraton";
-  if (lower.includes("marat") && !lower.includes("pół")) return "Maraton";
-  if (lower.includes("100")) return "100 km";
-  if (lower.includes("50")) return "50 km";
-  if (lower.includes("15")) return "15 km";
-  if (lower.includes("10")) return "10 km";
-  if (lower.includes("5")) return "5 km";
-  return undefined;
-}
-
-function sanitizeDistances(distances) {
-  if (!Array.isArray(distances)) return [];
-  const seen = new Set();
-  const result = [];
-  for (const item of distances) {
-    if (typeof item !== "string") continue;
-    const trimmed = item.trim();
-    if (!trimmed) continue;
-    const key = trimmed.toLowerCase();
-    if (seen.has(key)) continue;
-    seen.add(key);
-    result.push(trimmed);
-  }
-  return result;
+function canTransitionListing(from, to) {
+  return from !== to && (LISTING_STATUS_TRANSITIONS[from] || []).includes(to);
 }
 
-function parseDistanceToKm(value) {
-  if (!value) return NaN;
-  const str = String(value).trim().toLowerCase();
-  if (!str) return NaN;
-  if (str.includes("pół") || str.includes("pol") || str.includes("half")) return 21.0975;
-  if (str.includes("ultra") && !/\d/.test(str)) return NaN;
-  if (str.includes("marat") && !str.includes("pół") && !str.includes("half")) return 42.195;
-  const match = str.match(/(\d+(?:[\.,]\d+)?)\s*(km|kilom(?:etr(?:ów|ow|y)?|eter)?)/);
-  if (match) {
-    const numeric = Number.parseFloat(match[1].replace(",", "."));
-    return Number.isFinite(numeric) ? numeric : NaN;
+/**
+ * Zwraca kopię ogłoszenia z nowym statusem i znacznikiem czasu przejścia (serwer nadpisze je własnymi).
+ * @param {Listing} listing
+ * @param {ListingStatus} status
+ * @returns {Listing}
+ */
+function withListingStatus(listing, status) {
+  if (getListingStatus(listing) === status && listing.status) return listing;
+  const now = new Date().toISOString();
+  const next = { ...listing, status, statusChangedAt: now };
+  const field = LISTING_STATUS_TIMESTAMP_FIELDS[status];
+  if (field && !(field === "publishedAt" && next.publishedAt)) {
+    next[field] = now;
   }
-  return NaN;
+  return next;
 }
 
-function normalizeListing(listing) {
-  if (!listing || typeof listing !== "object") return listing;
-  const next = { ...listing };
-  let changed = false;
-
-  const inferred = inferDistance(next.raceName || "");
-  const baseDistance = typeof next.distance === "string" ? next.distance.trim() : "";
-  let distances = sanitizeDistances(next.distances);
-
-  if (!distances.length) {
-    if (baseDistance) {
-      distances = [baseDistance];
-    } else if (inferred) {
-      distances = [inferred];
-    }
-  }
-
-  if (baseDistance && (!distances.length || distances[0] !== baseDistance)) {
-    distances = [baseDistance, ...distances.filter((d) => d !== baseDistance)];
-  }
+// Pola opisujące konkretną edycję biegu lub stan publikacji – nie przechodzą do duplikatu ogłoszenia
+const LISTING_TEMPLATE_OMIT = [
+  "id",
+  "bib",
+  "proof_status",
+  "proof_source_url",
+  "proof_checked_at",
+  "transferDeadline",
+  "edition_id",
+  "editionEventName",
+  "editionYear",
+  "editionStartDate",
+  "eventDate",
+  "attachments",
+  "createdAt",
+  "updatedAt",
+  "archivedAt",
+  "hiddenAt",
+  "hiddenReason",
+  "status",
+  "statusChangedAt",
+  "publishedAt",
+  "reservedAt",
+  "soldAt",
+  "withdrawnAt",
+];
 
-  if (!distances.length && inferred) {
-    distances = [inferred];
+/**
+ * Szablon nowego ogłoszenia na podstawie istniejącego (bez id, edycji, BIB-u, weryfikacji i terminu przepisania).
+ * @param {Listing} listing
+ * @returns {Listing}
+ */
+function listingTemplate(listing) {
+  const template = { ...listing };
+  for (const key of LISTING_TEMPLATE_OMIT) delete template[key];
+  // Strefę startową organizator przydziela co roku od nowa
+  if (template.packageContents) {
+    const { wave: _wave, ...contents } = listingPackageContents(listing);
+    template.packageContents = contents;
   }
-
-  if (!arraysShallowEqual(next.distances, distances)) {
-    next.distances = distances;
-    changed = true;
+  if (template.bundle) {
+    template.bundle = {
+      ...template.bundle,
+      items: listingBundleItems(listing).map(({ bib: _bib, sold: _sold, ...item }) => ({ ...item, id: cryptoRandom() })),
+    };
   }
+  return template;
+}
 
-  const primary = distances[0] || "";
-  if (primary) {
-    if (next.distance !== primary) {
-      next.distance = primary;
-      changed = true;
-    }
-  } else if (next.distance) {
-    delete next.distance;
-    changed = true;
-  }
+/** @param {Listing} listing */
+function editionYearOf(listing) {
+  if (Number.isFinite(Number(listing.editionYear)) && listing.editionYear) return Number(listing.editionYear);
+  const date = extractDateString(listing.editionStartDate || listing.eventDate);
+  return date ? Number(date.slice(0, 4)) : null;
+}
 
-  const km = parseDistanceToKm(primary);
-  if (Number.isFinite(km)) {
-    if (next.distanceKm !== km) {
-      next.distanceKm = km;
-      changed = true;
-    }
-  } else if (typeof next.distanceKm === "number") {
-    delete next.distanceKm;
-    changed = true;
+function listingStatusMeta(status = "") {
+  switch (status) {
+    case "draft":
+      return { label: "Szkic", color: "bg-neutral-200 text-neutral-700" };
+    case "reserved":
+      return { label: "Zarezerwowane", color: "bg-amber-100 text-amber-800" };
+    case "sold":
+      return { label: "Zakończone", color: "bg-neutral-800 text-white" };
+    case "withdrawn":
+      return { label: "Wycofane", color: "bg-neutral-100 text-gray-500" };
+    default:
+      return { label: "Aktywne", color: "bg-emerald-50 text-emerald-700" };
   }
-
-  return changed ? next : listing;
 }
 
-function arraysShallowEqual(a, b) {
-  if (!Array.isArray(a) || !Array.isArray(b)) return Array.isArray(a) === Array.isArray(b) && (!Array.isArray(a) || a.length === 0) && (!Array.isArray(b) || b.length === 0);
-  if (a.length !== b.length) return false;
-  for (let i = 0; i < a.length; i += 1) {
-    if (a[i] !== b[i]) return false;
+function listingStatusActionLabel(from, to, type) {
+  switch (to) {
+    case "active":
+      if (from === "draft") return "Opublikuj";
+      if (from === "reserved") return "Anuluj rezerwację";
+      return "Wznów";
+    case "reserved":
+      return "Zarezerwuj";
+    case "sold":
+      return type === "buy" ? "Oznacz jako kupione" : "Oznacz jako sprzedane";
+    case "withdrawn":
+      return "Wycofaj";
+    default:
+      return to;
   }
-  return true;
 }
 
 function getListingDistances(listing) {
@@ -360,1032 +533,2887 @@ function getListingDistances(listing) {
   return distances;
 }
 
-function alertModeLabel(mode) {
-  switch (mode) {
-    case "sell":
-      return "Sprzedam";
-    case "buy":
-      return "Kupię";
-    default:
-      return "Sprzedam/Kupię";
-  }
+/** Małe litery bez polskich znaków diakrytycznych; długość tekstu pozostaje bez zmian. */
+function foldSearchText(value = "") {
+  return Array.from(String(value))
+    .map((ch) => {
+      const lower = ch.toLowerCase();
+      if (lower === "ł") return "l";
+      return lower.normalize("NFD").replace(/[\u0300-\u036f]/g, "") || lower;
+    })
+    .join("");
 }
 
-function formatRelativeTime(value) {
-  if (!value) return "";
-  const date = value instanceof Date ? value : new Date(value);
-  if (Number.isNaN(date.getTime())) return "";
-  const diffMs = Date.now() - date.getTime();
-  const minute = 60 * 1000;
-  const hour = 60 * minute;
-  const day = 24 * hour;
-  if (diffMs < minute) return "przed chwilą";
-  if (diffMs < hour) {
-    const minutes = Math.round(diffMs / minute);
-    return `${minutes} min temu`;
-  }
-  if (diffMs < day) {
-    const hours = Math.round(diffMs / hour);
-    return `${hours} godz. temu`;
-  }
-  const days = Math.round(diffMs / day);
-  if (days <= 7) {
-    return `${days} dni temu`;
+function searchStem(token) {
+  if (token.length <= 4) return token;
+  const stem = token.replace(SEARCH_SUFFIX_RE, "");
+  return stem.length >= 3 ? stem : token;
+}
+
+/** Zamienia frazę wyszukiwania na unikalne rdzenie dopasowywane jako prefiksy słów. */
+function searchTokens(query = "") {
+  const tokens = foldSearchText(query)
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(searchStem);
+  return Array.from(new Set(tokens));
+}
+
+/**
+ * Lokalna ocena trafności (gdy wyszukiwarka serwerowa jest niedostępna). 0 oznacza brak dopasowania.
+ * @param {Listing} listing
+ * @param {string[]} tokens
+ */
+function listingSearchScore(listing, tokens) {
+  if (!tokens.length) return 0;
+  const fields = [
+    { weight: 3, text: `${listing.raceName || ""} ${listing.editionEventName || ""}` },
+    { weight: 2, text: `${listing.location || ""} ${getListingDistances(listing).join(" ")}` },
+    { weight: 1, text: listing.description || "" },
+  ].map((field) => ({ weight: field.weight, words: foldSearchText(field.text).split(/[^a-z0-9]+/).filter(Boolean) }));
+  let score = 0;
+  for (const token of tokens) {
+    let best = 0;
+    for (const field of fields) {
+      if (field.weight > best && field.words.some((word) => word.startsWith(token))) best = field.weight;
+    }
+    if (!best) return 0;
+    score += best;
   }
-  return date.toLocaleString("pl-PL");
+  return score;
+}
+
+/** Klucz miasta ogłoszenia (pierwszy człon lokalizacji, bez polskich znaków). */
+function listingCityKey(listing) {
+  const city = String(listing?.location || "").split(",")[0].trim();
+  return city ? foldSearchText(city).replace(/\s+/g, " ") : "";
+}
+
+/** Województwo z kolumny listings.region; pusty tekst, gdy ogłoszenie go nie ma. */
+function listingVoivodeship(listing) {
+  return VOIVODESHIPS.includes(listing?.region) ? listing.region : "";
+}
+
+/** Data biegu do filtra dat: start edycji z kalendarza, a bez edycji – data wpisana w ogłoszeniu. */
+function listingRaceDate(listing) {
+  return extractDateString(listing.editionStartDate) || extractDateString(listing.eventDate);
 }
 
 /**
+ * Cena ogłoszenia przeliczona na walutę oglądającego; null, gdy brakuje kursu.
  * @param {Listing} listing
- * @returns {string | null}
+ * @param {{ currency: string, rates: import("./lib/currency").ExchangeRates }} priceView
+ * @param {number} [price]
  */
-function getListingOwnerId(listing) {
-  return (
-    listing?.owner_id ||
-    listing?.ownerId ||
-    listing?.user_id ||
-    listing?.userId ||
-    (listing?.user && typeof listing.user === "object" ? listing.user.id : null) ||
-    null
-  );
+function listingPriceIn(listing, priceView, price = listing.price) {
+  return convertAmount(price, listing.currency || BASE_CURRENCY, priceView.currency, priceView.rates);
 }
 
-/** @param {Listing[]} listings */
-function migrateListings(listings) {
-  let changed = false;
-  const migrated = listings.map((l) => {
-    const normalized = normalizeListing(l);
-    if (normalized !== l) changed = true;
-    return normalized;
-  });
-  if (changed) saveListings(migrated);
-  return migrated;
+/**
+ * „≈ kwota” w walucie oglądającego, gdy ogłoszenie jest w innej walucie; pusty tekst, gdy nie ma czego przeliczać.
+ * @param {Listing} listing
+ * @param {number} price
+ * @param {string} displayCurrency
+ * @param {import("./lib/currency").ExchangeRates | null} exchangeRates
+ */
+function convertedPriceLabel(listing, price, displayCurrency, exchangeRates) {
+  if (!exchangeRates || (listing.currency || BASE_CURRENCY) === displayCurrency) return "";
+  const converted = listingPriceIn(listing, { currency: displayCurrency, rates: exchangeRates }, price);
+  return converted === null ? "" : `≈ ${toCurrency(converted, displayCurrency)}`;
 }
 
-function demoSeed() {
-  /** @type {Listing[]} */
-  const now = Date.now();
-  const data = [
-    {
-      id: cryptoRandom(),
-      type: "sell",
-      raceName: "Półmaraton Warszawski",
-      eventDate: "2025-10-05",
-      location: "Warszawa",
-      price: 250,
-      contact: "ania@example.com",
-      description: "Pakiet z możliwością oficjalnego przepisania.",
-      distance: "Półmaraton",
-      createdAt: now - 1000 * 60 * 60 * 6,
-    },
-    {
-      id: cryptoRandom(),
-      type: "buy",
-      raceName: "Cracovia Maraton",
-      eventDate: "2026-04-26",
-      location: "Kraków",
-      price: 200,
-      contact: "marek@example.com",
-      description: "Kupię w rozsądnej cenie – najlepiej z koszulką M.",
-      distance: "Maraton",
-      createdAt: now - 1000 * 60 * 60 * 24,
-    },
-    {
-      id: cryptoRandom(),
-      type: "sell",
-      raceName: "Bieg Niepodległości",
-      eventDate: "2025-11-11",
-      location: "Poznań",
-      price: 120,
-      contact: "ola@example.com",
-      description: "Sprzedam, odbiór elektroniczny.",
-      distance: "10 km",
-      createdAt: now - 1000 * 60 * 60 * 48,
-    },
-    {
-      id: cryptoRandom(),
-      type: "sell",
-      raceName: "Bieg po Zdrowie 5 km",
-      eventDate: "2025-06-15",
-      location: "Łódź",
-      price: 80,
-      contact: "kasia@example.com",
-      description: "Startówki z pamiątkowym medalem i strefą rodzinną.",
-      createdAt: now - 1000 * 60 * 60 * 72,
-    },
-    {
-      id: cryptoRandom(),
-      type: "buy",
-      raceName: "Silesia Night Run 10 km",
-      eventDate: "2025-08-23",
-      location: "Katowice",
-      price: 150,
-      contact: "piotr@example.com",
-      description: "Szukam pakietu VIP z miejscem w pierwszej strefie.",
-      createdAt: now - 1000 * 60 * 60 * 96,
-    },
-    {
-      id: cryptoRandom(),
-      type: "sell",
-      raceName: "Gdańsk Bieg na 15 km",
-      eventDate: "2025-09-07",
-      location: "Gdańsk",
-      price: 110,
-      contact: "ewa@example.com",
-      description: "Pakiet wraz z koszulką rozmiar S, odbiór na miejscu.",
-      createdAt: now - 1000 * 60 * 60 * 120,
-    },
-    {
-      id: cryptoRandom(),
-      type: "buy",
-      raceName: "Trail Beskidy 30 km",
-      eventDate: "2025-07-12",
-      location: "Ustroń",
-      price: 180,
-      contact: "agnieszka@example.com",
-      description: "Interesuje mnie transfer last minute, mogę dopłacić.",
-      createdAt: now - 1000 * 60 * 60 * 144,
+/**
+ * Predykaty filtrów dodatkowych; nieaktywny filtr przepuszcza każde ogłoszenie.
+ * Zakres cen podaje się w walucie oglądającego.
+ * @param {ListingFacets} facets
+ * @param {string} todayStr
+ * @param {{ currency: string, rates: import("./lib/currency").ExchangeRates }} priceView
+ * @returns {Record<"date" | "city" | "region" | "price" | "verified" | "deadline" | "shirtSize" | "gender" | "extras", (listing: Listing) => boolean>}
+ */
+function buildFacetPredicates(facets, todayStr, priceView) {
+  const priceMin = facets.priceMin === "" ? null : Number(facets.priceMin);
+  const priceMax = facets.priceMax === "" ? null : Number(facets.priceMax);
+  const extras = parseExtrasFacet(facets.extras);
+  return {
+    date: (listing) => {
+      if (!facets.dateFrom && !facets.dateTo) return true;
+      const eventDate = listingRaceDate(listing);
+      if (!eventDate) return false;
+      return (!facets.dateFrom || eventDate >= facets.dateFrom) && (!facets.dateTo || eventDate <= facets.dateTo);
     },
-    {
-      id: cryptoRandom(),
-      type: "sell",
-      raceName: "Ultra Mazury 55 km",
-      eventDate: "2025-09-28",
-      location: "Giżycko",
-      price: 320,
-      contact: "tomek@example.com",
-      description: "Nie startuję – oddam z opłaconym noclegiem w hostelu.",
-      createdAt: now - 1000 * 60 * 60 * 168,
+    city: (listing) => !facets.city || listingCityKey(listing) === facets.city,
+    region: (listing) =>
+      !facets.region ||
+      (facets.region === UNKNOWN_REGION ? !listingVoivodeship(listing) : listingVoivodeship(listing) === facets.region),
+    price: (listing) =>
+      listingPriceOptions(listing).some((option) => {
+        if (!Number.isFinite(priceMin) && !Number.isFinite(priceMax)) return true;
+        const price = listingPriceIn(listing, priceView, option);
+        return (
+          price !== null &&
+          (!Number.isFinite(priceMin) || price >= priceMin) &&
+          (!Number.isFinite(priceMax) || price <= priceMax)
+        );
+      }),
+    verified: (listing) => !facets.verifiedOnly || listing.proof_status === "verified",
+    deadline: (listing) => {
+      if (!facets.deadlineOpen) return true;
+      const deadline = extractDateString(listing.transferDeadline);
+      return !deadline || deadline >= todayStr;
     },
-    {
-      id: cryptoRandom(),
-      type: "sell",
-      raceName: "Bieszczadzki Ultramaraton 100 km",
-      eventDate: "2025-10-19",
-      location: "Cisna",
-      price: 450,
-      contact: "magda@example.com",
-      description: "Przepiszę pełny pakiet + pasta party, odbiór online.",
-      createdAt: now - 1000 * 60 * 60 * 192,
+    shirtSize: (listing) => !facets.shirtSize || listingPackageContents(listing).shirtSize === facets.shirtSize,
+    gender: (listing) => !facets.gender || listingPackageContents(listing).gender === facets.gender,
+    extras: (listing) => {
+      if (!extras.length) return true;
+      const included = listingPackageContents(listing).extras || [];
+      return extras.every((extra) => included.includes(extra));
     },
-  ];
-  const normalized = data.map((item) => normalizeListing(item));
-  saveListings(normalized);
-  return normalized;
+  };
 }
 
-function cryptoRandom() {
-  if (typeof crypto !== "undefined" && crypto.getRandomValues) {
-    const buf = new Uint32Array(2);
-    crypto.getRandomValues(buf);
-    return (
-      Date.now().toString(36) +
-      "-" +
-      Array.from(buf)
-        .map((x) => x.toString(36))
-        .join("")
-    );
-  }
-  return Math.random().toString(36).slice(2);
+/** Porównanie rosnące, w którym brak wartości (null) zawsze trafia na koniec. */
+function compareMissingLast(a, b) {
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return a < b ? -1 : a > b ? 1 : 0;
 }
 
-// --------------------------- Komponenty --------------------------
+/**
+ * Cena za kilometr; z priceView – po przeliczeniu na walutę oglądającego (null, gdy brak kursu).
+ * @param {Listing} listing
+ * @param {{ currency: string, rates: import("./lib/currency").ExchangeRates | null } | null} [priceView]
+ */
+function listingPricePerKm(listing, priceView = null) {
+  if (isBundleListing(listing)) return bundlePricePerKm(listing, priceView);
+  const price = priceView ? listingPriceIn(listing, priceView) : Number(listing.price);
+  const km = listing.distanceKm;
+  if (!Number.isFinite(price) || typeof km !== "number" || !(km > 0)) return null;
+  return price / km;
+}
 
-function Badge({ children, color = "" }) {
-  return (
-    <span className={clsx("px-2 py-0.5 rounded-full text-xs font-medium", color || "bg-gray-100 text-gray-800")}>{children}</span>
-  );
+/**
+ * Termin przepisania pakietu; termin, który już minął, traktujemy jak brak (nie da się już przepisać).
+ * @param {Listing} listing
+ * @param {string} todayStr
+ */
+function listingOpenTransferDeadline(listing, todayStr) {
+  const deadline = extractDateString(listing.transferDeadline);
+  return deadline && deadline >= todayStr ? deadline : null;
 }
 
-function Section({ title, children, right }) {
-  return (
-    <section className="bg-white rounded-2xl shadow-sm p-4 md:p-6">
-      <div className="flex items-center justify-between mb-4">
-        <h2 className="text-lg md:text-xl font-semibold">{title}</h2>
-        {right}
-      </div>
-      {children}
-    </section>
-  );
+// ---------------------- Ogłoszenia zbiorcze ----------------------
+
+const BUNDLE_MIN_ITEMS = 2;
+const BUNDLE_MAX_ITEMS = 10;
+
+/**
+ * @param {Listing} listing
+ * @returns {BundleItem[]}
+ */
+function listingBundleItems(listing) {
+  return Array.isArray(listing?.bundle?.items) ? listing.bundle.items : [];
 }
 
-function Field({ label, required, children }) {
+/** @param {Listing} listing */
+function isBundleListing(listing) {
+  return listingBundleItems(listing).length > 0;
+}
+
+/** @param {Listing} listing */
+function availableBundleItems(listing) {
+  return listingBundleItems(listing).filter((item) => !item.sold);
+}
+
+/**
+ * Uzupełnia cenę i dystanse ogłoszenia zbiorczego na podstawie dostępnych pozycji, żeby sortowanie, filtry
+ * i alerty działały jak dla zwykłego ogłoszenia: przy sprzedaży tylko razem cena to suma, pojedynczo – najtańsza pozycja.
+ * @param {Listing} listing
+ * @returns {Listing}
+ */
+function withBundleSummary(listing) {
+  const items = listingBundleItems(listing);
+  if (!items.length) return listing;
+  const available = availableBundleItems(listing);
+  const pool = available.length ? available : items;
+  const prices = pool.map((item) => Number(item.price)).filter(Number.isFinite);
+  const price = listing.bundle?.sellMode === "together" ? prices.reduce((sum, value) => sum + value, 0) : Math.min(...prices);
+  const distances = sanitizeDistances(pool.map((item) => item.distance));
+  const next = { ...listing, price, distances, distance: distances[0] || "" };
+  const km = parseDistanceToKm(next.distance);
+  if (Number.isFinite(km)) {
+    next.distanceKm = km;
+  } else {
+    delete next.distanceKm;
+  }
+  return next;
+}
+
+/**
+ * Ceny, które kupujący może faktycznie zapłacić (filtr ceny): każda dostępna pozycja przy sprzedaży pojedynczo.
+ * @param {Listing} listing
+ * @returns {number[]}
+ */
+function listingPriceOptions(listing) {
+  if (isBundleListing(listing) && listing.bundle?.sellMode !== "together") {
+    return availableBundleItems(listing).map((item) => Number(item.price)).filter(Number.isFinite);
+  }
+  const price = Number(listing.price);
+  return Number.isFinite(price) ? [price] : [];
+}
+
+/**
+ * @param {Listing} listing
+ * @param {{ currency: string, rates: import("./lib/currency").ExchangeRates | null } | null} [priceView]
+ */
+function bundlePricePerKm(listing, priceView = null) {
+  const items = availableBundleItems(listing)
+    .map((item) => ({
+      price: priceView ? listingPriceIn(listing, priceView, item.price) : Number(item.price),
+      km: parseDistanceToKm(item.distance),
+    }))
+    .filter((item) => item.price != null && Number.isFinite(item.price) && Number.isFinite(item.km) && item.km > 0);
+  if (!items.length) return null;
+  if (listing.bundle?.sellMode === "together") {
+    const total = items.reduce((sum, item) => ({ price: sum.price + item.price, km: sum.km + item.km }), { price: 0, km: 0 });
+    return total.price / total.km;
+  }
+  return Math.min(...items.map((item) => item.price / item.km));
+}
+
+// ---------------------- Zawartość pakietu ----------------------
+
+const SHIRT_SIZES = /** @type {const} */ (["XS", "S", "M", "L", "XL", "XXL"]);
+const PACKAGE_GENDERS = [
+  { value: "K", label: "Kobiety" },
+  { value: "M", label: "Mężczyźni" },
+];
+const PACKAGE_EXTRAS = [
+  { value: "medal", label: "Medal" },
+  { value: "pasta_party", label: "Pasta party" },
+  { value: "accommodation", label: "Nocleg" },
+  { value: "parking", label: "Parking" },
+];
+
+/**
+ * Zawartość pakietu z odrzuceniem nieznanych wartości (payload może pochodzić ze starszej wersji lub z importu).
+ * @param {Listing} listing
+ * @returns {PackageContents}
+ */
+function listingPackageContents(listing) {
+  const raw = listing?.packageContents && typeof listing.packageContents === "object" ? listing.packageContents : {};
+  /** @type {PackageContents} */
+  const contents = {};
+  const size = String(raw.shirtSize || "").trim().toUpperCase();
+  if (SHIRT_SIZES.includes(/** @type {ShirtSize} */ (size))) contents.shirtSize = /** @type {ShirtSize} */ (size);
+  if (raw.gender === "K" || raw.gender === "M") contents.gender = raw.gender;
+  const ageCategory = String(raw.ageCategory || "").trim();
+  if (ageCategory) contents.ageCategory = ageCategory.slice(0, 20);
+  const wave = String(raw.wave || "").trim();
+  if (wave) contents.wave = wave.slice(0, 40);
+  const extras = Array.isArray(raw.extras)
+    ? PACKAGE_EXTRAS.map((item) => item.value).filter((value) => raw.extras.includes(value))
+    : [];
+  if (extras.length) contents.extras = /** @type {PackageExtra[]} */ (extras);
+  return contents;
+}
+
+/**
+ * Etykiety do wyświetlenia jako chipy (kolejność: rozmiar, kategoria, strefa, dodatki).
+ * @param {PackageContents} contents
+ */
+function packageContentsChips(contents) {
+  const chips = [];
+  if (contents.shirtSize) chips.push(`Koszulka ${contents.shirtSize}`);
+  const gender = PACKAGE_GENDERS.find((item) => item.value === contents.gender);
+  if (gender || contents.ageCategory) {
+    chips.push([gender?.label, contents.ageCategory].filter(Boolean).join(" · "));
+  }
+  if (contents.wave) chips.push(`Strefa ${contents.wave}`);
+  for (const extra of contents.extras || []) {
+    chips.push(PACKAGE_EXTRAS.find((item) => item.value === extra)?.label || extra);
+  }
+  return chips;
+}
+
+/** @param {string} value */
+function parseExtrasFacet(value) {
+  return String(value || "")
+    .split(",")
+    .filter((item) => PACKAGE_EXTRAS.some((extra) => extra.value === item));
+}
+
+// ---------------------- Dopasowania kupna i sprzedaży ----------------------
+
+/**
+ * Lokalny odpowiednik public.listing_matches (gdy RPC jest niedostępne): ta sama edycja, przeciwny typ,
+ * wspólny dystans i budżet kupującego nie mniejszy niż cena sprzedającego.
+ * @param {Listing} mine
+ * @param {Listing} other
+ */
+function listingsAreMatch(mine, other, exchangeRates) {
+  if (!mine.edition_id || String(mine.edition_id) !== String(other.edition_id ?? "")) return false;
+  if (mine.type === other.type) return false;
+  const otherOwner = getListingOwnerId(other);
+  if (!otherOwner || otherOwner === getListingOwnerId(mine)) return false;
+  if (getListingStatus(mine) !== "active" || getListingStatus(other) !== "active" || other.archivedAt) return false;
+  const mineDistances = new Set(getListingDistances(mine).map((value) => value.toLowerCase()));
+  if (!getListingDistances(other).some((value) => mineDistances.has(value.toLowerCase()))) return false;
+  const buy = mine.type === "buy" ? mine : other;
+  const sell = mine.type === "buy" ? other : mine;
+  const budget = convertAmount(buy.price, buy.currency || BASE_CURRENCY, BASE_CURRENCY, exchangeRates);
+  const price = convertAmount(sell.price, sell.currency || BASE_CURRENCY, BASE_CURRENCY, exchangeRates);
+  return budget !== null && price !== null && budget >= price;
+}
+
+/**
+ * Szkic pierwszej wiadomości do autora dopasowanego ogłoszenia.
+ * @param {Listing} mine
+ * @param {Listing} match
+ */
+function listingMatchMessageDraft(mine, match) {
+  const mineDistances = new Set(getListingDistances(mine).map((value) => value.toLowerCase()));
+  const distance = getListingDistances(match).find((value) => mineDistances.has(value.toLowerCase())) || mine.distance || "";
+  const race = [mine.editionEventName || mine.raceName, mine.editionYear].filter(Boolean).join(" ");
+  const subject = distance ? `${race} (${distance})` : race;
+  const price = toCurrency(Number(mine.price), mine.currency || "PLN");
+  return mine.type === "sell"
+    ? `Dzień dobry, widzę, że szukasz pakietu na ${subject}. Mam taki pakiet do odsprzedania za ${price}. Czy oferta jest nadal aktualna?`
+    : `Dzień dobry, chętnie odkupię pakiet na ${subject}. Mój budżet to ${price}. Czy pakiet jest nadal dostępny?`;
+}
+
+// ---------------------- Statystyki cen ----------------------
+
+const PRICE_STATS_TTL_MS = 5 * 60 * 1000;
+// Granice typowych cen mają sens dopiero przy kilku ogłoszeniach
+const PRICE_STATS_MIN_OUTLIER_SAMPLE = 3;
+
+/**
+ * @typedef {Object} PriceStats
+ * @property {number} count
+ * @property {number} median
+ * @property {number} min
+ * @property {number} max
+ * @property {number} typicalLow
+ * @property {number} typicalHigh
+ * @property {string} currency
+ */
+
+/** @type {Map<string, { at: number, promise: Promise<{ stats: PriceStats | null, source: { edition_id: number, year: number | null, fallback: boolean } } | null> }>} */
+const priceStatsCache = new Map();
+
+/** Statystyki cen z /api/price-stats dla edycji i dystansu (z krótką pamięcią podręczną w przeglądarce). */
+function fetchPriceStats(editionId, distance) {
+  const key = `${editionId}|${String(distance).trim().toLowerCase()}`;
+  const cached = priceStatsCache.get(key);
+  if (cached && Date.now() - cached.at < PRICE_STATS_TTL_MS) return cached.promise;
+  const params = new URLSearchParams({ edition_id: String(editionId), distance: String(distance).trim() });
+  const promise = fetch(`/api/price-stats?${params}`)
+    .then((response) => {
+      // Po przekroczeniu limitu podpowiedź cenowa po prostu się nie pokazuje; nie zapamiętujemy pustego wyniku
+      if (response.status === 429) priceStatsCache.delete(key);
+      return response.ok ? response.json() : null;
+    })
+    .then((data) => (data?.ok ? { stats: data.stats, source: data.source } : null))
+    .catch((err) => {
+      console.error(err);
+      priceStatsCache.delete(key);
+      return null;
+    });
+  priceStatsCache.set(key, { at: Date.now(), promise });
+  return promise;
+}
+
+/** @param {number | string | null | undefined} editionId @param {string} distance */
+function usePriceStats(editionId, distance) {
+  const [result, setResult] = useState(/** @type {Awaited<ReturnType<typeof fetchPriceStats>>} */(null));
+  const trimmedDistance = String(distance || "").trim();
+  useEffect(() => {
+    setResult(null);
+    if (!editionId || !trimmedDistance) return undefined;
+    let cancelled = false;
+    fetchPriceStats(editionId, trimmedDistance).then((data) => {
+      if (!cancelled) setResult(data);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [editionId, trimmedDistance]);
+  return result;
+}
+
+/**
+ * @param {PriceStats | null | undefined} stats
+ * @param {number} price
+ * @returns {"low" | "high" | null}
+ */
+function priceOutlier(stats, price) {
+  if (!stats || stats.count < PRICE_STATS_MIN_OUTLIER_SAMPLE || !Number.isFinite(price) || price <= 0) return null;
+  if (price < stats.typicalLow) return "low";
+  if (price > stats.typicalHigh) return "high";
+  return null;
+}
+
+/** @param {{ stats: PriceStats, source: { year: number | null, fallback: boolean } }} props */
+function PriceStatsSummary({ stats, source }) {
   return (
-    <label className="block mb-3">
-      <span className="block text-sm text-gray-600 mb-1">
-        {label} {required && <span className="text-red-500">*</span>}
-      </span>
-      {children}
-    </label>
+    <span>
+      Mediana {toCurrency(stats.median, stats.currency)} · od {toCurrency(stats.min, stats.currency)} do{" "}
+      {toCurrency(stats.max, stats.currency)} · {stats.count}{" "}
+      {stats.count === 1
+        ? "ogłoszenie"
+        : stats.count % 10 >= 2 && stats.count % 10 <= 4 && !(stats.count % 100 >= 12 && stats.count % 100 <= 14)
+        ? "ogłoszenia"
+        : "ogłoszeń"}
+      {source.fallback ? ` (poprzednia edycja${source.year ? ` ${source.year}` : ""})` : ""}
+    </span>
   );
 }
 
-/** @param {{ onAdd: (l: Listing)=>void, ownerId?: string, authorDisplayName?: string, editingListing?: Listing | null, onCancelEdit?: ()=>void, onOpenTerms?: () => void }} props */
-function ListingForm({ onAdd, ownerId, authorDisplayName, editingListing = null, onCancelEdit, onOpenTerms }) {
-  /** @type {[ListingType, Function]} */
-  const [type, setType] = useState(/** @type {ListingType} */("sell"));
-  const [raceName, setRaceName] = useState("");
-  const [eventDate, setEventDate] = useState("");
-  const [location, setLocation] = useState("");
-  const [distance, setDistance] = useState("");
-  const [distancesList, setDistancesList] = useState(/** @type {string[]} */([]));
-  const [distanceInput, setDistanceInput] = useState("");
-  const [price, setPrice] = useState("");
-  const [transferFee, setTransferFee] = useState("");
-  const [transferFeeCurrency, setTransferFeeCurrency] = useState("PLN");
-  const [transferDeadline, setTransferDeadline] = useState("");
-  const [contact, setContact] = useState("");
-  const [description, setDescription] = useState("");
-  const [agree, setAgree] = useState(false);
-  const [msg, setMsg] = useState("");
-  const [selectedEdition, setSelectedEdition] = useState(/** @type {(EditionSearchResult | null)} */(null));
-  const [searchTerm, setSearchTerm] = useState("");
-  const [suggestions, setSuggestions] = useState(/** @type {EditionSearchResult[]} */([]));
-  const [isSearching, setIsSearching] = useState(false);
-  const [showSuggestions, setShowSuggestions] = useState(false);
-  const [searchError, setSearchError] = useState("");
-  const [bib, setBib] = useState("");
-  const [startListUrl, setStartListUrl] = useState("");
-  const [proofStatus, setProofStatus] = useState("");
-  const [proofSourceUrl, setProofSourceUrl] = useState("");
-  const [proofCheckedAt, setProofCheckedAt] = useState(/** @type {string | null} */(null));
-  const [proofError, setProofError] = useState("");
-  const [verifying, setVerifying] = useState(false);
-  const isEditing = !!(editingListing && editingListing.id);
+// ---------------------- Opłaty startowe i limit marży ----------------------
 
-  useEffect(() => {
-    const q = searchTerm.trim();
-    if (q.length < 2) {
-      setSuggestions([]);
-      setIsSearching(false);
-      setSearchError("");
-      return;
-    }
+/**
+ * @typedef {Object} EditionFee
+ * @property {number} id
+ * @property {number} edition_id
+ * @property {string} distance
+ * @property {number} fee
+ * @property {string} currency
+ * @property {"manual" | "scraper"} source
+ * @property {string | null} [source_url]
+ */
 
-    let ignore = false;
-    setIsSearching(true);
-    setSearchError("");
-    const handler = setTimeout(async () => {
-      try {
-        const { data, error } = await supabase
-          .from("event_editions_search")
-          .select("edition_id,event_name,city,country_code,year,start_date,distances")
-          .ilike("event_name", `%${q}%`)
-          .order("year", { ascending: false })
-          .limit(20);
-        if (ignore) return;
-        if (error) {
-          console.error(error);
-          setSearchError("Nie udało się pobrać propozycji.");
-          setSuggestions([]);
-        } else {
-          setSuggestions(data || []);
-        }
-      } catch (err) {
-        if (ignore) return;
+/** @type {Promise<number | null> | null} */
+let maxMarkupPercentPromise = null;
+
+/** Limit marży z public.marketplace_settings (wspólny dla całej sesji). */
+function fetchMaxMarkupPercent() {
+  if (!maxMarkupPercentPromise) {
+    maxMarkupPercentPromise = supabase
+      .from("marketplace_settings")
+      .select("value")
+      .eq("key", "max_markup_percent")
+      .maybeSingle()
+      .then(({ data, error }) => {
+        if (error) throw error;
+        const value = Number(data?.value);
+        return data && data.value !== null && Number.isFinite(value) ? value : null;
+      })
+      .catch((err) => {
         console.error(err);
-        setSearchError("Nie udało się pobrać propozycji.");
-        setSuggestions([]);
-      } finally {
-        if (!ignore) {
-          setIsSearching(false);
-        }
-      }
-    }, 250);
+        maxMarkupPercentPromise = null;
+        return null;
+      });
+  }
+  return maxMarkupPercentPromise;
+}
 
+/** @param {number | string | null | undefined} editionId */
+function useEditionFees(editionId) {
+  const [fees, setFees] = useState(/** @type {EditionFee[]} */([]));
+  const [maxMarkupPercent, setMaxMarkupPercent] = useState(/** @type {number | null} */(null));
+  const [version, setVersion] = useState(0);
+  useEffect(() => {
+    setFees([]);
+    if (!editionId) return undefined;
+    let cancelled = false;
+    (async () => {
+      const [feesRes, markup] = await Promise.all([
+        supabase
+          .from("edition_fees")
+          .select("id, edition_id, distance, fee, currency, source, source_url")
+          .eq("edition_id", editionId),
+        fetchMaxMarkupPercent(),
+      ]);
+      if (cancelled) return;
+      if (feesRes.error) {
+        console.error(feesRes.error);
+      } else {
+        setFees((feesRes.data || []).map((row) => ({ ...row, fee: Number(row.fee) })));
+      }
+      setMaxMarkupPercent(markup);
+    })();
     return () => {
-      ignore = true;
-      clearTimeout(handler);
+      cancelled = true;
     };
-  }, [searchTerm]);
+  }, [editionId, version]);
+  const reload = useCallback(() => setVersion((value) => value + 1), []);
+  return { fees, maxMarkupPercent, reload };
+}
 
-  useEffect(() => {
-    setProofStatus("");
-    setProofSourceUrl("");
-    setProofCheckedAt(null);
-    setProofError("");
-    setVerifying(false);
-  }, [bib, startListUrl]);
+/** @param {EditionFee[]} fees @param {string} distance */
+function editionFeeFor(fees, distance) {
+  const key = String(distance || "").trim().toLowerCase();
+  return key ? fees.find((item) => item.distance.trim().toLowerCase() === key && item.currency === "PLN") || null : null;
+}
 
-  useEffect(() => {
-    if (type === "buy") {
-      setBib("");
-      setStartListUrl("");
-      setProofStatus("");
-      setProofSourceUrl("");
-      setProofCheckedAt(null);
-      setProofError("");
-      setVerifying(false);
-    }
-  }, [type]);
+/** Najwyższa dopuszczalna cena (jak public.listing_price_cap). */
+function priceCapFor(fee, maxMarkupPercent) {
+  if (!fee || maxMarkupPercent == null) return null;
+  return Math.round(fee.fee * (1 + maxMarkupPercent / 100) * 100) / 100;
+}
 
-  function arrangeDistances(list, primary) {
-    const normalized = sanitizeDistances(list);
-    const trimmedPrimary = typeof primary === "string" ? primary.trim() : "";
-    if (!trimmedPrimary) return normalized;
-    const lower = trimmedPrimary.toLowerCase();
-    const filtered = normalized.filter((item) => item.toLowerCase() !== lower);
-    return [trimmedPrimary, ...filtered];
-  }
+// ---------------------- Import / eksport ogłoszeń ----------------------
+
+const LISTING_IMPORT_MAX_ROWS = 200;
+
+// Kolumny pliku -> pola Listing; nagłówki porównujemy bez polskich znaków, wielkości liter i separatorów
+const LISTING_IMPORT_FIELDS = [
+  { field: "type", aliases: ["type", "typ"] },
+  { field: "raceName", aliases: ["racename", "race_name", "bieg", "nazwa"] },
+  { field: "eventDate", aliases: ["eventdate", "event_date", "data", "data_biegu"] },
+  { field: "location", aliases: ["location", "lokalizacja", "miasto"] },
+  { field: "region", aliases: ["region", "wojewodztwo"] },
+  { field: "price", aliases: ["price", "cena"] },
+  { field: "currency", aliases: ["currency", "waluta"] },
+  { field: "distances", aliases: ["distances", "distance", "dystans", "dystanse"] },
+  { field: "transferFee", aliases: ["transferfee", "transfer_fee", "oplata"] },
+  { field: "transferFeeCurrency", aliases: ["transferfeecurrency", "transfer_fee_currency", "waluta_oplaty"] },
+  { field: "transferDeadline", aliases: ["transferdeadline", "transfer_deadline", "termin_przepisania"] },
+  { field: "contact", aliases: ["contact", "kontakt"] },
+  { field: "description", aliases: ["description", "opis"] },
+  { field: "bib", aliases: ["bib", "numer_startowy"] },
+  { field: "shirtSize", aliases: ["shirtsize", "shirt_size", "koszulka", "rozmiar_koszulki"] },
+  { field: "gender", aliases: ["gender", "plec"] },
+  { field: "ageCategory", aliases: ["agecategory", "age_category", "kategoria_wiekowa"] },
+  { field: "wave", aliases: ["wave", "strefa", "fala"] },
+  { field: "extras", aliases: ["extras", "dodatki"] },
+  { field: "edition_id", aliases: ["edition_id", "editionid", "edycja"] },
+  { field: "status", aliases: ["status"] },
+];
+
+const LISTING_IMPORT_ALIASES = new Map(
+  LISTING_IMPORT_FIELDS.flatMap(({ field, aliases }) => aliases.map((alias) => [alias.replace(/[^a-z0-9]/g, ""), field]))
+);
 
-  function applyDistances(list, primary) {
-    const arranged = arrangeDistances(list, primary);
-    setDistancesList(arranged);
-    setDistance(arranged[0] || "");
-    return arranged;
-  }
+function importFieldForHeader(header) {
+  return LISTING_IMPORT_ALIASES.get(foldSearchText(header).replace(/[^a-z0-9]/g, "")) || null;
+}
 
-  function handleSelectEdition(item) {
-    setSelectedEdition(item);
-    setRaceName(item.event_name || "");
-    setSearchTerm("");
-    setSuggestions([]);
-    setShowSuggestions(false);
-    setEventDate(item.start_date || "");
-    if (Array.isArray(item.distances) && item.distances.length) {
-      const normalized = sanitizeDistances(item.distances);
-      if (normalized.length) {
-        const trimmedCurrent = distance.trim();
-        const currentLower = trimmedCurrent.toLowerCase();
-        const includesCurrent = trimmedCurrent
-          ? normalized.some((value) => value.toLowerCase() === currentLower)
-          : false;
-        const recognized = normalized.find((value) => DISTANCES.includes(value));
-        const primary =
-          recognized || (includesCurrent ? trimmedCurrent : normalized[0] || trimmedCurrent);
-        applyDistances(normalized, primary);
+/**
+ * Zamienia zawartość pliku CSV/JSON na rekordy z kluczami pól Listing.
+ * @param {string} text
+ * @param {string} fileName
+ * @returns {Record<string, any>[]}
+ */
+function parseListingImport(text, fileName = "") {
+  const trimmed = String(text).replace(/^\uFEFF/, "").trim();
+  if (!trimmed) return [];
+  if (/\.json$/i.test(fileName) || trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const parsed = JSON.parse(trimmed);
+    const items = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.listings) ? parsed.listings : [parsed];
+    return items.map((item) => {
+      const record = {};
+      for (const [key, value] of Object.entries(item && typeof item === "object" ? item : {})) {
+        const field = importFieldForHeader(key);
+        if (field) record[field] = value;
       }
-    }
+      return record;
+    });
   }
+  const [header = [], ...rows] = parseCsv(trimmed);
+  const fields = header.map(importFieldForHeader);
+  return rows.map((cells) => {
+    const record = {};
+    fields.forEach((field, index) => {
+      if (field && cells[index] !== undefined && String(cells[index]).trim() !== "") {
+        record[field] = stripCsvFormulaGuard(cells[index].trim());
+      }
+    });
+    return record;
+  });
+}
 
-  function reset() {
-    setRaceName("");
-    setEventDate("");
-    setLocation("");
-    setDistance("");
-    setDistancesList([]);
-    setDistanceInput("");
-    setPrice("");
-    setTransferFee("");
-    setTransferFeeCurrency("PLN");
-    setTransferDeadline("");
-    setContact("");
-    setDescription("");
-    setAgree(false);
-    setSelectedEdition(null);
-    setSearchTerm("");
-    setSuggestions([]);
-    setShowSuggestions(false);
-    setSearchError("");
-    setBib("");
-    setStartListUrl("");
-    setProofStatus("");
-    setProofSourceUrl("");
-    setProofCheckedAt(null);
-    setProofError("");
-    setVerifying(false);
+function importNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const parsed = Number(String(value).replace(/\s/g, "").replace(",", "."));
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+/**
+ * Buduje ogłoszenie z rekordu importu, sprawdzając te same warunki co formularz.
+ * @param {Record<string, any>} record
+ * @returns {{ listing: Listing, errors: string[] }}
+ */
+function buildImportedListing(record) {
+  const errors = [];
+  const typeValue = foldSearchText(record.type || "sell");
+  const type = ["buy", "kupie"].includes(typeValue) ? "buy" : ["sell", "sprzedam"].includes(typeValue) ? "sell" : null;
+  if (!type) errors.push("Nieznany typ (sell/buy).");
+  const raceName = String(record.raceName || "").trim();
+  if (!raceName) errors.push("Brak nazwy biegu.");
+  const distances = sanitizeDistances(
+    Array.isArray(record.distances) ? record.distances : String(record.distances || "").split("|")
+  );
+  const price = importNumber(record.price);
+  if (price === null || !(price > 0)) errors.push("Niepoprawna cena.");
+  const transferFee = importNumber(record.transferFee);
+  if (transferFee !== null && !(transferFee >= 0)) errors.push("Niepoprawna opłata za przepisanie.");
+  const contact = String(record.contact || "").trim();
+  if (!contact) errors.push("Brak kontaktu.");
+  const eventDate = record.eventDate ? extractDateString(record.eventDate) : "";
+  if (record.eventDate && !eventDate) errors.push("Niepoprawna data biegu.");
+  const transferDeadline = record.transferDeadline ? extractDateString(record.transferDeadline) : "";
+  if (record.transferDeadline && !transferDeadline) errors.push("Niepoprawny termin przepisania.");
+  const status = record.status === "draft" ? "draft" : "active";
+  const regionKey = foldSearchText(String(record.region || "").trim());
+  const region = regionKey ? VOIVODESHIPS.find((item) => foldSearchText(item) === regionKey) : "";
+  if (regionKey && !region) errors.push("Nieznane województwo.");
+
+  /** @type {Listing} */
+  const listing = normalizeListing({
+    id: cryptoRandom(),
+    type: type || "sell",
+    raceName,
+    eventDate: eventDate || undefined,
+    location: String(record.location || "").trim() || undefined,
+    region: region || undefined,
+    price: price ?? NaN,
+    currency: String(record.currency || "PLN").trim().toUpperCase(),
+    contact,
+    description: String(record.description || "").trim() || undefined,
+    distances,
+    distance: distances[0] || "",
+    transferFee: transferFee ?? undefined,
+    transferFeeCurrency: String(record.transferFeeCurrency || "PLN").trim().toUpperCase(),
+    transferDeadline: transferDeadline || "",
+    status,
+    createdAt: Date.now(),
+  });
+  const packageContents = listingPackageContents({
+    packageContents: {
+      shirtSize: record.shirtSize,
+      gender: String(record.gender || "").trim().toUpperCase(),
+      ageCategory: record.ageCategory,
+      wave: record.wave,
+      extras: String(record.extras || "")
+        .split(/[|,]/)
+        .map((item) => item.trim()),
+    },
+  });
+  if (Object.keys(packageContents).length) listing.packageContents = packageContents;
+  if (!sanitizeDistances(listing.distances).length) errors.push("Brak dystansu.");
+  const bib = String(record.bib || "").trim();
+  if (bib && listing.type === "sell") {
+    listing.bib = bib;
+    listing.proof_status = "none";
+  }
+  if (record.edition_id !== undefined && record.edition_id !== "") {
+    const editionId = Number(record.edition_id);
+    if (Number.isInteger(editionId) && editionId > 0) listing.edition_id = editionId;
+    else errors.push("Niepoprawny identyfikator edycji.");
+  }
+  return { listing, errors };
+}
+
+const LISTING_EXPORT_COLUMNS = [
+  "type",
+  "raceName",
+  "eventDate",
+  "location",
+  "region",
+  "price",
+  "currency",
+  "distances",
+  "transferFee",
+  "transferFeeCurrency",
+  "transferDeadline",
+  "contact",
+  "description",
+  "bib",
+  "shirtSize",
+  "gender",
+  "ageCategory",
+  "wave",
+  "extras",
+  "edition_id",
+  "status",
+];
+
+/** @param {Listing} listing */
+function listingExportRecord(listing) {
+  const contents = listingPackageContents(listing);
+  return {
+    type: listing.type,
+    raceName: listing.raceName || "",
+    eventDate: listing.eventDate || "",
+    location: listing.location || "",
+    region: listingVoivodeship(listing),
+    price: listing.price,
+    currency: listing.currency || "PLN",
+    distances: getListingDistances(listing).join("|"),
+    transferFee: listing.transferFee ?? "",
+    transferFeeCurrency: listing.transferFeeCurrency || "PLN",
+    transferDeadline: listing.transferDeadline || "",
+    contact: listing.contact || "",
+    description: listing.description || "",
+    bib: listing.bib || "",
+    shirtSize: contents.shirtSize || "",
+    gender: contents.gender || "",
+    ageCategory: contents.ageCategory || "",
+    wave: contents.wave || "",
+    extras: (contents.extras || []).join("|"),
+    edition_id: listing.edition_id ?? "",
+    status: getListingStatus(listing),
+  };
+}
+
+/** CSV ze średnikiem i BOM, żeby Excel poprawnie otwierał polskie znaki. */
+function listingsToCsv(listings) {
+  const lines = [LISTING_EXPORT_COLUMNS.join(";")];
+  for (const listing of listings) {
+    const record = listingExportRecord(listing);
+    lines.push(LISTING_EXPORT_COLUMNS.map((column) => csvCell(record[column])).join(";"));
+  }
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+function downloadFile(fileName, content, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+const MARKET_HASH = "#ogloszenia";
+const MARKET_SORTS = ["relevance", "newest", "priceAsc", "priceDesc", "eventSoonest", "deadlineSoonest", "pricePerKm"];
+
+/**
+ * @typedef {Object} MarketFilters
+ * @property {string} query
+ * @property {"all" | ListingType} typeFilter
+ * @property {"all" | Distance} distanceFilter
+ * @property {"visible" | ListingStatus} statusFilter
+ * @property {string} sort
+ * @property {ListingFacets} facets
+ */
+
+/** @type {MarketFilters} */
+const DEFAULT_MARKET_FILTERS = {
+  query: "",
+  typeFilter: "all",
+  distanceFilter: "all",
+  statusFilter: "visible",
+  sort: "newest",
+  facets: EMPTY_FACETS,
+};
+
+// Nazwy parametrów w adresie (#ogloszenia?typ=sell&cena_do=300) – część linków udostępnianych na zewnątrz, nie zmieniać
+const MARKET_FACET_PARAMS = /** @type {const} */ ([
+  ["dateFrom", "od"],
+  ["dateTo", "do"],
+  ["city", "miasto"],
+  ["region", "woj"],
+  ["priceMin", "cena_od"],
+  ["priceMax", "cena_do"],
+  ["verifiedOnly", "zweryfikowane"],
+  ["deadlineOpen", "termin"],
+  ["shirtSize", "rozmiar"],
+  ["gender", "plec"],
+  ["extras", "dodatki"],
+]);
+
+// Pola wpisywane z klawiatury (daty, ceny) – jak fraza wyszukiwania nadpisują bieżący wpis historii, zamiast dodawać
+// nowy przy każdym znaku
+const MARKET_TYPED_FACETS = /** @type {const} */ (["dateFrom", "dateTo", "priceMin", "priceMax"]);
+
+/**
+ * Koduje filtry rynku w hashu; pomija wartości domyślne, więc bez filtrów zostaje samo #ogloszenia.
+ * @param {MarketFilters} filters
+ */
+function marketFiltersToHash(filters) {
+  const params = new URLSearchParams();
+  if (filters.query.trim()) params.set("q", filters.query.trim());
+  if (filters.typeFilter !== "all") params.set("typ", filters.typeFilter);
+  if (filters.distanceFilter !== "all") params.set("dystans", filters.distanceFilter);
+  if (filters.statusFilter !== "visible") params.set("status", filters.statusFilter);
+  if (filters.sort !== DEFAULT_MARKET_FILTERS.sort) params.set("sort", filters.sort);
+  for (const [key, param] of MARKET_FACET_PARAMS) {
+    const value = filters.facets[key];
+    if (value === true) params.set(param, "1");
+    else if (value) params.set(param, String(value));
+  }
+  const search = params.toString();
+  return search ? `${MARKET_HASH}?${search}` : MARKET_HASH;
+}
+
+/**
+ * Odczytuje filtry z hasha, odrzucając nieznane lub niepoprawne wartości.
+ * @param {string} hash
+ * @returns {MarketFilters}
+ */
+function marketFiltersFromHash(hash = "") {
+  const [base, search = ""] = String(hash).split("?");
+  if (base.toLowerCase() !== MARKET_HASH || !search) return DEFAULT_MARKET_FILTERS;
+  const params = new URLSearchParams(search);
+  const typ = params.get("typ");
+  const dystans = params.get("dystans");
+  const status = params.get("status");
+  const sort = params.get("sort");
+  const query = params.get("q") || "";
+  const dateParam = (value) => (value && /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : "");
+  const priceParam = (value) => (value && Number.isFinite(Number(value)) && Number(value) >= 0 ? value : "");
+  return {
+    query,
+    typeFilter: typ === "sell" || typ === "buy" ? typ : "all",
+    distanceFilter: DISTANCES.includes(dystans) ? dystans : "all",
+    statusFilter: MARKET_VISIBLE_STATUSES.includes(status) ? status : "visible",
+    sort: MARKET_SORTS.includes(sort) && (sort !== "relevance" || query.trim()) ? sort : DEFAULT_MARKET_FILTERS.sort,
+    facets: {
+      dateFrom: dateParam(params.get("od")),
+      dateTo: dateParam(params.get("do")),
+      city: params.get("miasto") || "",
+      region: VOIVODESHIPS.includes(params.get("woj")) || params.get("woj") === UNKNOWN_REGION ? params.get("woj") : "",
+      priceMin: priceParam(params.get("cena_od")),
+      priceMax: priceParam(params.get("cena_do")),
+      verifiedOnly: params.get("zweryfikowane") === "1",
+      deadlineOpen: params.get("termin") === "1",
+      shirtSize: SHIRT_SIZES.includes(params.get("rozmiar")) ? params.get("rozmiar") : "",
+      gender: PACKAGE_GENDERS.some((item) => item.value === params.get("plec")) ? params.get("plec") : "",
+      extras: parseExtrasFacet(params.get("dodatki")).join(","),
+    },
+  };
+}
+
+function alertModeLabel(mode) {
+  switch (mode) {
+    case "sell":
+      return "Sprzedam";
+    case "buy":
+      return "Kupię";
+    default:
+      return "Sprzedam/Kupię";
+  }
+}
+
+const LISTING_HISTORY_FIELDS = [
+  { key: "price", label: "Cena" },
+  { key: "distances", label: "Dystanse" },
+  { key: "transferFee", label: "Opłata za przepisanie" },
+  { key: "transferFeeCurrency", label: "Waluta opłaty" },
+  { key: "bib", label: "Numer startowy" },
+  { key: "proof_status", label: "Weryfikacja BIB" },
+  { key: "proof_source_url", label: "Lista startowa" },
+];
+
+/**
+ * Formatuje wartość pola z historii zmian (BIB zawsze zamaskowany).
+ * @param {string} field
+ * @param {any} value
+ * @param {Listing} listing
+ */
+function formatListingHistoryValue(field, value, listing) {
+  if (value === null || value === undefined || value === "") return "—";
+  switch (field) {
+    case "price":
+      return Number.isFinite(Number(value)) ? toCurrency(Number(value), listing.currency || "PLN") : "—";
+    case "transferFee":
+      return Number.isFinite(Number(value)) ? toCurrency(Number(value), listing.transferFeeCurrency || "PLN") : "—";
+    case "distances":
+      return Array.isArray(value) && value.length ? value.join(", ") : "—";
+    case "bib":
+      return maskBib(value);
+    case "proof_status":
+      return proofStatusBadgeMeta(value).label;
+    default:
+      return String(value);
+  }
+}
+
+function notificationKindLabel(payload) {
+  switch (payload?.kind) {
+    case "listing_expiring":
+      return payload?.expires_on ? `Wygasa ${payload.expires_on}` : "Ogłoszenie wkrótce wygaśnie";
+    case "listing_archived":
+      return "Ogłoszenie przeniesione do archiwum";
+    case "listing_hidden":
+      return "Ogłoszenie ukryte po zgłoszeniach – czeka na moderację";
+    case "listing_restored":
+      return "Moderacja przywróciła ogłoszenie";
+    case "listing_removed":
+      return payload?.reason ? `Moderacja wycofała ogłoszenie: ${payload.reason}` : "Moderacja wycofała ogłoszenie";
+    case "transfer_deadline":
+      return payload?.deadline
+        ? `Termin przepisania pakietu: ${payload.deadline}${payload.stage === "24h" ? " (ostatni dzień)" : ""}`
+        : "Zbliża się termin przepisania pakietu";
+    case "price_drop": {
+      const currency = payload?.currency || "PLN";
+      const hasPrices = typeof payload?.old_price === "number" && typeof payload?.new_price === "number";
+      return hasPrices
+        ? `Obniżka ceny: ${toCurrency(payload.old_price, currency)} → ${toCurrency(payload.new_price, currency)}`
+        : "Obniżka ceny";
+    }
+    default:
+      return "";
+  }
+}
+
+function formatRelativeTime(value) {
+  if (!value) return "";
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return "";
+  const diffMs = Date.now() - date.getTime();
+  const minute = 60 * 1000;
+  const hour = 60 * minute;
+  const day = 24 * hour;
+  if (diffMs < minute) return "przed chwilą";
+  if (diffMs < hour) {
+    const minutes = Math.round(diffMs / minute);
+    return `${minutes} min temu`;
+  }
+  if (diffMs < day) {
+    const hours = Math.round(diffMs / hour);
+    return `${hours} godz. temu`;
+  }
+  const days = Math.round(diffMs / day);
+  if (days <= 7) {
+    return `${days} dni temu`;
+  }
+  return date.toLocaleString("pl-PL");
+}
+
+/**
+ * Klucz karty w wirtualizowanej siatce.
+ * @param {Listing} listing
+ * @returns {string}
+ */
+function getListingKey(listing) {
+  return listing.id;
+}
+
+/** @param {Listing[]} listings */
+function migrateListings(listings) {
+  let changed = false;
+  const migrated = listings.map((l) => {
+    const normalized = normalizeListing(l);
+    if (normalized !== l) changed = true;
+    return normalized;
+  });
+  if (changed) saveListings(migrated);
+  return migrated;
+}
+
+function demoSeed() {
+  /** @type {Listing[]} */
+  const now = Date.now();
+  const data = [
+    {
+      id: cryptoRandom(),
+      type: "sell",
+      raceName: "Półmaraton Warszawski",
+      eventDate: "2025-10-05",
+      location: "Warszawa",
+      region: "mazowieckie",
+      price: 250,
+      contact: "ania@example.com",
+      description: "Pakiet z możliwością oficjalnego przepisania.",
+      distance: "Półmaraton",
+      createdAt: now - 1000 * 60 * 60 * 6,
+    },
+    {
+      id: cryptoRandom(),
+      type: "buy",
+      raceName: "Cracovia Maraton",
+      eventDate: "2026-04-26",
+      location: "Kraków",
+      region: "małopolskie",
+      price: 200,
+      contact: "marek@example.com",
+      description: "Kupię w rozsądnej cenie – najlepiej z koszulką M.",
+      distance: "Maraton",
+      createdAt: now - 1000 * 60 * 60 * 24,
+    },
+    {
+      id: cryptoRandom(),
+      type: "sell",
+      raceName: "Bieg Niepodległości",
+      eventDate: "2025-11-11",
+      location: "Poznań",
+      region: "wielkopolskie",
+      price: 120,
+      contact: "ola@example.com",
+      description: "Sprzedam, odbiór elektroniczny.",
+      distance: "10 km",
+      createdAt: now - 1000 * 60 * 60 * 48,
+    },
+    {
+      id: cryptoRandom(),
+      type: "sell",
+      raceName: "Bieg po Zdrowie 5 km",
+      eventDate: "2025-06-15",
+      location: "Łódź",
+      region: "łódzkie",
+      price: 80,
+      contact: "kasia@example.com",
+      description: "Startówki z pamiątkowym medalem i strefą rodzinną.",
+      createdAt: now - 1000 * 60 * 60 * 72,
+    },
+    {
+      id: cryptoRandom(),
+      type: "buy",
+      raceName: "Silesia Night Run 10 km",
+      eventDate: "2025-08-23",
+      location: "Katowice",
+      region: "śląskie",
+      price: 150,
+      contact: "piotr@example.com",
+      description: "Szukam pakietu VIP z miejscem w pierwszej strefie.",
+      createdAt: now - 1000 * 60 * 60 * 96,
+    },
+    {
+      id: cryptoRandom(),
+      type: "sell",
+      raceName: "Gdańsk Bieg na 15 km",
+      eventDate: "2025-09-07",
+      location: "Gdańsk",
+      region: "pomorskie",
+      price: 110,
+      contact: "ewa@example.com",
+      description: "Pakiet wraz z koszulką rozmiar S, odbiór na miejscu.",
+      createdAt: now - 1000 * 60 * 60 * 120,
+    },
+    {
+      id: cryptoRandom(),
+      type: "buy",
+      raceName: "Trail Beskidy 30 km",
+      eventDate: "2025-07-12",
+      location: "Ustroń",
+      region: "śląskie",
+      price: 180,
+      contact: "agnieszka@example.com",
+      description: "Interesuje mnie transfer last minute, mogę dopłacić.",
+      createdAt: now - 1000 * 60 * 60 * 144,
+    },
+    {
+      id: cryptoRandom(),
+      type: "sell",
+      raceName: "Ultra Mazury 55 km",
+      eventDate: "2025-09-28",
+      location: "Giżycko",
+      region: "warmińsko-mazurskie",
+      price: 320,
+      contact: "tomek@example.com",
+      description: "Nie startuję – oddam z opłaconym noclegiem w hostelu.",
+      createdAt: now - 1000 * 60 * 60 * 168,
+    },
+    {
+      id: cryptoRandom(),
+      type: "sell",
+      raceName: "Bieszczadzki Ultramaraton 100 km",
+      eventDate: "2025-10-19",
+      location: "Cisna",
+      region: "podkarpackie",
+      price: 450,
+      contact: "magda@example.com",
+      description: "Przepiszę pełny pakiet + pasta party, odbiór online.",
+      createdAt: now - 1000 * 60 * 60 * 192,
+    },
+  ];
+  const normalized = data.map((item) => normalizeListing(item));
+  saveListings(normalized);
+  return normalized;
+}
+
+function cryptoRandom() {
+  if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+    const buf = new Uint32Array(2);
+    crypto.getRandomValues(buf);
+    return (
+      Date.now().toString(36) +
+      "-" +
+      Array.from(buf)
+        .map((x) => x.toString(36))
+        .join("")
+    );
   }
+  return Math.random().toString(36).slice(2);
+}
+
+// --------------------------- Komponenty --------------------------
+
+function Badge({ children, color = "" }) {
+  return (
+    <span className={clsx("px-2 py-0.5 rounded-full text-xs font-medium", color || "bg-gray-100 text-gray-800")}>{children}</span>
+  );
+}
+
+function Section({ title, children, right }) {
+  return (
+    <section className="bg-white rounded-2xl shadow-sm p-4 md:p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg md:text-xl font-semibold">{title}</h2>
+        {right}
+      </div>
+      {children}
+    </section>
+  );
+}
+
+function Field({ label, required, children }) {
+  return (
+    <label className="block mb-3">
+      <span className="block text-sm text-gray-600 mb-1">
+        {label} {required && <span className="text-red-500">*</span>}
+      </span>
+      {children}
+    </label>
+  );
+}
+
+/** @param {{ onAdd: (l: Listing)=>void, ownerId?: string, authorDisplayName?: string, editingListing?: Listing | null, duplicateOf?: Listing | null, onCancelEdit?: ()=>void, onOpenTerms?: () => void }} props */
+function ListingForm({ onAdd, ownerId, authorDisplayName, editingListing = null, duplicateOf = null, onCancelEdit, onOpenTerms, exchangeRates }) {
+  /** @type {[ListingType, Function]} */
+  const [type, setType] = useState(/** @type {ListingType} */("sell"));
+  const [raceName, setRaceName] = useState("");
+  const [eventDate, setEventDate] = useState("");
+  const [location, setLocation] = useState("");
+  const [region, setRegion] = useState("");
+  const [distance, setDistance] = useState("");
+  const [distancesList, setDistancesList] = useState(/** @type {string[]} */([]));
+  const [distanceInput, setDistanceInput] = useState("");
+  const [price, setPrice] = useState("");
+  const [currency, setCurrency] = useState(BASE_CURRENCY);
+  const [transferFee, setTransferFee] = useState("");
+  const [transferFeeCurrency, setTransferFeeCurrency] = useState("PLN");
+  const [transferDeadline, setTransferDeadline] = useState("");
+  const [contact, setContact] = useState("");
+  const [description, setDescription] = useState("");
+  const [agree, setAgree] = useState(false);
+  const [msg, setMsg] = useState("");
+  const [selectedEdition, setSelectedEdition] = useState(/** @type {(EditionSearchResult | null)} */(null));
+  const [searchTerm, setSearchTerm] = useState("");
+  const [suggestions, setSuggestions] = useState(/** @type {EditionSearchResult[]} */([]));
+  const [isSearching, setIsSearching] = useState(false);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [searchError, setSearchError] = useState("");
+  const [bib, setBib] = useState("");
+  const [startListUrl, setStartListUrl] = useState("");
+  const [proofStatus, setProofStatus] = useState("");
+  const [proofSourceUrl, setProofSourceUrl] = useState("");
+  const [proofCheckedAt, setProofCheckedAt] = useState(/** @type {string | null} */(null));
+  const [proofError, setProofError] = useState("");
+  const [verifying, setVerifying] = useState(false);
+  const [attachments, setAttachments] = useState(/** @type {NonNullable<Listing["attachments"]>} */([]));
+  const [attachmentsUploading, setAttachmentsUploading] = useState(false);
+  const [attachmentError, setAttachmentError] = useState("");
+  // Nowe ogłoszenie dostaje id od razu, żeby załączniki trafiły do jego katalogu w Storage
+  const [draftId, setDraftId] = useState(() => cryptoRandom());
+  const [isBundle, setIsBundle] = useState(false);
+  const [bundleSellMode, setBundleSellMode] = useState(/** @type {ListingBundle["sellMode"]} */("separately"));
+  const [bundleItems, setBundleItems] = useState(/** @type {BundleFormItem[]} */([]));
+  const [packageContents, setPackageContents] = useState(/** @type {PackageContents} */({}));
+  const isEditing = !!(editingListing && editingListing.id);
+  const isDraft = !isEditing || getListingStatus(editingListing) === "draft";
+  const isDuplicate = !isEditing && !!duplicateOf;
+  const duplicateSourceYear = duplicateOf ? editionYearOf(duplicateOf) : null;
+  // Przy duplikowaniu podpowiadamy edycje tego samego biegu nowsze od źródłowej
+  const newerEditions = isDuplicate
+    ? suggestions.filter((item) => duplicateSourceYear == null || (item.year ?? 0) > duplicateSourceYear).slice(0, 5)
+    : [];
+
+  useEffect(() => {
+    const q = searchTerm.trim();
+    if (q.length < 2) {
+      setSuggestions([]);
+      setIsSearching(false);
+      setSearchError("");
+      return;
+    }
+
+    let ignore = false;
+    setIsSearching(true);
+    setSearchError("");
+    const handler = setTimeout(async () => {
+      try {
+        const { data, error } = await supabase
+          .from("event_editions_search")
+          .select("edition_id,event_name,city,country_code,year,start_date,distances")
+          .ilike("event_name", `%${q}%`)
+          .order("year", { ascending: false })
+          .limit(20);
+        if (ignore) return;
+        if (error) {
+          console.error(error);
+          setSearchError("Nie udało się pobrać propozycji.");
+          setSuggestions([]);
+        } else {
+          setSuggestions(data || []);
+        }
+      } catch (err) {
+        if (ignore) return;
+        console.error(err);
+        setSearchError("Nie udało się pobrać propozycji.");
+        setSuggestions([]);
+      } finally {
+        if (!ignore) {
+          setIsSearching(false);
+        }
+      }
+    }, 250);
+
+    return () => {
+      ignore = true;
+      clearTimeout(handler);
+    };
+  }, [searchTerm]);
+
+  useEffect(() => {
+    setProofStatus("");
+    setProofSourceUrl("");
+    setProofCheckedAt(null);
+    setProofError("");
+    setVerifying(false);
+  }, [bib, startListUrl]);
+
+  useEffect(() => {
+    if (type === "buy") {
+      setBib("");
+      setStartListUrl("");
+      setProofStatus("");
+      setProofSourceUrl("");
+      setProofCheckedAt(null);
+      setProofError("");
+      setVerifying(false);
+    }
+  }, [type]);
+
+  function arrangeDistances(list, primary) {
+    const normalized = sanitizeDistances(list);
+    const trimmedPrimary = typeof primary === "string" ? primary.trim() : "";
+    if (!trimmedPrimary) return normalized;
+    const lower = trimmedPrimary.toLowerCase();
+    const filtered = normalized.filter((item) => item.toLowerCase() !== lower);
+    return [trimmedPrimary, ...filtered];
+  }
+
+  function applyDistances(list, primary) {
+    const arranged = arrangeDistances(list, primary);
+    setDistancesList(arranged);
+    setDistance(arranged[0] || "");
+    return arranged;
+  }
+
+  function handleSelectEdition(item) {
+    setSelectedEdition(item);
+    setRaceName(item.event_name || "");
+    setSearchTerm("");
+    setSuggestions([]);
+    setShowSuggestions(false);
+    setEventDate(item.start_date || "");
+    if (Array.isArray(item.distances) && item.distances.length) {
+      const normalized = sanitizeDistances(item.distances);
+      if (normalized.length) {
+        const trimmedCurrent = distance.trim();
+        const currentLower = trimmedCurrent.toLowerCase();
+        const includesCurrent = trimmedCurrent
+          ? normalized.some((value) => value.toLowerCase() === currentLower)
+          : false;
+        const recognized = normalized.find((value) => DISTANCES.includes(value));
+        const primary =
+          recognized || (includesCurrent ? trimmedCurrent : normalized[0] || trimmedCurrent);
+        applyDistances(normalized, primary);
+      }
+    }
+  }
+
+  /** @param {Partial<PackageContents>} patch */
+  function updatePackageContents(patch) {
+    setPackageContents((prev) => ({ ...prev, ...patch }));
+  }
+
+  function reset() {
+    setPackageContents({});
+    setIsBundle(false);
+    setBundleSellMode("separately");
+    setBundleItems([]);
+    setRaceName("");
+    setEventDate("");
+    setLocation("");
+    setRegion("");
+    setDistance("");
+    setDistancesList([]);
+    setDistanceInput("");
+    setPrice("");
+    setCurrency(BASE_CURRENCY);
+    setTransferFee("");
+    setTransferFeeCurrency("PLN");
+    setTransferDeadline("");
+    setContact("");
+    setDescription("");
+    setAgree(false);
+    setSelectedEdition(null);
+    setSearchTerm("");
+    setSuggestions([]);
+    setShowSuggestions(false);
+    setSearchError("");
+    setBib("");
+    setStartListUrl("");
+    setProofStatus("");
+    setProofSourceUrl("");
+    setProofCheckedAt(null);
+    setProofError("");
+    setVerifying(false);
+    setAttachments([]);
+    setAttachmentError("");
+    setDraftId(cryptoRandom());
+  }
+
+  async function handleAttachmentFiles(e) {
+    const files = Array.from(e.target.files || []);
+    e.target.value = "";
+    if (!files.length) return;
+    setAttachmentError("");
+    if (!ownerId) {
+      setAttachmentError("Zaloguj się, aby dodać załączniki.");
+      return;
+    }
+    if (attachments.length + files.length > MAX_ATTACHMENTS) {
+      setAttachmentError(`Możesz dodać maksymalnie ${MAX_ATTACHMENTS} załączników.`);
+      return;
+    }
+    setAttachmentsUploading(true);
+    const errors = [];
+    try {
+      for (const file of files) {
+        const validationError = await validateAttachmentFile(file);
+        if (validationError) {
+          errors.push(validationError);
+          continue;
+        }
+        try {
+          const uploaded = await uploadListingAttachment(file, { ownerId, listingId: editingListing?.id || draftId });
+          setAttachments((prev) => [...prev, uploaded]);
+        } catch (err) {
+          console.error(err);
+          errors.push(`${file.name}: nie udało się wysłać pliku.`);
+        }
+      }
+    } finally {
+      setAttachmentsUploading(false);
+      setAttachmentError(errors.join(" "));
+    }
+  }
+
+  useEffect(() => {
+    if (!editingListing) {
+      reset();
+      return;
+    }
+    setType(editingListing.type || "sell");
+    setRaceName(editingListing.raceName || "");
+    setEventDate(
+      extractDateString(editingListing.eventDate) ||
+        extractDateString(editingListing.editionStartDate) ||
+        extractDateString(editingListing.edition_start_date) ||
+        ""
+    );
+    setLocation(editingListing.location || "");
+    setRegion(listingVoivodeship(editingListing));
+    const normalizedDistances = sanitizeDistances(
+      Array.isArray(editingListing.distances) && editingListing.distances.length
+        ? editingListing.distances
+        : editingListing.distance
+        ? [editingListing.distance]
+        : []
+    );
+    const primaryDistance = editingListing.distance || normalizedDistances[0] || "";
+    applyDistances(normalizedDistances, primaryDistance);
+    setDistanceInput("");
+    setPrice(
+      typeof editingListing.price === "number"
+        ? String(editingListing.price)
+        : editingListing.price
+        ? String(editingListing.price)
+        : ""
+    );
+    setTransferFee(
+      typeof editingListing.transferFee === "number" && Number.isFinite(editingListing.transferFee)
+        ? String(editingListing.transferFee)
+        : ""
+    );
+    setCurrency(normalizeCurrency(editingListing.currency));
+    setTransferFeeCurrency(editingListing.transferFeeCurrency || "PLN");
+    setTransferDeadline(extractDateString(editingListing.transferDeadline) || "");
+    setContact(editingListing.contact || "");
+    setDescription(editingListing.description || "");
+    setAttachments(Array.isArray(editingListing.attachments) ? editingListing.attachments : []);
+    setAttachmentError("");
+    setPackageContents(listingPackageContents(editingListing));
+    const editingBundleItems = listingBundleItems(editingListing);
+    setIsBundle(editingBundleItems.length > 0);
+    setBundleSellMode(editingListing.bundle?.sellMode === "together" ? "together" : "separately");
+    setBundleItems(
+      editingBundleItems.map((item) => ({
+        id: item.id,
+        distance: item.distance || "",
+        price: Number.isFinite(Number(item.price)) ? String(item.price) : "",
+        bib: item.bib || "",
+        sold: !!item.sold,
+      }))
+    );
+    setAgree(true);
+    setSelectedEdition(
+      editingListing.edition_id
+        ? {
+            edition_id: editingListing.edition_id,
+            event_name: editingListing.editionEventName || editingListing.raceName || "",
+            city: null,
+            country_code: null,
+            year: editingListing.editionYear ?? null,
+            start_date:
+              editingListing.editionStartDate ||
+              editingListing.eventDate ||
+              editingListing.start_date ||
+              null,
+            distances: null,
+          }
+        : null
+    );
+    const existingBib = editingListing.bib || "";
+    setBib(existingBib);
+    const sourceUrl = editingListing.proof_source_url || "";
+    setStartListUrl(sourceUrl);
+    setProofStatus(editingListing.proof_status || (existingBib ? "none" : ""));
+    setProofSourceUrl(sourceUrl);
+    setProofCheckedAt(editingListing.proof_checked_at || null);
+    setProofError("");
+    setMsg("");
+    if (!editingListing.id && duplicateOf) {
+      setSearchTerm(duplicateOf.editionEventName || duplicateOf.raceName || "");
+    }
+  }, [editingListing, duplicateOf]);
+
+  function validate() {
+    if (!raceName.trim()) return "Podaj nazwę biegu.";
+    if (isBundle) {
+      if (bundleItems.length < BUNDLE_MIN_ITEMS) return `Ogłoszenie zbiorcze musi mieć co najmniej ${BUNDLE_MIN_ITEMS} pakiety.`;
+      if (bundleItems.some((item) => !item.distance.trim())) return "Podaj dystans każdego pakietu.";
+      if (bundleItems.some((item) => !(Number(item.price) > 0))) return "Podaj poprawną kwotę każdego pakietu.";
+    } else {
+      const normalized = sanitizeDistances(distancesList);
+      if (!normalized.length) return "Dodaj co najmniej jeden dystans biegu.";
+      if (!price || isNaN(Number(price)) || Number(price) <= 0) return "Podaj poprawną kwotę.";
+    }
+    if (transferFee.trim()) {
+      const parsedFee = Number(transferFee);
+      if (!Number.isFinite(parsedFee) || parsedFee < 0) {
+        return "Podaj poprawną opłatę (nie mniejszą niż 0).";
+      }
+    }
+    const capError = type === "sell" ? priceCapError() : "";
+    if (capError) return capError;
+    if (!contact.trim()) return "Podaj kontakt (e-mail/telefon).";
+    if (!agree) return "Musisz zaakceptować Regulamin, aby kontynuować.";
+    return "";
+  }
+
+  // Ta sama reguła co wyzwalacz listings_enforce_price_cap (supabase/edition_fees.sql); limit jest w PLN,
+  // więc ceny w innych walutach porównujemy po przeliczeniu
+  function priceCapError() {
+    const capOf = (value) => priceCapFor(editionFeeFor(editionFees.fees, value), editionFees.maxMarkupPercent);
+    const inPln = (value) => convertAmount(value, currency, BASE_CURRENCY, exchangeRates);
+    const capLabel = (cap) =>
+      currency === BASE_CURRENCY
+        ? toCurrency(cap)
+        : `${toCurrency(cap)} (≈ ${toCurrency(convertAmount(cap, BASE_CURRENCY, currency, exchangeRates), currency)})`;
+    if (!isBundle) {
+      const cap = capOf(distance.trim() || distancesList[0] || "");
+      return cap !== null && inPln(Number(price)) > cap
+        ? `Cena nie może przekraczać ${capLabel(cap)} (oficjalna opłata startowa + ${editionFees.maxMarkupPercent}%).`
+        : "";
+    }
+    const caps = bundleItems.map((item) => capOf(item.distance));
+    if (bundleSellMode === "together") {
+      if (caps.some((cap) => cap === null)) return "";
+      const totalCap = caps.reduce((sum, cap) => sum + cap, 0);
+      const total = bundleItems.reduce((sum, item) => sum + Number(item.price), 0);
+      return inPln(total) > totalCap ? `Cena całości nie może przekraczać ${capLabel(totalCap)}.` : "";
+    }
+    const index = bundleItems.findIndex((item, i) => caps[i] !== null && inPln(Number(item.price)) > caps[i]);
+    return index >= 0
+      ? `Cena pakietu ${index + 1} (${bundleItems[index].distance}) nie może przekraczać ${capLabel(caps[index])}.`
+      : "";
+  }
+
+  async function handleVerify() {
+    if (!bib.trim()) {
+      setProofError("Podaj numer BIB do weryfikacji.");
+      return;
+    }
+    if (!startListUrl.trim()) {
+      setProofError("Podaj link do listy startowej.");
+      return;
+    }
+
+    setVerifying(true);
+    setProofError("");
+
+    try {
+      const response = await fetch("/api/verify-bib-url", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ bib: bib.trim(), url: startListUrl.trim() }),
+      });
+
+      /** @type {{ status?: string, sourceUrl?: string, checkedAt?: string, message?: string, error?: string }} */
+      let payload = {};
+      try {
+        payload = await response.json();
+      } catch (err) {
+        console.error(err);
+      }
+
+      if (response.status === 429) {
+        // Limit sprawdzeń nie mówi nic o numerze – zostawiamy poprzedni wynik weryfikacji
+        setProofError(payload?.error || rateLimitMessage(response.headers.get("Retry-After")));
+        return;
+      }
+
+      if (!response.ok) {
+        setProofStatus("error");
+        setProofSourceUrl(payload?.sourceUrl || startListUrl.trim());
+        setProofCheckedAt(payload?.checkedAt || new Date().toISOString());
+        setProofError(payload?.error || payload?.message || "Nie udało się zweryfikować numeru.");
+        return;
+      }
+
+      const nextStatus = payload.status || "not_found";
+      setProofStatus(nextStatus);
+      setProofSourceUrl(payload?.sourceUrl || startListUrl.trim());
+      setProofCheckedAt(payload?.checkedAt || new Date().toISOString());
+
+      if (nextStatus === "verified") {
+        setProofError(payload?.message || "");
+      } else {
+        setProofError(payload?.message || payload?.error || "Numeru nie znaleziono na liście startowej.");
+      }
+    } catch (err) {
+      console.error(err);
+      setProofStatus("error");
+      setProofSourceUrl(startListUrl.trim());
+      setProofCheckedAt(new Date().toISOString());
+      setProofError("Nie udało się zweryfikować numeru.");
+    } finally {
+      setVerifying(false);
+    }
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    submitListing(isDraft ? "active" : getListingStatus(editingListing));
+  }
+
+  /** @param {ListingStatus} nextStatus */
+  function submitListing(nextStatus) {
+    if (attachmentsUploading) {
+      setMsg("Poczekaj na zakończenie wysyłania załączników.");
+      setTimeout(() => setMsg(""), 2500);
+      return;
+    }
+    const err = validate();
+    if (err) {
+      setMsg(err);
+      setTimeout(() => setMsg(""), 2500);
+      return;
+    }
+    const fallbackEdition =
+      (!selectedEdition && editingListing && editingListing.edition_id)
+        ? {
+            edition_id: editingListing.edition_id,
+            event_name: editingListing.editionEventName || editingListing.raceName || "",
+            year: editingListing.editionYear ?? null,
+            start_date:
+              editingListing.editionStartDate ||
+              editingListing.eventDate ||
+              editingListing.start_date ||
+              null,
+          }
+        : null;
+    const selected = selectedEdition || fallbackEdition;
+    /** @type {Listing} */
+    const base = editingListing ? { ...editingListing } : {};
+    const createdAt = editingListing?.createdAt ?? Date.now();
+    /** @type {Listing} */
+    let l = {
+      ...base,
+      id: editingListing?.id || draftId,
+      type,
+      raceName: raceName.trim(),
+      eventDate: eventDate || undefined,
+      location: location || undefined,
+      region: region || undefined,
+      price: Number(price),
+      currency,
+      contact: contact.trim(),
+      description: description?.trim() || undefined,
+      createdAt,
+    };
+    const contents = listingPackageContents({ packageContents });
+    if (Object.keys(contents).length) l.packageContents = contents;
+    else delete l.packageContents;
+    const trimmedPrimary = distance.trim();
+    let normalizedList = sanitizeDistances(distancesList);
+    if (trimmedPrimary) {
+      normalizedList = [trimmedPrimary, ...normalizedList];
+    }
+    let distancesArray = arrangeDistances(
+      normalizedList,
+      trimmedPrimary || normalizedList[0] || ""
+    );
+    if (!distancesArray.length && trimmedPrimary) {
+      distancesArray = [trimmedPrimary];
+    }
+    l.distances = distancesArray.length ? distancesArray : [];
+    l.distance = l.distances[0] || "";
+    const km = parseDistanceToKm(l.distance);
+    if (Number.isFinite(km)) {
+      l.distanceKm = km;
+    } else if ("distanceKm" in l) {
+      delete l.distanceKm;
+    }
+    if (!editingListing) {
+      l.createdAt = createdAt;
+    }
+    if (ownerId) {
+      l.ownerId = ownerId;
+    }
+    if (!l.ownerId && editingListing?.ownerId) {
+      l.ownerId = editingListing.ownerId;
+    }
+    if (!l.owner_id && editingListing?.owner_id) {
+      l.owner_id = editingListing.owner_id;
+    }
+    if (authorDisplayName) {
+      l.author_display_name = authorDisplayName;
+    } else if (editingListing?.author_display_name) {
+      l.author_display_name = editingListing.author_display_name;
+    }
+    if (selected) {
+      l.edition_id = selected.edition_id;
+      l.editionEventName = selected.event_name;
+      l.editionYear = selected.year ?? undefined;
+      l.editionStartDate = selected.start_date || undefined;
+    }
+    if (!selected && editingListing) {
+      if (!editingListing.edition_id) {
+        delete l.edition_id;
+        delete l.editionEventName;
+        delete l.editionYear;
+        delete l.editionStartDate;
+      }
+    }
+    const normalizedTransferFee = transferFee.trim() === "" ? NaN : Number(transferFee);
+    l.transferFee = Number.isFinite(normalizedTransferFee) ? normalizedTransferFee : undefined;
+    l.transferFeeCurrency = transferFeeCurrency || "PLN";
+    l.transferDeadline = transferDeadline || "";
+    if (type === "sell") {
+      const trimmedBib = bib.trim();
+      const normalizedProofStatus = proofStatus || (trimmedBib ? "none" : "");
+      const sourceUrl = proofSourceUrl || startListUrl.trim();
+      if (trimmedBib) {
+        l.bib = trimmedBib;
+        l.proof_status = /** @type {Listing["proof_status"]} */ (normalizedProofStatus || "none");
+        if (sourceUrl) l.proof_source_url = sourceUrl;
+        if (proofCheckedAt) l.proof_checked_at = proofCheckedAt;
+      } else if (proofStatus) {
+        l.proof_status = /** @type {Listing["proof_status"]} */ (proofStatus);
+        if (sourceUrl) l.proof_source_url = sourceUrl;
+        if (proofCheckedAt) l.proof_checked_at = proofCheckedAt;
+      } else {
+        delete l.bib;
+        delete l.proof_status;
+        delete l.proof_source_url;
+        delete l.proof_checked_at;
+      }
+    } else {
+      delete l.bib;
+      delete l.proof_status;
+      delete l.proof_source_url;
+      delete l.proof_checked_at;
+    }
+    if (isBundle) {
+      l.bundle = {
+        sellMode: bundleSellMode,
+        items: bundleItems.map((item) => {
+          /** @type {BundleItem} */
+          const next = { id: item.id, distance: item.distance.trim(), price: Number(item.price) };
+          if (type === "sell" && item.bib.trim()) next.bib = item.bib.trim();
+          if (bundleSellMode === "separately" && item.sold) next.sold = true;
+          return next;
+        }),
+      };
+      // Numery BIB są przypisane do pozycji, weryfikacja listy startowej dotyczy pojedynczego pakietu
+      delete l.bib;
+      delete l.proof_status;
+      delete l.proof_source_url;
+      delete l.proof_checked_at;
+      l = withBundleSummary(l);
+    } else {
+      delete l.bundle;
+    }
+    if (attachments.length) {
+      l.attachments = attachments;
+    } else {
+      delete l.attachments;
+    }
+    // Pliki usunięte z edytowanego ogłoszenia kasujemy dopiero po zapisaniu zmian
+    const keptPaths = new Set(attachments.map((item) => item.path));
+    const removedAttachments = (editingListing?.attachments || []).filter((item) => !keptPaths.has(item.path));
+    onAdd(withListingStatus(l, nextStatus));
+    if (removedAttachments.length) {
+      removeListingAttachments(removedAttachments).catch((error) => console.error(error));
+    }
+    reset();
+    setMsg(
+      nextStatus === "draft" ? "Zapisano szkic ✔" : isEditing && !isDraft ? "Zapisano zmiany ✔" : "Dodano ogłoszenie ✔"
+    );
+    setTimeout(() => setMsg(""), 2000);
+  }
+
+  function handleAddDistance() {
+    const value = distanceInput.trim();
+    if (!value) return;
+    const lower = value.toLowerCase();
+    const normalized = sanitizeDistances(distancesList);
+    const exists = normalized.some((item) => item.toLowerCase() === lower);
+    const baseList = exists ? normalized : [...normalized, value];
+    const primaryCandidate = distance.trim() || value;
+    applyDistances(baseList, primaryCandidate);
+    setDistanceInput("");
+  }
+
+  function handleRemoveDistance(value) {
+    const lower = value.toLowerCase();
+    const normalized = sanitizeDistances(distancesList);
+    const next = normalized.filter((item) => item.toLowerCase() !== lower);
+    const currentPrimary = distance.trim();
+    const nextPrimary =
+      currentPrimary && currentPrimary.toLowerCase() !== lower ? currentPrimary : next[0] || "";
+    applyDistances(next, nextPrimary);
+  }
+
+  function handleMakePrimary(value) {
+    if (!value) return;
+    const trimmed = value.trim();
+    if (!trimmed) return;
+    if (distance.trim().toLowerCase() === trimmed.toLowerCase()) return;
+    applyDistances(distancesList, trimmed);
+  }
+
+  const editionForMeta = selectedEdition ||
+    (editingListing && editingListing.edition_id
+      ? {
+          edition_id: editingListing.edition_id,
+          event_name: editingListing.editionEventName || editingListing.raceName || "",
+          city: null,
+          country_code: null,
+          year: editingListing.editionYear ?? null,
+          start_date:
+            editingListing.editionStartDate ||
+            editingListing.eventDate ||
+            editingListing.start_date ||
+            null,
+          distances: null,
+        }
+      : null);
+  const selectedEditionMeta = editionForMeta ? formatEditionMeta(editionForMeta) : "";
+  // Statystyki liczone są z cen w PLN
+  const priceStats = usePriceStats(
+    type === "sell" && !isBundle && currency === BASE_CURRENCY ? editionForMeta?.edition_id : null,
+    distance.trim() || distancesList[0] || ""
+  );
+  const priceWarning = priceOutlier(priceStats?.stats, Number(price));
+  const editionFees = useEditionFees(type === "sell" ? editionForMeta?.edition_id : null);
+  const officialFee = editionFeeFor(editionFees.fees, distance.trim() || distancesList[0] || "");
+  const officialPriceCap = priceCapFor(officialFee, editionFees.maxMarkupPercent);
+  const normalizedProofStatus = proofStatus || (bib ? "none" : "");
+  const proofBadge = proofStatusBadgeMeta(normalizedProofStatus || "none");
+  let proofCheckedLabel = "";
+  if (proofCheckedAt) {
+    const parsed = new Date(proofCheckedAt);
+    if (!Number.isNaN(parsed.getTime())) {
+      proofCheckedLabel = parsed.toLocaleString("pl-PL");
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      {isDuplicate && (
+        <div className="rounded-xl border border-sky-200 bg-sky-50 px-3 py-2 text-sm text-sky-900 space-y-2">
+          <div>
+            Duplikujesz ogłoszenie „{duplicateOf.raceName}”
+            {duplicateSourceYear ? ` (edycja ${duplicateSourceYear})` : ""}. Numer BIB, weryfikacja, termin przepisania i
+            załączniki zostały wyczyszczone.
+          </div>
+          {!selectedEdition && (
+            <div>
+              <div className="text-xs text-sky-800 mb-1">Wybierz nową edycję:</div>
+              {isSearching ? (
+                <div className="text-xs text-gray-500">Wyszukiwanie…</div>
+              ) : newerEditions.length ? (
+                <div className="flex flex-wrap gap-2">
+                  {newerEditions.map((item) => (
+                    <button
+                      key={item.edition_id}
+                      type="button"
+                      onClick={() => handleSelectEdition(item)}
+                      className="text-xs px-2 py-1 rounded-lg border bg-white hover:bg-neutral-50 text-left"
+                    >
+                      <span className="font-medium">{item.event_name}</span>
+                      {formatEditionMeta(item) ? <span className="text-gray-500"> {formatEditionMeta(item)}</span> : null}
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <div className="text-xs text-gray-500">
+                  Nie znaleziono nowszej edycji – wyszukaj ją w polu „Nazwa biegu”.
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+      <div className="grid grid-cols-2 gap-2">
+        <button type="button" onClick={() => setType("sell")} className={clsx("px-3 py-2 rounded-xl border", type === "sell" ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50")}>
+          Sprzedam pakiet
+        </button>
+        <button type="button" onClick={() => setType("buy")} className={clsx("px-3 py-2 rounded-xl border", type === "buy" ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50")}>
+          Kupię pakiet
+        </button>
+      </div>
+
+      <Field label="Nazwa biegu" required>
+        <div className="relative">
+          <input
+            value={raceName}
+            onChange={(e) => {
+              const value = e.target.value;
+              setRaceName(value);
+              setSearchTerm(value);
+              setShowSuggestions(true);
+              setSearchError("");
+              if (selectedEdition && value !== selectedEdition.event_name) {
+                setSelectedEdition(null);
+              }
+            }}
+            onFocus={() => {
+              setShowSuggestions(true);
+              if (!searchTerm && raceName.trim().length >= 2) {
+                setSearchTerm(raceName);
+              }
+            }}
+            onBlur={() => {
+              setTimeout(() => setShowSuggestions(false), 150);
+            }}
+            onKeyDown={(e) => {
+              if (e.key === "Escape") {
+                setShowSuggestions(false);
+              }
+            }}
+            className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+            placeholder="np. Półmaraton Warszawski"
+            autoComplete="off"
+          />
+          {showSuggestions && (
+            <div className="absolute left-0 right-0 mt-1 rounded-xl border bg-white shadow-lg z-20">
+              <div className="max-h-60 overflow-auto py-1">
+                {searchTerm.trim().length < 2 ? (
+                  <div className="px-3 py-2 text-sm text-gray-500">Wpisz min. 2 znaki, aby wyszukać.</div>
+                ) : (
+                  <>
+                    {isSearching && <div className="px-3 py-2 text-sm text-gray-500">Wyszukiwanie…</div>}
+                    {searchError && !isSearching && (
+                      <div className="px-3 py-2 text-sm text-rose-600">{searchError}</div>
+                    )}
+                    {!isSearching && !searchError && suggestions.length === 0 && (
+                      <div className="px-3 py-2 text-sm text-gray-500">Brak wyników.</div>
+                    )}
+                    {suggestions.map((item) => (
+                      <button
+                        key={item.edition_id}
+                        type="button"
+                        className="w-full text-left px-3 py-2 text-sm hover:bg-neutral-100"
+                        onMouseDown={(e) => {
+                          e.preventDefault();
+                          handleSelectEdition(item);
+                        }}
+                      >
+                        <div className="font-medium text-neutral-900">{item.event_name}</div>
+                        <div className="text-xs text-gray-500">{formatEditionMeta(item) || ""}</div>
+                      </button>
+                    ))}
+                  </>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+        {selectedEdition && (
+          <div className="mt-1 text-xs text-gray-500">
+            Wybrano: {selectedEdition.event_name}
+            {selectedEditionMeta ? <span> {selectedEditionMeta}</span> : null}
+          </div>
+        )}
+      </Field>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <Field label="Data wydarzenia">
+          <input type="date" value={eventDate} onChange={(e) => setEventDate(e.target.value)} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring" />
+        </Field>
+        <Field label="Lokalizacja">
+          <input value={location} onChange={(e) => setLocation(e.target.value)} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring" placeholder="np. Warszawa" />
+        </Field>
+        <Field label="Województwo">
+          <select value={region} onChange={(e) => setRegion(e.target.value)} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring">
+            <option value="">— wybierz —</option>
+            {VOIVODESHIPS.map((item) => (
+              <option key={item} value={item}>
+                {item}
+              </option>
+            ))}
+          </select>
+          {selectedEdition && <div className="mt-1 text-xs text-gray-500">Przy wybranej edycji obowiązuje województwo wydarzenia, jeśli kalendarz je zna.</div>}
+        </Field>
+      </div>
+
+      <label className="flex items-start gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={isBundle}
+          onChange={(e) => {
+            const next = e.target.checked;
+            setIsBundle(next);
+            if (next && bundleItems.length === 0) {
+              const firstDistance = distance.trim() || distancesList[0] || "";
+              setBundleItems(
+                Array.from({ length: BUNDLE_MIN_ITEMS }, () => ({
+                  id: cryptoRandom(),
+                  distance: firstDistance,
+                  price: price,
+                  bib: "",
+                  sold: false,
+                }))
+              );
+            }
+          }}
+          className="mt-1"
+        />
+        <span>
+          Ogłoszenie zbiorcze – kilka pakietów lub miejsc w sztafecie, każdy z własnym dystansem
+          {type === "sell" ? ", numerem BIB" : ""} i ceną
+        </span>
+      </label>
+
+      {isBundle && (
+        <div className="rounded-xl border p-3 space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {[
+              { value: "separately", label: "Można kupić pojedynczo" },
+              { value: "together", label: "Tylko w całości" },
+            ].map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setBundleSellMode(/** @type {ListingBundle["sellMode"]} */ (option.value))}
+                className={clsx(
+                  "px-3 py-1.5 rounded-xl border text-sm",
+                  bundleSellMode === option.value ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50"
+                )}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <div className="space-y-2">
+            {bundleItems.map((item, index) => {
+              const updateItem = (patch) =>
+                setBundleItems((prev) => prev.map((other) => (other.id === item.id ? { ...other, ...patch } : other)));
+              return (
+                <div key={item.id} className="grid grid-cols-12 gap-2 items-center">
+                  <span className="col-span-1 text-xs text-gray-500">{index + 1}.</span>
+                  <input
+                    list="bundle-distance-suggestions"
+                    value={item.distance}
+                    onChange={(e) => updateItem({ distance: e.target.value })}
+                    className={clsx(
+                      "px-2 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring",
+                      type === "sell" ? "col-span-4" : "col-span-6"
+                    )}
+                    placeholder="Dystans"
+                  />
+                  {type === "sell" && (
+                    <input
+                      value={item.bib}
+                      onChange={(e) => updateItem({ bib: e.target.value })}
+                      className="col-span-2 px-2 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring"
+                      placeholder="BIB"
+                    />
+                  )}
+                  <input
+                    inputMode="decimal"
+                    value={item.price}
+                    onChange={(e) => updateItem({ price: e.target.value.replace(",", ".") })}
+                    className="col-span-3 px-2 py-1.5 rounded-lg border text-sm focus:outline-none focus:ring"
+                    placeholder="Cena"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setBundleItems((prev) => prev.filter((other) => other.id !== item.id))}
+                    className="col-span-2 text-xs px-2 py-1.5 rounded-lg border bg-white hover:bg-neutral-50"
+                    aria-label={`Usuń pakiet ${index + 1}`}
+                  >
+                    Usuń
+                  </button>
+                  {item.sold && (
+                    <span className="col-span-11 col-start-2 text-xs text-gray-500">Oznaczony jako sprzedany</span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+          <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+            <button
+              type="button"
+              onClick={() =>
+                setBundleItems((prev) => [
+                  ...prev,
+                  { id: cryptoRandom(), distance: prev[prev.length - 1]?.distance || "", price: "", bib: "", sold: false },
+                ])
+              }
+              disabled={bundleItems.length >= BUNDLE_MAX_ITEMS}
+              className="px-3 py-1.5 rounded-xl border bg-white hover:bg-neutral-50 disabled:opacity-50"
+            >
+              Dodaj pakiet
+            </button>
+            <datalist id="bundle-distance-suggestions">
+              {DISTANCE_SUGGESTIONS.map((item) => (
+                <option key={item} value={item} />
+              ))}
+            </datalist>
+            {editionFees.fees.length > 0 && editionFees.maxMarkupPercent !== null && (
+              <span className="w-full text-xs text-gray-500">
+                Limity cen (opłata startowa + {editionFees.maxMarkupPercent}%):{" "}
+                {editionFees.fees
+                  .map((item) => `${item.distance} – ${toCurrency(priceCapFor(item, editionFees.maxMarkupPercent))}`)
+                  .join(", ")}
+              </span>
+            )}
+            <span className="text-gray-600">
+              {bundleSellMode === "together" ? "Razem: " : "Suma: "}
+              {toCurrency(bundleItems.reduce((sum, item) => sum + (Number(item.price) || 0), 0), currency)}
+            </span>
+          </div>
+        </div>
+      )}
+
+      {!isBundle && (
+        <Field label="Dystans" required>
+          <div className="flex flex-wrap items-center gap-2">
+            {distancesList.length === 0 && (
+              <span className="text-sm text-gray-500">Dodaj co najmniej jeden dystans.</span>
+            )}
+            {distancesList.map((value, index) => {
+              const isPrimary = index === 0;
+              return (
+                <div
+                  key={value}
+                  className={clsx(
+                    "inline-flex items-center gap-1 rounded-full px-2 py-1 text-sm",
+                    isPrimary ? "bg-neutral-900 text-white" : "bg-neutral-200 text-neutral-700"
+                  )}
+                >
+                  <button
+                    type="button"
+                    onClick={() => handleMakePrimary(value)}
+                    className={clsx(
+                      "inline-flex items-center gap-1 focus:outline-none",
+                      isPrimary ? "cursor-default" : "hover:text-neutral-900"
+                    )}
+                    title={isPrimary ? "Główny dystans" : "Ustaw jako główny dystans"}
+                  >
+                    <span>{value}</span>
+                    <span
+                      className={clsx(
+                        "text-[10px] font-semibold uppercase tracking-wide",
+                        isPrimary ? "bg-white/20 text-white px-1 py-0.5 rounded" : "text-neutral-500"
+                      )}
+                    >
+                      {isPrimary ? "Główny" : "Ustaw"}
+                    </span>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleRemoveDistance(value)}
+                    className={clsx(
+                      "leading-none focus:outline-none",
+                      isPrimary ? "text-white/80 hover:text-white" : "text-neutral-500 hover:text-neutral-700"
+                    )}
+                    aria-label={`Usuń dystans ${value}`}
+                  >
+                    ×
+                  </button>
+                </div>
+              );
+            })}
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                list="distance-suggestions"
+                value={distanceInput}
+                onChange={(e) => setDistanceInput(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    handleAddDistance();
+                  }
+                }}
+                className="min-w-[140px] flex-1 px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+                placeholder="np. 5 km"
+              />
+              <button
+                type="button"
+                onClick={handleAddDistance}
+                disabled={!distanceInput.trim()}
+                className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 disabled:opacity-50"
+              >
+                Dodaj
+              </button>
+              <datalist id="distance-suggestions">
+                {DISTANCE_SUGGESTIONS.map((item) => (
+                  <option key={item} value={item} />
+                ))}
+              </datalist>
+            </div>
+          </div>
+          <p className="mt-2 text-xs text-gray-500">
+            Enter lub „Dodaj” dopisuje dystans. Kliknij odznakę, aby ustawić ją jako główną.
+          </p>
+        </Field>
+      )}
+
+      <Field label="Waluta ceny">
+        <select
+          value={currency}
+          onChange={(e) => setCurrency(normalizeCurrency(e.target.value))}
+          className="w-full sm:w-32 px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+        >
+          {SUPPORTED_CURRENCIES.map((code) => (
+            <option key={code} value={code}>
+              {code}
+            </option>
+          ))}
+        </select>
+        {currency !== BASE_CURRENCY && (
+          <p className="mt-1 text-xs text-gray-500">
+            Oglądający zobaczą też cenę przeliczoną na swoją walutę (kurs 1 {currency} ≈{" "}
+            {toCurrency(convertAmount(1, currency, BASE_CURRENCY, exchangeRates))}).
+          </p>
+        )}
+      </Field>
+
+      {!isBundle && (
+        <Field label={type === "sell" ? `Cena (${currency})` : `Budżet / proponowana kwota (${currency})`} required>
+          <input inputMode="decimal" value={price} onChange={(e) => setPrice(e.target.value.replace(",", "."))} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring" placeholder="np. 199" />
+          {officialFee && (
+            <p className="mt-1 text-xs text-gray-500">
+              Oficjalna opłata startowa: {toCurrency(officialFee.fee)}
+              {officialPriceCap !== null && <> · maksymalna cena odsprzedaży: {toCurrency(officialPriceCap)}</>}
+            </p>
+          )}
+          {priceStats?.stats && (
+            <p className="mt-1 text-xs text-gray-500">
+              Ceny tego pakietu: <PriceStatsSummary stats={priceStats.stats} source={priceStats.source} />
+            </p>
+          )}
+          {priceWarning && (
+            <p className="mt-1 text-xs text-amber-700">
+              {priceWarning === "high"
+                ? "Cena jest wyraźnie wyższa niż w innych ogłoszeniach na ten bieg i dystans."
+                : "Cena jest wyraźnie niższa niż zwykle – sprawdź, czy kwota jest poprawna."}
+            </p>
+          )}
+        </Field>
+      )}
+
+      <Field label="Opłata za przerejestrowanie">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-2">
+          <input
+            inputMode="decimal"
+            min="0"
+            step="0.01"
+            value={transferFee}
+            onChange={(e) => setTransferFee(e.target.value.replace(",", "."))}
+            className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+            placeholder="np. 50"
+          />
+          <select
+            value={transferFeeCurrency}
+            onChange={(e) => setTransferFeeCurrency(e.target.value || "PLN")}
+            className="w-full sm:w-32 px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+          >
+            <option value="PLN">PLN</option>
+            <option value="EUR">EUR</option>
+            <option value="USD">USD</option>
+          </select>
+        </div>
+        {type === "sell" && (
+          <p className="mt-1 text-xs text-emerald-600">
+            Wyróżnij ofertę podając koszt oficjalnego przepisania pakietu.
+          </p>
+        )}
+      </Field>
+
+      <Field label="Zmiana możliwa do">
+        <input
+          type="date"
+          value={transferDeadline}
+          onChange={(e) => setTransferDeadline(e.target.value)}
+          className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring whitespace-nowrap tabular-nums"
+        />
+      </Field>
+
+      {type === "sell" && !isBundle && (
+        <div className="space-y-2">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+            <Field label="Numer BIB">
+              <input
+                value={bib}
+                onChange={(e) => setBib(e.target.value)}
+                className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+                placeholder="np. 1234"
+              />
+            </Field>
+            <Field label="Link do listy startowej">
+              <input
+                type="url"
+                value={startListUrl}
+                onChange={(e) => setStartListUrl(e.target.value)}
+                className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+                placeholder="https://…"
+              />
+            </Field>
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <button
+              type="button"
+              onClick={handleVerify}
+              disabled={verifying || !bib.trim() || !startListUrl.trim()}
+              className="px-3 py-1.5 rounded-xl border bg-white hover:bg-neutral-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {verifying ? "Sprawdzam…" : "Zweryfikuj numer"}
+            </button>
+            {(bib || proofStatus) && (
+              <Badge color={proofBadge.color}>{proofBadge.label}</Badge>
+            )}
+            {proofCheckedLabel && (
+              <span className="text-xs text-gray-500">Sprawdzono {proofCheckedLabel}</span>
+            )}
+            {proofSourceUrl && normalizedProofStatus === "verified" && (
+              <a
+                href={proofSourceUrl}
+                target="_blank"
+                rel="noreferrer"
+                className="text-xs text-sky-600 underline"
+              >
+                Zobacz listę
+              </a>
+            )}
+          </div>
+          {proofError && (
+            <div className={clsx("text-xs", normalizedProofStatus === "verified" ? "text-emerald-600" : "text-rose-600")}>
+              {proofError}
+            </div>
+          )}
+        </div>
+      )}
+
+      <Field label="Kontakt (e-mail lub telefon)" required>
+        <input value={contact} onChange={(e) => setContact(e.target.value)} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring" placeholder="np. ala@domena.pl / 600123123" />
+      </Field>
+
+      <Field label="Zawartość pakietu">
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+          <select
+            value={packageContents.shirtSize || ""}
+            onChange={(e) => updatePackageContents({ shirtSize: /** @type {ShirtSize} */ (e.target.value) || undefined })}
+            className="px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+            aria-label="Rozmiar koszulki"
+          >
+            <option value="">Koszulka: —</option>
+            {SHIRT_SIZES.map((size) => (
+              <option key={size} value={size}>
+                Koszulka {size}
+              </option>
+            ))}
+          </select>
+          <select
+            value={packageContents.gender || ""}
+            onChange={(e) => updatePackageContents({ gender: /** @type {"K" | "M"} */ (e.target.value) || undefined })}
+            className="px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+            aria-label="Kategoria płci"
+          >
+            <option value="">Kategoria: —</option>
+            {PACKAGE_GENDERS.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+          <input
+            value={packageContents.ageCategory || ""}
+            onChange={(e) => updatePackageContents({ ageCategory: e.target.value })}
+            maxLength={20}
+            className="px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+            placeholder="Kat. wiekowa, np. M30"
+          />
+          <input
+            value={packageContents.wave || ""}
+            onChange={(e) => updatePackageContents({ wave: e.target.value })}
+            maxLength={40}
+            className="px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+            placeholder="Strefa / fala, np. B"
+          />
+        </div>
+        <div className="mt-2 flex flex-wrap gap-3 text-sm">
+          {PACKAGE_EXTRAS.map((extra) => {
+            const checked = (packageContents.extras || []).includes(/** @type {PackageExtra} */ (extra.value));
+            return (
+              <label key={extra.value} className="inline-flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={checked}
+                  onChange={() =>
+                    updatePackageContents({
+                      extras: checked
+                        ? (packageContents.extras || []).filter((value) => value !== extra.value)
+                        : [...(packageContents.extras || []), /** @type {PackageExtra} */ (extra.value)],
+                    })
+                  }
+                />
+                {extra.label}
+              </label>
+            );
+          })}
+        </div>
+      </Field>
+
+      <Field label="Opis">
+        <textarea value={description} onChange={(e) => setDescription(e.target.value)} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring" rows={3} placeholder="Szczegóły: możliwość oficjalnego przepisania, odbiór pakietu itp." />
+      </Field>
+
+      <Field label={`Załączniki (zdjęcia lub PDF, maks. ${MAX_ATTACHMENTS})`}>
+        <div className="space-y-2">
+          {attachments.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {attachments.map((item) => (
+                <div key={item.path} className="relative">
+                  <AttachmentThumb attachment={item} className="w-20 h-20" />
+                  <button
+                    type="button"
+                    onClick={() => setAttachments((prev) => prev.filter((other) => other.path !== item.path))}
+                    className="absolute -top-2 -right-2 w-6 h-6 rounded-full bg-white border text-xs hover:bg-neutral-100"
+                    aria-label={`Usuń ${item.name}`}
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+          {attachments.length < MAX_ATTACHMENTS && (
+            <input
+              type="file"
+              multiple
+              accept="image/jpeg,image/png,image/webp,application/pdf"
+              onChange={handleAttachmentFiles}
+              disabled={attachmentsUploading}
+              className="text-sm"
+            />
+          )}
+          <div className="text-xs text-gray-500">
+            {attachmentsUploading
+              ? "Wysyłanie…"
+              : "Np. zrzut ekranu potwierdzenia rejestracji. Ze zdjęć usuwamy dane EXIF (m.in. lokalizację)."}
+          </div>
+          {attachmentError && <div className="text-xs text-rose-600">{attachmentError}</div>}
+        </div>
+      </Field>
+
+      <label className="flex items-start gap-2 text-sm">
+        <input type="checkbox" checked={agree} onChange={(e) => setAgree(e.target.checked)} className="mt-1" required />
+        <span>
+          Akceptuję
+          {" "}
+          <a
+            href="#regulamin"
+            className="text-sky-600 underline"
+            onClick={(e) => {
+              e.preventDefault();
+              onOpenTerms?.();
+            }}
+          >
+            Regulamin
+          </a>
+          {" "}
+          serwisu i potwierdzam, że zapoznałem(am) się z zasadami transferu pakietu.
+        </span>
+      </label>
+
+      <div className="flex items-center gap-3 pt-2">
+        <button className="px-4 py-2 rounded-xl bg-neutral-900 text-white hover:opacity-90" type="submit">
+          {!isEditing ? "Dodaj ogłoszenie" : isDraft ? "Opublikuj" : "Zapisz zmiany"}
+        </button>
+        {isDraft && (
+          <button
+            type="button"
+            onClick={() => submitListing("draft")}
+            className="px-4 py-2 rounded-xl border bg-white hover:bg-neutral-50"
+          >
+            Zapisz szkic
+          </button>
+        )}
+        {(isEditing || isDuplicate) && (
+          <button
+            type="button"
+            onClick={() => {
+              onCancelEdit?.();
+              reset();
+            }}
+            className="px-4 py-2 rounded-xl border bg-white hover:bg-neutral-50"
+          >
+            {isDuplicate ? "Anuluj duplikowanie" : "Anuluj edycję"}
+          </button>
+        )}
+        {msg && <span className="text-sm text-green-600">{msg}</span>}
+      </div>
+    </form>
+  );
+}
+
+/**
+ * @param {{
+ *   onSubmit: (payload: Partial<Alert> & { mode: AlertMode, send_email: boolean, is_active: boolean }) => Promise<void> | void,
+ *   saving: boolean,
+ *   editingAlert: Alert | null,
+ *   onCancelEdit: () => void,
+ *   emailOptIn: boolean,
+ *   requestEmailOptIn: (next: boolean) => Promise<boolean>,
+ * }} props
+ */
+function AlertForm({ onSubmit, saving, editingAlert, onCancelEdit, emailOptIn, requestEmailOptIn }) {
+  const [mode, setMode] = useState(/** @type {AlertMode} */ ("any"));
+  const [searchValue, setSearchValue] = useState("");
+  const [selectedEdition, setSelectedEdition] = useState(/** @type {(EditionSearchResult | null)} */(null));
+  const [distance, setDistance] = useState("");
+  const [maxPrice, setMaxPrice] = useState("");
+  const [shirtSize, setShirtSize] = useState("");
+  const [gender, setGender] = useState("");
+  const [extras, setExtras] = useState(/** @type {PackageExtra[]} */([]));
+  const [sendEmail, setSendEmail] = useState(false);
+  const [isActive, setIsActive] = useState(true);
+  const [message, setMessage] = useState("");
+  const [suggestions, setSuggestions] = useState(/** @type {EditionSearchResult[]} */([]));
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState("");
+  const [showSuggestions, setShowSuggestions] = useState(false);
 
   useEffect(() => {
-    if (!editingListing) {
-      reset();
+    const term = searchValue.trim();
+    if (term.length < 2) {
+      setSuggestions([]);
+      setIsSearching(false);
+      setSearchError("");
       return;
     }
-    setType(editingListing.type || "sell");
-    setRaceName(editingListing.raceName || "");
-    setEventDate(
-      extractDateString(editingListing.eventDate) ||
-        extractDateString(editingListing.editionStartDate) ||
-        extractDateString(editingListing.edition_start_date) ||
-        ""
-    );
-    setLocation(editingListing.location || "");
-    const normalizedDistances = sanitizeDistances(
-      Array.isArray(editingListing.distances) && editingListing.distances.length
-        ? editingListing.distances
-        : editingListing.distance
-        ? [editingListing.distance]
-        : []
-    );
-    const primaryDistance = editingListing.distance || normalizedDistances[0] || "";
-    applyDistances(normalizedDistances, primaryDistance);
-    setDistanceInput("");
-    setPrice(
-      typeof editingListing.price === "number"
-        ? String(editingListing.price)
-        : editingListing.price
-        ? String(editingListing.price)
-        : ""
-    );
-    setTransferFee(
-      typeof editingListing.transferFee === "number" && Number.isFinite(editingListing.transferFee)
-        ? String(editingListing.transferFee)
-        : ""
-    );
-    setTransferFeeCurrency(editingListing.transferFeeCurrency || "PLN");
-    setTransferDeadline(extractDateString(editingListing.transferDeadline) || "");
-    setContact(editingListing.contact || "");
-    setDescription(editingListing.description || "");
-    setAgree(true);
-    setSelectedEdition(
-      editingListing.edition_id
-        ? {
-            edition_id: editingListing.edition_id,
-            event_name: editingListing.editionEventName || editingListing.raceName || "",
-            city: null,
-            country_code: null,
-            year: editingListing.editionYear ?? null,
-            start_date:
-              editingListing.editionStartDate ||
-              editingListing.eventDate ||
-              editingListing.start_date ||
-              null,
-            distances: null,
-          }
-        : null
-    );
-    const existingBib = editingListing.bib || "";
-    setBib(existingBib);
-    const sourceUrl = editingListing.proof_source_url || "";
-    setStartListUrl(sourceUrl);
-    setProofStatus(editingListing.proof_status || (existingBib ? "none" : ""));
-    setProofSourceUrl(sourceUrl);
-    setProofCheckedAt(editingListing.proof_checked_at || null);
-    setProofError("");
-    setMsg("");
-  }, [editingListing]);
 
-  function validate() {
-    if (!raceName.trim()) return "Podaj nazwę biegu.";
-    const normalized = sanitizeDistances(distancesList);
-    if (!normalized.length) return "Dodaj co najmniej jeden dystans biegu.";
-    if (!price || isNaN(Number(price)) || Number(price) <= 0) return "Podaj poprawną kwotę.";
-    if (transferFee.trim()) {
-      const parsedFee = Number(transferFee);
-      if (!Number.isFinite(parsedFee) || parsedFee < 0) {
-        return "Podaj poprawną opłatę (nie mniejszą niż 0).";
+    let ignore = false;
+    setIsSearching(true);
+    setSearchError("");
+    const handler = setTimeout(async () => {
+      try {
+        const { data, error } = await supabase
+          .from("event_editions_search")
+          .select("edition_id,event_name,city,country_code,year,start_date,distances")
+          .ilike("event_name", `%${term}%`)
+          .order("year", { ascending: false })
+          .limit(20);
+        if (ignore) return;
+        if (error) {
+          console.error(error);
+          setSearchError("Nie udało się pobrać propozycji.");
+          setSuggestions([]);
+        } else {
+          setSuggestions(data || []);
+        }
+      } catch (err) {
+        if (ignore) return;
+        console.error(err);
+        setSearchError("Nie udało się pobrać propozycji.");
+        setSuggestions([]);
+      } finally {
+        if (!ignore) setIsSearching(false);
       }
-    }
-    if (!contact.trim()) return "Podaj kontakt (e-mail/telefon).";
-    if (!agree) return "Musisz zaakceptować Regulamin, aby kontynuować.";
-    return "";
-  }
+    }, 250);
 
-  async function handleVerify() {
-    if (!bib.trim()) {
-      setProofError("Podaj numer BIB do weryfikacji.");
-      return;
-    }
-    if (!startListUrl.trim()) {
-      setProofError("Podaj link do listy startowej.");
+    return () => {
+      ignore = true;
+      clearTimeout(handler);
+    };
+  }, [searchValue]);
+
+  useEffect(() => {
+    if (!editingAlert) {
+      setMode("any");
+      setSearchValue("");
+      setSelectedEdition(null);
+      setDistance("");
+      setMaxPrice("");
+      setShirtSize("");
+      setGender("");
+      setExtras([]);
+      setSendEmail(false);
+      setIsActive(true);
+      setMessage("");
       return;
     }
 
-    setVerifying(true);
-    setProofError("");
-
-    try {
-      const response = await fetch("/api/verify-bib-url", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ bib: bib.trim(), url: startListUrl.trim() }),
+    setMode(editingAlert.mode || "any");
+    if (editingAlert.event_id) {
+      setSelectedEdition({
+        edition_id: editingAlert.event_id,
+        event_name: editingAlert.event_label || editingAlert.query_text || "",
+        city: null,
+        country_code: null,
+        year: null,
+        start_date: null,
+        distances: null,
       });
+      setSearchValue(formatEditionLabel({
+        event_name: editingAlert.event_label || editingAlert.query_text || "",
+        year: null,
+      }));
+    } else {
+      setSelectedEdition(null);
+      setSearchValue(editingAlert.query_text || "");
+    }
+    setDistance(editingAlert.distance || "");
+    setMaxPrice(
+      typeof editingAlert.max_price === "number" && Number.isFinite(editingAlert.max_price)
+        ? String(editingAlert.max_price)
+        : ""
+    );
+    setShirtSize(editingAlert.shirt_size || "");
+    setGender(editingAlert.gender || "");
+    setExtras(Array.isArray(editingAlert.extras) ? editingAlert.extras : []);
+    setSendEmail(!!editingAlert.send_email);
+    setIsActive(editingAlert.is_active !== false);
+    setMessage("");
+  }, [editingAlert]);
+
+  function resetForm() {
+    setMode("any");
+    setSearchValue("");
+    setSelectedEdition(null);
+    setDistance("");
+    setMaxPrice("");
+    setShirtSize("");
+    setGender("");
+    setExtras([]);
+    setSendEmail(false);
+    setIsActive(true);
+    setMessage("");
+    setSuggestions([]);
+    setSearchError("");
+  }
 
-      /** @type {{ status?: string, sourceUrl?: string, checkedAt?: string, message?: string, error?: string }} */
-      let payload = {};
-      try {
-        payload = await response.json();
-      } catch (err) {
-        console.error(err);
-      }
+  function handleSelectEdition(item) {
+    setSelectedEdition(item);
+    setSearchValue(formatEditionLabel(item) || item.event_name || "");
+    setShowSuggestions(false);
+    setSuggestions([]);
+  }
 
-      if (!response.ok) {
-        setProofStatus("error");
-        setProofSourceUrl(payload?.sourceUrl || startListUrl.trim());
-        setProofCheckedAt(payload?.checkedAt || new Date().toISOString());
-        setProofError(payload?.error || payload?.message || "Nie udało się zweryfikować numeru.");
+  async function handleSendEmailToggle(next) {
+    if (next && !emailOptIn) {
+      const ok = await requestEmailOptIn(true);
+      if (!ok) {
+        setMessage("Nie udało się włączyć powiadomień e-mail.");
         return;
       }
-
-      const nextStatus = payload.status || "not_found";
-      setProofStatus(nextStatus);
-      setProofSourceUrl(payload?.sourceUrl || startListUrl.trim());
-      setProofCheckedAt(payload?.checkedAt || new Date().toISOString());
-
-      if (nextStatus === "verified") {
-        setProofError(payload?.message || "");
-      } else {
-        setProofError(payload?.message || payload?.error || "Numeru nie znaleziono na liście startowej.");
-      }
-    } catch (err) {
-      console.error(err);
-      setProofStatus("error");
-      setProofSourceUrl(startListUrl.trim());
-      setProofCheckedAt(new Date().toISOString());
-      setProofError("Nie udało się zweryfikować numeru.");
-    } finally {
-      setVerifying(false);
     }
+    setSendEmail(next);
   }
 
-  function handleSubmit(e) {
+  async function handleSubmit(e) {
     e.preventDefault();
-    const err = validate();
-    if (err) {
-      setMsg(err);
-      setTimeout(() => setMsg(""), 2500);
+    setMessage("");
+    const trimmed = searchValue.trim();
+    if (!selectedEdition && !trimmed) {
+      setMessage("Podaj nazwę biegu lub wybierz go z listy.");
       return;
     }
-    const fallbackEdition =
-      (!selectedEdition && editingListing && editingListing.edition_id)
-        ? {
-            edition_id: editingListing.edition_id,
-            event_name: editingListing.editionEventName || editingListing.raceName || "",
-            year: editingListing.editionYear ?? null,
-            start_date:
-              editingListing.editionStartDate ||
-              editingListing.eventDate ||
-              editingListing.start_date ||
-              null,
-          }
-        : null;
-    const selected = selectedEdition || fallbackEdition;
-    /** @type {Listing} */
-    const base = editingListing ? { ...editingListing } : {};
-    const createdAt = editingListing?.createdAt ?? Date.now();
-    /** @type {Listing} */
-    const l = {
-      ...base,
-      id: editingListing?.id || cryptoRandom(),
-      type,
-      raceName: raceName.trim(),
-      eventDate: eventDate || undefined,
-      location: location || undefined,
-      price: Number(price),
-      contact: contact.trim(),
-      description: description?.trim() || undefined,
-      createdAt,
+    const payload = {
+      mode,
+      distance: distance || null,
+      max_price: maxPrice ? Number(maxPrice.replace(",", ".")) : null,
+      shirt_size: shirtSize || null,
+      gender: gender || null,
+      extras,
+      send_email: sendEmail,
+      is_active: isActive,
+      event_id: selectedEdition ? selectedEdition.edition_id : null,
+      event_label: selectedEdition ? formatEditionLabel(selectedEdition) || selectedEdition.event_name || null : null,
+      query_text: selectedEdition ? null : trimmed || null,
     };
-    const trimmedPrimary = distance.trim();
-    let normalizedList = sanitizeDistances(distancesList);
-    if (trimmedPrimary) {
-      normalizedList = [trimmedPrimary, ...normalizedList];
-    }
-    let distancesArray = arrangeDistances(
-      normalizedList,
-      trimmedPrimary || normalizedList[0] || ""
-    );
-    if (!distancesArray.length && trimmedPrimary) {
-      distancesArray = [trimmedPrimary];
-    }
-    l.distances = distancesArray.length ? distancesArray : [];
-    l.distance = l.distances[0] || "";
-    const km = parseDistanceToKm(l.distance);
-    if (Number.isFinite(km)) {
-      l.distanceKm = km;
-    } else if ("distanceKm" in l) {
-      delete l.distanceKm;
-    }
-    if (!editingListing) {
-      l.createdAt = createdAt;
-    }
-    if (ownerId) {
-      l.ownerId = ownerId;
-    }
-    if (!l.ownerId && editingListing?.ownerId) {
-      l.ownerId = editingListing.ownerId;
-    }
-    if (!l.owner_id && editingListing?.owner_id) {
-      l.owner_id = editingListing.owner_id;
-    }
-    if (authorDisplayName) {
-      l.author_display_name = authorDisplayName;
-    } else if (editingListing?.author_display_name) {
-      l.author_display_name = editingListing.author_display_name;
-    }
-    if (selected) {
-      l.edition_id = selected.edition_id;
-      l.editionEventName = selected.event_name;
-      l.editionYear = selected.year ?? undefined;
-      l.editionStartDate = selected.start_date || undefined;
-    }
-    if (!selected && editingListing) {
-      if (!editingListing.edition_id) {
-        delete l.edition_id;
-        delete l.editionEventName;
-        delete l.editionYear;
-        delete l.editionStartDate;
-      }
+    if (Number.isNaN(payload.max_price)) {
+      setMessage("Podaj poprawną maksymalną cenę.");
+      return;
     }
-    const normalizedTransferFee = transferFee.trim() === "" ? NaN : Number(transferFee);
-    l.transferFee = Number.isFinite(normalizedTransferFee) ? normalizedTransferFee : undefined;
-    l.transferFeeCurrency = transferFeeCurrency || "PLN";
-    l.transferDeadline = transferDeadline || "";
-    if (type === "sell") {
-      const trimmedBib = bib.trim();
-      const normalizedProofStatus = proofStatus || (trimmedBib ? "none" : "");
-      const sourceUrl = proofSourceUrl || startListUrl.trim();
-      if (trimmedBib) {
-        l.bib = trimmedBib;
-        l.proof_status = /** @type {Listing["proof_status"]} */ (normalizedProofStatus || "none");
-        if (sourceUrl) l.proof_source_url = sourceUrl;
-        if (proofCheckedAt) l.proof_checked_at = proofCheckedAt;
-      } else if (proofStatus) {
-        l.proof_status = /** @type {Listing["proof_status"]} */ (proofStatus);
-        if (sourceUrl) l.proof_source_url = sourceUrl;
-        if (proofCheckedAt) l.proof_checked_at = proofCheckedAt;
+    try {
+      await onSubmit(editingAlert ? { ...payload, id: editingAlert.id } : payload);
+      if (!editingAlert) {
+        resetForm();
+        setMessage("Alert zapisany ✔");
+        setTimeout(() => setMessage(""), 2000);
       } else {
-        delete l.bib;
-        delete l.proof_status;
-        delete l.proof_source_url;
-        delete l.proof_checked_at;
+        setMessage("Zapisano zmiany ✔");
+        setTimeout(() => setMessage(""), 2000);
       }
-    } else {
-      delete l.bib;
-      delete l.proof_status;
-      delete l.proof_source_url;
-      delete l.proof_checked_at;
+    } catch (err) {
+      console.error(err);
+      setMessage(err?.message || "Nie udało się zapisać alertu.");
     }
-    onAdd(l);
-    reset();
-    setMsg(isEditing ? "Zapisano zmiany ✔" : "Dodano ogłoszenie ✔");
-    setTimeout(() => setMsg(""), 2000);
-  }
-
-  function handleAddDistance() {
-    const value = distanceInput.trim();
-    if (!value) return;
-    const lower = value.toLowerCase();
-    const normalized = sanitizeDistances(distancesList);
-    const exists = normalized.some((item) => item.toLowerCase() === lower);
-    const baseList = exists ? normalized : [...normalized, value];
-    const primaryCandidate = distance.trim() || value;
-    applyDistances(baseList, primaryCandidate);
-    setDistanceInput("");
-  }
-
-  function handleRemoveDistance(value) {
-    const lower = value.toLowerCase();
-    const normalized = sanitizeDistances(distancesList);
-    const next = normalized.filter((item) => item.toLowerCase() !== lower);
-    const currentPrimary = distance.trim();
-    const nextPrimary =
-      currentPrimary && currentPrimary.toLowerCase() !== lower ? currentPrimary : next[0] || "";
-    applyDistances(next, nextPrimary);
-  }
-
-  function handleMakePrimary(value) {
-    if (!value) return;
-    const trimmed = value.trim();
-    if (!trimmed) return;
-    if (distance.trim().toLowerCase() === trimmed.toLowerCase()) return;
-    applyDistances(distancesList, trimmed);
   }
 
-  const editionForMeta = selectedEdition ||
-    (editingListing && editingListing.edition_id
-      ? {
-          edition_id: editingListing.edition_id,
-          event_name: editingListing.editionEventName || editingListing.raceName || "",
-          city: null,
-          country_code: null,
-          year: editingListing.editionYear ?? null,
-          start_date:
-            editingListing.editionStartDate ||
-            editingListing.eventDate ||
-            editingListing.start_date ||
-            null,
-          distances: null,
-        }
-      : null);
-  const selectedEditionMeta = editionForMeta ? formatEditionMeta(editionForMeta) : "";
-  const normalizedProofStatus = proofStatus || (bib ? "none" : "");
-  const proofBadge = proofStatusBadgeMeta(normalizedProofStatus || "none");
-  let proofCheckedLabel = "";
-  if (proofCheckedAt) {
-    const parsed = new Date(proofCheckedAt);
-    if (!Number.isNaN(parsed.getTime())) {
-      proofCheckedLabel = parsed.toLocaleString("pl-PL");
-    }
-  }
+  const selectedEditionMeta = selectedEdition ? formatEditionMeta(selectedEdition) : "";
 
   return (
     <form onSubmit={handleSubmit} className="space-y-3">
-      <div className="grid grid-cols-2 gap-2">
-        <button type="button" onClick={() => setType("sell")} className={clsx("px-3 py-2 rounded-xl border", type === "sell" ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50")}>
-          Sprzedam pakiet
+      <div className="grid grid-cols-3 gap-2">
+        <button
+          type="button"
+          className={clsx(
+            "px-3 py-2 rounded-xl border",
+            mode === "sell" ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50"
+          )}
+          onClick={() => setMode("sell")}
+        >
+          Sprzedam
+        </button>
+        <button
+          type="button"
+          className={clsx(
+            "px-3 py-2 rounded-xl border",
+            mode === "buy" ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50"
+          )}
+          onClick={() => setMode("buy")}
+        >
+          Kupię
         </button>
-        <button type="button" onClick={() => setType("buy")} className={clsx("px-3 py-2 rounded-xl border", type === "buy" ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50")}>
-          Kupię pakiet
+        <button
+          type="button"
+          className={clsx(
+            "px-3 py-2 rounded-xl border",
+            mode === "any" ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50"
+          )}
+          onClick={() => setMode("any")}
+        >
+          Oba typy
         </button>
       </div>
 
-      <Field label="Nazwa biegu" required>
+      <Field label="Bieg lub fraza" required>
         <div className="relative">
           <input
-            value={raceName}
+            value={searchValue}
             onChange={(e) => {
-              const value = e.target.value;
-              setRaceName(value);
-              setSearchTerm(value);
+              setSearchValue(e.target.value);
               setShowSuggestions(true);
-              setSearchError("");
-              if (selectedEdition && value !== selectedEdition.event_name) {
+              if (selectedEdition) {
                 setSelectedEdition(null);
               }
             }}
-            onFocus={() => {
-              setShowSuggestions(true);
-              if (!searchTerm && raceName.trim().length >= 2) {
-                setSearchTerm(raceName);
-              }
-            }}
-            onBlur={() => {
-              setTimeout(() => setShowSuggestions(false), 150);
-            }}
-            onKeyDown={(e) => {
-              if (e.key === "Escape") {
-                setShowSuggestions(false);
-              }
-            }}
+            onFocus={() => setShowSuggestions(true)}
             className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
-            placeholder="np. Półmaraton Warszawski"
-            autoComplete="off"
+            placeholder="np. Maraton Warszawski"
+            disabled={saving}
           />
-          {showSuggestions && (
-            <div className="absolute left-0 right-0 mt-1 rounded-xl border bg-white shadow-lg z-20">
-              <div className="max-h-60 overflow-auto py-1">
-                {searchTerm.trim().length < 2 ? (
-                  <div className="px-3 py-2 text-sm text-gray-500">Wpisz min. 2 znaki, aby wyszukać.</div>
-                ) : (
-                  <>
-                    {isSearching && <div className="px-3 py-2 text-sm text-gray-500">Wyszukiwanie…</div>}
-                    {searchError && !isSearching && (
-                      <div className="px-3 py-2 text-sm text-rose-600">{searchError}</div>
-                    )}
-                    {!isSearching && !searchError && suggestions.length === 0 && (
-                      <div className="px-3 py-2 text-sm text-gray-500">Brak wyników.</div>
-                    )}
-                    {suggestions.map((item) => (
-                      <button
-                        key={item.edition_id}
-                        type="button"
-                        className="w-full text-left px-3 py-2 text-sm hover:bg-neutral-100"
-                        onMouseDown={(e) => {
-                          e.preventDefault();
-                          handleSelectEdition(item);
-                        }}
-                      >
-                        <div className="font-medium text-neutral-900">{item.event_name}</div>
-                        <div className="text-xs text-gray-500">{formatEditionMeta(item) || ""}</div>
-                      </button>
-                    ))}
-                  </>
-                )}
-              </div>
-            </div>
-          )}
-        </div>
-        {selectedEdition && (
-          <div className="mt-1 text-xs text-gray-500">
-            Wybrano: {selectedEdition.event_name}
-            {selectedEditionMeta ? <span> {selectedEditionMeta}</span> : null}
-          </div>
-        )}
-      </Field>
-
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-        <Field label="Data wydarzenia">
-          <input type="date" value={eventDate} onChange={(e) => setEventDate(e.target.value)} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring" />
-        </Field>
-        <Field label="Lokalizacja">
-          <input value={location} onChange={(e) => setLocation(e.target.value)} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring" placeholder="np. Warszawa" />
-        </Field>
-      </div>
-
-      <Field label="Dystans" required>
-        <div className="flex flex-wrap items-center gap-2">
-          {distancesList.length === 0 && (
-            <span className="text-sm text-gray-500">Dodaj co najmniej jeden dystans.</span>
+          {selectedEdition && (
+            <button
+              type="button"
+              className="absolute right-2 top-1/2 -translate-y-1/2 text-xs text-sky-600 underline"
+              onClick={() => setSelectedEdition(null)}
+            >
+              Usuń wybór
+            </button>
           )}
-          {distancesList.map((value, index) => {
-            const isPrimary = index === 0;
-            return (
-              <div
-                key={value}
-                className={clsx(
-                  "inline-flex items-center gap-1 rounded-full px-2 py-1 text-sm",
-                  isPrimary ? "bg-neutral-900 text-white" : "bg-neutral-200 text-neutral-700"
-                )}
-              >
-                <button
-                  type="button"
-                  onClick={() => handleMakePrimary(value)}
-                  className={clsx(
-                    "inline-flex items-center gap-1 focus:outline-none",
-                    isPrimary ? "cursor-default" : "hover:text-neutral-900"
-                  )}
-                  title={isPrimary ? "Główny dystans" : "Ustaw jako główny dystans"}
-                >
-                  <span>{value}</span>
-                  <span
-                    className={clsx(
-                      "text-[10px] font-semibold uppercase tracking-wide",
-                      isPrimary ? "bg-white/20 text-white px-1 py-0.5 rounded" : "text-neutral-500"
-                    )}
-                  >
-                    {isPrimary ? "Główny" : "Ustaw"}
-                  </span>
-                </button>
+          {showSuggestions && (suggestions.length > 0 || isSearching || searchError) && (
+            <div className="absolute z-10 mt-1 w-full max-h-60 overflow-y-auto bg-white border rounded-xl shadow-lg text-sm">
+              {isSearching && (
+                <div className="px-3 py-2 text-gray-500">Wyszukuję…</div>
+              )}
+              {searchError && <div className="px-3 py-2 text-rose-600">{searchError}</div>}
+              {suggestions.map((item) => (
                 <button
                   type="button"
-                  onClick={() => handleRemoveDistance(value)}
-                  className={clsx(
-                    "leading-none focus:outline-none",
-                    isPrimary ? "text-white/80 hover:text-white" : "text-neutral-500 hover:text-neutral-700"
-                  )}
-                  aria-label={`Usuń dystans ${value}`}
+                  key={item.edition_id}
+                  className="w-full text-left px-3 py-2 hover:bg-neutral-100"
+                  onClick={() => handleSelectEdition(item)}
                 >
-                  ×
+                  <div className="font-medium">{item.event_name}</div>
+                  <div className="text-xs text-gray-500">{formatEditionMeta(item) || ""}</div>
                 </button>
-              </div>
-            );
-          })}
-          <div className="flex flex-wrap items-center gap-2">
-            <input
-              list="distance-suggestions"
-              value={distanceInput}
-              onChange={(e) => setDistanceInput(e.target.value)}
-              onKeyDown={(e) => {
-                if (e.key === "Enter") {
-                  e.preventDefault();
-                  handleAddDistance();
-                }
-              }}
-              className="min-w-[140px] flex-1 px-3 py-2 rounded-xl border focus:outline-none focus:ring"
-              placeholder="np. 5 km"
-            />
-            <button
-              type="button"
-              onClick={handleAddDistance}
-              disabled={!distanceInput.trim()}
-              className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 disabled:opacity-50"
-            >
-              Dodaj
-            </button>
-            <datalist id="distance-suggestions">
-              {DISTANCE_SUGGESTIONS.map((item) => (
-                <option key={item} value={item} />
               ))}
-            </datalist>
-          </div>
-        </div>
-        <p className="mt-2 text-xs text-gray-500">
-          Enter lub „Dodaj” dopisuje dystans. Kliknij odznakę, aby ustawić ją jako główną.
-        </p>
-      </Field>
-
-      <Field label={type === "sell" ? "Cena (PLN)" : "Budżet / proponowana kwota (PLN)"} required>
-        <input inputMode="decimal" value={price} onChange={(e) => setPrice(e.target.value.replace(",", "."))} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring" placeholder="np. 199" />
-      </Field>
-
-      <Field label="Opłata za przerejestrowanie">
-        <div className="flex flex-col sm:flex-row sm:items-center gap-2">
-          <input
-            inputMode="decimal"
-            min="0"
-            step="0.01"
-            value={transferFee}
-            onChange={(e) => setTransferFee(e.target.value.replace(",", "."))}
-            className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
-            placeholder="np. 50"
-          />
-          <select
-            value={transferFeeCurrency}
-            onChange={(e) => setTransferFeeCurrency(e.target.value || "PLN")}
-            className="w-full sm:w-32 px-3 py-2 rounded-xl border focus:outline-none focus:ring"
-          >
-            <option value="PLN">PLN</option>
-            <option value="EUR">EUR</option>
-            <option value="USD">USD</option>
-          </select>
+              {!isSearching && !suggestions.length && !searchError && (
+                <div className="px-3 py-2 text-gray-500">Brak propozycji.</div>
+              )}
+            </div>
+          )}
         </div>
-        {type === "sell" && (
-          <p className="mt-1 text-xs text-emerald-600">
-            Wyróżnij ofertę podając koszt oficjalnego przepisania pakietu.
-          </p>
+        {selectedEditionMeta && (
+          <div className="text-xs text-gray-500 mt-1">Wybrana edycja: {selectedEditionMeta}</div>
         )}
       </Field>
 
-      <Field label="Zmiana możliwa do">
-        <input
-          type="date"
-          value={transferDeadline}
-          onChange={(e) => setTransferDeadline(e.target.value)}
-          className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring whitespace-nowrap tabular-nums"
-        />
-      </Field>
-
-      {type === "sell" && (
-        <div className="space-y-2">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
-            <Field label="Numer BIB">
-              <input
-                value={bib}
-                onChange={(e) => setBib(e.target.value)}
-                className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
-                placeholder="np. 1234"
-              />
-            </Field>
-            <Field label="Link do listy startowej">
-              <input
-                type="url"
-                value={startListUrl}
-                onChange={(e) => setStartListUrl(e.target.value)}
-                className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
-                placeholder="https://…"
-              />
-            </Field>
-          </div>
-          <div className="flex flex-wrap items-center gap-2 text-sm">
-            <button
-              type="button"
-              onClick={handleVerify}
-              disabled={verifying || !bib.trim() || !startListUrl.trim()}
-              className="px-3 py-1.5 rounded-xl border bg-white hover:bg-neutral-50 disabled:opacity-50 disabled:cursor-not-allowed"
-            >
-              {verifying ? "Sprawdzam…" : "Zweryfikuj numer"}
-            </button>
-            {(bib || proofStatus) && (
-              <Badge color={proofBadge.color}>{proofBadge.label}</Badge>
-            )}
-            {proofCheckedLabel && (
-              <span className="text-xs text-gray-500">Sprawdzono {proofCheckedLabel}</span>
-            )}
-            {proofSourceUrl && normalizedProofStatus === "verified" && (
-              <a
-                href={proofSourceUrl}
-                target="_blank"
-                rel="noreferrer"
-                className="text-xs text-sky-600 underline"
-              >
-                Zobacz listę
-              </a>
-            )}
-          </div>
-          {proofError && (
-            <div className={clsx("text-xs", normalizedProofStatus === "verified" ? "text-emerald-600" : "text-rose-600")}>
-              {proofError}
-            </div>
-          )}
-        </div>
-      )}
+      <Field label="Dystans">
+        <select
+          value={distance}
+          onChange={(e) => setDistance(e.target.value)}
+          className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+          disabled={saving}
+        >
+          <option value="">Dowolny dystans</option>
+          {DISTANCES.map((d) => (
+            <option key={d} value={d}>
+              {d}
+            </option>
+          ))}
+        </select>
+      </Field>
 
-      <Field label="Kontakt (e-mail lub telefon)" required>
-        <input value={contact} onChange={(e) => setContact(e.target.value)} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring" placeholder="np. ala@domena.pl / 600123123" />
+      <Field label="Maksymalna cena (PLN)">
+        <input
+          value={maxPrice}
+          onChange={(e) => setMaxPrice(e.target.value.replace(",", "."))}
+          inputMode="decimal"
+          placeholder="np. 250"
+          className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+          disabled={saving}
+        />
+        <p className="mt-1 text-xs text-gray-500">Ceny w innych walutach porównujemy po przeliczeniu na PLN.</p>
       </Field>
 
-      <Field label="Opis">
-        <textarea value={description} onChange={(e) => setDescription(e.target.value)} className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring" rows={3} placeholder="Szczegóły: rozmiar koszulki, możliwość oficjalnego przepisania, itp." />
+      <Field label="Zawartość pakietu">
+        <div className="grid grid-cols-2 gap-2">
+          <select
+            value={shirtSize}
+            onChange={(e) => setShirtSize(e.target.value)}
+            className="px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+            disabled={saving}
+            aria-label="Rozmiar koszulki"
+          >
+            <option value="">Koszulka: dowolna</option>
+            {SHIRT_SIZES.map((size) => (
+              <option key={size} value={size}>
+                Koszulka {size}
+              </option>
+            ))}
+          </select>
+          <select
+            value={gender}
+            onChange={(e) => setGender(e.target.value)}
+            className="px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+            disabled={saving}
+            aria-label="Kategoria"
+          >
+            <option value="">Kategoria: dowolna</option>
+            {PACKAGE_GENDERS.map((item) => (
+              <option key={item.value} value={item.value}>
+                {item.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="mt-2 flex flex-wrap gap-3 text-sm">
+          {PACKAGE_EXTRAS.map((extra) => {
+            const value = /** @type {PackageExtra} */ (extra.value);
+            return (
+              <label key={value} className="inline-flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={extras.includes(value)}
+                  onChange={(e) =>
+                    setExtras((prev) =>
+                      e.target.checked ? [...prev, value] : prev.filter((item) => item !== value)
+                    )
+                  }
+                  disabled={saving}
+                />
+                {extra.label}
+              </label>
+            );
+          })}
+        </div>
+        <p className="mt-1 text-xs text-gray-500">
+          Wybrane kryteria muszą być podane w ogłoszeniu – np. alert na koszulkę M pominie ogłoszenia bez rozmiaru.
+        </p>
       </Field>
 
-      <label className="flex items-start gap-2 text-sm">
-        <input type="checkbox" checked={agree} onChange={(e) => setAgree(e.target.checked)} className="mt-1" required />
-        <span>
-          Akceptuję
-          {" "}
-          <a
-            href="#regulamin"
-            className="text-sky-600 underline"
-            onClick={(e) => {
-              e.preventDefault();
-              onOpenTerms?.();
+      <div className="flex items-center gap-2 text-sm">
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            checked={sendEmail}
+            onChange={(e) => {
+              const next = e.target.checked;
+              handleSendEmailToggle(next);
             }}
-          >
-            Regulamin
-          </a>
-          {" "}
-          serwisu i potwierdzam, że zapoznałem(am) się z zasadami transferu pakietu.
-        </span>
+            disabled={saving}
+          />
+          <span>Powiadom mnie e-mailem</span>
+        </label>
+        {!emailOptIn && (
+          <span className="text-xs text-gray-500">
+            Wymaga zgody w profilu.
+          </span>
+        )}
+      </div>
+
+      <label className="flex items-center gap-2 text-sm">
+        <input
+          type="checkbox"
+          checked={isActive}
+          onChange={(e) => setIsActive(e.target.checked)}
+          disabled={saving}
+        />
+        <span>Alert aktywny</span>
       </label>
 
-      <div className="flex items-center gap-3 pt-2">
-        <button className="px-4 py-2 rounded-xl bg-neutral-900 text-white hover:opacity-90" type="submit">
-          {isEditing ? "Zapisz zmiany" : "Dodaj ogłoszenie"}
+      <div className="flex items-center gap-3">
+        <button
+          type="submit"
+          className="px-4 py-2 rounded-xl bg-neutral-900 text-white disabled:opacity-50"
+          disabled={saving}
+        >
+          {editingAlert ? "Zapisz alert" : "Dodaj alert"}
         </button>
-        {isEditing && (
+        {editingAlert && (
           <button
             type="button"
+            className="px-4 py-2 rounded-xl border bg-white hover:bg-neutral-50"
             onClick={() => {
-              onCancelEdit?.();
-              reset();
+              onCancelEdit();
+              resetForm();
             }}
-            className="px-4 py-2 rounded-xl border bg-white hover:bg-neutral-50"
+            disabled={saving}
           >
             Anuluj edycję
           </button>
         )}
-        {msg && <span className="text-sm text-green-600">{msg}</span>}
+        {message && <span className="text-sm text-gray-600">{message}</span>}
       </div>
     </form>
   );
@@ -1393,441 +3421,686 @@ function ListingForm({ onAdd, ownerId, authorDisplayName, editingListing = null,
 
 /**
  * @param {{
- *   onSubmit: (payload: Partial<Alert> & { mode: AlertMode, send_email: boolean, is_active: boolean }) => Promise<void> | void,
- *   saving: boolean,
- *   editingAlert: Alert | null,
- *   onCancelEdit: () => void,
- *   emailOptIn: boolean,
- *   requestEmailOptIn: (next: boolean) => Promise<boolean>,
+ *  alerts: Alert[],
+ *  loading: boolean,
+ *  onToggle: (alert: Alert, next: boolean) => Promise<void> | void,
+ *  onDelete: (alert: Alert) => Promise<void> | void,
+ *  onEdit: (alert: Alert) => void,
+ *  emailOptIn: boolean,
  * }} props
  */
-function AlertForm({ onSubmit, saving, editingAlert, onCancelEdit, emailOptIn, requestEmailOptIn }) {
-  const [mode, setMode] = useState(/** @type {AlertMode} */ ("any"));
-  const [searchValue, setSearchValue] = useState("");
-  const [selectedEdition, setSelectedEdition] = useState(/** @type {(EditionSearchResult | null)} */(null));
-  const [distance, setDistance] = useState("");
-  const [maxPrice, setMaxPrice] = useState("");
-  const [sendEmail, setSendEmail] = useState(false);
-  const [isActive, setIsActive] = useState(true);
-  const [message, setMessage] = useState("");
-  const [suggestions, setSuggestions] = useState(/** @type {EditionSearchResult[]} */([]));
-  const [isSearching, setIsSearching] = useState(false);
-  const [searchError, setSearchError] = useState("");
-  const [showSuggestions, setShowSuggestions] = useState(false);
-
-  useEffect(() => {
-    const term = searchValue.trim();
-    if (term.length < 2) {
-      setSuggestions([]);
-      setIsSearching(false);
-      setSearchError("");
-      return;
-    }
-
-    let ignore = false;
-    setIsSearching(true);
-    setSearchError("");
-    const handler = setTimeout(async () => {
-      try {
-        const { data, error } = await supabase
-          .from("event_editions_search")
-          .select("edition_id,event_name,city,country_code,year,start_date,distances")
-          .ilike("event_name", `%${term}%`)
-          .order("year", { ascending: false })
-          .limit(20);
-        if (ignore) return;
-        if (error) {
-          console.error(error);
-          setSearchError("Nie udało się pobrać propozycji.");
-          setSuggestions([]);
-        } else {
-          setSuggestions(data || []);
-        }
-      } catch (err) {
-        if (ignore) return;
-        console.error(err);
-        setSearchError("Nie udało się pobrać propozycji.");
-        setSuggestions([]);
-      } finally {
-        if (!ignore) setIsSearching(false);
-      }
-    }, 250);
-
-    return () => {
-      ignore = true;
-      clearTimeout(handler);
-    };
-  }, [searchValue]);
-
-  useEffect(() => {
-    if (!editingAlert) {
-      setMode("any");
-      setSearchValue("");
-      setSelectedEdition(null);
-      setDistance("");
-      setMaxPrice("");
-      setSendEmail(false);
-      setIsActive(true);
-      setMessage("");
-      return;
-    }
-
-    setMode(editingAlert.mode || "any");
-    if (editingAlert.event_id) {
-      setSelectedEdition({
-        edition_id: editingAlert.event_id,
-        event_name: editingAlert.event_label || editingAlert.query_text || "",
-        city: null,
-        country_code: null,
-        year: null,
-        start_date: null,
-        distances: null,
-      });
-      setSearchValue(formatEditionLabel({
-        event_name: editingAlert.event_label || editingAlert.query_text || "",
-        year: null,
-      }));
-    } else {
-      setSelectedEdition(null);
-      setSearchValue(editingAlert.query_text || "");
-    }
-    setDistance(editingAlert.distance || "");
-    setMaxPrice(
-      typeof editingAlert.max_price === "number" && Number.isFinite(editingAlert.max_price)
-        ? String(editingAlert.max_price)
-        : ""
-    );
-    setSendEmail(!!editingAlert.send_email);
-    setIsActive(editingAlert.is_active !== false);
-    setMessage("");
-  }, [editingAlert]);
-
-  function resetForm() {
-    setMode("any");
-    setSearchValue("");
-    setSelectedEdition(null);
-    setDistance("");
-    setMaxPrice("");
-    setSendEmail(false);
-    setIsActive(true);
-    setMessage("");
-    setSuggestions([]);
-    setSearchError("");
+function AlertsList({ alerts, loading, onToggle, onDelete, onEdit, emailOptIn }) {
+  if (loading) {
+    return <div className="text-sm text-gray-500">Ładuję alerty…</div>;
   }
+  if (!alerts.length) {
+    return <div className="text-sm text-gray-600">Nie masz jeszcze alertów. Dodaj pierwszy, aby otrzymywać powiadomienia.</div>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {alerts.map((alert) => {
+        const created = formatRelativeTime(alert.created_at);
+        const distanceLabel = alert.distance || "Dowolny dystans";
+        const priceLabel = alert.max_price ? `≤ ${toPLN(alert.max_price)}` : "Dowolna kwota";
+        const targetLabel = alert.event_label || alert.query_text || "Dowolna fraza";
+        const packageLabel = packageContentsChips(
+          listingPackageContents({
+            packageContents: { shirtSize: alert.shirt_size, gender: alert.gender, extras: alert.extras },
+          })
+        ).join(", ");
+        return (
+          <div key={alert.id} className="border rounded-2xl p-4 bg-white">
+            <div className="flex items-center justify-between gap-3 flex-wrap">
+              <div className="flex items-center gap-2 flex-wrap">
+                <Badge color="bg-sky-50 text-sky-700">{alertModeLabel(alert.mode)}</Badge>
+                <span className="font-semibold text-sm">{targetLabel}</span>
+                {alert.event_id && <span className="text-xs text-gray-500">ID edycji: {alert.event_id}</span>}
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => onToggle(alert, !alert.is_active)}
+                  className={clsx(
+                    "px-3 py-1.5 rounded-xl border text-sm",
+                    alert.is_active ? "bg-white hover:bg-neutral-50" : "bg-neutral-900 text-white"
+                  )}
+                >
+                  {alert.is_active ? "Wyłącz" : "Włącz"}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onEdit(alert)}
+                  className="px-3 py-1.5 rounded-xl border text-sm bg-white hover:bg-neutral-50"
+                >
+                  Edytuj
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onDelete(alert)}
+                  className="px-3 py-1.5 rounded-xl bg-rose-50 text-rose-700 hover:bg-rose-100 text-sm"
+                >
+                  Usuń
+                </button>
+              </div>
+            </div>
+            <div className="text-xs text-gray-600 mt-2 flex flex-wrap gap-2">
+              <span>Dystans: {distanceLabel}</span>
+              <span>Maks. cena: {priceLabel}</span>
+              {packageLabel && <span>Pakiet: {packageLabel}</span>}
+              <span>Alert {alert.is_active ? "aktywny" : "wyłączony"}</span>
+              <span>Powiadomienie e-mail: {alert.send_email ? (emailOptIn ? "tak" : "czeka na zgodę") : "nie"}</span>
+            </div>
+            {created && <div className="text-xs text-gray-400 mt-1">Dodano {created}</div>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
 
-  function handleSelectEdition(item) {
-    setSelectedEdition(item);
-    setSearchValue(formatEditionLabel(item) || item.event_name || "");
-    setShowSuggestions(false);
-    setSuggestions([]);
-  }
+/**
+ * Import wielu ogłoszeń z pliku CSV/JSON z podglądem błędów i dopasowaniem edycji z katalogu.
+ * @param {{ onImport: (listings: Listing[]) => void, onOpenTerms?: () => void }} props
+ */
+function ListingImportPanel({ onImport, onOpenTerms }) {
+  const [rows, setRows] = useState(/** @type {{ listing: Listing, errors: string[], editionLabel: string }[]} */ ([]));
+  const [fileError, setFileError] = useState("");
+  const [matching, setMatching] = useState(false);
+  const [agree, setAgree] = useState(false);
+  const [fileKey, setFileKey] = useState(0);
+
+  async function matchEditions(items) {
+    const byName = new Map();
+    for (const item of items) {
+      if (item.listing.edition_id || !item.listing.raceName) continue;
+      const key = foldSearchText(item.listing.raceName);
+      if (!byName.has(key)) byName.set(key, item.listing.raceName);
+    }
+    const explicitIds = Array.from(new Set(items.map((item) => item.listing.edition_id).filter(Boolean)));
+    const candidatesByName = new Map();
+    const editionsById = new Map();
+    for (const [key, name] of byName) {
+      const { data, error } = await supabase
+        .from("event_editions_search")
+        .select("edition_id,event_name,city,country_code,year,start_date,distances")
+        .ilike("event_name", `%${name}%`)
+        .order("year", { ascending: false })
+        .limit(10);
+      if (error) throw error;
+      candidatesByName.set(key, data || []);
+    }
+    if (explicitIds.length) {
+      const { data, error } = await supabase
+        .from("event_editions_search")
+        .select("edition_id,event_name,city,country_code,year,start_date,distances")
+        .in("edition_id", explicitIds);
+      if (error) throw error;
+      for (const edition of data || []) editionsById.set(edition.edition_id, edition);
+    }
 
-  async function handleSendEmailToggle(next) {
-    if (next && !emailOptIn) {
-      const ok = await requestEmailOptIn(true);
-      if (!ok) {
-        setMessage("Nie udało się włączyć powiadomień e-mail.");
-        return;
+    return items.map((item) => {
+      const listing = { ...item.listing };
+      const errors = [...item.errors];
+      let edition = null;
+      if (listing.edition_id) {
+        edition = editionsById.get(listing.edition_id) || null;
+        if (!edition) errors.push("Nie znaleziono edycji o podanym identyfikatorze.");
+      } else if (listing.raceName) {
+        // Dopasowanie tylko przy zgodnej nazwie i roku – w razie wątpliwości ogłoszenie zostaje bez edycji
+        const key = foldSearchText(listing.raceName);
+        const year = listing.eventDate ? Number(listing.eventDate.slice(0, 4)) : null;
+        const sameName = (candidatesByName.get(key) || []).filter((candidate) => foldSearchText(candidate.event_name) === key);
+        edition = year ? sameName.find((candidate) => candidate.year === year) || null : sameName.length === 1 ? sameName[0] : null;
       }
-    }
-    setSendEmail(next);
+      if (edition) {
+        listing.edition_id = edition.edition_id;
+        listing.editionEventName = edition.event_name;
+        listing.editionYear = edition.year ?? undefined;
+        listing.editionStartDate = edition.start_date || undefined;
+        if (!listing.eventDate && edition.start_date) listing.eventDate = extractDateString(edition.start_date) || undefined;
+        if (!listing.location && edition.city) listing.location = edition.city;
+      }
+      return { listing, errors, editionLabel: edition ? formatEditionLabel(edition) : "" };
+    });
   }
 
-  async function handleSubmit(e) {
-    e.preventDefault();
-    setMessage("");
-    const trimmed = searchValue.trim();
-    if (!selectedEdition && !trimmed) {
-      setMessage("Podaj nazwę biegu lub wybierz go z listy.");
+  async function handleFile(e) {
+    const file = e.target.files?.[0];
+    setRows([]);
+    setFileError("");
+    if (!file) return;
+    let records;
+    try {
+      records = parseListingImport(await file.text(), file.name);
+    } catch (err) {
+      console.error(err);
+      setFileError("Nie udało się odczytać pliku – sprawdź, czy to poprawny CSV lub JSON.");
       return;
     }
-    const payload = {
-      mode,
-      distance: distance || null,
-      max_price: maxPrice ? Number(maxPrice.replace(",", ".")) : null,
-      send_email: sendEmail,
-      is_active: isActive,
-      event_id: selectedEdition ? selectedEdition.edition_id : null,
-      event_label: selectedEdition ? formatEditionLabel(selectedEdition) || selectedEdition.event_name || null : null,
-      query_text: selectedEdition ? null : trimmed || null,
-    };
-    if (Number.isNaN(payload.max_price)) {
-      setMessage("Podaj poprawną maksymalną cenę.");
+    if (!records.length) {
+      setFileError("Plik nie zawiera żadnych ogłoszeń.");
+      return;
+    }
+    if (records.length > LISTING_IMPORT_MAX_ROWS) {
+      setFileError(`Plik może zawierać maksymalnie ${LISTING_IMPORT_MAX_ROWS} ogłoszeń.`);
       return;
     }
+    const built = records.map((record) => ({ ...buildImportedListing(record), editionLabel: "" }));
+    setRows(built);
+    setMatching(true);
     try {
-      await onSubmit(editingAlert ? { ...payload, id: editingAlert.id } : payload);
-      if (!editingAlert) {
-        resetForm();
-        setMessage("Alert zapisany ✔");
-        setTimeout(() => setMessage(""), 2000);
-      } else {
-        setMessage("Zapisano zmiany ✔");
-        setTimeout(() => setMessage(""), 2000);
-      }
+      setRows(await matchEditions(built));
     } catch (err) {
       console.error(err);
-      setMessage(err?.message || "Nie udało się zapisać alertu.");
+      setFileError("Nie udało się dopasować edycji biegów. Ogłoszenia zostaną zaimportowane bez edycji.");
+    } finally {
+      setMatching(false);
     }
   }
 
-  const selectedEditionMeta = selectedEdition ? formatEditionMeta(selectedEdition) : "";
+  const validRows = rows.filter((row) => row.errors.length === 0);
+
+  function handleImport() {
+    if (!agree || !validRows.length || matching) return;
+    onImport(validRows.map((row) => row.listing));
+    setRows([]);
+    setAgree(false);
+    setFileKey((key) => key + 1);
+  }
 
   return (
-    <form onSubmit={handleSubmit} className="space-y-3">
-      <div className="grid grid-cols-3 gap-2">
-        <button
-          type="button"
-          className={clsx(
-            "px-3 py-2 rounded-xl border",
-            mode === "sell" ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50"
-          )}
-          onClick={() => setMode("sell")}
-        >
-          Sprzedam
-        </button>
-        <button
-          type="button"
-          className={clsx(
-            "px-3 py-2 rounded-xl border",
-            mode === "buy" ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50"
-          )}
-          onClick={() => setMode("buy")}
-        >
-          Kupię
-        </button>
-        <button
-          type="button"
-          className={clsx(
-            "px-3 py-2 rounded-xl border",
-            mode === "any" ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50"
-          )}
-          onClick={() => setMode("any")}
-        >
-          Oba typy
-        </button>
+    <div className="rounded-xl border p-3 space-y-3 text-sm">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium">Import z pliku CSV/JSON</span>
+        <input key={fileKey} type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFile} />
       </div>
-
-      <Field label="Bieg lub fraza" required>
-        <div className="relative">
-          <input
-            value={searchValue}
-            onChange={(e) => {
-              setSearchValue(e.target.value);
-              setShowSuggestions(true);
-              if (selectedEdition) {
-                setSelectedEdition(null);
-              }
-            }}
-            onFocus={() => setShowSuggestions(true)}
-            className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
-            placeholder="np. Maraton Warszawski"
-            disabled={saving}
-          />
-          {selectedEdition && (
+      <div className="text-xs text-gray-500">
+        Kolumny: {LISTING_EXPORT_COLUMNS.join(", ")}. Kilka dystansów rozdziel znakiem „|”. Plik z eksportu można
+        zaimportować ponownie – powstaną nowe ogłoszenia.
+      </div>
+      {fileError && <div className="text-xs text-rose-600">{fileError}</div>}
+      {rows.length > 0 && (
+        <>
+          <div className="overflow-x-auto">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-1 pr-2">#</th>
+                  <th className="py-1 pr-2">Bieg</th>
+                  <th className="py-1 pr-2">Typ</th>
+                  <th className="py-1 pr-2">Cena</th>
+                  <th className="py-1 pr-2">Dystanse</th>
+                  <th className="py-1 pr-2">Edycja</th>
+                  <th className="py-1">Walidacja</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row, index) => (
+                  <tr key={row.listing.id} className={clsx("border-b last:border-b-0", row.errors.length && "bg-rose-50")}>
+                    <td className="py-1 pr-2 text-gray-500">{index + 1}</td>
+                    <td className="py-1 pr-2">{row.listing.raceName || "—"}</td>
+                    <td className="py-1 pr-2">{row.listing.type === "buy" ? "Kupię" : "Sprzedam"}</td>
+                    <td className="py-1 pr-2 whitespace-nowrap">
+                      {toCurrency(row.listing.price, row.listing.currency || "PLN") || "—"}
+                    </td>
+                    <td className="py-1 pr-2">{getListingDistances(row.listing).join(", ") || "—"}</td>
+                    <td className="py-1 pr-2">{matching ? "…" : row.editionLabel || "—"}</td>
+                    <td className="py-1">
+                      {row.errors.length ? (
+                        <span className="text-rose-700">{row.errors.join(" ")}</span>
+                      ) : (
+                        <span className="text-emerald-700">OK</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <label className="flex items-center gap-2 text-xs">
+            <input type="checkbox" checked={agree} onChange={(e) => setAgree(e.target.checked)} />
+            <span>
+              Akceptuję{" "}
+              <button type="button" onClick={onOpenTerms} className="text-sky-600 underline">
+                Regulamin
+              </button>{" "}
+              dla wszystkich importowanych ogłoszeń.
+            </span>
+          </label>
+          <div className="flex flex-wrap items-center gap-2">
             <button
               type="button"
-              className="absolute right-2 top-1/2 -translate-y-1/2 text-xs text-sky-600 underline"
-              onClick={() => setSelectedEdition(null)}
+              onClick={handleImport}
+              disabled={!agree || !validRows.length || matching}
+              className="px-3 py-1.5 rounded-lg bg-neutral-900 text-white hover:opacity-90 disabled:opacity-50"
             >
-              Usuń wybór
+              {matching ? "Dopasowywanie edycji…" : `Importuj poprawne (${validRows.length})`}
             </button>
-          )}
-          {showSuggestions && (suggestions.length > 0 || isSearching || searchError) && (
-            <div className="absolute z-10 mt-1 w-full max-h-60 overflow-y-auto bg-white border rounded-xl shadow-lg text-sm">
-              {isSearching && (
-                <div className="px-3 py-2 text-gray-500">Wyszukuję…</div>
-              )}
-              {searchError && <div className="px-3 py-2 text-rose-600">{searchError}</div>}
-              {suggestions.map((item) => (
-                <button
-                  type="button"
-                  key={item.edition_id}
-                  className="w-full text-left px-3 py-2 hover:bg-neutral-100"
-                  onClick={() => handleSelectEdition(item)}
-                >
-                  <div className="font-medium">{item.event_name}</div>
-                  <div className="text-xs text-gray-500">{formatEditionMeta(item) || ""}</div>
-                </button>
-              ))}
-              {!isSearching && !suggestions.length && !searchError && (
-                <div className="px-3 py-2 text-gray-500">Brak propozycji.</div>
-              )}
-            </div>
-          )}
-        </div>
-        {selectedEditionMeta && (
-          <div className="text-xs text-gray-500 mt-1">Wybrana edycja: {selectedEditionMeta}</div>
-        )}
-      </Field>
+            {validRows.length < rows.length && (
+              <span className="text-xs text-gray-500">Wiersze z błędami zostaną pominięte.</span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
 
-      <Field label="Dystans">
-        <select
-          value={distance}
-          onChange={(e) => setDistance(e.target.value)}
-          className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
-          disabled={saving}
-        >
-          <option value="">Dowolny dystans</option>
-          {DISTANCES.map((d) => (
-            <option key={d} value={d}>
-              {d}
-            </option>
-          ))}
-        </select>
-      </Field>
+function syncStateBadgeMeta(state = "") {
+  switch (state) {
+    case "pending":
+      return { label: "Oczekuje na synchronizację", color: "bg-amber-100 text-amber-800" };
+    case "conflict":
+      return { label: "Konflikt wersji", color: "bg-rose-100 text-rose-700" };
+    case "error":
+      return { label: "Błąd synchronizacji", color: "bg-rose-100 text-rose-700" };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Wirtualizowana siatka ogłoszeń przewijana razem z oknem: renderuje tylko wiersze w pobliżu widocznego obszaru.
+ * Wysokości wierszy są mierzone po wyrenderowaniu, wcześniej używany jest szacunek.
+ * @template T
+ * @param {{ items: T[], getKey: (item: T) => string, renderItem: (item: T) => React.ReactNode, estimatedRowHeight?: number, gap?: number, overscanPx?: number }} props
+ */
+function VirtualListingGrid({ items, getKey, renderItem, estimatedRowHeight = 280, gap = 16, overscanPx = 1200 }) {
+  const containerRef = useRef(/** @type {HTMLDivElement | null} */ (null));
+  const [columns, setColumns] = useState(() =>
+    typeof window !== "undefined" && window.matchMedia?.("(min-width: 768px)").matches ? 2 : 1
+  );
+  const [viewport, setViewport] = useState({ top: 0, height: typeof window !== "undefined" ? window.innerHeight : 800 });
+  const [heights, setHeights] = useState(/** @type {Map<string, number>} */ (new Map()));
+
+  useEffect(() => {
+    if (typeof window === "undefined") return undefined;
+    const media = window.matchMedia?.("(min-width: 768px)");
+    let frame = 0;
+    const update = () => {
+      frame = 0;
+      const node = containerRef.current;
+      if (!node) return;
+      setColumns(media?.matches ? 2 : 1);
+      setViewport({ top: -node.getBoundingClientRect().top, height: window.innerHeight });
+    };
+    const schedule = () => {
+      if (!frame) frame = window.requestAnimationFrame(update);
+    };
+    update();
+    window.addEventListener("scroll", schedule, { passive: true });
+    window.addEventListener("resize", schedule);
+    return () => {
+      if (frame) window.cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", schedule);
+      window.removeEventListener("resize", schedule);
+    };
+  }, []);
+
+  const rows = useMemo(() => {
+    const result = [];
+    for (let i = 0; i < items.length; i += columns) {
+      result.push(items.slice(i, i + columns));
+    }
+    return result;
+  }, [items, columns]);
+
+  // Wysokość wiersza zapamiętujemy pod kluczami jego kart – przetrwa zmianę filtrów i dopisanie kolejnych stron
+  const offsets = useMemo(() => {
+    const result = [0];
+    for (const row of rows) {
+      const rowHeight = Math.max(...row.map((item) => heights.get(getKey(item)) ?? estimatedRowHeight));
+      result.push(result[result.length - 1] + rowHeight + gap);
+    }
+    return result;
+  }, [rows, heights, getKey, estimatedRowHeight, gap]);
+
+  let start = 0;
+  while (start < rows.length - 1 && offsets[start + 1] < viewport.top - overscanPx) start += 1;
+  let end = start;
+  while (end < rows.length - 1 && offsets[end + 1] < viewport.top + viewport.height + overscanPx) end += 1;
+  const totalHeight = rows.length ? offsets[rows.length] - gap : 0;
+  const paddingTop = rows.length ? offsets[start] : 0;
+  const paddingBottom = rows.length ? Math.max(0, totalHeight - (offsets[end + 1] - gap)) : 0;
+
+  // Zmiana filtrów może przesunąć siatkę na stronie bez przewijania okna
+  useLayoutEffect(() => {
+    const node = containerRef.current;
+    if (!node) return;
+    const top = -node.getBoundingClientRect().top;
+    setViewport((prev) => (Math.abs(prev.top - top) < 1 ? prev : { top, height: window.innerHeight }));
+  }, [rows]);
+
+  useLayoutEffect(() => {
+    const node = containerRef.current;
+    if (!node || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver((entries) => {
+      setHeights((prev) => {
+        let next = prev;
+        for (const entry of entries) {
+          const height = Math.round(entry.target.getBoundingClientRect().height);
+          for (const key of String(entry.target.getAttribute("data-keys") || "").split(" ")) {
+            if (!key || next.get(key) === height) continue;
+            if (next === prev) next = new Map(prev);
+            next.set(key, height);
+          }
+        }
+        return next;
+      });
+    });
+    node.querySelectorAll("[data-keys]").forEach((row) => observer.observe(row));
+    return () => observer.disconnect();
+  }, [rows, start, end]);
+
+  return (
+    <div ref={containerRef} style={{ paddingTop, paddingBottom }}>
+      <div className="flex flex-col" style={{ gap }}>
+        {rows.slice(start, end + 1).map((row) => (
+          <div
+            key={row.map(getKey).join(" ")}
+            data-keys={row.map(getKey).join(" ")}
+            className="grid grid-cols-1 md:grid-cols-2"
+            style={{ gap }}
+          >
+            {row.map((item) => (
+              <React.Fragment key={getKey(item)}>{renderItem(item)}</React.Fragment>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/** @param {{ attachment: NonNullable<Listing["attachments"]>[number], className?: string }} props */
+function AttachmentThumb({ attachment, className = "w-16 h-16" }) {
+  if (attachment.type === "application/pdf") {
+    return (
+      <div
+        className={clsx(className, "rounded-lg border bg-neutral-50 grid place-items-center text-xs font-semibold text-rose-700")}
+        title={attachment.name}
+      >
+        PDF
+      </div>
+    );
+  }
+  return (
+    <img
+      src={attachmentUrl(attachment.thumbPath || attachment.path)}
+      alt={attachment.name}
+      loading="lazy"
+      className={clsx(className, "rounded-lg border object-cover bg-neutral-100")}
+    />
+  );
+}
+
+/** @param {{ listing: Listing }} props */
+function PackageContentsChips({ listing }) {
+  const chips = packageContentsChips(listingPackageContents(listing));
+  if (!chips.length) return null;
+  return (
+    <div className="flex flex-wrap gap-1.5 mb-3" aria-label="Zawartość pakietu">
+      {chips.map((chip) => (
+        <span key={chip} className="rounded-full bg-neutral-100 px-2 py-0.5 text-xs text-neutral-700">
+          {chip}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+/** @param {{ listing: Listing, onMarkSold?: (listing: Listing, itemId: string) => void }} props */
+function BundleItemsList({ listing, onMarkSold }) {
+  const items = listingBundleItems(listing);
+  const together = listing.bundle?.sellMode === "together";
+  return (
+    <div className="mb-3 rounded-xl border px-3 py-2 text-sm">
+      <div className="text-xs text-gray-500 mb-1">
+        {items.length} {items.length < 5 ? "pakiety" : "pakietów"} · {together ? "sprzedaż tylko w całości" : "można kupić pojedynczo"}
+      </div>
+      <ul className="space-y-1">
+        {items.map((item, index) => (
+          <li key={item.id} className={clsx("flex flex-wrap items-center gap-2", item.sold && "text-gray-400")}>
+            <span className="text-xs text-gray-500">{index + 1}.</span>
+            <span className={clsx(item.sold && "line-through")}>{item.distance}</span>
+            {item.bib && <span className="text-xs text-gray-500">BIB {maskBib(item.bib)}</span>}
+            <span className="font-medium">{toCurrency(Number(item.price), listing.currency || "PLN")}</span>
+            {item.sold && <span className="text-xs">sprzedany</span>}
+            {onMarkSold && !together && !item.sold && (
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onMarkSold(listing, item.id);
+                }}
+                className="ml-auto text-xs px-2 py-1 rounded-lg border bg-white hover:bg-neutral-50"
+              >
+                Sprzedany
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
 
-      <Field label="Maksymalna cena">
-        <input
-          value={maxPrice}
-          onChange={(e) => setMaxPrice(e.target.value.replace(",", "."))}
-          inputMode="decimal"
-          placeholder="np. 250"
-          className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
-          disabled={saving}
-        />
-      </Field>
+/** @param {{ editionId: number, distances: string[], fees: EditionFee[], currentUserId?: string, onSaved: () => void }} props */
+function EditionFeesEditor({ editionId, distances, fees, currentUserId, onSaved }) {
+  const rows = sanitizeDistances([...distances, ...fees.map((item) => item.distance)]);
+  const [values, setValues] = useState(/** @type {Record<string, string>} */({}));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState("");
 
-      <div className="flex items-center gap-2 text-sm">
-        <label className="flex items-center gap-2">
+  useEffect(() => {
+    const next = {};
+    for (const item of fees) next[item.distance.trim().toLowerCase()] = String(item.fee);
+    setValues(next);
+  }, [fees]);
+
+  async function save() {
+    setSaving(true);
+    setMessage("");
+    try {
+      const upserts = [];
+      const removals = [];
+      for (const distance of rows) {
+        const key = distance.toLowerCase();
+        const raw = (values[key] || "").trim();
+        const existing = editionFeeFor(fees, distance);
+        if (!raw) {
+          if (existing) removals.push(existing.id);
+          continue;
+        }
+        const fee = Number(raw.replace(",", "."));
+        if (!(fee > 0)) throw new Error(`Niepoprawna opłata dla dystansu ${distance}.`);
+        if (existing && existing.fee === fee) continue;
+        upserts.push({
+          edition_id: editionId,
+          distance: existing?.distance || distance,
+          fee,
+          currency: "PLN",
+          source: "manual",
+          updated_at: new Date().toISOString(),
+          updated_by: currentUserId || null,
+        });
+      }
+      if (upserts.length) {
+        const { error } = await supabase.from("edition_fees").upsert(upserts, { onConflict: "edition_id,distance_key" });
+        if (error) throw error;
+      }
+      if (removals.length) {
+        const { error } = await supabase.from("edition_fees").delete().in("id", removals);
+        if (error) throw error;
+      }
+      setMessage("Zapisano ✔");
+      onSaved();
+    } catch (err) {
+      console.error(err);
+      setMessage(err?.message || "Nie udało się zapisać opłat.");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="mt-2 space-y-2">
+      {rows.map((distance) => (
+        <label key={distance} className="flex items-center gap-2 text-xs">
+          <span className="w-28 text-gray-600">{distance}</span>
           <input
-            type="checkbox"
-            checked={sendEmail}
-            onChange={(e) => {
-              const next = e.target.checked;
-              handleSendEmailToggle(next);
-            }}
-            disabled={saving}
+            inputMode="decimal"
+            value={values[distance.toLowerCase()] || ""}
+            onChange={(e) => setValues((prev) => ({ ...prev, [distance.toLowerCase()]: e.target.value }))}
+            className="w-24 px-2 py-1 rounded-lg border"
+            placeholder="PLN"
           />
-          <span>Powiadom mnie e-mailem</span>
         </label>
-        {!emailOptIn && (
-          <span className="text-xs text-gray-500">
-            Wymaga zgody w profilu.
-          </span>
-        )}
-      </div>
-
-      <label className="flex items-center gap-2 text-sm">
-        <input
-          type="checkbox"
-          checked={isActive}
-          onChange={(e) => setIsActive(e.target.checked)}
-          disabled={saving}
-        />
-        <span>Alert aktywny</span>
-      </label>
-
-      <div className="flex items-center gap-3">
+      ))}
+      <div className="flex items-center gap-2">
         <button
-          type="submit"
-          className="px-4 py-2 rounded-xl bg-neutral-900 text-white disabled:opacity-50"
+          type="button"
+          onClick={save}
           disabled={saving}
+          className="text-xs px-3 py-1.5 rounded-lg bg-neutral-900 text-white disabled:opacity-50"
         >
-          {editingAlert ? "Zapisz alert" : "Dodaj alert"}
+          {saving ? "Zapisuję…" : "Zapisz opłaty"}
         </button>
-        {editingAlert && (
-          <button
-            type="button"
-            className="px-4 py-2 rounded-xl border bg-white hover:bg-neutral-50"
-            onClick={() => {
-              onCancelEdit();
-              resetForm();
-            }}
-            disabled={saving}
-          >
-            Anuluj edycję
-          </button>
-        )}
-        {message && <span className="text-sm text-gray-600">{message}</span>}
+        {message && <span className="text-xs text-gray-600">{message}</span>}
       </div>
-    </form>
+    </div>
   );
 }
 
-/**
- * @param {{
- *  alerts: Alert[],
- *  loading: boolean,
- *  onToggle: (alert: Alert, next: boolean) => Promise<void> | void,
- *  onDelete: (alert: Alert) => Promise<void> | void,
- *  onEdit: (alert: Alert) => void,
- *  emailOptIn: boolean,
- * }} props
- */
-function AlertsList({ alerts, loading, onToggle, onDelete, onEdit, emailOptIn }) {
-  if (loading) {
-    return <div className="text-sm text-gray-500">Ładuję alerty…</div>;
-  }
-  if (!alerts.length) {
-    return <div className="text-sm text-gray-600">Nie masz jeszcze alertów. Dodaj pierwszy, aby otrzymywać powiadomienia.</div>;
-  }
+/** @param {{ attachments: NonNullable<Listing["attachments"]> }} props */
+function AttachmentGallery({ attachments }) {
+  const images = attachments.filter((item) => item.type !== "application/pdf");
+  const documents = attachments.filter((item) => item.type === "application/pdf");
+  const [openIndex, setOpenIndex] = useState(/** @type {number | null} */(null));
+  const current = openIndex == null ? null : images[openIndex];
+
+  useEffect(() => {
+    if (openIndex == null) return undefined;
+    function onKey(e) {
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        setOpenIndex(null);
+      } else if (e.key === "ArrowRight") {
+        setOpenIndex((index) => (index == null ? index : (index + 1) % images.length));
+      } else if (e.key === "ArrowLeft") {
+        setOpenIndex((index) => (index == null ? index : (index - 1 + images.length) % images.length));
+      }
+    }
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [openIndex, images.length]);
 
   return (
-    <div className="space-y-3">
-      {alerts.map((alert) => {
-        const created = formatRelativeTime(alert.created_at);
-        const distanceLabel = alert.distance || "Dowolny dystans";
-        const priceLabel = alert.max_price ? `≤ ${toPLN(alert.max_price)}` : "Dowolna kwota";
-        const targetLabel = alert.event_label || alert.query_text || "Dowolna fraza";
-        return (
-          <div key={alert.id} className="border rounded-2xl p-4 bg-white">
-            <div className="flex items-center justify-between gap-3 flex-wrap">
-              <div className="flex items-center gap-2 flex-wrap">
-                <Badge color="bg-sky-50 text-sky-700">{alertModeLabel(alert.mode)}</Badge>
-                <span className="font-semibold text-sm">{targetLabel}</span>
-                {alert.event_id && <span className="text-xs text-gray-500">ID edycji: {alert.event_id}</span>}
-              </div>
-              <div className="flex items-center gap-2">
-                <button
-                  type="button"
-                  onClick={() => onToggle(alert, !alert.is_active)}
-                  className={clsx(
-                    "px-3 py-1.5 rounded-xl border text-sm",
-                    alert.is_active ? "bg-white hover:bg-neutral-50" : "bg-neutral-900 text-white"
-                  )}
-                >
-                  {alert.is_active ? "Wyłącz" : "Włącz"}
-                </button>
-                <button
-                  type="button"
-                  onClick={() => onEdit(alert)}
-                  className="px-3 py-1.5 rounded-xl border text-sm bg-white hover:bg-neutral-50"
-                >
-                  Edytuj
-                </button>
-                <button
-                  type="button"
-                  onClick={() => onDelete(alert)}
-                  className="px-3 py-1.5 rounded-xl bg-rose-50 text-rose-700 hover:bg-rose-100 text-sm"
-                >
-                  Usuń
-                </button>
-              </div>
-            </div>
-            <div className="text-xs text-gray-600 mt-2 flex flex-wrap gap-2">
-              <span>Dystans: {distanceLabel}</span>
-              <span>Maks. cena: {priceLabel}</span>
-              <span>Alert {alert.is_active ? "aktywny" : "wyłączony"}</span>
-              <span>Powiadomienie e-mail: {alert.send_email ? (emailOptIn ? "tak" : "czeka na zgodę") : "nie"}</span>
-            </div>
-            {created && <div className="text-xs text-gray-400 mt-1">Dodano {created}</div>}
+    <div className="mb-4">
+      {images.length > 0 && (
+        <div className="grid grid-cols-3 gap-2 mb-2">
+          {images.map((item, index) => (
+            <button key={item.path} type="button" onClick={() => setOpenIndex(index)} className="focus:outline-none focus:ring rounded-lg">
+              <AttachmentThumb attachment={item} className="w-full aspect-square" />
+            </button>
+          ))}
+        </div>
+      )}
+      {documents.length > 0 && (
+        <ul className="space-y-1">
+          {documents.map((item) => (
+            <li key={item.path}>
+              <a href={attachmentUrl(item.path)} target="_blank" rel="noreferrer" className="text-sm text-sky-600 underline">
+                📄 {item.name}
+              </a>
+            </li>
+          ))}
+        </ul>
+      )}
+      {current && (
+        <div
+          className="fixed inset-0 z-[60] bg-black/80 flex items-center justify-center p-4"
+          onClick={() => setOpenIndex(null)}
+        >
+          <img
+            src={attachmentUrl(current.path)}
+            alt={current.name}
+            className="max-h-[85vh] max-w-full rounded-lg"
+            onClick={(e) => e.stopPropagation()}
+          />
+          <button
+            type="button"
+            className="absolute top-4 right-4 px-3 py-1.5 rounded-lg bg-white/90 text-sm"
+            onClick={() => setOpenIndex(null)}
+          >
+            Zamknij
+          </button>
+          {images.length > 1 && (
+            <>
+              <button
+                type="button"
+                className="absolute left-4 px-3 py-2 rounded-lg bg-white/90"
+                aria-label="Poprzednie zdjęcie"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setOpenIndex((openIndex - 1 + images.length) % images.length);
+                }}
+              >
+                ‹
+              </button>
+              <button
+                type="button"
+                className="absolute right-4 px-3 py-2 rounded-lg bg-white/90"
+                aria-label="Następne zdjęcie"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setOpenIndex((openIndex + 1) % images.length);
+                }}
+              >
+                ›
+              </button>
+            </>
+          )}
+          <div className="absolute bottom-4 text-xs text-white/80">
+            {openIndex + 1} / {images.length}
           </div>
-        );
-      })}
+        </div>
+      )}
     </div>
   );
 }
 
-/** @param {{ listing: Listing, onDelete: (id:string)=>void, onOpen: (listing: Listing)=>void, onMessage: (listing: Listing)=>void, currentUserId?: string, onEdit?: (listing: Listing)=>void, viewerDisplayName?: string }} props */
-function ListingCard({ listing, onDelete, onOpen, onMessage, currentUserId, onEdit, viewerDisplayName }) {
+/** @param {{ text?: string, tokens?: string[] }} props */
+function HighlightedText({ text = "", tokens = [] }) {
+  if (!text || !tokens.length) return text;
+  return String(text)
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part, index) => {
+      const folded = foldSearchText(part);
+      const isMatch = index % 2 === 1 && tokens.some((token) => folded.startsWith(token));
+      return isMatch ? (
+        <mark key={index} className="bg-amber-100 text-inherit rounded px-0.5">
+          {part}
+        </mark>
+      ) : (
+        part
+      );
+    });
+}
+
+/** @param {{ listing: Listing, onDelete: (id:string)=>void, onOpen: (listing: Listing)=>void, onMessage: (listing: Listing)=>void, currentUserId?: string, onEdit?: (listing: Listing)=>void, onDuplicate?: (listing: Listing)=>void, onSellBundleItem?: (listing: Listing, itemId: string)=>void, viewerDisplayName?: string, syncState?: OutboxEntry["status"], onResolveSync?: (listing: Listing, action: "retry" | "discard")=>void, onChangeStatus?: (listing: Listing, status: ListingStatus)=>void, isFavorite?: boolean, onToggleFavorite?: (listing: Listing)=>void, highlightTokens?: string[], showPricePerKm?: boolean, displayCurrency?: string, exchangeRates?: import("./lib/currency").ExchangeRates | null, onReport?: (listing: Listing)=>void }} props */
+function ListingCard({ listing, onDelete, onOpen, onMessage, currentUserId, onEdit, onDuplicate, onSellBundleItem, viewerDisplayName, syncState, onResolveSync, onChangeStatus, isFavorite, onToggleFavorite, highlightTokens = [], showPricePerKm = false, displayCurrency = BASE_CURRENCY, exchangeRates = null, onReport }) {
   const isSell = listing.type === "sell";
+  const status = getListingStatus(listing);
+  const statusMeta = listingStatusMeta(status);
+  const isInactive = status !== "active";
   const distances = getListingDistances(listing);
   const primaryDistance = distances[0] || "—";
   const extraDistanceCount = primaryDistance === "—" ? 0 : Math.max(0, distances.length - 1);
   const hasAdditionalDistances = extraDistanceCount > 0;
   const ownerId = getListingOwnerId(listing);
-  const canMessage = !!ownerId && ownerId !== currentUserId;
+  const canMessage = !!ownerId && ownerId !== currentUserId && (status === "active" || status === "reserved");
   const canManage = !!currentUserId && !!ownerId && ownerId === currentUserId;
   const hasTransferFee = typeof listing.transferFee === "number" && Number.isFinite(listing.transferFee);
   const transferFeeLabel = hasTransferFee
@@ -1840,6 +4113,16 @@ function ListingCard({ listing, onDelete, onOpen, onMessage, currentUserId, onEd
   const priceValue = Number(listing.price);
   const hasPrice = Number.isFinite(priceValue);
   const priceLabel = hasPrice ? toCurrency(priceValue, listing.currency || "PLN") : "";
+  const convertedLabel = hasPrice ? convertedPriceLabel(listing, priceValue, displayCurrency, exchangeRates) : "";
+  // Sortowanie „za km” porównuje kwoty w walucie oglądającego; bez kursu pokazujemy walutę ogłoszenia
+  const convertedPricePerKm = exchangeRates
+    ? listingPricePerKm(listing, { currency: displayCurrency, rates: exchangeRates })
+    : null;
+  const pricePerKm = convertedPricePerKm ?? listingPricePerKm(listing);
+  const pricePerKmCurrency = convertedPricePerKm != null ? displayCurrency : listing.currency || "PLN";
+  const attachments = Array.isArray(listing.attachments) ? listing.attachments : [];
+  const bundleItems = listingBundleItems(listing);
+  const bundlePricePrefix = bundleItems.length ? (listing.bundle?.sellMode === "together" ? "razem " : "od ") : "";
   let listingProofCheckedLabel = "";
   if (listing.proof_checked_at) {
     const parsed = new Date(listing.proof_checked_at);
@@ -1849,10 +4132,14 @@ function ListingCard({ listing, onDelete, onOpen, onMessage, currentUserId, onEd
   }
   const authorLabel =
     listing.author_display_name || (ownerId && ownerId === currentUserId ? viewerDisplayName : "");
+  const syncBadge = syncStateBadgeMeta(syncState);
   return (
     <div
       id={listing.id}
-      className="rounded-2xl border p-4 hover:shadow-sm transition bg-white cursor-pointer"
+      className={clsx(
+        "rounded-2xl border p-4 hover:shadow-sm transition bg-white cursor-pointer",
+        isInactive && "opacity-60"
+      )}
       onClick={() => onOpen(listing)}
       tabIndex={0}
       onKeyDown={(e) => (e.key === "Enter" || e.key === " ") && onOpen(listing)}
@@ -1863,17 +4150,30 @@ function ListingCard({ listing, onDelete, onOpen, onMessage, currentUserId, onEd
             <Badge color={isSell ? "bg-emerald-100 text-emerald-800" : "bg-sky-100 text-sky-800"}>{
               isSell ? "SPRZEDAM" : "KUPIĘ"
             }</Badge>
+            {bundleItems.length > 0 && (
+              <Badge color="bg-violet-100 text-violet-800">ZBIORCZE × {bundleItems.length}</Badge>
+            )}
+            {status !== "active" && <Badge color={statusMeta.color}>{statusMeta.label}</Badge>}
+            {listing.hiddenAt && <Badge color="bg-rose-100 text-rose-800">UKRYTE – MODERACJA</Badge>}
+            {syncBadge && <Badge color={syncBadge.color}>{syncBadge.label}</Badge>}
             {listing.edition_id && (
               <span>
                 {(listing.editionEventName || listing.raceName) + (listing.editionYear ? ` — ${listing.editionYear}` : "")}
               </span>
             )}
           </div>
-          <h3 className="text-lg font-semibold leading-tight truncate">{listing.raceName}</h3>
+          <h3 className="text-lg font-semibold leading-tight truncate">
+            <HighlightedText text={listing.raceName} tokens={highlightTokens} />
+          </h3>
         </div>
         {hasPrice && (
           <div className="shrink-0 text-right">
+            {bundlePricePrefix && <span className="text-xs text-gray-500">{bundlePricePrefix}</span>}
             <span className="text-xl font-bold">{priceLabel}</span>
+            {convertedLabel && <div className="text-xs text-gray-500">{convertedLabel}</div>}
+            {showPricePerKm && pricePerKm !== null && (
+              <div className="text-xs text-gray-500">{toCurrency(pricePerKm, pricePerKmCurrency)}/km</div>
+            )}
           </div>
         )}
       </div>
@@ -1886,7 +4186,7 @@ function ListingCard({ listing, onDelete, onOpen, onMessage, currentUserId, onEd
         </div>
         <div>
           <span className="block text-gray-500">Lokalizacja</span>
-          <span>{listing.location || "—"}</span>
+          <span>{listing.location ? <HighlightedText text={listing.location} tokens={highlightTokens} /> : "—"}</span>
         </div>
         <div>
           <span className="block text-gray-500">Dystans</span>
@@ -1925,8 +4225,53 @@ function ListingCard({ listing, onDelete, onOpen, onMessage, currentUserId, onEd
           )}
         </div>
       )}
+      {bundleItems.length > 0 && (
+        <BundleItemsList listing={listing} onMarkSold={canManage && status !== "sold" ? onSellBundleItem : undefined} />
+      )}
+      <PackageContentsChips listing={listing} />
       {listing.description && (
-        <p className="text-sm text-gray-800 mb-3">{listing.description}</p>
+        <p className="text-sm text-gray-800 mb-3">
+          <HighlightedText text={listing.description} tokens={highlightTokens} />
+        </p>
+      )}
+      {attachments.length > 0 && (
+        <div className="flex items-center gap-2 mb-3">
+          {attachments.slice(0, 3).map((item) => (
+            <AttachmentThumb key={item.path} attachment={item} className="w-14 h-14" />
+          ))}
+          {attachments.length > 3 && <span className="text-xs text-gray-500">+{attachments.length - 3}</span>}
+        </div>
+      )}
+      {canManage && (syncState === "conflict" || syncState === "error") && (
+        <div className="mb-3 rounded-xl border border-rose-200 bg-rose-50 px-3 py-2 text-xs text-rose-700 space-y-2">
+          <div>
+            {syncState === "conflict"
+              ? "Ogłoszenie zmieniło się na serwerze od czasu Twojej edycji."
+              : "Nie udało się zapisać zmian na serwerze."}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                onResolveSync?.(listing, "retry");
+              }}
+              className="px-2 py-1 rounded-lg bg-white border hover:bg-neutral-50"
+            >
+              {syncState === "conflict" ? "Zachowaj moją wersję" : "Spróbuj ponownie"}
+            </button>
+            <button
+              type="button"
+              onClick={(e) => {
+                e.stopPropagation();
+                onResolveSync?.(listing, "discard");
+              }}
+              className="px-2 py-1 rounded-lg bg-white border hover:bg-neutral-50"
+            >
+              {syncState === "conflict" ? "Użyj wersji z serwera" : "Odrzuć zmiany"}
+            </button>
+          </div>
+        </div>
       )}
       <div className="text-xs text-gray-500 mb-3 space-y-1">
         <div>Dodano: {new Date(listing.createdAt).toLocaleString("pl-PL")}</div>
@@ -1943,6 +4288,22 @@ function ListingCard({ listing, onDelete, onOpen, onMessage, currentUserId, onEd
           >
             Kopiuj link
           </button>
+          {onToggleFavorite && !canManage && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onToggleFavorite(listing);
+              }}
+              aria-pressed={!!isFavorite}
+              title={isFavorite ? "Przestań obserwować" : "Powiadomimy Cię o obniżce ceny"}
+              className={clsx(
+                "text-sm px-3 py-1.5 rounded-lg",
+                isFavorite ? "bg-amber-100 text-amber-800 hover:bg-amber-200" : "bg-neutral-100 hover:bg-neutral-200"
+              )}
+            >
+              {isFavorite ? "★ Obserwujesz" : "☆ Obserwuj"}
+            </button>
+          )}
           {canMessage && (
             <button
               onClick={(e) => {
@@ -1954,9 +4315,33 @@ function ListingCard({ listing, onDelete, onOpen, onMessage, currentUserId, onEd
               Napisz wiadomość
             </button>
           )}
+          {onReport && !!ownerId && !canManage && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onReport(listing);
+              }}
+              title="Zgłoś naruszenie regulaminu"
+              className="text-sm px-3 py-1.5 rounded-lg text-gray-500 hover:bg-rose-50 hover:text-rose-700"
+            >
+              Zgłoś
+            </button>
+          )}
         </div>
         {canManage && (
-          <div className="flex items-center gap-2">
+          <div className="flex flex-wrap items-center gap-2">
+            {LISTING_STATUS_TRANSITIONS[status].map((nextStatus) => (
+              <button
+                key={nextStatus}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onChangeStatus?.(listing, nextStatus);
+                }}
+                className="text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-neutral-50"
+              >
+                {listingStatusActionLabel(status, nextStatus, listing.type)}
+              </button>
+            ))}
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -1966,6 +4351,18 @@ function ListingCard({ listing, onDelete, onOpen, onMessage, currentUserId, onEd
             >
               Edytuj
             </button>
+            {onDuplicate && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDuplicate(listing);
+                }}
+                title="Utwórz nowe ogłoszenie na podstawie tego, np. na kolejną edycję biegu"
+                className="text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-neutral-50"
+              >
+                Duplikuj
+              </button>
+            )}
             <button
               onClick={(e) => {
                 e.stopPropagation();
@@ -2005,6 +4402,10 @@ function Terms() {
           Administrator serwisu może usuwać ogłoszenia lub blokować konta w przypadku naruszenia niniejszych postanowień
           bądź prawa powszechnie obowiązującego.
         </li>
+        <li>
+          Naruszenia możesz zgłosić przyciskiem „Zgłoś” przy ogłoszeniu lub w rozmowie. Ogłoszenie zgłoszone przez kilka osób
+          jest ukrywane do czasu weryfikacji przez administratora.
+        </li>
       </ol>
       <p className="text-xs text-gray-500">
         Regulamin ma charakter informacyjny i może zostać zaktualizowany. Korzystanie z serwisu oznacza akceptację jego
@@ -2014,11 +4415,81 @@ function Terms() {
   );
 }
 
-function DetailModal({ listing, onClose, onMessage, currentUserId, viewerDisplayName }) {
+function DetailModal({ listing, onClose, onMessage, currentUserId, viewerDisplayName, isAdmin = false, displayCurrency = BASE_CURRENCY, exchangeRates = null, onReport }) {
+  const [history, setHistory] = useState(/** @type {ListingHistoryEntry[]} */([]));
+  const [historyError, setHistoryError] = useState("");
+  const [firstContactAt, setFirstContactAt] = useState(/** @type {string | null} */(null));
+  const listingId = listing?.id;
+  const listingUpdatedAt = listing?.updatedAt;
+  const priceStats = usePriceStats(
+    listing?.type === "sell" && !isBundleListing(listing) && (listing.currency || BASE_CURRENCY) === BASE_CURRENCY
+      ? listing.edition_id
+      : null,
+    listing ? getListingDistances(listing)[0] || "" : ""
+  );
+  const editionFees = useEditionFees(listing?.edition_id);
+  const [feesEditorOpen, setFeesEditorOpen] = useState(false);
+
+  useEffect(() => {
+    setFeesEditorOpen(false);
+  }, [listingId]);
+
+  useEffect(() => {
+    setHistory([]);
+    setHistoryError("");
+    setFirstContactAt(null);
+    if (!listingId) return undefined;
+    let cancelled = false;
+    (async () => {
+      const [historyRes, contactRes] = await Promise.all([
+        supabase
+          .from("listing_history")
+          .select("id, listing_id, version, changed_at, changed_by, changes")
+          .eq("listing_id", listingId)
+          .order("version", { ascending: false }),
+        currentUserId
+          ? supabase
+              .from("messages")
+              .select("created_at")
+              .eq("listing_id", listingId)
+              .eq("from_user", currentUserId)
+              .order("created_at", { ascending: true })
+              .limit(1)
+          : Promise.resolve({ data: [], error: null }),
+      ]);
+      if (cancelled) return;
+      if (historyRes.error) {
+        console.error(historyRes.error);
+        setHistoryError("Nie udało się pobrać historii zmian.");
+      } else {
+        setHistory(historyRes.data || []);
+      }
+      if (!contactRes.error) {
+        setFirstContactAt(contactRes.data?.[0]?.created_at || null);
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [listingId, listingUpdatedAt, currentUserId]);
+
   if (!listing) return null;
   const isSell = listing.type === "sell";
+  const status = getListingStatus(listing);
+  const statusMeta = listingStatusMeta(status);
   const ownerId = getListingOwnerId(listing);
-  const canMessage = !!ownerId && ownerId !== currentUserId;
+  const canMessage = !!ownerId && ownerId !== currentUserId && (status === "active" || status === "reserved");
+  const statusTimeline = [
+    { label: "Opublikowano", value: listing.publishedAt },
+    { label: "Zarezerwowano", value: listing.reservedAt },
+    { label: status === "sold" && listing.type === "buy" ? "Kupiono" : "Sprzedano", value: listing.soldAt },
+    { label: "Wycofano", value: listing.withdrawnAt },
+  ]
+    .map((item) => {
+      const parsed = item.value ? new Date(item.value) : null;
+      return parsed && !Number.isNaN(parsed.getTime()) ? `${item.label}: ${parsed.toLocaleString("pl-PL")}` : "";
+    })
+    .filter(Boolean);
   const hasTransferFee = typeof listing.transferFee === "number" && Number.isFinite(listing.transferFee);
   const transferFeeLabel = hasTransferFee
     ? toCurrency(listing.transferFee, listing.transferFeeCurrency || "PLN")
@@ -2033,6 +4504,7 @@ function DetailModal({ listing, onClose, onMessage, currentUserId, viewerDisplay
   const priceValue = Number(listing.price);
   const hasPrice = Number.isFinite(priceValue);
   const priceLabel = hasPrice ? toCurrency(priceValue, listing.currency || "PLN") : "";
+  const convertedLabel = hasPrice ? convertedPriceLabel(listing, priceValue, displayCurrency, exchangeRates) : "";
   const createdAtLabel = new Date(listing.createdAt).toLocaleString("pl-PL");
   let listingProofCheckedLabel = "";
   if (listing.proof_checked_at) {
@@ -2043,194 +4515,1102 @@ function DetailModal({ listing, onClose, onMessage, currentUserId, viewerDisplay
   }
   const authorLabel =
     listing.author_display_name || (ownerId && ownerId === currentUserId ? viewerDisplayName : "");
+  const firstContactTs = firstContactAt ? new Date(firstContactAt).getTime() : NaN;
+  const historyItems = history
+    .map((entry) => {
+      const changes = entry.changes && typeof entry.changes === "object" ? entry.changes : {};
+      const rows = LISTING_HISTORY_FIELDS.filter((field) => field.key in changes).map((field) => {
+        const change = changes[field.key] || {};
+        const from = Number(change.from);
+        const to = Number(change.to);
+        let trend = "";
+        if (field.key === "price" && Number.isFinite(from) && Number.isFinite(to) && from !== to) {
+          trend = to > from ? "up" : "down";
+        }
+        return {
+          key: field.key,
+          label: field.label,
+          from: formatListingHistoryValue(field.key, change.from, listing),
+          to: formatListingHistoryValue(field.key, change.to, listing),
+          trend,
+        };
+      });
+      const changedAt = new Date(entry.changed_at);
+      return {
+        id: entry.id,
+        version: entry.version,
+        changedAtLabel: Number.isNaN(changedAt.getTime()) ? "" : changedAt.toLocaleString("pl-PL"),
+        afterContact: Number.isFinite(firstContactTs) && changedAt.getTime() > firstContactTs,
+        rows,
+      };
+    })
+    .filter((item) => item.rows.length > 0);
   return (
     <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center" onClick={onClose}>
-      <div className="bg-white rounded-2xl w-[min(92vw,700px)] p-5 shadow-xl" onClick={(e) => e.stopPropagation()}>
+      <div
+        className="bg-white rounded-2xl w-[min(92vw,700px)] max-h-[90vh] overflow-y-auto p-5 shadow-xl"
+        onClick={(e) => e.stopPropagation()}
+      >
         <div className="flex items-start justify-between gap-3 mb-3">
           <div className="flex items-center gap-2">
             <span className={"px-2 py-0.5 rounded-full text-xs font-medium " + (isSell ? "bg-emerald-100 text-emerald-800" : "bg-sky-100 text-sky-800")}>
               {isSell ? "SPRZEDAM" : "KUPIĘ"}
             </span>
+            <Badge color={statusMeta.color}>{statusMeta.label}</Badge>
+            {listing.hiddenAt && <Badge color="bg-rose-100 text-rose-800">UKRYTE – MODERACJA</Badge>}
             <h3 className="text-xl font-semibold">{listing.raceName}</h3>
           </div>
           <button className="px-2 py-1 rounded-lg bg-neutral-100 hover:bg-neutral-200" onClick={onClose}>
             Zamknij
           </button>
         </div>
-        {hasPrice && (
-          <div className="mb-3">
-            <div className="text-2xl font-semibold">{priceLabel}</div>
-          </div>
-        )}
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm text-gray-700 mb-3">
-          <div>
-            <div className="text-gray-500">Data</div>
-            <div className="whitespace-nowrap tabular-nums">
-              {noWrapDate(listing.eventDate)}
-            </div>
-          </div>
-          <div>
-            <div className="text-gray-500">Lokalizacja</div>
-            <div>{listing.location || "—"}</div>
+        {hasPrice && (
+          <div className="mb-3">
+            <div className="text-2xl font-semibold">{priceLabel}</div>
+            {convertedLabel && (
+              <div className="text-sm text-gray-500">
+                {convertedLabel}
+                {exchangeRates?.asOf && ` (kurs z ${exchangeRates.asOf})`}
+              </div>
+            )}
+          </div>
+        )}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm text-gray-700 mb-3">
+          <div>
+            <div className="text-gray-500">Data</div>
+            <div className="whitespace-nowrap tabular-nums">
+              {noWrapDate(listing.eventDate)}
+            </div>
+          </div>
+          <div>
+            <div className="text-gray-500">Lokalizacja</div>
+            <div>{listing.location || "—"}</div>
+          </div>
+          {hasDistances && (
+            <div className="col-span-2 md:col-span-4">
+              <div className="text-gray-500">Dystanse</div>
+              <div className="flex flex-wrap gap-2 mt-1">
+                {distances.map((value) => (
+                  <Badge key={value}>{value}</Badge>
+                ))}
+              </div>
+            </div>
+          )}
+          {hasTransferFee && (
+            <div>
+              <div className="text-gray-500">Opłata</div>
+              <div>{transferFeeLabel}</div>
+            </div>
+          )}
+          {listing.transferDeadline && (
+            <div>
+              <div className="text-gray-500">Zmiana możliwa do</div>
+              <span className="whitespace-nowrap tabular-nums">{listing.transferDeadline}</span>
+            </div>
+          )}
+        </div>
+        {authorLabel && <div className="text-sm text-gray-500 mb-3">Autor: {authorLabel}</div>}
+        {showProof && (
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 mb-4">
+            {maskedBib && (
+              <div>
+                Numer startowy: <span className="font-semibold">{maskedBib}</span>
+              </div>
+            )}
+            <Badge color={listingProofBadge.color}>{listingProofBadge.label}</Badge>
+            {listingProofCheckedLabel && <div>Sprawdzono {listingProofCheckedLabel}</div>}
+            {proofUrl && (
+              <a href={proofUrl} target="_blank" rel="noreferrer" className="text-sky-600 underline">
+                Lista startowa
+              </a>
+            )}
+          </div>
+        )}
+        {listing.edition_id && (editionFees.fees.length > 0 || isAdmin) && (
+          <div className="mb-3 rounded-xl border px-3 py-2 text-xs text-gray-600">
+            <div className="flex items-center justify-between gap-2">
+              <span className="font-medium text-gray-700">Oficjalna opłata startowa</span>
+              {isAdmin && (
+                <button
+                  type="button"
+                  onClick={() => setFeesEditorOpen((open) => !open)}
+                  className="text-xs text-sky-600 underline"
+                >
+                  {feesEditorOpen ? "Zamknij edycję" : "Edytuj opłaty"}
+                </button>
+              )}
+            </div>
+            {editionFees.fees.length > 0 ? (
+              <ul className="mt-1 space-y-0.5">
+                {editionFees.fees.map((item) => {
+                  const cap = priceCapFor(item, editionFees.maxMarkupPercent);
+                  return (
+                    <li key={item.id}>
+                      {item.distance}: {toCurrency(item.fee, item.currency)}
+                      {cap !== null && <span className="text-gray-500"> · maks. cena odsprzedaży {toCurrency(cap)}</span>}
+                      {item.source === "scraper" && <span className="text-gray-400"> (z kalendarza biegów)</span>}
+                    </li>
+                  );
+                })}
+              </ul>
+            ) : (
+              <div className="mt-1 text-gray-500">Brak danych o opłacie dla tej edycji.</div>
+            )}
+            {isAdmin && feesEditorOpen && (
+              <EditionFeesEditor
+                editionId={Number(listing.edition_id)}
+                distances={getListingDistances(listing)}
+                fees={editionFees.fees}
+                currentUserId={currentUserId}
+                onSaved={editionFees.reload}
+              />
+            )}
+          </div>
+        )}
+        {priceStats?.stats && (
+          <div className="mb-3 rounded-xl bg-neutral-50 px-3 py-2 text-xs text-gray-600">
+            <div>
+              Ceny pakietów na ten bieg i dystans: <PriceStatsSummary stats={priceStats.stats} source={priceStats.source} />
+            </div>
+            {priceOutlier(priceStats.stats, Number(listing.price)) === "high" && (
+              <div className="mt-1 text-amber-700">Cena tego ogłoszenia jest wyraźnie wyższa niż zwykle.</div>
+            )}
+          </div>
+        )}
+        {isBundleListing(listing) && <BundleItemsList listing={listing} />}
+        <PackageContentsChips listing={listing} />
+        {listing.description && <p className="text-sm text-gray-800 mb-4">{listing.description}</p>}
+        {Array.isArray(listing.attachments) && listing.attachments.length > 0 && (
+          <AttachmentGallery attachments={listing.attachments} />
+        )}
+        <div className="border-t pt-3">
+          <div className="text-sm text-gray-500 mb-1">Kontakt</div>
+          <div className="flex items-center gap-2">
+            <span className="text-sm break-all">{listing.contact}</span>
+            <button
+              className="text-sm px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-neutral-200"
+              onClick={() => {
+                navigator.clipboard?.writeText(listing.contact);
+              }}
+            >
+              Kopiuj
+            </button>
+          </div>
+          {canMessage && (
+            <button
+              className="mt-3 text-sm px-3 py-1.5 rounded-lg bg-neutral-900 text-white hover:opacity-90"
+              onClick={() => {
+                onMessage?.(listing);
+                onClose();
+              }}
+            >
+              Napisz wiadomość
+            </button>
+          )}
+          {onReport && !!ownerId && ownerId !== currentUserId && (
+            <button
+              className="mt-3 ml-2 text-sm px-3 py-1.5 rounded-lg text-gray-500 hover:bg-rose-50 hover:text-rose-700"
+              onClick={() => onReport(listing)}
+            >
+              Zgłoś ogłoszenie
+            </button>
+          )}
+        </div>
+        <div className="mt-4 text-xs text-gray-500">Dodano: {createdAtLabel}</div>
+        {statusTimeline.length > 0 && (
+          <div className="mt-1 text-xs text-gray-500 flex flex-wrap gap-x-3">
+            {statusTimeline.map((item) => (
+              <span key={item}>{item}</span>
+            ))}
+          </div>
+        )}
+        {(historyItems.length > 0 || historyError) && (
+          <div className="mt-4 border-t pt-3">
+            <div className="text-sm font-medium mb-2">Historia zmian</div>
+            {historyError && <div className="text-xs text-rose-600">{historyError}</div>}
+            <ol className="space-y-2">
+              {historyItems.map((item) => (
+                <li key={item.id} className="rounded-xl border px-3 py-2 text-sm">
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 mb-1">
+                    <span>Wersja {item.version + 1}</span>
+                    {item.changedAtLabel && <span>{item.changedAtLabel}</span>}
+                    {item.afterContact && <Badge color="bg-amber-100 text-amber-800">Po Twojej wiadomości</Badge>}
+                  </div>
+                  <ul className="space-y-0.5">
+                    {item.rows.map((row) => (
+                      <li key={row.key} className="text-gray-700">
+                        <span className="text-gray-500">{row.label}:</span>{" "}
+                        <span className="line-through text-gray-400">{row.from}</span> →{" "}
+                        <span
+                          className={clsx(
+                            "font-medium",
+                            row.trend === "up" && "text-rose-600",
+                            row.trend === "down" && "text-emerald-700"
+                          )}
+                        >
+                          {row.to}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** @param {{
+ * open: boolean,
+ * onClose: () => void,
+ * listing: Listing | null,
+ * sending: boolean,
+ * error: string,
+ * onSend: (body: string) => Promise<void>,
+ * initialText?: string,
+ * }} props */
+function MessageModal({ open, onClose, listing, sending, error, onSend, initialText = "" }) {
+  const [text, setText] = useState("");
+  const [localError, setLocalError] = useState("");
+
+  useEffect(() => {
+    if (open) {
+      setText(initialText);
+      setLocalError("");
+    }
+  }, [open, listing?.id, initialText]);
+
+  if (!open || !listing) return null;
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    const trimmed = text.trim();
+    if (!trimmed) {
+      setLocalError("Wpisz treść wiadomości.");
+      return;
+    }
+    if (trimmed.length > 4000) {
+      setLocalError("Wiadomość może mieć maks. 4000 znaków.");
+      return;
+    }
+    setLocalError("");
+    try {
+      await onSend(trimmed);
+      setText("");
+    } catch (err) {
+      const message = err?.message || "Nie udało się wysłać wiadomości.";
+      setLocalError(message);
+    }
+  }
+
+  const authorLabel = listing.author_display_name ? `Autor: ${listing.author_display_name}` : "";
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl w-[min(92vw,480px)] p-5 shadow-xl space-y-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <div className="text-sm text-gray-500">Ogłoszenie</div>
+            <div className="font-semibold text-lg leading-tight">{listing.raceName}</div>
+            {authorLabel && <div className="text-xs text-gray-500 mt-1">{authorLabel}</div>}
+          </div>
+          <button className="px-2 py-1 rounded-lg bg-neutral-100 hover:bg-neutral-200" onClick={onClose}>
+            Zamknij
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <label className="block text-sm text-gray-600" htmlFor="message-modal-textarea">
+            Wiadomość (max. 4000 znaków)
+          </label>
+          <textarea
+            id="message-modal-textarea"
+            rows={5}
+            value={text}
+            onChange={(e) => setText(e.target.value.slice(0, 4000))}
+            className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+            placeholder="Twoja wiadomość…"
+            disabled={sending}
+          />
+          {(error || localError) && <div className="text-sm text-rose-600">{error || localError}</div>}
+          <div className="flex items-center justify-end gap-2">
+            <span className="text-xs text-gray-500">{text.trim().length}/4000</span>
+            <button
+              type="submit"
+              disabled={sending}
+              className="px-4 py-2 rounded-xl bg-neutral-900 text-white disabled:opacity-50"
+            >
+              {sending ? "Wysyłam…" : "Wyślij"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+// Kategorie zgłoszeń – te same wartości sprawdza tabela public.reports (supabase/reports.sql)
+const REPORT_REASONS = [
+  { value: "scam", label: "Oszustwo lub próba wyłudzenia" },
+  { value: "fake", label: "Fałszywy lub nieistniejący pakiet" },
+  { value: "price", label: "Rażąco zawyżona cena" },
+  { value: "offensive", label: "Obraźliwe treści" },
+  { value: "spam", label: "Spam lub zdublowane ogłoszenie" },
+  { value: "other", label: "Inne" },
+];
+
+/**
+ * @typedef {{ type: "listing", listing: Listing } | { type: "user", userId: string, label: string, listingId?: string }} ReportTarget
+ */
+
+/** @param {{
+ * target: ReportTarget | null,
+ * onClose: () => void,
+ * onSubmit: (target: ReportTarget, reason: string, details: string) => Promise<void>,
+ * }} props */
+function ReportModal({ target, onClose, onSubmit }) {
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState("");
+  const targetKey = target ? (target.type === "listing" ? target.listing.id : target.userId) : "";
+
+  useEffect(() => {
+    setReason("");
+    setDetails("");
+    setError("");
+  }, [targetKey]);
+
+  if (!target) return null;
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!reason) {
+      setError("Wybierz powód zgłoszenia.");
+      return;
+    }
+    setError("");
+    setSending(true);
+    try {
+      await onSubmit(target, reason, details.trim());
+    } catch (err) {
+      setError(err?.message || "Nie udało się wysłać zgłoszenia.");
+    } finally {
+      setSending(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center" onClick={onClose}>
+      <div
+        className="bg-white rounded-2xl w-[min(92vw,480px)] p-5 shadow-xl space-y-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-start justify-between gap-3">
+          <div>
+            <div className="text-sm text-gray-500">{target.type === "listing" ? "Zgłoś ogłoszenie" : "Zgłoś użytkownika"}</div>
+            <div className="font-semibold text-lg leading-tight">
+              {target.type === "listing" ? target.listing.raceName : target.label}
+            </div>
+          </div>
+          <button className="px-2 py-1 rounded-lg bg-neutral-100 hover:bg-neutral-200" onClick={onClose}>
+            Zamknij
+          </button>
+        </div>
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <Field label="Powód" required>
+            <select
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="w-full px-3 py-2 rounded-xl border bg-white focus:outline-none focus:ring"
+              disabled={sending}
+            >
+              <option value="">Wybierz…</option>
+              {REPORT_REASONS.map((item) => (
+                <option key={item.value} value={item.value}>
+                  {item.label}
+                </option>
+              ))}
+            </select>
+          </Field>
+          <Field label="Szczegóły (opcjonalnie, max. 1000 znaków)">
+            <textarea
+              rows={4}
+              value={details}
+              onChange={(e) => setDetails(e.target.value.slice(0, 1000))}
+              className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
+              placeholder="Co jest nie tak?"
+              disabled={sending}
+            />
+          </Field>
+          <p className="text-xs text-gray-500">
+            Zgłoszenie trafi do administratora. Ogłoszenie zgłoszone przez kilka osób zostaje ukryte do czasu weryfikacji.
+          </p>
+          {error && <div className="text-sm text-rose-600">{error}</div>}
+          <div className="flex items-center justify-end">
+            <button
+              type="submit"
+              disabled={sending}
+              className="px-4 py-2 rounded-xl bg-rose-600 text-white disabled:opacity-50"
+            >
+              {sending ? "Wysyłam…" : "Wyślij zgłoszenie"}
+            </button>
           </div>
-          {hasDistances && (
-            <div className="col-span-2 md:col-span-4">
-              <div className="text-gray-500">Dystanse</div>
-              <div className="flex flex-wrap gap-2 mt-1">
-                {distances.map((value) => (
-                  <Badge key={value}>{value}</Badge>
-                ))}
-              </div>
+        </form>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * @typedef {Object} ReportRow
+ * @property {string} id
+ * @property {"listing" | "user"} target_type
+ * @property {string | null} listing_id
+ * @property {string} reported_user_id
+ * @property {string} reporter_id
+ * @property {string} reason
+ * @property {string | null} details
+ * @property {string} created_at
+ */
+
+function reportReasonLabel(value) {
+  return REPORT_REASONS.find((item) => item.value === value)?.label || value;
+}
+
+/**
+ * Kolejka moderacji dla administratora: otwarte zgłoszenia pogrupowane według ogłoszenia lub użytkownika.
+ * @param {{ onOpenListing: (listing: Listing) => void, onResolved?: (message: string) => void }} props
+ */
+function ModerationQueue({ onOpenListing, onResolved }) {
+  const [reports, setReports] = useState(/** @type {ReportRow[]} */([]));
+  const [listingsById, setListingsById] = useState(/** @type {Map<string, Listing>} */(new Map()));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [busyKey, setBusyKey] = useState("");
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    const { data, error: reportsError } = await supabase
+      .from("reports")
+      .select("id, target_type, listing_id, reported_user_id, reporter_id, reason, details, created_at")
+      .eq("status", "open")
+      .order("created_at", { ascending: false })
+      .limit(500);
+    if (reportsError) {
+      console.error(reportsError);
+      setError("Nie udało się pobrać zgłoszeń.");
+      setLoading(false);
+      return;
+    }
+    const rows = data || [];
+    const listingIds = [...new Set(rows.map((row) => row.listing_id).filter(Boolean))];
+    const nextListings = new Map();
+    if (listingIds.length) {
+      const { data: listingRows, error: listingsError } = await supabase
+        .from("listings")
+        .select(LISTING_COLUMNS)
+        .in("id", listingIds);
+      if (listingsError) {
+        console.error(listingsError);
+      } else {
+        for (const row of listingRows || []) nextListings.set(String(row.id), listingFromRow(row));
+      }
+    }
+    setReports(rows);
+    setListingsById(nextListings);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    fetchQueue();
+  }, [fetchQueue]);
+
+  const groups = useMemo(() => {
+    const byKey = new Map();
+    for (const row of reports) {
+      const key = row.target_type === "listing" ? `listing:${row.listing_id}` : `user:${row.reported_user_id}`;
+      if (!byKey.has(key)) byKey.set(key, { key, targetType: row.target_type, listingId: row.listing_id, userId: row.reported_user_id, items: [] });
+      byKey.get(key).items.push(row);
+    }
+    // Najpierw cele z największą liczbą zgłoszeń
+    return [...byKey.values()].sort((a, b) => b.items.length - a.items.length);
+  }, [reports]);
+
+  async function resolve(group, decision) {
+    setBusyKey(group.key);
+    const { error: resolveError } = await supabase.rpc("resolve_reports", {
+      p_target_type: group.targetType,
+      p_listing_id: group.targetType === "listing" ? group.listingId : null,
+      p_reported_user_id: group.targetType === "user" ? group.userId : null,
+      p_decision: decision,
+    });
+    setBusyKey("");
+    if (resolveError) {
+      console.error(resolveError);
+      setError(resolveError.message || "Nie udało się zapisać decyzji.");
+      return;
+    }
+    setReports((prev) => prev.filter((row) => !group.items.some((item) => item.id === row.id)));
+    onResolved?.(decision === "accepted" ? "Zgłoszenia uznane ✔" : "Zgłoszenia odrzucone ✔");
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <div className="text-sm text-gray-600">Otwarte zgłoszenia: {reports.length}</div>
+        <button
+          type="button"
+          onClick={fetchQueue}
+          disabled={loading}
+          className="text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-neutral-50 disabled:opacity-50"
+        >
+          {loading ? "Odświeżam…" : "Odśwież"}
+        </button>
+      </div>
+      {error && <div className="text-sm text-rose-600">{error}</div>}
+      {!loading && groups.length === 0 && <div className="text-sm text-gray-500">Brak otwartych zgłoszeń.</div>}
+      {groups.map((group) => {
+        const listing = group.listingId ? listingsById.get(group.listingId) : null;
+        const reasonCounts = new Map();
+        for (const item of group.items) reasonCounts.set(item.reason, (reasonCounts.get(item.reason) || 0) + 1);
+        const busy = busyKey === group.key;
+        return (
+          <div key={group.key} className="rounded-2xl border bg-white p-4 space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <Badge color={group.targetType === "listing" ? "bg-sky-100 text-sky-800" : "bg-violet-100 text-violet-800"}>
+                {group.targetType === "listing" ? "OGŁOSZENIE" : "UŻYTKOWNIK"}
+              </Badge>
+              {listing?.hiddenAt && <Badge color="bg-rose-100 text-rose-800">UKRYTE</Badge>}
+              <span className="font-semibold">
+                {group.targetType === "listing"
+                  ? listing?.raceName || `Ogłoszenie ${String(group.listingId).slice(0, 8)}`
+                  : `Użytkownik ${group.userId.slice(0, 8)}`}
+              </span>
+              {listing?.author_display_name && <span className="text-xs text-gray-500">Autor: {listing.author_display_name}</span>}
             </div>
-          )}
-          {hasTransferFee && (
-            <div>
-              <div className="text-gray-500">Opłata</div>
-              <div>{transferFeeLabel}</div>
+            <div className="flex flex-wrap gap-2">
+              {[...reasonCounts.entries()].map(([reason, count]) => (
+                <Badge key={reason}>
+                  {reportReasonLabel(reason)} × {count}
+                </Badge>
+              ))}
             </div>
-          )}
-          {listing.transferDeadline && (
-            <div>
-              <div className="text-gray-500">Zmiana możliwa do</div>
-              <span className="whitespace-nowrap tabular-nums">{listing.transferDeadline}</span>
+            <ul className="space-y-1 text-sm text-gray-700">
+              {group.items
+                .filter((item) => item.details)
+                .slice(0, 5)
+                .map((item) => (
+                  <li key={item.id} className="rounded-lg bg-neutral-50 px-2 py-1">
+                    <span className="text-xs text-gray-500">{formatRelativeTime(item.created_at)}: </span>
+                    {item.details}
+                  </li>
+                ))}
+            </ul>
+            <div className="flex flex-wrap gap-2">
+              {listing && (
+                <button
+                  type="button"
+                  onClick={() => onOpenListing(listing)}
+                  className="text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-neutral-50"
+                >
+                  Pokaż ogłoszenie
+                </button>
+              )}
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => resolve(group, "dismissed")}
+                className="text-sm px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-neutral-200 disabled:opacity-50"
+              >
+                {group.targetType === "listing" ? "Odrzuć zgłoszenia i przywróć" : "Odrzuć zgłoszenia"}
+              </button>
+              <button
+                type="button"
+                disabled={busy}
+                onClick={() => resolve(group, "accepted")}
+                className="text-sm px-3 py-1.5 rounded-lg bg-rose-50 text-rose-700 hover:bg-rose-100 disabled:opacity-50"
+              >
+                {group.targetType === "listing" ? "Wycofaj ogłoszenie" : "Uznaj zgłoszenia"}
+              </button>
             </div>
-          )}
-        </div>
-        {authorLabel && <div className="text-sm text-gray-500 mb-3">Autor: {authorLabel}</div>}
-        {showProof && (
-          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 mb-4">
-            {maskedBib && (
-              <div>
-                Numer startowy: <span className="font-semibold">{maskedBib}</span>
-              </div>
-            )}
-            <Badge color={listingProofBadge.color}>{listingProofBadge.label}</Badge>
-            {listingProofCheckedLabel && <div>Sprawdzono {listingProofCheckedLabel}</div>}
-            {proofUrl && (
-              <a href={proofUrl} target="_blank" rel="noreferrer" className="text-sky-600 underline">
-                Lista startowa
-              </a>
-            )}
           </div>
-        )}
-        {listing.description && <p className="text-sm text-gray-800 mb-4">{listing.description}</p>}
-        <div className="border-t pt-3">
-          <div className="text-sm text-gray-500 mb-1">Kontakt</div>
-          <div className="flex items-center gap-2">
-            <span className="text-sm break-all">{listing.contact}</span>
+        );
+      })}
+    </div>
+  );
+}
+
+// Gotowe długości blokady konta w konsoli moderacji
+const BAN_DURATIONS = [
+  { value: "7", label: "7 dni" },
+  { value: "30", label: "30 dni" },
+  { value: "infinity", label: "Na stałe" },
+];
+
+const MODERATION_ACTION_LABELS = {
+  remove_listing: "Zdjęcie ogłoszenia",
+  restore_listing: "Przywrócenie ogłoszenia",
+  resolve_reports: "Rozpatrzenie zgłoszeń",
+  ban_user: "Blokada konta",
+  unban_user: "Zdjęcie blokady",
+  set_role: "Zmiana roli",
+};
+
+/** @param {string | null | undefined} value */
+function isBanActive(value) {
+  if (!value) return false;
+  if (value === "infinity") return true;
+  const parsed = Date.parse(value);
+  return Number.isFinite(parsed) && parsed > Date.now();
+}
+
+/** @param {string | null | undefined} value */
+function banUntilLabel(value) {
+  if (value === "infinity") return "na stałe";
+  const parsed = value ? new Date(value) : null;
+  return parsed && !Number.isNaN(parsed.getTime()) ? `do ${parsed.toLocaleString("pl-PL")}` : "";
+}
+
+/**
+ * Blokada konta przez /api/admin-ban-user – poza zapisem w profilu blokuje też logowanie w Supabase Auth.
+ * @param {string} userId
+ * @param {string | null} until ISO, "infinity" lub null (odblokowanie)
+ * @param {string} reason
+ */
+async function requestUserBan(userId, until, reason) {
+  const { data } = await supabase.auth.getSession();
+  const token = data?.session?.access_token;
+  if (!token) throw new Error("Sesja wygasła – zaloguj się ponownie.");
+  const response = await fetch("/api/admin-ban-user", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ user_id: userId, until, reason }),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (response.status === 429) {
+    throw new Error(rateLimitMessage(response.headers.get("Retry-After")));
+  }
+  if (!response.ok || !result?.ok) {
+    throw new Error(result?.error || `Nie udało się zapisać blokady (${response.status}).`);
+  }
+}
+
+/**
+ * Konsola administratora: zgłoszenia, ostatnie ogłoszenia, użytkownicy (role i blokady) oraz dziennik moderacji.
+ * Wszystkie operacje idą przez funkcje admin_* z supabase/moderation.sql, które same sprawdzają uprawnienia.
+ * @param {{ currentUserId: string, onOpenListing: (listing: Listing) => void, onNotify: (message: string) => void }} props
+ */
+function AdminConsole({ currentUserId, onOpenListing, onNotify }) {
+  const [tab, setTab] = useState(/** @type {"reports" | "listings" | "users" | "log"} */("reports"));
+  const [recentListings, setRecentListings] = useState(/** @type {Listing[]} */([]));
+  const [users, setUsers] = useState(/** @type {any[]} */([]));
+  const [userQuery, setUserQuery] = useState("");
+  const [log, setLog] = useState(/** @type {any[]} */([]));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [busyId, setBusyId] = useState("");
+
+  const fetchRecentListings = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    const { data, error: listingsError } = await supabase
+      .from("listings")
+      .select(LISTING_COLUMNS)
+      .order("created_at", { ascending: false })
+      .limit(50);
+    setLoading(false);
+    if (listingsError) {
+      console.error(listingsError);
+      setError("Nie udało się pobrać ogłoszeń.");
+      return;
+    }
+    setRecentListings((data || []).map(listingFromRow));
+  }, []);
+
+  const fetchUsers = useCallback(async (queryText = "") => {
+    setLoading(true);
+    setError("");
+    const { data, error: usersError } = await supabase.rpc("admin_users", { p_query: queryText || null, p_limit: 50 });
+    setLoading(false);
+    if (usersError) {
+      console.error(usersError);
+      setError(usersError.message || "Nie udało się pobrać użytkowników.");
+      return;
+    }
+    setUsers(data || []);
+  }, []);
+
+  const fetchLog = useCallback(async () => {
+    setLoading(true);
+    setError("");
+    const { data, error: logError } = await supabase
+      .from("moderation_log")
+      .select("id, admin_id, action, listing_id, user_id, reason, details, created_at")
+      .order("created_at", { ascending: false })
+      .limit(100);
+    setLoading(false);
+    if (logError) {
+      console.error(logError);
+      setError("Nie udało się pobrać dziennika moderacji.");
+      return;
+    }
+    setLog(data || []);
+  }, []);
+
+  useEffect(() => {
+    if (tab === "listings") fetchRecentListings();
+    if (tab === "users") fetchUsers();
+    if (tab === "log") fetchLog();
+  }, [tab, fetchRecentListings, fetchUsers, fetchLog]);
+
+  async function runAction(id, action, successMessage) {
+    setBusyId(id);
+    setError("");
+    try {
+      await action();
+      onNotify(successMessage);
+    } catch (err) {
+      console.error(err);
+      setError(err?.message || "Operacja nie powiodła się.");
+    } finally {
+      setBusyId("");
+    }
+  }
+
+  function removeListing(listing) {
+    const reason = window.prompt(`Powód zdjęcia ogłoszenia „${listing.raceName}” (zobaczy go autor):`, "");
+    if (reason === null) return;
+    runAction(
+      listing.id,
+      async () => {
+        const { error: rpcError } = await supabase.rpc("admin_remove_listing", { p_listing_id: listing.id, p_reason: reason });
+        if (rpcError) throw rpcError;
+        await fetchRecentListings();
+      },
+      "Ogłoszenie zdjęte ✔"
+    );
+  }
+
+  function restoreListing(listing) {
+    runAction(
+      listing.id,
+      async () => {
+        const { error: rpcError } = await supabase.rpc("admin_restore_listing", { p_listing_id: listing.id, p_reason: null });
+        if (rpcError) throw rpcError;
+        await fetchRecentListings();
+      },
+      "Ogłoszenie przywrócone ✔"
+    );
+  }
+
+  function banUser(user, durationValue) {
+    const reason = window.prompt(`Powód blokady konta ${user.display_name || user.email || user.id}:`, "");
+    if (reason === null) return;
+    const until =
+      durationValue === "infinity"
+        ? "infinity"
+        : new Date(Date.now() + Number(durationValue) * 24 * 60 * 60 * 1000).toISOString();
+    runAction(
+      user.id,
+      async () => {
+        await requestUserBan(user.id, until, reason);
+        await fetchUsers(userQuery.trim());
+      },
+      "Konto zablokowane ✔"
+    );
+  }
+
+  function unbanUser(user) {
+    runAction(
+      user.id,
+      async () => {
+        await requestUserBan(user.id, null, "");
+        await fetchUsers(userQuery.trim());
+      },
+      "Blokada zdjęta ✔"
+    );
+  }
+
+  function toggleRole(user) {
+    const nextRole = user.role === "admin" ? "user" : "admin";
+    if (!window.confirm(nextRole === "admin" ? "Nadać uprawnienia administratora?" : "Odebrać uprawnienia administratora?")) return;
+    runAction(
+      user.id,
+      async () => {
+        const { error: rpcError } = await supabase.rpc("admin_set_user_role", { p_user_id: user.id, p_role: nextRole });
+        if (rpcError) throw rpcError;
+        await fetchUsers(userQuery.trim());
+      },
+      "Rola zmieniona ✔"
+    );
+  }
+
+  const tabs = [
+    { value: "reports", label: "Zgłoszenia" },
+    { value: "listings", label: "Ostatnie ogłoszenia" },
+    { value: "users", label: "Użytkownicy" },
+    { value: "log", label: "Dziennik" },
+  ];
+
+  return (
+    <Section
+      title="Moderacja"
+      right={
+        <div className="flex rounded-xl border overflow-hidden text-sm">
+          {tabs.map((item, index) => (
             <button
-              className="text-sm px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-neutral-200"
-              onClick={() => {
-                navigator.clipboard?.writeText(listing.contact);
-              }}
+              key={item.value}
+              type="button"
+              onClick={() => setTab(item.value)}
+              className={clsx(
+                "px-3 py-1.5",
+                index > 0 && "border-l",
+                tab === item.value ? "bg-neutral-900 text-white" : "bg-white hover:bg-neutral-50"
+              )}
             >
-              Kopiuj
+              {item.label}
             </button>
-          </div>
-          {canMessage && (
-            <button
-              className="mt-3 text-sm px-3 py-1.5 rounded-lg bg-neutral-900 text-white hover:opacity-90"
-              onClick={() => {
-                onMessage?.(listing);
-                onClose();
-              }}
-            >
-              Napisz wiadomość
+          ))}
+        </div>
+      }
+    >
+      {error && <div className="mb-3 text-sm text-rose-600">{error}</div>}
+      {tab === "reports" && <ModerationQueue onOpenListing={onOpenListing} onResolved={onNotify} />}
+      {tab === "listings" && (
+        <div className="space-y-2">
+          {loading && recentListings.length === 0 && <div className="text-sm text-gray-500">Ładuję…</div>}
+          {recentListings.map((listing) => {
+            const status = getListingStatus(listing);
+            const statusMeta = listingStatusMeta(status);
+            const busy = busyId === listing.id;
+            return (
+              <div key={listing.id} className="rounded-xl border bg-white px-3 py-2 flex flex-wrap items-center gap-2 text-sm">
+                <Badge color={listing.type === "sell" ? "bg-emerald-100 text-emerald-800" : "bg-sky-100 text-sky-800"}>
+                  {listing.type === "sell" ? "SPRZEDAM" : "KUPIĘ"}
+                </Badge>
+                <Badge color={statusMeta.color}>{statusMeta.label}</Badge>
+                {listing.hiddenAt && <Badge color="bg-rose-100 text-rose-800">UKRYTE</Badge>}
+                <button type="button" className="font-medium hover:underline text-left" onClick={() => onOpenListing(listing)}>
+                  {listing.raceName}
+                </button>
+                <span className="text-xs text-gray-500">
+                  {listing.author_display_name || getListingOwnerId(listing)?.slice(0, 8)} ·{" "}
+                  {formatRelativeTime(new Date(listing.createdAt))}
+                </span>
+                <div className="ml-auto flex gap-2">
+                  {listing.hiddenAt ? (
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => restoreListing(listing)}
+                      className="px-2 py-1 rounded-lg bg-neutral-100 hover:bg-neutral-200 disabled:opacity-50"
+                    >
+                      Przywróć
+                    </button>
+                  ) : null}
+                  {listing.hiddenReason !== "moderation" && (
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => removeListing(listing)}
+                      className="px-2 py-1 rounded-lg bg-rose-50 text-rose-700 hover:bg-rose-100 disabled:opacity-50"
+                    >
+                      Zdejmij
+                    </button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      {tab === "users" && (
+        <div className="space-y-3">
+          <form
+            className="flex gap-2"
+            onSubmit={(e) => {
+              e.preventDefault();
+              fetchUsers(userQuery.trim());
+            }}
+          >
+            <input
+              value={userQuery}
+              onChange={(e) => setUserQuery(e.target.value)}
+              className="flex-1 px-3 py-2 rounded-xl border"
+              placeholder="Nazwa, e-mail lub identyfikator"
+            />
+            <button type="submit" className="px-3 py-2 rounded-xl border bg-white hover:bg-neutral-50 text-sm">
+              Szukaj
             </button>
-          )}
+          </form>
+          {loading && users.length === 0 && <div className="text-sm text-gray-500">Ładuję…</div>}
+          {users.map((user) => {
+            const banned = isBanActive(user.banned_until);
+            const busy = busyId === user.id;
+            const isSelf = user.id === currentUserId;
+            return (
+              <div key={user.id} className="rounded-xl border bg-white px-3 py-2 space-y-1 text-sm">
+                <div className="flex flex-wrap items-center gap-2">
+                  <span className="font-medium">{user.display_name || "—"}</span>
+                  {user.email && <span className="text-xs text-gray-500">{user.email}</span>}
+                  {user.role === "admin" && <Badge color="bg-violet-100 text-violet-800">ADMIN</Badge>}
+                  {banned && <Badge color="bg-rose-100 text-rose-800">ZABLOKOWANY {banUntilLabel(user.banned_until)}</Badge>}
+                  {Number(user.open_reports) > 0 && (
+                    <Badge color="bg-amber-100 text-amber-800">Zgłoszenia: {user.open_reports}</Badge>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500">
+                  Ogłoszenia: {user.listings_count}
+                  {user.created_at && ` · konto od ${new Date(user.created_at).toLocaleDateString("pl-PL")}`}
+                  {user.last_sign_in_at && ` · ostatnie logowanie ${formatRelativeTime(user.last_sign_in_at)}`}
+                  {banned && user.ban_reason && ` · powód: ${user.ban_reason}`}
+                </div>
+                {!isSelf && (
+                  <div className="flex flex-wrap gap-2 pt-1">
+                    {banned ? (
+                      <button
+                        type="button"
+                        disabled={busy}
+                        onClick={() => unbanUser(user)}
+                        className="px-2 py-1 rounded-lg bg-neutral-100 hover:bg-neutral-200 disabled:opacity-50"
+                      >
+                        Odblokuj
+                      </button>
+                    ) : (
+                      BAN_DURATIONS.map((item) => (
+                        <button
+                          key={item.value}
+                          type="button"
+                          disabled={busy}
+                          onClick={() => banUser(user, item.value)}
+                          className="px-2 py-1 rounded-lg bg-rose-50 text-rose-700 hover:bg-rose-100 disabled:opacity-50"
+                        >
+                          Zablokuj: {item.label}
+                        </button>
+                      ))
+                    )}
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => toggleRole(user)}
+                      className="px-2 py-1 rounded-lg border bg-white hover:bg-neutral-50 disabled:opacity-50"
+                    >
+                      {user.role === "admin" ? "Odbierz rolę admina" : "Nadaj rolę admina"}
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
         </div>
-        <div className="mt-4 text-xs text-gray-500">Dodano: {createdAtLabel}</div>
-      </div>
-    </div>
+      )}
+      {tab === "log" && (
+        <div className="space-y-2">
+          {!loading && log.length === 0 && <div className="text-sm text-gray-500">Dziennik jest pusty.</div>}
+          {log.map((entry) => (
+            <div key={entry.id} className="rounded-xl border bg-white px-3 py-2 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-medium">{MODERATION_ACTION_LABELS[entry.action] || entry.action}</span>
+                <span className="text-xs text-gray-500">{new Date(entry.created_at).toLocaleString("pl-PL")}</span>
+                <span className="text-xs text-gray-500">admin {String(entry.admin_id || "").slice(0, 8) || "—"}</span>
+              </div>
+              <div className="text-xs text-gray-600">
+                {entry.listing_id && <span>Ogłoszenie {entry.listing_id} </span>}
+                {entry.user_id && <span>· użytkownik {String(entry.user_id).slice(0, 8)} </span>}
+                {entry.reason && <span>· powód: {entry.reason}</span>}
+                {entry.details?.decision && <span> · decyzja: {entry.details.decision === "accepted" ? "uznane" : "odrzucone"}</span>}
+                {entry.details?.until && <span> · {banUntilLabel(entry.details.until)}</span>}
+                {entry.details?.to && <span> · rola: {entry.details.from} → {entry.details.to}</span>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </Section>
   );
 }
 
 /** @param {{
- * open: boolean,
- * onClose: () => void,
- * listing: Listing | null,
- * sending: boolean,
+ * groups: { listing: Listing, matches: Listing[] }[],
+ * loading: boolean,
  * error: string,
- * onSend: (body: string) => Promise<void>,
+ * onRefresh: () => void,
+ * onOpen: (listing: Listing) => void,
+ * onMessage: (match: Listing, mine: Listing) => void,
  * }} props */
-function MessageModal({ open, onClose, listing, sending, error, onSend }) {
-  const [text, setText] = useState("");
-  const [localError, setLocalError] = useState("");
-
-  useEffect(() => {
-    if (open) {
-      setText("");
-      setLocalError("");
-    }
-  }, [open, listing?.id]);
-
-  if (!open || !listing) return null;
-
-  async function handleSubmit(e) {
-    e.preventDefault();
-    const trimmed = text.trim();
-    if (!trimmed) {
-      setLocalError("Wpisz treść wiadomości.");
-      return;
-    }
-    if (trimmed.length > 4000) {
-      setLocalError("Wiadomość może mieć maks. 4000 znaków.");
-      return;
-    }
-    setLocalError("");
-    try {
-      await onSend(trimmed);
-      setText("");
-    } catch (err) {
-      const message = err?.message || "Nie udało się wysłać wiadomości.";
-      setLocalError(message);
-    }
-  }
-
-  const authorLabel = listing.author_display_name ? `Autor: ${listing.author_display_name}` : "";
-
+function ListingMatchesPanel({ groups, loading, error, onRefresh, onOpen, onMessage }) {
+  const total = groups.reduce((sum, group) => sum + group.matches.length, 0);
   return (
-    <div className="fixed inset-0 z-50 bg-black/40 flex items-center justify-center" onClick={onClose}>
-      <div
-        className="bg-white rounded-2xl w-[min(92vw,480px)] p-5 shadow-xl space-y-4"
-        onClick={(e) => e.stopPropagation()}
-      >
-        <div className="flex items-start justify-between gap-3">
-          <div>
-            <div className="text-sm text-gray-500">Ogłoszenie</div>
-            <div className="font-semibold text-lg leading-tight">{listing.raceName}</div>
-            {authorLabel && <div className="text-xs text-gray-500 mt-1">{authorLabel}</div>}
+    <div className="rounded-2xl border bg-white p-4 space-y-3">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="font-medium">Potencjalne dopasowania{total ? ` (${total})` : ""}</div>
+          <div className="text-xs text-gray-500">
+            Ogłoszenia przeciwnego typu na tę samą edycję biegu, ze wspólnym dystansem i budżetem kupującego nie niższym niż
+            cena sprzedającego.
           </div>
-          <button className="px-2 py-1 rounded-lg bg-neutral-100 hover:bg-neutral-200" onClick={onClose}>
-            Zamknij
-          </button>
         </div>
-        <form onSubmit={handleSubmit} className="space-y-3">
-          <label className="block text-sm text-gray-600" htmlFor="message-modal-textarea">
-            Wiadomość (max. 4000 znaków)
-          </label>
-          <textarea
-            id="message-modal-textarea"
-            rows={5}
-            value={text}
-            onChange={(e) => setText(e.target.value.slice(0, 4000))}
-            className="w-full px-3 py-2 rounded-xl border focus:outline-none focus:ring"
-            placeholder="Twoja wiadomość…"
-            disabled={sending}
-          />
-          {(error || localError) && <div className="text-sm text-rose-600">{error || localError}</div>}
-          <div className="flex items-center justify-end gap-2">
-            <span className="text-xs text-gray-500">{text.trim().length}/4000</span>
-            <button
-              type="submit"
-              disabled={sending}
-              className="px-4 py-2 rounded-xl bg-neutral-900 text-white disabled:opacity-50"
-            >
-              {sending ? "Wysyłam…" : "Wyślij"}
-            </button>
-          </div>
-        </form>
+        <button
+          type="button"
+          onClick={onRefresh}
+          disabled={loading}
+          className="text-sm px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-neutral-200 disabled:opacity-50"
+        >
+          {loading ? "Szukam…" : "Odśwież"}
+        </button>
       </div>
+      {error && <div className="text-sm text-rose-600">{error}</div>}
+      {!loading && !error && total === 0 && (
+        <div className="text-sm text-gray-600">
+          Brak dopasowań. Dopasowania obejmują aktywne ogłoszenia przypisane do edycji biegu z listy.
+        </div>
+      )}
+      {groups
+        .filter((group) => group.matches.length)
+        .map(({ listing, matches }) => (
+          <div key={listing.id} className="space-y-2">
+            <div className="text-sm text-gray-700">
+              <span className="font-medium">{listing.type === "sell" ? "Sprzedajesz" : "Kupujesz"}:</span>{" "}
+              {listing.raceName} · {getListingDistances(listing).join(", ")} ·{" "}
+              {toCurrency(Number(listing.price), listing.currency || "PLN")}
+            </div>
+            <ul className="space-y-2">
+              {matches.map((match) => (
+                <li key={match.id} className="flex flex-wrap items-center gap-2 rounded-xl border px-3 py-2 text-sm">
+                  <Badge color={match.type === "sell" ? "bg-emerald-100 text-emerald-800" : "bg-sky-100 text-sky-800"}>
+                    {match.type === "sell" ? "SPRZEDAM" : "KUPIĘ"}
+                  </Badge>
+                  <span>{getListingDistances(match).join(", ")}</span>
+                  <span className="font-medium">{toCurrency(Number(match.price), match.currency || "PLN")}</span>
+                  {match.author_display_name && <span className="text-xs text-gray-500">{match.author_display_name}</span>}
+                  <div className="ml-auto flex items-center gap-2">
+                    <button
+                      type="button"
+                      onClick={() => onOpen(match)}
+                      className="text-sm px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-neutral-200"
+                    >
+                      Szczegóły
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onMessage(match, listing)}
+                      className="text-sm px-3 py-1.5 rounded-lg bg-neutral-900 text-white hover:opacity-90"
+                    >
+                      Napisz wiadomość
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
     </div>
   );
 }
@@ -2484,19 +5864,53 @@ function AuthModal({ open, onClose }) {
 
 export default function App() {
   const [listings, setListings] = useState(/** @type {Listing[]} */([]));
+  // Serwerowa kopia własnych ogłoszeń (wszystkie strony, także szkice) – osobno od stronicowanej listy rynku
+  const [ownListings, setOwnListings] = useState(/** @type {Listing[]} */([]));
+  const listingIdsRef = useRef(/** @type {Set<string>} */ (new Set()));
+  // Wczytane strony rynku dla filtrów o kluczu key (ids – kolejność i zakres z serwera, ranks – trafność frazy)
+  const [marketPage, setMarketPage] = useState(
+    /** @type {{ key: string, ids: Set<string>, ranks: Map<string, number>, cursor: import("./lib/market").MarketCursor | null, hasMore: boolean, counts: import("./lib/market").MarketFacetCounts | null } | null} */ (null)
+  );
+  const marketQueryRef = useRef(/** @type {import("./lib/market").MarketQuery | null} */ (null));
+  const marketRequestRef = useRef(0);
+  const [loadingMoreListings, setLoadingMoreListings] = useState(false);
+  const [listingsPageError, setListingsPageError] = useState(false);
+  const [incomingListings, setIncomingListings] = useState(/** @type {Listing[]} */ ([]));
+  const [feedEndVisible, setFeedEndVisible] = useState(false);
+  const feedSentinelRef = useRef(/** @type {HTMLDivElement | null} */ (null));
+  const [outbox, setOutbox] = useState(/** @type {() => OutboxEntry[]} */ (() => loadOutbox()));
+  const outboxRef = useRef(outbox);
+  const outboxSyncingRef = useRef(false);
+  const outboxRerunRef = useRef(false);
+  const outboxRateLimitRef = useRef("");
+  const outboxInFlightRef = useRef(/** @type {string | null} */ (null));
   const [editingListing, setEditingListing] = useState/** @type {(Listing|null)} */(null);
-  const [query, setQuery] = useState("");
-  const [typeFilter, setTypeFilter] = useState(/** @type {"all"|ListingType} */("all"));
-  const [distanceFilter, setDistanceFilter] = useState(/** @type {"all" | Distance} */("all"));
-  const [sort, setSort] = useState("newest");
+  // Źródło duplikatu – ma znaczenie tylko, gdy editingListing jest szablonem bez id
+  const [duplicateSource, setDuplicateSource] = useState/** @type {(Listing|null)} */(null);
+  const [initialMarketFilters] = useState(() =>
+    marketFiltersFromHash(typeof window !== "undefined" ? window.location.hash : "")
+  );
+  const [query, setQuery] = useState(initialMarketFilters.query);
+  const [typeFilter, setTypeFilter] = useState(/** @type {"all"|ListingType} */(initialMarketFilters.typeFilter));
+  const [distanceFilter, setDistanceFilter] = useState(/** @type {"all" | Distance} */(initialMarketFilters.distanceFilter));
+  const [sort, setSort] = useState(initialMarketFilters.sort);
+  const [facets, setFacets] = useState(/** @type {ListingFacets} */(initialMarketFilters.facets));
+  const [statusFilter, setStatusFilter] = useState(/** @type {"visible" | ListingStatus} */ (initialMarketFilters.statusFilter));
+  const [myStatusFilter, setMyStatusFilter] = useState(/** @type {"all" | ListingStatus} */ ("all"));
   const [activeTab, setActiveTab] = useState(/** @type {"listings" | "terms"} */("listings"));
-  const [activeView, setActiveView] = useState(/** @type {"market" | "profile" | "messages"} */("market"));
+  const [activeView, setActiveView] = useState(/** @type {"market" | "profile" | "messages" | "admin"} */("market"));
   const [profileTab, setProfileTab] = useState(/** @type {"info" | "listings" | "alerts"} */("listings"));
   const [selected, setSelected] = useState/** @type {(Listing|null)} */(null);
   const [session, setSession] = useState(null);
   const [authOpen, setAuthOpen] = useState(false);
   const [messageModalOpen, setMessageModalOpen] = useState(false);
+  const [reportTarget, setReportTarget] = useState(/** @type {ReportTarget | null} */(null));
   const [messageListing, setMessageListing] = useState/** @type {(Listing|null)} */(null);
+  const [messageDraft, setMessageDraft] = useState("");
+  // Pary (moje ogłoszenie → pasujące ogłoszenia innych) z public.listing_matches; null = dopasowanie lokalne
+  const [listingMatchIds, setListingMatchIds] = useState(/** @type {Map<string, string[]> | null} */(null));
+  const [listingMatchesLoading, setListingMatchesLoading] = useState(false);
+  const [listingMatchesError, setListingMatchesError] = useState("");
   const [messageSending, setMessageSending] = useState(false);
   const [messageError, setMessageError] = useState("");
   const [directMessages, setDirectMessages] = useState(/** @type {DirectMessage[]} */([]));
@@ -2520,11 +5934,15 @@ export default function App() {
   const [notificationsLoading, setNotificationsLoading] = useState(false);
   const [notificationsOpen, setNotificationsOpen] = useState(false);
   const [notificationUnreadCount, setNotificationUnreadCount] = useState(0);
+  const [favoriteIds, setFavoriteIds] = useState(/** @type {Set<string>} */(new Set()));
+  const [isAdmin, setIsAdmin] = useState(false);
   const notificationsRef = useRef(/** @type {(HTMLDivElement | null)} */(null));
   const toastTimeoutRef = useRef(/** @type {(ReturnType<typeof setTimeout> | null)} */(null));
   const [alertsMessage, setAlertsMessage] = useState("");
   const [emailOptIn, setEmailOptIn] = useState(false);
   const [emailOptInSaving, setEmailOptInSaving] = useState(false);
+  const [preferredCurrency, setPreferredCurrency] = useState(readStoredPreferredCurrency);
+  const [exchangeRates, setExchangeRates] = useState(/** @type {import("./lib/currency").ExchangeRates | null} */(null));
   const currentUserId = session?.user?.id || null;
   const sessionEmail = session?.user?.email || "";
   const emailName = sessionEmail.includes("@") ? sessionEmail.split("@")[0] : sessionEmail;
@@ -2546,19 +5964,31 @@ export default function App() {
     }, 3000);
   }, []);
 
+  const applyMarketFilters = useCallback((filters) => {
+    setQuery(filters.query);
+    setTypeFilter(filters.typeFilter);
+    setDistanceFilter(filters.distanceFilter);
+    setStatusFilter(filters.statusFilter);
+    setSort(filters.sort);
+    setFacets(filters.facets);
+  }, []);
+
   const syncTabWithHash = useCallback(() => {
     if (typeof window === "undefined") return;
-    const hash = window.location.hash?.toLowerCase();
-    if (hash === "#regulamin") {
+    const hash = window.location.hash || "";
+    const base = hash.split("?")[0].toLowerCase();
+    if (base === "#regulamin") {
       setActiveTab("terms");
     } else {
       setActiveTab("listings");
       setActiveView("market");
-      if (hash !== "#ogloszenia") {
-        window.location.hash = "#ogloszenia";
+      if (base !== MARKET_HASH) {
+        window.location.hash = MARKET_HASH;
+      } else {
+        applyMarketFilters(marketFiltersFromHash(hash));
       }
     }
-  }, [setActiveView]);
+  }, [setActiveView, applyMarketFilters]);
 
   const handleTabChange = useCallback(
     (tab) => {
@@ -2567,15 +5997,46 @@ export default function App() {
         setActiveView("market");
       }
       if (typeof window !== "undefined") {
-        const targetHash = tab === "terms" ? "#regulamin" : "#ogloszenia";
+        const targetHash =
+          tab === "terms"
+            ? "#regulamin"
+            : marketFiltersToHash({ query, typeFilter, distanceFilter, statusFilter, sort, facets });
         if (window.location.hash !== targetHash) {
           window.location.hash = targetHash;
         }
       }
     },
-    [setActiveView]
+    [setActiveView, query, typeFilter, distanceFilter, statusFilter, sort, facets]
   );
 
+  // Każda zmiana filtrów trafia do historii przeglądarki; wpisywanie frazy, dat i cen nadpisuje bieżący wpis
+  useEffect(() => {
+    if (typeof window === "undefined" || activeTab !== "listings") return;
+    const currentHash = window.location.hash || "";
+    if (currentHash.split("?")[0].toLowerCase() !== MARKET_HASH) return;
+    const nextHash = marketFiltersToHash({ query, typeFilter, distanceFilter, statusFilter, sort, facets });
+    if (nextHash === currentHash) return;
+    const current = marketFiltersFromHash(currentHash);
+    const typedFacets = Object.fromEntries(MARKET_TYPED_FACETS.map((key) => [key, facets[key]]));
+    const onlyTypedChanged =
+      marketFiltersToHash({ ...current, query, facets: { ...current.facets, ...typedFacets } }) === nextHash;
+    const url = `${window.location.pathname}${window.location.search}${nextHash}`;
+    if (onlyTypedChanged) {
+      window.history.replaceState(null, "", url);
+    } else {
+      window.history.pushState(null, "", url);
+    }
+  }, [activeTab, query, typeFilter, distanceFilter, statusFilter, sort, facets]);
+
+  const copyMarketLink = useCallback(() => {
+    try {
+      navigator.clipboard?.writeText(window.location.href);
+      showToast("Skopiowano link do wyników.");
+    } catch (e) {
+      console.error(e);
+    }
+  }, [showToast]);
+
   const showPurgeFeedback = useCallback((count) => {
     if (!count) return;
     if (purgeMessageTimeoutRef.current) {
@@ -2603,8 +6064,10 @@ export default function App() {
     syncTabWithHash();
     const handler = () => syncTabWithHash();
     window.addEventListener("hashchange", handler);
+    window.addEventListener("popstate", handler);
     return () => {
       window.removeEventListener("hashchange", handler);
+      window.removeEventListener("popstate", handler);
     };
   }, [syncTabWithHash]);
 
@@ -2659,7 +6122,7 @@ export default function App() {
       const { data, error } = await supabase
         .from("alerts")
         .select(
-          "id,user_id,mode,event_id,event_label,query_text,distance,max_price,send_email,is_active,created_at"
+          "id,user_id,mode,event_id,event_label,query_text,distance,max_price,shirt_size,gender,extras,send_email,is_active,created_at"
         )
         .eq("user_id", currentUserId)
         .order("created_at", { ascending: false });
@@ -2729,6 +6192,32 @@ export default function App() {
     [currentUserId]
   );
 
+  useEffect(() => {
+    let ignore = false;
+    loadExchangeRates().then((rates) => {
+      if (!ignore) setExchangeRates(rates);
+    });
+    return () => {
+      ignore = true;
+    };
+  }, []);
+
+  // Gość zapamiętuje walutę w przeglądarce, zalogowany dodatkowo w profilu
+  const changePreferredCurrency = useCallback(
+    async (value) => {
+      const currency = normalizeCurrency(value);
+      setPreferredCurrency(currency);
+      storePreferredCurrency(currency);
+      if (!currentUserId) return;
+      const { error } = await supabase.from("profiles").update({ preferred_currency: currency }).eq("id", currentUserId);
+      if (error) {
+        console.error(error);
+        showToast("Nie udało się zapisać waluty w profilu.");
+      }
+    },
+    [currentUserId, showToast]
+  );
+
   const handleAlertSubmit = useCallback(
     async (payload) => {
       if (!currentUserId) {
@@ -2746,6 +6235,9 @@ export default function App() {
         query_text: payload.query_text || null,
         distance: payload.distance || null,
         max_price: payload.max_price ?? null,
+        shirt_size: payload.shirt_size || null,
+        gender: payload.gender || null,
+        extras: Array.isArray(payload.extras) ? payload.extras : [],
         send_email: payload.send_email,
         is_active: payload.is_active,
       };
@@ -2801,34 +6293,349 @@ export default function App() {
         setAlertsMessage(err?.message || "Nie udało się usunąć alertu.");
       }
     },
-    [currentUserId, editingAlert]
+    [currentUserId, editingAlert]
+  );
+
+  const fetchFavorites = useCallback(async () => {
+    if (!currentUserId) {
+      setFavoriteIds(new Set());
+      return;
+    }
+    const { data, error } = await supabase
+      .from("listing_favorites")
+      .select("listing_id")
+      .eq("user_id", currentUserId);
+    if (error) {
+      console.error(error);
+      return;
+    }
+    setFavoriteIds(new Set((data || []).map((row) => row.listing_id)));
+  }, [currentUserId]);
+
+  const toggleFavorite = useCallback(
+    async (listing) => {
+      if (!currentUserId) {
+        showToast("Zaloguj się, aby obserwować ogłoszenia.");
+        return;
+      }
+      const wasFavorite = favoriteIds.has(listing.id);
+      setFavoriteIds((prev) => {
+        const next = new Set(prev);
+        if (wasFavorite) next.delete(listing.id);
+        else next.add(listing.id);
+        return next;
+      });
+      const { error } = wasFavorite
+        ? await supabase.from("listing_favorites").delete().eq("user_id", currentUserId).eq("listing_id", listing.id)
+        : await supabase.from("listing_favorites").insert({ user_id: currentUserId, listing_id: listing.id });
+      if (error) {
+        console.error(error);
+        showToast("Nie udało się zapisać obserwowanego ogłoszenia.");
+        fetchFavorites();
+        return;
+      }
+      if (!wasFavorite) showToast("Obserwujesz ogłoszenie – powiadomimy Cię o obniżce ceny.");
+    },
+    [currentUserId, favoriteIds, fetchFavorites, showToast]
+  );
+
+  const markNotificationRead = useCallback(
+    async (notification) => {
+      if (!currentUserId || notification.channel !== "inapp" || notification.is_read) return;
+      setNotifications((prev) => prev.map((item) => (item.id === notification.id ? { ...item, is_read: true } : item)));
+      setNotificationUnreadCount((prev) => (prev > 0 ? prev - 1 : 0));
+      const { error } = await supabase.from("notifications").update({ is_read: true }).eq("id", notification.id);
+      if (error) {
+        console.error(error);
+        fetchNotifications();
+      }
+    },
+    [currentUserId, fetchNotifications]
+  );
+
+  /** Wstawia ogłoszenia z serwera: znane odświeża, nowe dokleja na koniec, pomija te z niewysłanymi zmianami. */
+  const mergeServerListings = useCallback((rows) => {
+    const queued = new Set(outboxRef.current.map((entry) => entry.listingId));
+    const fresh = new Map(
+      rows.filter((row) => row?.id && !queued.has(row.id)).map((row) => [String(row.id), listingFromRow(row)])
+    );
+    if (!fresh.size) return;
+    setListings((prev) => {
+      const next = prev.map((item) => fresh.get(item.id) || item);
+      const known = new Set(prev.map((item) => item.id));
+      return [...next, ...Array.from(fresh.values()).filter((item) => !known.has(item.id))];
+    });
+  }, []);
+
+  // Pierwsza strona rynku dla bieżących filtrów i sortowania wraz z licznikami filtrów
+  const fetchListings = useCallback(async () => {
+    const marketQuery = marketQueryRef.current;
+    if (!marketQuery) return;
+    const requestId = ++marketRequestRef.current;
+    try {
+      const [page, counts] = await Promise.all([
+        fetchMarketPage(marketQuery, null),
+        supabase.rpc("market_facet_counts", { p_filters: marketQuery.filters }),
+      ]);
+      if (requestId !== marketRequestRef.current) return;
+      if (page.error) throw page.error;
+      if (counts.error) console.error(counts.error);
+      const rows = page.data || [];
+      mergeServerListings(rows.map((row) => row.listing));
+      setMarketPage({
+        key: marketQuery.key,
+        ids: new Set(rows.map((row) => String(row.listing.id))),
+        ranks: new Map(rows.map((row) => [String(row.listing.id), Number(row.rank) || 0])),
+        cursor: marketPageCursor(rows),
+        hasMore: rows.length === LISTINGS_PAGE_SIZE,
+        counts: counts.error ? null : counts.data,
+      });
+      setIncomingListings([]);
+      setListingsPageError(false);
+      purgeExpiredListings();
+    } catch (err) {
+      if (requestId !== marketRequestRef.current) return;
+      console.error(err);
+      // Bez serwera filtrujemy i sortujemy lokalnie zapisaną kopię
+      setMarketPage(null);
+      showToast("Nie udało się pobrać ogłoszeń z serwera. Wyświetlam zapisaną kopię.");
+    }
+  }, [mergeServerListings, purgeExpiredListings, showToast]);
+
+  const loadMoreListings = useCallback(async () => {
+    const marketQuery = marketQueryRef.current;
+    if (!marketPage?.cursor || !marketPage.hasMore || marketPage.key !== marketQuery?.key || loadingMoreListings) return;
+    const requestId = marketRequestRef.current;
+    setLoadingMoreListings(true);
+    try {
+      const { data, error } = await fetchMarketPage(marketQuery, marketPage.cursor);
+      if (error) throw error;
+      // Filtry zmieniły się w trakcie – strona należy do poprzednich wyników
+      if (requestId !== marketRequestRef.current) return;
+      const rows = data || [];
+      mergeServerListings(rows.map((row) => row.listing));
+      setMarketPage((prev) =>
+        prev && prev.key === marketQuery.key
+          ? {
+              ...prev,
+              ids: new Set([...prev.ids, ...rows.map((row) => String(row.listing.id))]),
+              ranks: new Map([...prev.ranks, ...rows.map((row) => [String(row.listing.id), Number(row.rank) || 0])]),
+              cursor: marketPageCursor(rows) || prev.cursor,
+              hasMore: rows.length === LISTINGS_PAGE_SIZE,
+            }
+          : prev
+      );
+      setListingsPageError(false);
+    } catch (err) {
+      console.error(err);
+      setListingsPageError(true);
+      showToast("Nie udało się wczytać kolejnych ogłoszeń.");
+    } finally {
+      setLoadingMoreListings(false);
+    }
+  }, [marketPage, loadingMoreListings, mergeServerListings, showToast]);
+
+  // Lista rynku jest stronicowana, więc własne ogłoszenia (także szkice) dociągamy osobno
+  const fetchMyListings = useCallback(async () => {
+    if (!currentUserId) {
+      setOwnListings([]);
+      return;
+    }
+    const { data, error } = await supabase
+      .from("listings")
+      .select(LISTING_COLUMNS)
+      .eq("owner_id", currentUserId)
+      .is("archived_at", null)
+      .order("created_at", { ascending: false })
+      .limit(1000);
+    if (error) {
+      console.error(error);
+      return;
+    }
+    setOwnListings((data || []).map((row) => listingFromRow(row)));
+  }, [currentUserId]);
+
+  /** Podmienia własne ogłoszenie w kopii serwerowej po lokalnej zmianie (nowe trafiają tam przy kolejnym pobraniu). */
+  const patchOwnListing = useCallback((updated) => {
+    setOwnListings((prev) => (prev.some((item) => item.id === updated.id)
+      ? prev.map((item) => (item.id === updated.id ? updated : item))
+      : prev));
+  }, []);
+
+  const fetchListingMatches = useCallback(async () => {
+    if (!currentUserId) return;
+    setListingMatchesLoading(true);
+    setListingMatchesError("");
+    try {
+      const { data, error } = await supabase.rpc("listing_matches", { max_results: 200 });
+      if (error) throw error;
+      const pairs = data || [];
+      const next = new Map();
+      for (const pair of pairs) {
+        const key = String(pair.listing_id);
+        next.set(key, [...(next.get(key) || []), String(pair.match_id)]);
+      }
+      // Dopasowane ogłoszenia mogą leżeć poza wczytanymi stronami listy
+      const missing = Array.from(new Set(pairs.map((pair) => String(pair.match_id)))).filter(
+        (id) => !listingIdsRef.current.has(id)
+      );
+      if (missing.length) {
+        const { data: rows, error: rowsError } = await supabase.from("listings").select(LISTING_COLUMNS).in("id", missing);
+        if (rowsError) throw rowsError;
+        mergeServerListings(rows || []);
+      }
+      setListingMatchIds(next);
+    } catch (err) {
+      console.error(err);
+      // Bez RPC (np. przed uruchomieniem listing_matches.sql) dopasowujemy w obrębie wczytanych ogłoszeń
+      setListingMatchIds(null);
+      if (!isTransientSyncError(err) && err?.code !== "PGRST202") {
+        setListingMatchesError("Nie udało się pobrać dopasowań z serwera – pokazujemy dopasowania z wczytanych ogłoszeń.");
+      }
+    } finally {
+      setListingMatchesLoading(false);
+    }
+  }, [currentUserId, mergeServerListings]);
+
+  // Czy nowe ogłoszenia pasują do filtrów i gdzie trafią w sortowaniu, rozstrzyga serwer przy ponownym pobraniu strony
+  const showIncomingListings = useCallback(() => {
+    setListings((prev) => {
+      const known = new Set(prev.map((item) => item.id));
+      return [...incomingListings.filter((item) => !known.has(item.id)), ...prev];
+    });
+    setIncomingListings([]);
+    fetchListings();
+  }, [incomingListings, fetchListings]);
+
+  const publishListing = useCallback(async (listingId) => {
+    try {
+      // Endpoint tylko odczytuje zapisany wiersz (drugi zapis zmieniłby updated_at, na którym opiera się kolejka zmian);
+      // autora ustala z tokenu sesji
+      const { data: sessionData } = await supabase.auth.getSession();
+      const token = sessionData?.session?.access_token;
+      if (!token) return false;
+      const response = await fetch("/api/alerts-fanout", {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ listingId }),
+      });
+      if (response.status >= 500 || response.status === 429 || response.status === 401) {
+        console.error("Nie udało się opublikować ogłoszenia do alertów", response.status);
+        return false;
+      }
+      return true;
+    } catch (err) {
+      console.error("Nie udało się opublikować ogłoszenia do alertów", err);
+      return false;
+    }
+  }, []);
+
+  const updateOutbox = useCallback((updater) => {
+    const next = updater(outboxRef.current);
+    outboxRef.current = next;
+    setOutbox(next);
+  }, []);
+
+  const flushOutbox = useCallback(async () => {
+    if (!currentUserId) return;
+    if (outboxSyncingRef.current) {
+      outboxRerunRef.current = true;
+      return;
+    }
+    outboxSyncingRef.current = true;
+    try {
+      const blocked = new Set();
+      for (const entry of [...outboxRef.current]) {
+        if (entry.ownerId !== currentUserId) continue;
+        if (entry.status !== "pending" || blocked.has(entry.listingId)) {
+          blocked.add(entry.listingId);
+          continue;
+        }
+        outboxInFlightRef.current = entry.id;
+        const result = await replayOutboxEntry(entry, publishListing);
+        outboxInFlightRef.current = null;
+        if (result.rateLimited) {
+          // Ponowne próby co OUTBOX_RETRY_MS nie powtarzają tego samego komunikatu
+          if (outboxRateLimitRef.current !== result.error) showToast(result.error);
+          outboxRateLimitRef.current = result.error;
+        } else if (result.outcome === "done") {
+          outboxRateLimitRef.current = "";
+        }
+        updateOutbox((prev) => outboxAfterReplay(prev, entry, result));
+        if (result.outcome === "conflict" || result.outcome === "error") {
+          blocked.add(entry.listingId);
+          continue;
+        }
+        if (result.updatedAt) {
+          setListings((prev) =>
+            prev.map((item) => (item.id === entry.listingId ? { ...item, updatedAt: result.updatedAt } : item))
+          );
+        }
+        if (result.outcome === "offline") break;
+      }
+    } finally {
+      outboxSyncingRef.current = false;
+      outboxInFlightRef.current = null;
+    }
+    if (outboxRerunRef.current) {
+      outboxRerunRef.current = false;
+      flushOutbox();
+    }
+  }, [currentUserId, publishListing, updateOutbox, showToast]);
+
+  const enqueueListingMutation = useCallback(
+    (/** @type {{ op: "upsert", listing: Listing } | { op: "delete", listing: Listing }} */ mutation) => {
+      updateOutbox((prev) =>
+        enqueueOutboxMutation(prev, mutation, {
+          id: cryptoRandom(),
+          ownerId: getListingOwnerId(mutation.listing) || currentUserId || "",
+          inFlightId: outboxInFlightRef.current,
+          queuedAt: Date.now(),
+        })
+      );
+      flushOutbox();
+    },
+    [currentUserId, flushOutbox, updateOutbox]
+  );
+
+  const resolveSyncIssue = useCallback(
+    (listing, action) => {
+      const blockedEntry = outboxRef.current.find((item) => item.listingId === listing.id && item.status !== "pending");
+      if (!blockedEntry) return;
+      if (action === "retry") {
+        updateOutbox((prev) => retryOutboxListing(prev, blockedEntry));
+        flushOutbox();
+        return;
+      }
+      updateOutbox((prev) => prev.filter((item) => item.listingId !== listing.id));
+      if (blockedEntry.status === "conflict") {
+        const serverListing = blockedEntry.serverListing;
+        setListings((prev) => {
+          const withoutLocal = prev.filter((item) => item.id !== listing.id);
+          return serverListing ? [serverListing, ...withoutLocal] : withoutLocal;
+        });
+        if (serverListing) patchOwnListing(serverListing);
+        else setOwnListings((prev) => prev.filter((item) => item.id !== listing.id));
+      } else {
+        fetchListings();
+        fetchMyListings();
+      }
+    },
+    [fetchListings, fetchMyListings, patchOwnListing, flushOutbox, updateOutbox]
   );
 
-  const markNotificationRead = useCallback(
-    async (notification) => {
-      if (!currentUserId || notification.channel !== "inapp" || notification.is_read) return;
-      setNotifications((prev) => prev.map((item) => (item.id === notification.id ? { ...item, is_read: true } : item)));
-      setNotificationUnreadCount((prev) => (prev > 0 ? prev - 1 : 0));
-      const { error } = await supabase.from("notifications").update({ is_read: true }).eq("id", notification.id);
-      if (error) {
-        console.error(error);
-        fetchNotifications();
+  const listingSyncStates = useMemo(() => {
+    const rank = { pending: 1, error: 2, conflict: 3 };
+    /** @type {Map<string, OutboxEntry["status"]>} */
+    const map = new Map();
+    for (const entry of outbox) {
+      const current = map.get(entry.listingId);
+      if (!current || rank[entry.status] > rank[current]) {
+        map.set(entry.listingId, entry.status);
       }
-    },
-    [currentUserId, fetchNotifications]
-  );
-
-  const publishListing = useCallback(async (listing) => {
-    try {
-      await fetch("/api/alerts-fanout", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ listing }),
-      });
-    } catch (err) {
-      console.error("Nie udało się opublikować ogłoszenia do alertów", err);
     }
-  }, []);
+    return map;
+  }, [outbox]);
 
   const markThreadMessagesRead = useCallback(
     async (threadId) => {
@@ -2851,6 +6658,7 @@ export default function App() {
   );
 
   useEffect(() => {
+    // Serwerową stronę pobiera efekt filtrów rynku (fetchListings)
     const l = loadListings();
     setListings(l);
 
@@ -2871,6 +6679,57 @@ export default function App() {
     };
   }, [purgeExpiredListings]);
 
+  useEffect(() => {
+    const channel = supabase
+      .channel("listings-realtime")
+      .on("postgres_changes", { event: "*", schema: "public", table: "listings" }, (payload) => {
+        const changedId = payload.new?.id || payload.old?.id;
+        // Lokalna, jeszcze niezsynchronizowana wersja ma pierwszeństwo – konflikt wykryje kolejka
+        if (changedId && outboxRef.current.some((entry) => entry.listingId === changedId)) return;
+        if (payload.eventType === "DELETE" || payload.new?.archived_at) {
+          const removedId = payload.old?.id || payload.new?.id;
+          if (!removedId) return;
+          setListings((prev) => prev.filter((item) => item.id !== removedId));
+          setOwnListings((prev) => prev.filter((item) => item.id !== removedId));
+          setIncomingListings((prev) => prev.filter((item) => item.id !== removedId));
+          return;
+        }
+        if (!payload.new?.id) return;
+        const incoming = listingFromRow(payload.new);
+        setOwnListings((prev) => prev.map((item) => (item.id === incoming.id ? incoming : item)));
+        // Znane ogłoszenia aktualizujemy w miejscu; nowe czekają na „Pokaż”, żeby nie przesuwać przeglądanej listy
+        if (listingIdsRef.current.has(incoming.id)) {
+          setListings((prev) => prev.map((item) => (item.id === incoming.id ? incoming : item)));
+          return;
+        }
+        setIncomingListings((prev) => [incoming, ...prev.filter((item) => item.id !== incoming.id)]);
+      })
+      .subscribe();
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, []);
+
+  useEffect(() => {
+    saveOutbox(outbox);
+  }, [outbox]);
+
+  useEffect(() => {
+    if (!currentUserId) return undefined;
+    flushOutbox();
+    const handleOnline = () => flushOutbox();
+    window.addEventListener("online", handleOnline);
+    const interval = setInterval(() => {
+      if (outboxRef.current.some((entry) => entry.status === "pending")) {
+        flushOutbox();
+      }
+    }, OUTBOX_RETRY_MS);
+    return () => {
+      window.removeEventListener("online", handleOnline);
+      clearInterval(interval);
+    };
+  }, [currentUserId, flushOutbox]);
+
   useEffect(() => {
     const errorMessage = "Nie udało się zapisać ogłoszeń w pamięci przeglądarki.";
     try {
@@ -2928,7 +6787,7 @@ export default function App() {
       try {
         const { data, error } = await supabase
           .from("profiles")
-          .select("display_name,email_notifications")
+          .select("display_name,email_notifications,preferred_currency,banned_until,ban_reason")
           .eq("id", session.user.id)
           .maybeSingle();
         if (ignore) return;
@@ -2938,10 +6797,23 @@ export default function App() {
           }
           return;
         }
+        // Zablokowane konto wylogowujemy – Supabase Auth i tak nie odświeży jego sesji (/api/admin-ban-user)
+        if (isBanActive(data?.banned_until)) {
+          showToast(
+            `Konto zablokowane ${banUntilLabel(data.banned_until)}${data.ban_reason ? ` – powód: ${data.ban_reason}` : ""}.`
+          );
+          await supabase.auth.signOut();
+          return;
+        }
         setSessionProfile(data?.display_name ? { display_name: data.display_name } : null);
         if (typeof data?.email_notifications === "boolean") {
           setEmailOptIn(data.email_notifications);
         }
+        if (data?.preferred_currency) {
+          const currency = normalizeCurrency(data.preferred_currency);
+          setPreferredCurrency(currency);
+          storePreferredCurrency(currency);
+        }
       } catch (err) {
         if (!ignore) {
           console.error(err);
@@ -2952,7 +6824,7 @@ export default function App() {
     return () => {
       ignore = true;
     };
-  }, [session]);
+  }, [session, showToast]);
 
   useEffect(() => {
     if (!currentUserId) {
@@ -2974,6 +6846,38 @@ export default function App() {
     fetchNotifications();
   }, [currentUserId, fetchAlerts, fetchNotifications]);
 
+  useEffect(() => {
+    fetchFavorites();
+  }, [fetchFavorites]);
+
+  useEffect(() => {
+    setIsAdmin(false);
+    if (!currentUserId) return undefined;
+    let ignore = false;
+    supabase.rpc("is_admin").then(({ data, error }) => {
+      if (ignore) return;
+      if (error) {
+        console.error(error);
+        return;
+      }
+      setIsAdmin(data === true);
+    });
+    return () => {
+      ignore = true;
+    };
+  }, [currentUserId]);
+
+  useEffect(() => {
+    setOwnListings([]);
+  }, [currentUserId]);
+
+  useEffect(() => {
+    if (activeView === "profile" && profileTab === "listings") {
+      fetchMyListings();
+      fetchListingMatches();
+    }
+  }, [activeView, profileTab, fetchMyListings, fetchListingMatches]);
+
   useEffect(() => {
     if (!notificationsOpen) return;
     function handleClickOutside(event) {
@@ -3029,13 +6933,13 @@ export default function App() {
   }, [listings, selected]);
 
   useEffect(() => {
-    if (editingListing && !listings.some((l) => l.id === editingListing.id)) {
+    if (editingListing?.id && !listings.some((l) => l.id === editingListing.id)) {
       setEditingListing(null);
     }
   }, [listings, editingListing]);
 
   const openMessageModal = useCallback(
-    (listing) => {
+    (listing, draft = "") => {
       if (!session || !currentUserId) {
         setAuthOpen(true);
         return;
@@ -3045,6 +6949,7 @@ export default function App() {
         return;
       }
       setMessageError("");
+      setMessageDraft(typeof draft === "string" ? draft : "");
       setMessageListing(listing);
       setMessageModalOpen(true);
     },
@@ -3054,9 +6959,52 @@ export default function App() {
   const closeMessageModal = useCallback(() => {
     setMessageModalOpen(false);
     setMessageListing(null);
+    setMessageDraft("");
     setMessageError("");
   }, []);
 
+  const openReportModal = useCallback(
+    (/** @type {ReportTarget} */ target) => {
+      if (!session || !currentUserId) {
+        setAuthOpen(true);
+        return;
+      }
+      setReportTarget(target);
+    },
+    [session, currentUserId]
+  );
+
+  const reportListing = useCallback((listing) => openReportModal({ type: "listing", listing }), [openReportModal]);
+
+  // Powtórne zgłoszenie tego samego celu serwer pomija (created: false); po przekroczeniu progu ogłoszenie znika z rynku
+  const submitReport = useCallback(
+    async (/** @type {ReportTarget} */ target, reason, details) => {
+      const { data, error } = await supabase.rpc("submit_report", {
+        p_target_type: target.type,
+        p_listing_id: target.type === "listing" ? target.listing.id : target.listingId || null,
+        p_reported_user_id: target.type === "user" ? target.userId : null,
+        p_reason: reason,
+        p_details: details || null,
+      });
+      if (error) {
+        console.error(error);
+        throw new Error(error.message || "Nie udało się wysłać zgłoszenia.");
+      }
+      setReportTarget(null);
+      if (data?.hidden && target.type === "listing") {
+        const hiddenId = target.listing.id;
+        setListings((prev) => prev.filter((item) => item.id !== hiddenId));
+        setSelected((prev) => (prev?.id === hiddenId ? null : prev));
+      }
+      showToast(
+        data?.created === false
+          ? "To zgłoszenie zostało już wcześniej zapisane."
+          : "Dziękujemy – zgłoszenie trafiło do moderacji ✔"
+      );
+    },
+    [showToast]
+  );
+
   const sendDirectMessage = useCallback(
     async (body) => {
       if (!session || !currentUserId || !messageListing) {
@@ -3489,32 +7437,243 @@ export default function App() {
     };
   }, [currentUserId, selectedConversationUserId]);
 
-  const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    let arr = listings.filter((l) => {
+  // Filtrowanie dużej listy nie blokuje pola wyszukiwania
+  const deferredQuery = useDeferredValue(query);
+  const queryTokens = useMemo(() => searchTokens(deferredQuery), [deferredQuery]);
+
+  useEffect(() => {
+    listingIdsRef.current = new Set(listings.map((item) => item.id));
+  }, [listings]);
+
+  // Filtry, wyszukiwanie i sortowanie wykonuje serwer (supabase/listings_market.sql); zmiana filtrów pobiera
+  // pierwszą stronę od nowa, a kursor kolejnych stron odpowiada wybranemu sortowaniu
+  const marketQuery = useMemo(
+    () =>
+      buildMarketQuery({
+        query: deferredQuery,
+        typeFilter,
+        distanceFilter,
+        statusFilter,
+        sort,
+        facets,
+        currency: preferredCurrency,
+        today: formatDateOnly(new Date()),
+      }),
+    [deferredQuery, typeFilter, distanceFilter, statusFilter, sort, facets, preferredCurrency]
+  );
+  const marketQueryKey = marketQuery.key;
+
+  // Zależność od klucza, nie od obiektu: sama zmiana spacji we frazie nie pobiera strony ponownie
+  useEffect(() => {
+    marketQueryRef.current = marketQuery;
+    const timer = setTimeout(fetchListings, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [marketQueryKey, fetchListings]);
+
+  useEffect(() => {
+    const node = feedSentinelRef.current;
+    if (!node || typeof IntersectionObserver === "undefined") return undefined;
+    const observer = new IntersectionObserver((entries) => setFeedEndVisible(entries.some((entry) => entry.isIntersecting)), {
+      rootMargin: "800px 0px",
+    });
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [activeTab, activeView]);
+
+  const facetsActive = Object.keys(EMPTY_FACETS).some((key) => facets[key] !== EMPTY_FACETS[key]);
+  // Strona z serwera obowiązuje tylko dla bieżących filtrów; do jej nadejścia (lub offline) filtrujemy lokalną kopię
+  const serverPage = marketPage?.key === marketQueryKey ? marketPage : null;
+  const hasMoreListings = Boolean(serverPage?.hasMore);
+  // Kolejne strony serwer filtruje i sortuje sam, więc można je dociągać przy przewijaniu przy każdym filtrze
+  const feedAutoLoad = Boolean(serverPage);
+
+  // Dopóki koniec listy jest w zasięgu wzroku, wczytujemy kolejne strony
+  useEffect(() => {
+    if (feedAutoLoad && feedEndVisible && hasMoreListings && !loadingMoreListings && !listingsPageError) {
+      loadMoreListings();
+    }
+  }, [feedAutoLoad, feedEndVisible, hasMoreListings, loadingMoreListings, listingsPageError, loadMoreListings]);
+
+  const searchMatched = useMemo(() => {
+    const serverRanks = serverPage && queryTokens.length ? serverPage.ranks : null;
+    const scores = new Map();
+    const todayStr = formatDateOnly(new Date());
+    const items = listings.filter((l) => {
+      // Z wczytanych stron serwera, a spoza nich tylko ogłoszenia z niewysłanymi zmianami
+      if (serverPage && !serverPage.ids.has(l.id) && !listingSyncStates.has(l.id)) return false;
+      // Ogłoszenia ukryte po zgłoszeniach widzi na rynku tylko administrator; autor – w swoim profilu
+      if (l.hiddenAt && !isAdmin) return false;
+      const status = getListingStatus(l);
+      const okStatus =
+        statusFilter === "visible" ? MARKET_VISIBLE_STATUSES.includes(status) : status === statusFilter;
+      if (!okStatus) return false;
+      // Domyślny widok pomija ogłoszenia po terminie przepisania, zanim zadanie nocne je zarchiwizuje
+      const deadline = extractDateString(l.transferDeadline);
+      if (statusFilter === "visible" && deadline && deadline < todayStr) return false;
       const okType = typeFilter === "all" ? true : l.type === typeFilter;
-      const okQuery = !q ||
-        l.raceName.toLowerCase().includes(q) ||
-        (l.location || "").toLowerCase().includes(q) ||
-        (l.description || "").toLowerCase().includes(q);
+      let okQuery = true;
+      if (queryTokens.length) {
+        const score = listingSearchScore(l, queryTokens);
+        scores.set(l.id, score);
+        okQuery = serverRanks
+          ? serverRanks.has(l.id) || (score > 0 && listingSyncStates.has(l.id))
+          : score > 0;
+      }
       const distances = getListingDistances(l);
       const okDistance =
         distanceFilter === "all" ||
         distances.includes(distanceFilter);
       return okType && okQuery && okDistance;
     });
+    return { items, serverRanks, scores };
+  }, [listings, queryTokens, serverPage, listingSyncStates, typeFilter, distanceFilter, statusFilter, isAdmin]);
+
+  const priceView = useMemo(() => ({ currency: preferredCurrency, rates: exchangeRates }), [preferredCurrency, exchangeRates]);
+
+  // Liczniki każdego filtra liczone są przy pozostałych filtrach aktywnych (bez niego samego); przy stronie z serwera
+  // pochodzą z market_facet_counts i obejmują wszystkie pasujące ogłoszenia, nie tylko wczytane
+  const facetView = useMemo(() => {
+    const predicates = buildFacetPredicates(facets, formatDateOnly(new Date()), priceView);
+    const keys = /** @type {(keyof typeof predicates)[]} */ (Object.keys(predicates));
+    const matchesExcept = (listing, skip) => keys.every((key) => key === skip || predicates[key](listing));
+    const items = searchMatched.items.filter((l) => matchesExcept(l, null));
+    const serverCounts = serverPage?.counts;
+    if (serverCounts) {
+      const cities = [...serverCounts.cities];
+      if (facets.city && !cities.some((city) => city.key === facets.city)) {
+        cities.push({ key: facets.city, label: facets.city, count: 0 });
+      }
+      return {
+        items,
+        total: serverCounts.total,
+        counts: {
+          date: serverCounts.total,
+          price: serverCounts.total,
+          verified: serverCounts.total,
+          deadline: serverCounts.total,
+          shirtSize: serverCounts.total,
+          gender: serverCounts.total,
+          extras: serverCounts.total,
+          cities: cities.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, "pl")),
+          regions: new Map(Object.entries(serverCounts.regions)),
+        },
+      };
+    }
+    const countFor = (key) => searchMatched.items.filter((l) => matchesExcept(l, key) && predicates[key](l)).length;
+
+    const cities = new Map();
+    const regions = new Map();
+    for (const l of searchMatched.items) {
+      const cityKey = listingCityKey(l);
+      if (cityKey && matchesExcept(l, "city")) {
+        const entry = cities.get(cityKey) || { key: cityKey, label: String(l.location).split(",")[0].trim(), count: 0 };
+        entry.count += 1;
+        cities.set(cityKey, entry);
+      }
+      if (matchesExcept(l, "region")) {
+        const region = listingVoivodeship(l) || UNKNOWN_REGION;
+        regions.set(region, (regions.get(region) || 0) + 1);
+      }
+    }
+    if (facets.city && !cities.has(facets.city)) {
+      cities.set(facets.city, { key: facets.city, label: facets.city, count: 0 });
+    }
 
-    if (sort === "newest") arr = arr.sort((a, b) => b.createdAt - a.createdAt);
-    if (sort === "priceAsc") arr = arr.sort((a, b) => a.price - b.price);
-    if (sort === "priceDesc") arr = arr.sort((a, b) => b.price - a.price);
+    return {
+      items,
+      total: null,
+      counts: {
+        date: countFor("date"),
+        price: countFor("price"),
+        verified: countFor("verified"),
+        deadline: countFor("deadline"),
+        shirtSize: countFor("shirtSize"),
+        gender: countFor("gender"),
+        extras: countFor("extras"),
+        cities: Array.from(cities.values()).sort((a, b) => b.count - a.count || a.label.localeCompare(b.label, "pl")),
+        regions,
+      },
+    };
+  }, [searchMatched, serverPage, facets, priceView]);
+
+  const updateFacet = useCallback((key, value) => {
+    setFacets((prev) => ({ ...prev, [key]: value }));
+  }, []);
+
+  const filtered = useMemo(() => {
+    const { serverRanks, scores } = searchMatched;
+    let arr = [...facetView.items];
+
+    // Remis rozstrzyga data dodania i id, więc kolejność nie skacze przy aktualizacjach z realtime
+    const byNewest = (a, b) => b.createdAt - a.createdAt || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+    if (sort === "newest") arr = arr.sort(byNewest);
+    // Ceny w różnych walutach porównujemy po przeliczeniu; ogłoszenia bez znanego kursu trafiają na koniec
+    if (sort === "priceAsc" || sort === "priceDesc") {
+      const direction = sort === "priceAsc" ? 1 : -1;
+      const converted = new Map(arr.map((l) => [l.id, listingPriceIn(l, priceView)]));
+      arr = arr.sort(
+        (a, b) =>
+          (converted.get(a.id) == null || converted.get(b.id) == null
+            ? compareMissingLast(converted.get(a.id), converted.get(b.id))
+            : direction * (converted.get(a.id) - converted.get(b.id))) || byNewest(a, b)
+      );
+    }
+    if (sort === "eventSoonest") {
+      arr = arr.sort(
+        (a, b) => compareMissingLast(extractDateString(a.eventDate), extractDateString(b.eventDate)) || byNewest(a, b)
+      );
+    }
+    if (sort === "deadlineSoonest") {
+      const todayStr = formatDateOnly(new Date());
+      arr = arr.sort(
+        (a, b) =>
+          compareMissingLast(listingOpenTransferDeadline(a, todayStr), listingOpenTransferDeadline(b, todayStr)) ||
+          byNewest(a, b)
+      );
+    }
+    if (sort === "pricePerKm") {
+      const perKm = new Map(arr.map((l) => [l.id, listingPricePerKm(l, priceView)]));
+      arr = arr.sort((a, b) => compareMissingLast(perKm.get(a.id), perKm.get(b.id)) || byNewest(a, b));
+    }
+    if (sort === "relevance") {
+      arr = arr.sort(
+        (a, b) =>
+          (serverRanks?.get(b.id) ?? 0) - (serverRanks?.get(a.id) ?? 0) ||
+          (scores.get(b.id) ?? 0) - (scores.get(a.id) ?? 0) ||
+          byNewest(a, b)
+      );
+    }
 
     return arr;
-  }, [listings, query, typeFilter, distanceFilter, sort]);
+  }, [searchMatched, facetView, sort, priceView]);
 
   const myListings = useMemo(() => {
     if (!currentUserId) return [];
-    return listings.filter((l) => getListingOwnerId(l) === currentUserId);
-  }, [listings, currentUserId]);
+    // Wersja z listy rynku jest świeższa (lokalne zmiany, Realtime); reszta pochodzi z osobnego pobrania
+    const byId = new Map(
+      applyOutboxToListings(ownListings, outbox.filter((entry) => entry.ownerId === currentUserId)).map((item) => [item.id, item])
+    );
+    for (const item of listings) {
+      if (getListingOwnerId(item) === currentUserId) byId.set(item.id, item);
+    }
+    return Array.from(byId.values())
+      .filter((l) => getListingOwnerId(l) === currentUserId && (myStatusFilter === "all" || getListingStatus(l) === myStatusFilter))
+      .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+  }, [listings, ownListings, outbox, currentUserId, myStatusFilter]);
+
+  const listingMatchGroups = useMemo(() => {
+    if (!currentUserId) return [];
+    const byId = new Map(listings.map((item) => [item.id, item]));
+    return listings
+      .filter((l) => getListingOwnerId(l) === currentUserId && getListingStatus(l) === "active")
+      .map((listing) => {
+        const candidates = listingMatchIds
+          ? (listingMatchIds.get(listing.id) || []).map((id) => byId.get(id)).filter(Boolean)
+          : listings;
+        // Lokalny predykat odrzuca też pary nieaktualne po zmianach, które serwer jeszcze nie widział
+        return { listing, matches: candidates.filter((other) => listingsAreMatch(listing, other, exchangeRates)) };
+      });
+  }, [listings, currentUserId, listingMatchIds, exchangeRates]);
 
   function addListing(l) {
     if (!currentUserId || !session) {
@@ -3536,34 +7695,98 @@ export default function App() {
       author_display_name: l.author_display_name || fallbackName,
     };
     const normalizedPayload = normalizeListing(payload);
-    setListings((prev) => {
-      const idx = prev.findIndex((item) => item.id === normalizedPayload.id);
-      if (idx >= 0) {
-        const existing = prev[idx];
-        const ownerId = getListingOwnerId(existing);
-        if (ownerId && ownerId !== currentUserId) {
-          return prev;
-        }
-        const next = [...prev];
-        next[idx] = { ...existing, ...normalizedPayload };
-        return next;
+    const inMarket = listings.some((item) => item.id === normalizedPayload.id);
+    const existing =
+      listings.find((item) => item.id === normalizedPayload.id) ||
+      ownListings.find((item) => item.id === normalizedPayload.id);
+    if (existing) {
+      const ownerId = getListingOwnerId(existing);
+      if (ownerId && ownerId !== currentUserId) {
+        return;
       }
-      return [normalizedPayload, ...prev];
-    });
+    }
+    const saved = existing ? { ...existing, ...normalizedPayload } : normalizedPayload;
+    if (inMarket || !existing) {
+      setListings((prev) => {
+        const idx = prev.findIndex((item) => item.id === saved.id);
+        if (idx >= 0) {
+          const next = [...prev];
+          next[idx] = saved;
+          return next;
+        }
+        return [saved, ...prev];
+      });
+    }
+    patchOwnListing(saved);
     setEditingListing(null);
     purgeExpiredListings();
-    publishListing(normalizedPayload);
+    enqueueListingMutation({ op: "upsert", listing: saved });
   }
 
   function deleteListing(id) {
-    const target = listings.find((x) => x.id === id);
+    const target = listings.find((x) => x.id === id) || ownListings.find((x) => x.id === id);
     if (!target) return;
     const ownerId = getListingOwnerId(target);
     if (!currentUserId || ownerId !== currentUserId) return;
     if (!confirm("Na pewno usunąć to ogłoszenie?")) return;
     setListings((prev) => prev.filter((x) => x.id !== id));
+    setOwnListings((prev) => prev.filter((x) => x.id !== id));
     if (selected?.id === id) setSelected(null);
     if (editingListing?.id === id) setEditingListing(null);
+    enqueueListingMutation({ op: "delete", listing: target });
+  }
+
+  function importListings(items) {
+    if (!currentUserId || !session || !items.length) return;
+    const emailLabel = session.user?.email?.split("@")[0] || session.user?.email || "";
+    const fallbackName = profileDisplayName || emailLabel;
+    const saved = items.map((l) =>
+      normalizeListing({ ...l, ownerId: currentUserId, owner_id: currentUserId, author_display_name: fallbackName })
+    );
+    setListings((prev) => [...saved, ...prev]);
+    purgeExpiredListings();
+    for (const listing of saved) {
+      enqueueListingMutation({ op: "upsert", listing });
+    }
+    showToast(`Zaimportowano ogłoszenia: ${saved.length}.`);
+  }
+
+  /** @param {"csv" | "json"} format */
+  function exportMyListings(format) {
+    if (!myListings.length) return;
+    const stamp = formatDateOnly(new Date());
+    if (format === "json") {
+      const data = myListings.map((listing) => listingExportRecord(listing));
+      downloadFile(`moje-ogloszenia-${stamp}.json`, JSON.stringify(data, null, 2), "application/json");
+    } else {
+      downloadFile(`moje-ogloszenia-${stamp}.csv`, listingsToCsv(myListings), "text/csv;charset=utf-8");
+    }
+  }
+
+  function changeListingStatus(listing, nextStatus) {
+    if (!currentUserId || getListingOwnerId(listing) !== currentUserId) return;
+    const current = getListingStatus(listing);
+    if (!canTransitionListing(current, nextStatus)) return;
+    if (nextStatus === "sold" && !confirm("Oznaczyć ogłoszenie jako zakończone? Tej zmiany nie można cofnąć.")) return;
+    const updated = withListingStatus(listing, nextStatus);
+    setListings((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+    patchOwnListing(updated);
+    if (selected?.id === updated.id) setSelected(updated);
+    enqueueListingMutation({ op: "upsert", listing: updated });
+  }
+
+  function sellBundleItem(listing, itemId) {
+    if (!currentUserId || getListingOwnerId(listing) !== currentUserId) return;
+    const items = listingBundleItems(listing).map((item) => (item.id === itemId ? { ...item, sold: true } : item));
+    let updated = withBundleSummary({ ...listing, bundle: { ...listing.bundle, items } });
+    // Po sprzedaży ostatniej pozycji całe ogłoszenie jest zakończone
+    if (items.every((item) => item.sold) && canTransitionListing(getListingStatus(listing), "sold")) {
+      updated = withListingStatus(updated, "sold");
+    }
+    setListings((prev) => prev.map((item) => (item.id === updated.id ? updated : item)));
+    patchOwnListing(updated);
+    if (selected?.id === updated.id) setSelected(updated);
+    enqueueListingMutation({ op: "upsert", listing: updated });
   }
 
   const startEditListing = useCallback(
@@ -3578,6 +7801,18 @@ export default function App() {
     [currentUserId, setActiveView, setProfileTab]
   );
 
+  const duplicateListing = useCallback(
+    (listing) => {
+      if (!currentUserId) return;
+      if (getListingOwnerId(listing) !== currentUserId) return;
+      setActiveView("market");
+      setDuplicateSource(listing);
+      setEditingListing(listingTemplate(listing));
+      window.scrollTo({ top: 0, behavior: "smooth" });
+    },
+    [currentUserId, setActiveView]
+  );
+
   return (
     <div className="min-h-screen bg-neutral-50 text-neutral-900">
       <header className="sticky top-0 z-10 backdrop-blur bg-white/70 border-b">
@@ -3632,6 +7867,20 @@ export default function App() {
                 Mój profil
               </button>
             )}
+            {isAdmin && activeTab === "listings" && (
+              <button
+                type="button"
+                onClick={() => setActiveView("admin")}
+                className={clsx(
+                  "px-3 py-1.5 rounded-xl border",
+                  activeView === "admin"
+                    ? "bg-neutral-900 text-white border-neutral-900"
+                    : "bg-white hover:bg-neutral-50"
+                )}
+              >
+                Moderacja
+              </button>
+            )}
           </nav>
           <div className="md:ml-auto flex items-center gap-2">
             {session ? (
@@ -3667,6 +7916,7 @@ export default function App() {
                               ? toCurrency(listing.price, listing?.currency || "PLN")
                               : "";
                           const localListing = listings.find((l) => l.id === notif.listing_id);
+                          const kindLabel = notificationKindLabel(notif?.payload);
                           return (
                             <button
                               key={notif.id}
@@ -3684,6 +7934,7 @@ export default function App() {
                                 notif.is_read ? "bg-white" : "bg-neutral-50"
                               )}
                             >
+                              {kindLabel && <div className="text-xs font-medium text-amber-700">{kindLabel}</div>}
                               <div className="font-medium text-gray-900">{listing?.race_name || "Nowe ogłoszenie"}</div>
                               <div className="text-xs text-gray-600">
                                 {typeLabel}
@@ -3752,8 +8003,10 @@ export default function App() {
                     ownerId={session.user.id}
                     authorDisplayName={profileDisplayName}
                     editingListing={editingListing}
+                    duplicateOf={editingListing && !editingListing.id ? duplicateSource : null}
                     onCancelEdit={() => setEditingListing(null)}
                     onOpenTerms={() => handleTabChange("terms")}
+                    exchangeRates={exchangeRates}
                   />
                 ) : (
                   <div className="space-y-3">
@@ -3781,7 +8034,17 @@ export default function App() {
             <div className="lg:col-span-2 space-y-6">
               <Section title="Ogłoszenia" right={null}>
                 <div className="mb-4 flex items-center gap-2">
-                  <input value={query} onChange={(e) => setQuery(e.target.value)} className="px-3 py-2 rounded-xl border w-48" placeholder="Szukaj…" />
+                  <input
+                    value={query}
+                    onChange={(e) => {
+                      const next = e.target.value;
+                      if (!query.trim() && next.trim() && sort === "newest") setSort("relevance");
+                      if (!next.trim() && sort === "relevance") setSort("newest");
+                      setQuery(next);
+                    }}
+                    className="px-3 py-2 rounded-xl border w-48"
+                    placeholder="Szukaj…"
+                  />
                   <select value={typeFilter} onChange={(e) => setTypeFilter(/** @type any */(e.target.value))} className="px-3 py-2 rounded-xl border">
                     <option value="all">Wszystkie</option>
                     <option value="sell">Sprzedam</option>
@@ -3799,28 +8062,268 @@ export default function App() {
                       </option>
                     ))}
                   </select>
+                  <select
+                    value={statusFilter}
+                    onChange={(e) => setStatusFilter(/** @type {"visible" | ListingStatus} */ (e.target.value))}
+                    className="px-3 py-2 rounded-xl border"
+                  >
+                    <option value="visible">Wszystkie statusy</option>
+                    {MARKET_VISIBLE_STATUSES.map((value) => (
+                      <option key={value} value={value}>
+                        {listingStatusMeta(value).label}
+                      </option>
+                    ))}
+                  </select>
                   <select value={sort} onChange={(e) => setSort(e.target.value)} className="px-3 py-2 rounded-xl border">
+                    {queryTokens.length > 0 && <option value="relevance">Trafność</option>}
                     <option value="newest">Najnowsze</option>
                     <option value="priceAsc">Cena rosnąco</option>
                     <option value="priceDesc">Cena malejąco</option>
+                    <option value="eventSoonest">Najbliższy bieg</option>
+                    <option value="deadlineSoonest">Najbliższy termin przepisania</option>
+                    <option value="pricePerKm">Najtańsze za km</option>
                   </select>
+                  <select
+                    value={preferredCurrency}
+                    onChange={(e) => changePreferredCurrency(e.target.value)}
+                    className="px-3 py-2 rounded-xl border"
+                    aria-label="Waluta cen"
+                    title="Waluta, na którą przeliczamy ceny"
+                  >
+                    {SUPPORTED_CURRENCIES.map((code) => (
+                      <option key={code} value={code}>
+                        {code}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="mb-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3 text-sm">
+                  <div>
+                    <div className="text-xs text-gray-500 mb-1">Termin biegu ({facetView.counts.date})</div>
+                    <div className="flex items-center gap-1">
+                      <input
+                        type="date"
+                        value={facets.dateFrom}
+                        max={facets.dateTo || undefined}
+                        onChange={(e) => updateFacet("dateFrom", e.target.value)}
+                        className="min-w-0 flex-1 px-2 py-1.5 rounded-xl border"
+                        aria-label="Termin biegu od"
+                      />
+                      <span className="text-gray-400">–</span>
+                      <input
+                        type="date"
+                        value={facets.dateTo}
+                        min={facets.dateFrom || undefined}
+                        onChange={(e) => updateFacet("dateTo", e.target.value)}
+                        className="min-w-0 flex-1 px-2 py-1.5 rounded-xl border"
+                        aria-label="Termin biegu do"
+                      />
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-xs text-gray-500 mb-1">Miasto</div>
+                    <select
+                      value={facets.city}
+                      onChange={(e) => updateFacet("city", e.target.value)}
+                      className="w-full px-2 py-1.5 rounded-xl border"
+                    >
+                      <option value="">Wszystkie miasta</option>
+                      {facetView.counts.cities.map((city) => (
+                        <option key={city.key} value={city.key}>
+                          {city.label} ({city.count})
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <div className="text-xs text-gray-500 mb-1">Województwo</div>
+                    <select
+                      value={facets.region}
+                      onChange={(e) => updateFacet("region", e.target.value)}
+                      className="w-full px-2 py-1.5 rounded-xl border"
+                    >
+                      <option value="">Wszystkie województwa</option>
+                      {VOIVODESHIPS.map((region) => (
+                        <option key={region} value={region}>
+                          {region} ({facetView.counts.regions.get(region) || 0})
+                        </option>
+                      ))}
+                      <option value={UNKNOWN_REGION}>
+                        nieznane – bez województwa ({facetView.counts.regions.get(UNKNOWN_REGION) || 0})
+                      </option>
+                    </select>
+                  </div>
+                  <div>
+                    <div className="text-xs text-gray-500 mb-1">
+                      Cena ({preferredCurrency}) ({facetView.counts.price})
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <input
+                        type="number"
+                        min="0"
+                        inputMode="decimal"
+                        value={facets.priceMin}
+                        onChange={(e) => updateFacet("priceMin", e.target.value)}
+                        className="min-w-0 flex-1 px-2 py-1.5 rounded-xl border"
+                        placeholder="od"
+                      />
+                      <span className="text-gray-400">–</span>
+                      <input
+                        type="number"
+                        min="0"
+                        inputMode="decimal"
+                        value={facets.priceMax}
+                        onChange={(e) => updateFacet("priceMax", e.target.value)}
+                        className="min-w-0 flex-1 px-2 py-1.5 rounded-xl border"
+                        placeholder="do"
+                      />
+                    </div>
+                  </div>
+                  <div className="sm:col-span-2 lg:col-span-4 flex flex-wrap items-center gap-3">
+                    <span className="text-xs text-gray-500">Pakiet:</span>
+                    <select
+                      value={facets.shirtSize}
+                      onChange={(e) => updateFacet("shirtSize", e.target.value)}
+                      className="px-2 py-1.5 rounded-xl border"
+                      aria-label="Rozmiar koszulki"
+                    >
+                      <option value="">Koszulka: dowolna ({facetView.counts.shirtSize})</option>
+                      {SHIRT_SIZES.map((size) => (
+                        <option key={size} value={size}>
+                          Koszulka {size}
+                        </option>
+                      ))}
+                    </select>
+                    <select
+                      value={facets.gender}
+                      onChange={(e) => updateFacet("gender", e.target.value)}
+                      className="px-2 py-1.5 rounded-xl border"
+                      aria-label="Kategoria"
+                    >
+                      <option value="">Kategoria: dowolna ({facetView.counts.gender})</option>
+                      {PACKAGE_GENDERS.map((item) => (
+                        <option key={item.value} value={item.value}>
+                          {item.label}
+                        </option>
+                      ))}
+                    </select>
+                    {PACKAGE_EXTRAS.map((extra) => {
+                      const selectedExtras = parseExtrasFacet(facets.extras);
+                      const checked = selectedExtras.includes(extra.value);
+                      return (
+                        <label key={extra.value} className="inline-flex items-center gap-2">
+                          <input
+                            type="checkbox"
+                            checked={checked}
+                            onChange={() =>
+                              updateFacet(
+                                "extras",
+                                PACKAGE_EXTRAS.map((item) => item.value)
+                                  .filter((value) => (value === extra.value ? !checked : selectedExtras.includes(value)))
+                                  .join(",")
+                              )
+                            }
+                          />
+                          {extra.label}
+                        </label>
+                      );
+                    })}
+                    <span className="text-xs text-gray-500">({facetView.counts.extras})</span>
+                  </div>
+                  <div className="sm:col-span-2 lg:col-span-4 flex flex-wrap items-center gap-4">
+                    <label className="inline-flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={facets.verifiedOnly}
+                        onChange={(e) => updateFacet("verifiedOnly", e.target.checked)}
+                      />
+                      Tylko zweryfikowany BIB ({facetView.counts.verified})
+                    </label>
+                    <label className="inline-flex items-center gap-2">
+                      <input
+                        type="checkbox"
+                        checked={facets.deadlineOpen}
+                        onChange={(e) => updateFacet("deadlineOpen", e.target.checked)}
+                      />
+                      Termin przepisania nie minął ({facetView.counts.deadline})
+                    </label>
+                    {facetsActive && (
+                      <button
+                        type="button"
+                        onClick={() => setFacets(EMPTY_FACETS)}
+                        className="px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-neutral-200"
+                      >
+                        Wyczyść filtry
+                      </button>
+                    )}
+                    <span className="text-xs text-gray-500 ml-auto">
+                      Wyniki: {facetView.total ?? filtered.length}
+                    </span>
+                    <button
+                      type="button"
+                      onClick={copyMarketLink}
+                      className="px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-neutral-200"
+                    >
+                      Kopiuj link do wyników
+                    </button>
+                  </div>
                 </div>
+                {incomingListings.length > 0 && (
+                  <button
+                    type="button"
+                    onClick={showIncomingListings}
+                    className="mb-4 w-full text-sm px-3 py-2 rounded-xl bg-sky-50 text-sky-800 border border-sky-200 hover:bg-sky-100"
+                  >
+                    Nowe ogłoszenia: {incomingListings.length} – pokaż
+                  </button>
+                )}
                 {filtered.length === 0 ? (
-                  <div className="text-sm text-gray-600">Brak ogłoszeń dla wybranych filtrów.</div>
+                  <div className="text-sm text-gray-600">
+                    {hasMoreListings ? "Szukam w kolejnych ogłoszeniach…" : "Brak ogłoszeń dla wybranych filtrów."}
+                  </div>
                 ) : (
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    {filtered.map((l) => (
+                  <VirtualListingGrid
+                    items={filtered}
+                    getKey={getListingKey}
+                    renderItem={(l) => (
                       <ListingCard
-                        key={l.id}
                         listing={l}
                         onDelete={deleteListing}
                         onOpen={setSelected}
                         onMessage={openMessageModal}
                         currentUserId={currentUserId || undefined}
                         onEdit={startEditListing}
+                        onDuplicate={duplicateListing}
+                        onSellBundleItem={sellBundleItem}
                         viewerDisplayName={profileDisplayName}
+                        syncState={listingSyncStates.get(l.id)}
+                        onResolveSync={resolveSyncIssue}
+                        onChangeStatus={changeListingStatus}
+                        isFavorite={favoriteIds.has(l.id)}
+                        onToggleFavorite={toggleFavorite}
+                        highlightTokens={queryTokens}
+                        showPricePerKm={sort === "pricePerKm"}
+                        displayCurrency={preferredCurrency}
+                        exchangeRates={exchangeRates}
+                        onReport={reportListing}
                       />
-                    ))}
+                    )}
+                  />
+                )}
+                <div ref={feedSentinelRef} />
+                {hasMoreListings && (
+                  <div className="mt-4 flex justify-center">
+                    <button
+                      type="button"
+                      disabled={loadingMoreListings}
+                      onClick={() => {
+                        setListingsPageError(false);
+                        loadMoreListings();
+                      }}
+                      className="text-sm px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-neutral-200 disabled:opacity-60"
+                    >
+                      {loadingMoreListings ? "Wczytywanie…" : "Wczytaj więcej"}
+                    </button>
                   </div>
                 )}
               </Section>
@@ -3903,13 +8406,75 @@ export default function App() {
                       <p>
                         W zakładce „Moje ogłoszenia” znajdziesz swoje aktywne wpisy wraz z opcjami edycji i usuwania.
                       </p>
+                      <label className="flex flex-wrap items-center gap-2 pt-2">
+                        <span className="font-medium text-gray-900">Preferowana waluta</span>
+                        <select
+                          value={preferredCurrency}
+                          onChange={(e) => changePreferredCurrency(e.target.value)}
+                          className="px-3 py-1.5 rounded-xl border"
+                        >
+                          {SUPPORTED_CURRENCIES.map((code) => (
+                            <option key={code} value={code}>
+                              {code}
+                            </option>
+                          ))}
+                        </select>
+                        <span className="text-xs text-gray-500">
+                          Ceny w innych walutach przeliczamy na nią przy sortowaniu, filtrowaniu i na kartach ogłoszeń
+                          {exchangeRates?.asOf ? ` (kursy z ${exchangeRates.asOf})` : ""}.
+                        </span>
+                      </label>
                     </div>
                   )}
                   {profileTab === "listings" && (
                     <div className="space-y-4">
+                      <div className="flex items-center gap-2 text-sm">
+                        <span className="text-gray-600">Status:</span>
+                        <select
+                          value={myStatusFilter}
+                          onChange={(e) => setMyStatusFilter(/** @type {"all" | ListingStatus} */ (e.target.value))}
+                          className="px-3 py-2 rounded-xl border"
+                        >
+                          <option value="all">Wszystkie</option>
+                          {LISTING_STATUSES.map((value) => (
+                            <option key={value} value={value}>
+                              {listingStatusMeta(value).label}
+                            </option>
+                          ))}
+                        </select>
+                        <div className="ml-auto flex items-center gap-2">
+                          <button
+                            type="button"
+                            disabled={!myListings.length}
+                            onClick={() => exportMyListings("csv")}
+                            className="px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-neutral-200 disabled:opacity-50"
+                          >
+                            Eksport CSV
+                          </button>
+                          <button
+                            type="button"
+                            disabled={!myListings.length}
+                            onClick={() => exportMyListings("json")}
+                            className="px-3 py-1.5 rounded-lg bg-neutral-100 hover:bg-neutral-200 disabled:opacity-50"
+                          >
+                            Eksport JSON
+                          </button>
+                        </div>
+                      </div>
+                      <ListingImportPanel onImport={importListings} onOpenTerms={() => handleTabChange("terms")} />
+                      <ListingMatchesPanel
+                        groups={listingMatchGroups}
+                        loading={listingMatchesLoading}
+                        error={listingMatchesError}
+                        onRefresh={fetchListingMatches}
+                        onOpen={setSelected}
+                        onMessage={(match, mine) => openMessageModal(match, listingMatchMessageDraft(mine, match))}
+                      />
                       {myListings.length === 0 ? (
                         <div className="text-sm text-gray-600">
-                          Nie masz jeszcze żadnych ogłoszeń. Użyj przycisku „Dodaj ogłoszenie”, aby opublikować pierwszy wpis.
+                          {myStatusFilter === "all"
+                            ? "Nie masz jeszcze żadnych ogłoszeń. Użyj przycisku „Dodaj ogłoszenie”, aby opublikować pierwszy wpis."
+                            : "Brak ogłoszeń o wybranym statusie."}
                         </div>
                       ) : (
                         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -3922,7 +8487,14 @@ export default function App() {
                             onMessage={openMessageModal}
                             currentUserId={currentUserId || undefined}
                             onEdit={startEditListing}
+                            onDuplicate={duplicateListing}
+                            onSellBundleItem={sellBundleItem}
                             viewerDisplayName={profileDisplayName}
+                            syncState={listingSyncStates.get(l.id)}
+                            onResolveSync={resolveSyncIssue}
+                            onChangeStatus={changeListingStatus}
+                            displayCurrency={preferredCurrency}
+                            exchangeRates={exchangeRates}
                           />
                           ))}
                         </div>
@@ -3992,6 +8564,16 @@ export default function App() {
               </Section>
             )}
           </main>
+        ) : activeView === "admin" ? (
+          <main className="max-w-5xl mx-auto px-4 py-6 space-y-6">
+            {isAdmin && currentUserId ? (
+              <AdminConsole currentUserId={currentUserId} onOpenListing={setSelected} onNotify={showToast} />
+            ) : (
+              <Section title="Moderacja" right={null}>
+                <p className="text-sm text-gray-700">Ta sekcja jest dostępna tylko dla administratorów.</p>
+              </Section>
+            )}
+          </main>
         ) : (
           <main className="max-w-5xl mx-auto px-4 py-6 space-y-6">
             {session ? (
@@ -4050,18 +8632,34 @@ export default function App() {
                                 {threadMessages.length} wiadomości
                               </div>
                             </div>
-                            {activeConversationListing && (
+                            <div className="flex items-center gap-3">
+                              {activeConversationListing && (
+                                <button
+                                  type="button"
+                                  className="text-xs text-sky-600 hover:underline"
+                                  onClick={() => {
+                                    setSelected(activeConversationListing);
+                                    setActiveView("market");
+                                  }}
+                                >
+                                  Otwórz ogłoszenie
+                                </button>
+                              )}
                               <button
                                 type="button"
-                                className="text-xs text-sky-600 hover:underline"
-                                onClick={() => {
-                                  setSelected(activeConversationListing);
-                                  setActiveView("market");
-                                }}
+                                className="text-xs text-gray-500 hover:text-rose-700 hover:underline"
+                                onClick={() =>
+                                  openReportModal({
+                                    type: "user",
+                                    userId: selectedConversationUserId,
+                                    label: activeCounterpartName || `Użytkownik ${selectedConversationUserId.slice(0, 6)}`,
+                                    listingId: activeConversationListing?.id,
+                                  })
+                                }
                               >
-                                Otwórz ogłoszenie
+                                Zgłoś użytkownika
                               </button>
-                            )}
+                            </div>
                           </div>
                           {activeConversationListing && (
                             <div className="rounded-xl border bg-neutral-50 px-3 py-2 text-xs text-gray-600">
@@ -4164,8 +8762,14 @@ export default function App() {
         onMessage={openMessageModal}
         currentUserId={currentUserId || undefined}
         viewerDisplayName={profileDisplayName}
+        isAdmin={isAdmin}
+        displayCurrency={preferredCurrency}
+        exchangeRates={exchangeRates}
+        onReport={reportListing}
       />
 
+      <ReportModal target={reportTarget} onClose={() => setReportTarget(null)} onSubmit={submitReport} />
+
       <MessageModal
         open={messageModalOpen}
         onClose={closeMessageModal}
@@ -4173,6 +8777,7 @@ export default function App() {
         sending={messageSending}
         error={messageError}
         onSend={sendDirectMessage}
+        initialText={messageDraft}
       />
 
       <footer className="max-w-6xl mx-auto px-4 pb-12 pt-2 text-xs text-gray-500">
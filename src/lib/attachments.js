@@ -0,0 +1,144 @@
+import { supabase } from "./supabase";
+
+// Załączniki ogłoszeń: zdjęcia i PDF-y w Supabase Storage (w trybie dev opcjonalnie na dysku przez serwer Vite)
+
+export const ATTACHMENTS_BUCKET = "listing-attachments";
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+/** @type {Record<string, string>} */
+export const ATTACHMENT_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "application/pdf": "pdf",
+};
+
+const THUMBNAIL_SIZE = 320;
+const MAX_IMAGE_DIMENSION = 2400;
+const LOCAL_ENDPOINT = "/__attachments";
+const useLocalStore = import.meta.env.DEV && import.meta.env.VITE_ATTACHMENTS_LOCAL === "1";
+
+/**
+ * @typedef {Object} ListingAttachment
+ * @property {string} path
+ * @property {string} [thumbPath]
+ * @property {string} name
+ * @property {string} type
+ * @property {number} size
+ * @property {number} [width]
+ * @property {number} [height]
+ */
+
+function randomId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Sprawdza typ (także po sygnaturze pliku) i rozmiar. Zwraca komunikat błędu lub pusty tekst.
+ * @param {File} file
+ */
+export async function validateAttachmentFile(file) {
+  if (!ATTACHMENT_TYPES[file.type]) return `${file.name}: dozwolone są tylko pliki JPG, PNG, WebP i PDF.`;
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name}: plik jest większy niż ${Math.round(MAX_ATTACHMENT_BYTES / 1024 / 1024)} MB.`;
+  }
+  const header = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+  const startsWith = (...bytes) => bytes.every((byte, index) => header[index] === byte);
+  const signatureOk =
+    (file.type === "application/pdf" && startsWith(0x25, 0x50, 0x44, 0x46)) ||
+    (file.type === "image/jpeg" && startsWith(0xff, 0xd8, 0xff)) ||
+    (file.type === "image/png" && startsWith(0x89, 0x50, 0x4e, 0x47)) ||
+    (file.type === "image/webp" && startsWith(0x52, 0x49, 0x46, 0x46) && header[8] === 0x57 && header[9] === 0x45);
+  return signatureOk ? "" : `${file.name}: zawartość pliku nie zgadza się z jego typem.`;
+}
+
+/**
+ * Rysuje obraz na canvasie i koduje go ponownie – nowy plik nie zawiera EXIF (m.in. lokalizacji GPS).
+ * Orientację z EXIF stosuje przeglądarka przy dekodowaniu.
+ */
+async function reencodeImage(file, maxDimension, type, quality) {
+  const bitmap = await createImageBitmap(file, { imageOrientation: "from-image" });
+  const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext("2d");
+  if (type === "image/jpeg") {
+    context.fillStyle = "#fff";
+    context.fillRect(0, 0, width, height);
+  }
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close?.();
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob((result) => (result ? resolve(result) : reject(new Error("Nie udało się przetworzyć obrazu."))), type, quality);
+  });
+  return { blob, width, height };
+}
+
+async function uploadBlob(path, blob, contentType) {
+  if (useLocalStore) {
+    const response = await fetch(`${LOCAL_ENDPOINT}/${path}`, {
+      method: "PUT",
+      headers: { "Content-Type": contentType },
+      body: blob,
+    });
+    if (!response.ok) throw new Error(`Local attachment upload failed: ${response.status}`);
+    return;
+  }
+  const { error } = await supabase.storage
+    .from(ATTACHMENTS_BUCKET)
+    .upload(path, blob, { contentType, cacheControl: "31536000", upsert: false });
+  if (error) throw error;
+}
+
+/**
+ * Przygotowuje (usuwa EXIF, zmniejsza, tworzy miniaturę) i wysyła plik.
+ * Pliki trafiają do katalogu właściciela – polityki Storage pozwalają zapisywać tylko we własnym.
+ * @param {File} file
+ * @param {{ ownerId: string, listingId: string }} target
+ * @returns {Promise<ListingAttachment>}
+ */
+export async function uploadListingAttachment(file, { ownerId, listingId }) {
+  const id = randomId();
+  const ext = ATTACHMENT_TYPES[file.type];
+  const base = `${ownerId}/${listingId}/${id}`;
+  if (file.type === "application/pdf") {
+    await uploadBlob(`${base}.pdf`, file, file.type);
+    return { path: `${base}.pdf`, name: file.name, type: file.type, size: file.size };
+  }
+  const image = await reencodeImage(file, MAX_IMAGE_DIMENSION, file.type, 0.9);
+  const thumb = await reencodeImage(image.blob, THUMBNAIL_SIZE, "image/jpeg", 0.8);
+  await uploadBlob(`${base}.${ext}`, image.blob, file.type);
+  await uploadBlob(`${base}-thumb.jpg`, thumb.blob, "image/jpeg");
+  return {
+    path: `${base}.${ext}`,
+    thumbPath: `${base}-thumb.jpg`,
+    name: file.name,
+    type: file.type,
+    size: image.blob.size,
+    width: image.width,
+    height: image.height,
+  };
+}
+
+/** @param {string} path */
+export function attachmentUrl(path) {
+  if (!path) return "";
+  if (useLocalStore) return `${LOCAL_ENDPOINT}/${path}`;
+  return supabase.storage.from(ATTACHMENTS_BUCKET).getPublicUrl(path).data.publicUrl;
+}
+
+/** @param {ListingAttachment[]} attachments */
+export async function removeListingAttachments(attachments) {
+  const paths = attachments.flatMap((item) => [item.path, item.thumbPath]).filter(Boolean);
+  if (!paths.length) return;
+  if (useLocalStore) {
+    await Promise.all(paths.map((path) => fetch(`${LOCAL_ENDPOINT}/${path}`, { method: "DELETE" })));
+    return;
+  }
+  const { error } = await supabase.storage.from(ATTACHMENTS_BUCKET).remove(paths);
+  if (error) throw error;
+}
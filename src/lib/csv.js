@@ -0,0 +1,66 @@
+// CSV importu i eksportu ogłoszeń. Komórki tekstowe, które arkusz odczytałby jako formułę, eksport poprzedza
+// apostrofem, a import ten apostrof zdejmuje.
+
+// Komórka CSV zaczynająca się od tych znaków zostałaby w arkuszu odczytana jako formuła
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/** Parser CSV z obsługą cudzysłowów; separator (przecinek lub średnik) wykrywany z nagłówka. */
+export function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, "");
+  const firstLine = source.split(/\r?\n/, 1)[0] || "";
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+/**
+ * Komórka eksportu (separator „;”): tekst zaczynający się od znaku formuły dostaje apostrof, a komórka ze
+ * średnikiem, cudzysłowem lub końcem wiersza trafia w cudzysłów.
+ * @param {unknown} value
+ */
+export function csvCell(value) {
+  const raw = String(value ?? "");
+  const str = typeof value === "string" && CSV_FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[;"\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Zdejmuje apostrof dodany przez eksport przed =, +, -, @ (ochrona przed formułami w arkuszu).
+ * @param {string} value
+ */
+export function stripCsvFormulaGuard(value) {
+  return value.startsWith("'") && CSV_FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+}
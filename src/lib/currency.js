@@ -0,0 +1,105 @@
+import { supabase } from "./supabase";
+import fixtureRates from "./exchange-rates-fixture.json";
+
+// Waluty ogłoszeń i przeliczanie cen według kursów z tabeli exchange_rates (kurs = ile PLN za 1 jednostkę waluty)
+
+export const BASE_CURRENCY = "PLN";
+export const SUPPORTED_CURRENCIES = ["PLN", "EUR", "CZK", "USD", "GBP", "CHF", "HUF", "SEK", "DKK", "NOK"];
+
+const PREFERRED_CURRENCY_KEY = "rm_preferred_currency";
+const RATES_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * Kursy zapasowe (średnie NBP) używane, gdy tabela kursów jest pusta lub aplikacja działa offline.
+ * Ten sam plik zapisuje zadanie `/api/update-exchange-rates` w trybie `EXCHANGE_RATES_SOURCE=fixture`.
+ * @type {ExchangeRates}
+ */
+export const FALLBACK_EXCHANGE_RATES = fixtureRates;
+
+/**
+ * @typedef {Object} ExchangeRates
+ * @property {Record<string, number>} rates
+ * @property {string | null} asOf
+ * @property {string} source
+ */
+
+/** @param {unknown} value */
+export function normalizeCurrency(value) {
+  const code = String(value || "").trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(code) ? code : BASE_CURRENCY;
+}
+
+/**
+ * Przelicza kwotę między walutami; null, gdy brakuje kursu którejś z nich.
+ * @param {number} amount
+ * @param {string} from
+ * @param {string} to
+ * @param {ExchangeRates} exchangeRates
+ */
+export function convertAmount(amount, from, to, exchangeRates) {
+  const value = Number(amount);
+  if (!Number.isFinite(value)) return null;
+  const source = String(from || BASE_CURRENCY).toUpperCase();
+  const target = String(to || BASE_CURRENCY).toUpperCase();
+  if (source === target) return value;
+  const rates = exchangeRates?.rates || {};
+  const sourceRate = source === BASE_CURRENCY ? 1 : rates[source];
+  const targetRate = target === BASE_CURRENCY ? 1 : rates[target];
+  if (!(sourceRate > 0) || !(targetRate > 0)) return null;
+  return Math.round(((value * sourceRate) / targetRate) * 100) / 100;
+}
+
+let ratesCache = /** @type {{ at: number, promise: Promise<ExchangeRates> } | null} */ (null);
+
+/**
+ * Kursy z Supabase (z pamięcią podręczną na godzinę); brakujące waluty uzupełniają kursy zapasowe.
+ * @returns {Promise<ExchangeRates>}
+ */
+export function loadExchangeRates() {
+  if (ratesCache && Date.now() - ratesCache.at < RATES_TTL_MS) return ratesCache.promise;
+  const promise = supabase
+    .from("exchange_rates")
+    .select("currency, rate_pln, as_of, source")
+    .then(({ data, error }) => {
+      if (error) throw error;
+      if (!data?.length) return FALLBACK_EXCHANGE_RATES;
+      const rates = { ...FALLBACK_EXCHANGE_RATES.rates };
+      let asOf = null;
+      let source = "nbp";
+      for (const row of data) {
+        const rate = Number(row.rate_pln);
+        if (!row.currency || !(rate > 0)) continue;
+        rates[String(row.currency).toUpperCase()] = rate;
+        if (row.as_of && (!asOf || row.as_of > asOf)) {
+          asOf = row.as_of;
+          source = row.source || source;
+        }
+      }
+      return { rates, asOf, source };
+    })
+    .catch((error) => {
+      console.warn("Nie udało się pobrać kursów walut – używam kursów zapasowych.", error);
+      ratesCache = null;
+      return FALLBACK_EXCHANGE_RATES;
+    });
+  ratesCache = { at: Date.now(), promise };
+  return promise;
+}
+
+/** Preferencja gościa (zalogowanym zapisujemy ją w profilu). */
+export function readStoredPreferredCurrency() {
+  try {
+    return normalizeCurrency(localStorage.getItem(PREFERRED_CURRENCY_KEY));
+  } catch {
+    return BASE_CURRENCY;
+  }
+}
+
+/** @param {string} currency */
+export function storePreferredCurrency(currency) {
+  try {
+    localStorage.setItem(PREFERRED_CURRENCY_KEY, normalizeCurrency(currency));
+  } catch {
+    // prywatny tryb przeglądarki – preferencja obowiązuje do końca sesji
+  }
+}
@@ -0,0 +1,244 @@
+// Ogłoszenia: zamiana między obiektem ogłoszenia w UI a wierszem tabeli public.listings oraz normalizacja dystansów.
+// Czyste funkcje bez zależności od Supabase i Reacta.
+
+export const LISTING_STATUSES = /** @type {const} */ (["draft", "active", "reserved", "sold", "withdrawn"]);
+
+// Województwa – odpowiednik public.is_voivodeship w supabase/listings_region.sql
+export const VOIVODESHIPS = [
+  "dolnośląskie",
+  "kujawsko-pomorskie",
+  "lubelskie",
+  "lubuskie",
+  "łódzkie",
+  "małopolskie",
+  "mazowieckie",
+  "opolskie",
+  "podkarpackie",
+  "podlaskie",
+  "pomorskie",
+  "śląskie",
+  "świętokrzyskie",
+  "warmińsko-mazurskie",
+  "wielkopolskie",
+  "zachodniopomorskie",
+];
+
+export const LISTING_COLUMNS =
+  "id,type,race_name,edition_id,edition_event_name,edition_year,edition_start_date,distance,price,owner_id,location,region,created_at,updated_at,archived_at,hidden_at,hidden_reason,status,status_changed_at,published_at,reserved_at,sold_at,withdrawn_at,payload";
+
+export function formatDateOnly(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return "";
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${year}-${month}-${day}`;
+}
+
+export function extractDateString(value) {
+  if (!value) return null;
+  const str = String(value).trim();
+  if (!str) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str;
+  if (/^\d{4}-\d{2}-\d{2}[T\s]/.test(str)) return str.slice(0, 10);
+  const parsed = new Date(str);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return formatDateOnly(parsed);
+}
+
+/**
+ * @param {import("../App").Listing | null | undefined} listing
+ * @returns {import("../App").ListingStatus}
+ */
+export function getListingStatus(listing) {
+  const status = listing?.status;
+  return LISTING_STATUSES.includes(status) ? status : "active";
+}
+
+/**
+ * @param {import("../App").Listing} listing
+ * @returns {string | null}
+ */
+export function getListingOwnerId(listing) {
+  return (
+    listing?.owner_id ||
+    listing?.ownerId ||
+    listing?.user_id ||
+    listing?.userId ||
+    (listing?.user && typeof listing.user === "object" ? listing.user.id : null) ||
+    null
+  );
+}
+
+/**
+ * @param {string} raceName
+ * @returns {string | undefined}
+ */
+export function inferDistance(raceName = "") {
+  const lower = raceName.toLowerCase();
+  if (lower.includes("ultra")) return "Ultramaraton";
+  if (lower.includes("pół") || lower.includes("pol") || lower.includes("half")) return "Półmaraton";
+  if (lower.includes("marat") && !lower.includes("pół")) return "Maraton";
+  if (lower.includes("100")) return "100 km";
+  if (lower.includes("50")) return "50 km";
+  if (lower.includes("15")) return "15 km";
+  if (lower.includes("10")) return "10 km";
+  if (lower.includes("5")) return "5 km";
+  return undefined;
+}
+
+export function sanitizeDistances(distances) {
+  if (!Array.isArray(distances)) return [];
+  const seen = new Set();
+  const result = [];
+  for (const item of distances) {
+    if (typeof item !== "string") continue;
+    const trimmed = item.trim();
+    if (!trimmed) continue;
+    const key = trimmed.toLowerCase();
+    if (seen.has(key)) continue;
+    seen.add(key);
+    result.push(trimmed);
+  }
+  return result;
+}
+
+export function parseDistanceToKm(value) {
+  if (!value) return NaN;
+  const str = String(value).trim().toLowerCase();
+  if (!str) return NaN;
+  if (str.includes("pół") || str.includes("pol") || str.includes("half")) return 21.0975;
+  if (str.includes("ultra") && !/\d/.test(str)) return NaN;
+  if (str.includes("marat") && !str.includes("pół") && !str.includes("half")) return 42.195;
+  const match = str.match(/(\d+(?:[\.,]\d+)?)\s*(km|kilom(?:etr(?:ów|ow|y)?|eter)?)/);
+  if (match) {
+    const numeric = Number.parseFloat(match[1].replace(",", "."));
+    return Number.isFinite(numeric) ? numeric : NaN;
+  }
+  return NaN;
+}
+
+function arraysShallowEqual(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b)) return Array.isArray(a) === Array.isArray(b) && (!Array.isArray(a) || a.length === 0) && (!Array.isArray(b) || b.length === 0);
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i += 1) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+export function normalizeListing(listing) {
+  if (!listing || typeof listing !== "object") return listing;
+  const next = { ...listing };
+  let changed = false;
+
+  const inferred = inferDistance(next.raceName || "");
+  const baseDistance = typeof next.distance === "string" ? next.distance.trim() : "";
+  let distances = sanitizeDistances(next.distances);
+
+  if (!distances.length) {
+    if (baseDistance) {
+      distances = [baseDistance];
+    } else if (inferred) {
+      distances = [inferred];
+    }
+  }
+
+  if (baseDistance && (!distances.length || distances[0] !== baseDistance)) {
+    distances = [baseDistance, ...distances.filter((d) => d !== baseDistance)];
+  }
+
+  if (!distances.length && inferred) {
+    distances = [inferred];
+  }
+
+  if (!arraysShallowEqual(next.distances, distances)) {
+    next.distances = distances;
+    changed = true;
+  }
+
+  const primary = distances[0] || "";
+  if (primary) {
+    if (next.distance !== primary) {
+      next.distance = primary;
+      changed = true;
+    }
+  } else if (next.distance) {
+    delete next.distance;
+    changed = true;
+  }
+
+  const km = parseDistanceToKm(primary);
+  if (Number.isFinite(km)) {
+    if (next.distanceKm !== km) {
+      next.distanceKm = km;
+      changed = true;
+    }
+  } else if (typeof next.distanceKm === "number") {
+    delete next.distanceKm;
+    changed = true;
+  }
+
+  return changed ? next : listing;
+}
+
+/**
+ * Zamienia wiersz z tabeli public.listings na obiekt ogłoszenia używany w UI.
+ * @returns {import("../App").Listing}
+ */
+export function listingFromRow(row) {
+  const payload = row?.payload && typeof row.payload === "object" ? row.payload : {};
+  const createdAtMs = Date.parse(row?.created_at || "");
+  const price = Number(row?.price);
+  return normalizeListing({
+    ...payload,
+    id: String(row.id),
+    type: row.type === "buy" ? "buy" : "sell",
+    raceName: row.race_name || payload.raceName || "",
+    price: Number.isFinite(price) ? price : Number(payload.price),
+    location: row.location || payload.location || undefined,
+    region: row.region || payload.region || undefined,
+    edition_id: row.edition_id ?? payload.edition_id ?? undefined,
+    editionEventName: row.edition_event_name || payload.editionEventName || undefined,
+    editionYear: row.edition_year ?? payload.editionYear ?? undefined,
+    editionStartDate: row.edition_start_date || payload.editionStartDate || undefined,
+    owner_id: row.owner_id,
+    ownerId: row.owner_id,
+    createdAt: Number.isFinite(createdAtMs) ? createdAtMs : payload.createdAt ?? Date.now(),
+    updatedAt: row.updated_at || undefined,
+    archivedAt: row.archived_at || undefined,
+    hiddenAt: row.hidden_at || undefined,
+    hiddenReason: row.hidden_reason || undefined,
+    status: LISTING_STATUSES.includes(row.status) ? row.status : getListingStatus(payload),
+    statusChangedAt: row.status_changed_at || payload.statusChangedAt || undefined,
+    publishedAt: row.published_at || payload.publishedAt || undefined,
+    reservedAt: row.reserved_at || payload.reservedAt || undefined,
+    soldAt: row.sold_at || payload.soldAt || undefined,
+    withdrawnAt: row.withdrawn_at || payload.withdrawnAt || undefined,
+  });
+}
+
+/**
+ * Buduje wiersz tabeli public.listings (kolumny jak w supabase/alerts.sql) z ogłoszenia.
+ * @param {import("../App").Listing} listing
+ */
+export function listingToRow(listing) {
+  const { updatedAt: _updatedAt, archivedAt: _archivedAt, hiddenAt: _hiddenAt, hiddenReason: _hiddenReason, ...payload } = listing;
+  const createdAt = new Date(listing.createdAt || Date.now());
+  return {
+    id: listing.id,
+    type: listing.type === "buy" ? "buy" : "sell",
+    race_name: String(listing.raceName || "").trim(),
+    edition_id: listing.edition_id ?? null,
+    edition_event_name: listing.editionEventName || null,
+    edition_year: listing.editionYear ?? null,
+    edition_start_date: extractDateString(listing.editionStartDate || listing.eventDate),
+    distance: listing.distance || null,
+    price: Number(listing.price),
+    owner_id: getListingOwnerId(listing),
+    location: listing.location || null,
+    region: VOIVODESHIPS.includes(listing.region) ? listing.region : null,
+    status: getListingStatus(listing),
+    created_at: Number.isNaN(createdAt.getTime()) ? new Date().toISOString() : createdAt.toISOString(),
+    payload,
+  };
+}
@@ -0,0 +1,51 @@
+import { supabase } from "./supabase";
+
+// Strony rynku z RPC market_listings (supabase/listings_market.sql): filtry i sortowanie stosuje serwer, a kursor
+// kolejnej strony odpowiada porządkowi wybranego sortowania.
+
+export const LISTINGS_PAGE_SIZE = 100;
+
+/**
+ * @typedef {Object} MarketQuery
+ * @property {string} key
+ * @property {Record<string, unknown>} filters
+ * @property {string} sort
+ */
+
+/**
+ * @typedef {Object} MarketFacetCounts
+ * @property {number} total
+ * @property {{ key: string, label: string, count: number }[]} cities
+ * @property {Record<string, number>} regions
+ */
+
+/**
+ * @typedef {Object} MarketCursor
+ * @property {number | null} key
+ * @property {string} createdAt
+ * @property {string} id
+ */
+
+/**
+ * Strona rynku w kolejności wybranego sortowania; bez kursora – pierwsza strona.
+ * @param {MarketQuery} marketQuery
+ * @param {MarketCursor | null} cursor
+ */
+export function fetchMarketPage(marketQuery, cursor) {
+  return supabase.rpc("market_listings", {
+    p_filters: marketQuery.filters,
+    p_sort: marketQuery.sort,
+    p_cursor: cursor,
+    p_limit: LISTINGS_PAGE_SIZE,
+  });
+}
+
+/**
+ * Kursor kolejnej strony: klucz sortowania i (created_at, id) ostatniego wiersza, jak porządek w market_listings.
+ * @param {{ listing: { id: string, created_at: string }, sort_key: number | null }[]} rows
+ * @returns {MarketCursor | null}
+ */
+export function marketPageCursor(rows) {
+  const last = rows[rows.length - 1];
+  return last ? { key: last.sort_key ?? null, createdAt: last.listing.created_at, id: last.listing.id } : null;
+}
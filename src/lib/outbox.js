@@ -0,0 +1,263 @@
+import { supabase } from "./supabase";
+import { removeListingAttachments } from "./attachments";
+import { LISTING_COLUMNS, getListingStatus, listingFromRow, listingToRow } from "./listings";
+
+// Kolejka offline zmian ogłoszeń (localStorage). Zapisy są warunkowe względem updated_at kopii serwerowej, na której
+// oparto zmianę, więc równoległa edycja z innego urządzenia kończy się konfliktem zamiast nadpisania.
+
+/** @typedef {import("../App").OutboxEntry} OutboxEntry */
+/** @typedef {import("../App").Listing} Listing */
+
+const OUTBOX_KEY = "race_listings_outbox_v1";
+
+/** @returns {OutboxEntry[]} */
+export function loadOutbox() {
+  try {
+    const raw = localStorage.getItem(OUTBOX_KEY);
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) return [];
+    return parsed.filter((entry) => entry && entry.id && entry.listingId && (entry.op === "upsert" || entry.op === "delete"));
+  } catch {
+    return [];
+  }
+}
+
+/** @param {OutboxEntry[]} entries */
+export function saveOutbox(entries) {
+  try {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(entries));
+    return true;
+  } catch (err) {
+    console.error("Nie udało się zapisać kolejki zmian w localStorage", err);
+    return false;
+  }
+}
+
+/** Limit częstotliwości: PT429 z wyzwalaczy w bazie (supabase/rate_limits.sql) albo HTTP 429 z /api/*. */
+export function isRateLimitError(err) {
+  return err?.code === "PT429" || err?.status === 429;
+}
+
+/** @param {number | string | null | undefined} retryAfter sekundy z nagłówka Retry-After */
+export function rateLimitMessage(retryAfter) {
+  const seconds = Math.max(1, Math.ceil(Number(retryAfter) || 0));
+  const wait = seconds >= 120 ? `${Math.ceil(seconds / 60)} min` : `${seconds} s`;
+  return Number(retryAfter) > 0
+    ? `Zbyt wiele żądań – spróbuj ponownie za ${wait}.`
+    : "Zbyt wiele żądań – spróbuj ponownie za chwilę.";
+}
+
+export function isTransientSyncError(err) {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) return true;
+  if (typeof err?.status === "number" && (err.status === 0 || err.status >= 500)) return true;
+  const message = `${err?.message || ""} ${err?.details || ""}`;
+  return /fetch|network|timeout|abort/i.test(message);
+}
+
+function syncFailure(err) {
+  // Przekroczony limit publikacji: zmiana zostaje w kolejce i wróci przy kolejnej próbie synchronizacji
+  if (isRateLimitError(err)) {
+    return { outcome: "offline", rateLimited: true, error: err?.message || rateLimitMessage(err?.hint) };
+  }
+  if (isTransientSyncError(err)) return { outcome: "offline" };
+  console.error(err);
+  return { outcome: "error", error: err?.message || "Nie udało się zsynchronizować ogłoszenia." };
+}
+
+/**
+ * Nakłada niezsynchronizowane zmiany z kolejki na listę pobraną z serwera.
+ * @param {Listing[]} listings
+ * @param {OutboxEntry[]} outbox
+ */
+export function applyOutboxToListings(listings, outbox) {
+  let next = listings;
+  for (const entry of outbox) {
+    if (entry.op === "delete") {
+      next = next.filter((item) => item.id !== entry.listingId);
+      continue;
+    }
+    if (!entry.listing) continue;
+    const idx = next.findIndex((item) => item.id === entry.listingId);
+    if (idx >= 0) {
+      next = [...next];
+      next[idx] = entry.listing;
+    } else {
+      next = [entry.listing, ...next];
+    }
+  }
+  return next;
+}
+
+/**
+ * @typedef {Object} ReplayResult
+ * @property {"done" | "offline" | "conflict" | "error"} outcome
+ * @property {string | null} [updatedAt] updated_at zapisanego wiersza
+ * @property {"fanout"} [stage] wiersz zapisany, ale powiadomienia o nim jeszcze nie wysłane
+ * @property {Listing | null} [serverListing] kopia serwerowa przy konflikcie (null – ogłoszenia nie ma na serwerze)
+ * @property {boolean} [rateLimited]
+ * @property {string} [error]
+ */
+
+/**
+ * Wysyła na serwer jeden wpis kolejki. Zapis jest warunkowy (updated_at = wersja bazowa), więc zmiana z innego
+ * urządzenia między odczytem a zapisem nie zostanie nadpisana – brak zmienionego wiersza oznacza konflikt.
+ * @param {OutboxEntry} entry
+ * @param {(listingId: string) => Promise<boolean>} publishListing powiadomienia o zapisanym ogłoszeniu (alerty)
+ * @returns {Promise<ReplayResult>}
+ */
+export async function replayOutboxEntry(entry, publishListing) {
+  let updatedAt = entry.baseUpdatedAt ?? null;
+  if (entry.stage !== "fanout") {
+    const baseUpdatedAt = entry.baseUpdatedAt ?? null;
+    const serverState = async () => {
+      const { data: serverRow, error: fetchError } = await supabase
+        .from("listings")
+        .select(LISTING_COLUMNS)
+        .eq("id", entry.listingId)
+        .maybeSingle();
+      if (fetchError) return syncFailure(fetchError);
+      return { outcome: "conflict", serverListing: serverRow ? listingFromRow(serverRow) : null };
+    };
+    if (entry.op === "delete") {
+      if (baseUpdatedAt === null) {
+        const current = await serverState();
+        return current.outcome === "conflict" && !current.serverListing ? { outcome: "done", updatedAt: null } : current;
+      }
+      const { data: deleted, error } = await supabase
+        .from("listings")
+        .delete()
+        .eq("id", entry.listingId)
+        .eq("updated_at", baseUpdatedAt)
+        .select(LISTING_COLUMNS);
+      if (error) return syncFailure(error);
+      if (!deleted?.length) {
+        const current = await serverState();
+        // Ogłoszenia nie ma już na serwerze – usunięcie i tak się dokonało
+        return current.outcome === "conflict" && !current.serverListing ? { outcome: "done", updatedAt: null } : current;
+      }
+      const attachments = listingFromRow(deleted[0]).attachments || [];
+      removeListingAttachments(attachments).catch((err) => console.error("Nie udało się usunąć załączników", err));
+      return { outcome: "done", updatedAt: null };
+    }
+    if (baseUpdatedAt === null) {
+      const { data: written, error: writeError } = await supabase
+        .from("listings")
+        .insert(listingToRow(entry.listing))
+        .select("updated_at")
+        .single();
+      // Wiersz o tym id już istnieje (np. zapisany z innego urządzenia)
+      if (writeError?.code === "23505") return serverState();
+      if (writeError) return syncFailure(writeError);
+      updatedAt = written?.updated_at ?? null;
+    } else {
+      const { data: written, error: writeError } = await supabase
+        .from("listings")
+        .update(listingToRow(entry.listing))
+        .eq("id", entry.listingId)
+        .eq("updated_at", baseUpdatedAt)
+        .select("updated_at");
+      if (writeError) return syncFailure(writeError);
+      if (!written?.length) return serverState();
+      updatedAt = written[0]?.updated_at ?? null;
+    }
+  }
+  const published = await publishListing(entry.listingId);
+  if (!published) return { outcome: "offline", stage: "fanout", updatedAt };
+  return { outcome: "done", updatedAt };
+}
+
+/**
+ * Dodaje zmianę do kolejki albo scala ją z ostatnim, jeszcze niewysłanym wpisem tego samego ogłoszenia.
+ * @param {OutboxEntry[]} entries
+ * @param {{ op: "upsert" | "delete", listing: Listing }} mutation
+ * @param {{ id: string, ownerId: string, inFlightId: string | null, queuedAt: number }} options
+ * @returns {OutboxEntry[]}
+ */
+export function enqueueOutboxMutation(entries, mutation, { id, ownerId, inFlightId, queuedAt }) {
+  const listingId = mutation.listing.id;
+  const lastIdx = entries.map((item) => item.listingId).lastIndexOf(listingId);
+  const last = lastIdx >= 0 ? entries[lastIdx] : null;
+  // Baza przyjmuje nowe ogłoszenie tylko jako szkic lub aktywne (supabase/listings_status.sql), więc zmiana
+  // statusu jeszcze niezapisanego ogłoszenia idzie osobnym wpisem, już jako aktualizacja
+  const insertableStatus = mutation.op === "delete" || ["draft", "active"].includes(getListingStatus(mutation.listing));
+  const canMerge =
+    last &&
+    last.id !== inFlightId &&
+    last.status === "pending" &&
+    last.op === "upsert" &&
+    last.stage !== "fanout" &&
+    (last.baseUpdatedAt != null || insertableStatus);
+  if (canMerge) {
+    if (mutation.op === "delete" && last.baseUpdatedAt == null) {
+      // Ogłoszenie nigdy nie trafiło na serwer – wystarczy wycofać oczekujące zapisy (także osobny wpis ze statusem)
+      const unsent = entries.filter(
+        (item) => item.listingId === listingId && item.baseUpdatedAt == null && item.status === "pending"
+      );
+      if (unsent.every((item) => item.id !== inFlightId && item.stage !== "fanout")) {
+        const dropped = new Set(unsent.map((item) => item.id));
+        return entries.filter((item) => !dropped.has(item.id));
+      }
+    }
+    const next = [...entries];
+    next[lastIdx] = { ...last, op: mutation.op, listing: mutation.listing };
+    return next;
+  }
+  /** @type {OutboxEntry} */
+  const entry = {
+    id,
+    op: mutation.op,
+    listingId,
+    ownerId,
+    listing: mutation.listing,
+    baseUpdatedAt: mutation.listing.updatedAt ?? null,
+    status: "pending",
+    stage: "write",
+    queuedAt,
+  };
+  return [...entries, entry];
+}
+
+/**
+ * Stan kolejki po wysłaniu wpisu: wpis zakończony znika (albo czeka już tylko na powiadomienia), a kolejne zmiany
+ * tego ogłoszenia opierają się na zapisanej właśnie wersji.
+ * @param {OutboxEntry[]} entries
+ * @param {OutboxEntry} entry
+ * @param {ReplayResult} result
+ * @returns {OutboxEntry[]}
+ */
+export function outboxAfterReplay(entries, entry, result) {
+  if (result.outcome === "conflict" || result.outcome === "error") {
+    return entries.map((item) =>
+      item.id === entry.id
+        ? { ...item, status: result.outcome, serverListing: result.serverListing ?? null, error: result.error }
+        : item
+    );
+  }
+  const written = result.outcome === "done" || result.stage === "fanout";
+  if (!written) return entries;
+  return entries
+    .filter((item) => !(result.outcome === "done" && item.id === entry.id))
+    .map((item) => {
+      if (item.id === entry.id) return { ...item, stage: "fanout", baseUpdatedAt: result.updatedAt ?? null };
+      if (item.listingId === entry.listingId) return { ...item, baseUpdatedAt: result.updatedAt ?? null };
+      return item;
+    });
+}
+
+/**
+ * Ponowienie zablokowanych zmian ogłoszenia: po konflikcie zmiany trafiają na aktualną kopię serwerową
+ * (wygrywa wersja lokalna), po błędzie – na dotychczasową wersję bazową.
+ * @param {OutboxEntry[]} entries
+ * @param {OutboxEntry} blockedEntry
+ * @returns {OutboxEntry[]}
+ */
+export function retryOutboxListing(entries, blockedEntry) {
+  const rebased =
+    blockedEntry.status === "conflict" ? blockedEntry.serverListing?.updatedAt ?? null : blockedEntry.baseUpdatedAt;
+  return entries.map((item) =>
+    item.listingId === blockedEntry.listingId
+      ? { ...item, status: "pending", baseUpdatedAt: rebased, serverListing: null, error: undefined }
+      : item
+  );
+}
@@ -0,0 +1,64 @@
+-- Kryteria alertów dotyczące zawartości pakietu (payload.packageContents ogłoszenia): rozmiar koszulki, kategoria płci
+-- i wymagane dodatki. Uruchom po supabase/exchange_rates.sql – widok alerts_match bazuje na jego wersji.
+
+alter table public.alerts
+  add column if not exists shirt_size text check (shirt_size in ('XS', 'S', 'M', 'L', 'XL', 'XXL')),
+  add column if not exists gender text check (gender in ('K', 'M')),
+  add column if not exists extras text[] not null default '{}'
+    check (extras <@ array['medal', 'pasta_party', 'accommodation', 'parking']);
+
+-- Kryteria zawartości pakietu wymagają, żeby ogłoszenie podawało daną cechę: ogłoszenie bez rozmiaru koszulki nie pasuje
+-- do alertu na konkretny rozmiar. Nowe kolumny są na końcu, bo create or replace view nie pozwala zmieniać kolejności.
+create or replace view public.alerts_match as
+select distinct on (l.id, a.id)
+  l.id as listing_id,
+  a.id as alert_id,
+  a.user_id,
+  a.send_email,
+  a.mode,
+  a.max_price,
+  a.distance,
+  a.event_id,
+  a.event_label,
+  a.query_text,
+  a.shirt_size,
+  a.gender,
+  a.extras
+from public.listings l
+left join lateral public.listing_bundle_items(l.payload) bi on true
+join public.alerts a
+  on a.is_active
+  and (a.mode = 'any' or a.mode = l.type)
+  and (
+    (a.event_id is not null and a.event_id = l.edition_id)
+    or (
+      a.event_id is null
+      and coalesce(trim(a.query_text), '') <> ''
+      and position(lower(trim(a.query_text)) in lower(l.race_name)) > 0
+    )
+  )
+  and (
+    a.distance is null
+    or coalesce(trim(a.distance), '') = ''
+    or a.distance = coalesce(bi.distance, l.distance)
+  )
+  and (
+    a.max_price is null
+    or public.price_in_pln(
+      case
+        when bi.price is not null and coalesce(l.payload->'bundle'->>'sellMode', 'separately') = 'separately' then bi.price
+        else l.price
+      end,
+      l.payload->>'currency'
+    ) <= a.max_price
+  )
+  and (a.shirt_size is null or l.payload->'packageContents'->>'shirtSize' = a.shirt_size)
+  and (a.gender is null or l.payload->'packageContents'->>'gender' = a.gender)
+  and (
+    cardinality(a.extras) = 0
+    or coalesce(l.payload->'packageContents'->'extras', '[]'::jsonb) @> to_jsonb(a.extras)
+  )
+where l.status = 'active'
+  and l.archived_at is null;
+
+grant select on public.alerts_match to service_role;
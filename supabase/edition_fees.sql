@@ -0,0 +1,208 @@
+-- Oficjalne opłaty startowe edycji i limit marży przy odsprzedaży pakietów
+
+-- Administratorzy serwisu (dane referencyjne, np. opłaty startowe, moderacja): rola w profilu. Pierwszą rolę nadaje się
+-- w edytorze SQL, kolejne z konsoli moderacji (supabase/moderation.sql).
+alter table public.profiles
+  add column if not exists role text not null default 'user' check (role in ('user', 'admin'));
+
+-- Starsza wersja skryptu trzymała administratorów w osobnej tabeli admins – przenosimy wpisy do profili i usuwamy ją,
+-- żeby rola miała jedno źródło
+do $$
+begin
+  if to_regclass('public.admins') is not null then
+    update public.profiles p
+    set role = 'admin'
+    from public.admins a
+    where a.user_id = p.id and p.role <> 'admin';
+    drop table public.admins;
+  end if;
+end;
+$$;
+
+create or replace function public.is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.profiles where id = auth.uid() and role = 'admin');
+$$;
+
+-- Rolę zmienia tylko administrator – polityka profiles_update_own pozwala edytować pozostałe pola. Zapytania z aplikacji
+-- działają jako anon/authenticated; edytor SQL, klucz serwisowy i funkcje security definer nie.
+-- supabase/moderation.sql rozszerza tę funkcję o pola blokady konta.
+create or replace function public.profiles_guard_moderation()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user not in ('anon', 'authenticated') or public.is_admin() then
+    return new;
+  end if;
+  if tg_op = 'INSERT' then
+    new.role := 'user';
+  else
+    new.role := old.role;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_moderation on public.profiles;
+create trigger profiles_guard_moderation
+before insert or update on public.profiles
+for each row
+execute function public.profiles_guard_moderation();
+
+grant execute on function public.is_admin() to anon, authenticated;
+
+-- Ustawienia serwisu (klucz → wartość JSON)
+create table if not exists public.marketplace_settings (
+  key text primary key,
+  value jsonb not null,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.marketplace_settings enable row level security;
+
+drop policy if exists "Settings are public" on public.marketplace_settings;
+create policy "Settings are public" on public.marketplace_settings
+for select
+using (true);
+
+drop policy if exists "Admins manage settings" on public.marketplace_settings;
+create policy "Admins manage settings" on public.marketplace_settings
+for all
+using (public.is_admin())
+with check (public.is_admin());
+
+-- Maksymalna cena pakietu = opłata startowa · (1 + max_markup_percent / 100); null wyłącza limit
+insert into public.marketplace_settings (key, value)
+values ('max_markup_percent', '20'::jsonb)
+on conflict (key) do nothing;
+
+create table if not exists public.edition_fees (
+  id bigserial primary key,
+  edition_id bigint not null references public.event_editions(id) on delete cascade,
+  distance text not null,
+  distance_key text generated always as (lower(trim(distance))) stored,
+  fee numeric(12,2) not null check (fee > 0),
+  currency text not null default 'PLN',
+  source text not null default 'manual' check (source in ('manual','scraper')),
+  source_url text,
+  updated_at timestamptz not null default now(),
+  updated_by uuid references auth.users(id) on delete set null,
+  unique (edition_id, distance_key)
+);
+
+alter table public.edition_fees enable row level security;
+
+drop policy if exists "Edition fees are public" on public.edition_fees;
+create policy "Edition fees are public" on public.edition_fees
+for select
+using (true);
+
+drop policy if exists "Admins manage edition fees" on public.edition_fees;
+create policy "Admins manage edition fees" on public.edition_fees
+for all
+using (public.is_admin())
+with check (public.is_admin());
+
+create or replace function public.max_markup_percent()
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case when jsonb_typeof(value) = 'number' then (value #>> '{}')::numeric end
+  from public.marketplace_settings
+  where key = 'max_markup_percent';
+$$;
+
+-- Najwyższa dopuszczalna cena pakietu (PLN) dla edycji i dystansu; null = brak opłaty lub limitu
+create or replace function public.listing_price_cap(p_edition_id bigint, p_distance text)
+returns numeric
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select round(f.fee * (1 + public.max_markup_percent() / 100), 2)
+  from public.edition_fees f
+  where f.edition_id = p_edition_id
+    and f.distance_key = lower(trim(p_distance))
+    and f.currency = 'PLN'
+    and public.max_markup_percent() is not null;
+$$;
+
+grant execute on function public.listing_price_cap(bigint, text) to anon, authenticated;
+
+-- Limit obowiązuje ogłoszenia sprzedaży w PLN przypisane do edycji. Sprawdzamy go przy zmianie ceny, edycji,
+-- dystansu lub pozycji pakietu zbiorczego oraz przy publikacji szkicu – późniejsza zmiana limitu nie blokuje
+-- rezerwacji ani zakończenia istniejących ogłoszeń.
+create or replace function public.listings_enforce_price_cap()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  cap numeric;
+  item jsonb;
+  total_cap numeric := 0;
+  total_known boolean := true;
+begin
+  if new.type <> 'sell' or new.edition_id is null or new.status in ('sold', 'withdrawn') then
+    return new;
+  end if;
+  if coalesce(new.payload->>'currency', 'PLN') <> 'PLN' then
+    return new;
+  end if;
+  if tg_op = 'UPDATE'
+    and new.price is not distinct from old.price
+    and new.edition_id is not distinct from old.edition_id
+    and new.distance is not distinct from old.distance
+    and (new.payload->'bundle') is not distinct from (old.payload->'bundle')
+    and not (old.status = 'draft' and new.status <> 'draft') then
+    return new;
+  end if;
+
+  if jsonb_typeof(new.payload->'bundle'->'items') = 'array' and jsonb_array_length(new.payload->'bundle'->'items') > 0 then
+    for item in select value from jsonb_array_elements(new.payload->'bundle'->'items') loop
+      cap := public.listing_price_cap(new.edition_id, item->>'distance');
+      if cap is null then
+        total_known := false;
+      else
+        total_cap := total_cap + cap;
+      end if;
+      if coalesce(new.payload->'bundle'->>'sellMode', 'separately') = 'separately'
+        and cap is not null
+        and (item->>'price') ~ '^\d+(\.\d+)?$'
+        and (item->>'price')::numeric > cap then
+        raise exception 'Cena pakietu na dystansie % przekracza dopuszczalny limit % PLN.', item->>'distance', cap
+          using errcode = 'check_violation';
+      end if;
+    end loop;
+    if new.payload->'bundle'->>'sellMode' = 'together' and total_known and new.price > total_cap then
+      raise exception 'Cena pakietu zbiorczego przekracza dopuszczalny limit % PLN.', total_cap
+        using errcode = 'check_violation';
+    end if;
+    return new;
+  end if;
+
+  cap := public.listing_price_cap(new.edition_id, new.distance);
+  if cap is not null and new.price > cap then
+    raise exception 'Cena przekracza dopuszczalny limit % PLN (oficjalna opłata startowa + % proc.).', cap, public.max_markup_percent()
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_enforce_price_cap on public.listings;
+create trigger listings_enforce_price_cap
+before insert or update on public.listings
+for each row
+execute function public.listings_enforce_price_cap();
@@ -0,0 +1,197 @@
+-- Waluty: kursy wymiany (ile PLN za 1 jednostkę waluty), preferowana waluta w profilu oraz porównania cen
+-- w PLN w alertach i dopasowaniach kupna/sprzedaży. Kursy zapisuje zadanie /api/update-exchange-rates.
+
+create table if not exists public.exchange_rates (
+  currency text primary key check (currency ~ '^[A-Z]{3}$'),
+  rate_pln numeric(14,6) not null check (rate_pln > 0),
+  as_of date not null,
+  source text not null default 'nbp' check (source in ('nbp', 'fixture')),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.exchange_rates enable row level security;
+
+drop policy if exists "Exchange rates are public" on public.exchange_rates;
+create policy "Exchange rates are public" on public.exchange_rates
+for select
+using (true);
+
+-- Tabela startuje pusta – kursy (także zapasowe z src/lib/exchange-rates-fixture.json) zapisuje zadanie
+-- /api/update-exchange-rates; do tego czasu ogłoszeń w innych walutach nie da się porównać z cenami w PLN
+
+alter table public.profiles add column if not exists preferred_currency text not null default 'PLN';
+alter table public.profiles drop constraint if exists profiles_preferred_currency_check;
+alter table public.profiles add constraint profiles_preferred_currency_check check (preferred_currency ~ '^[A-Z]{3}$');
+
+-- Kwota w PLN; null, gdy nie znamy kursu waluty
+create or replace function public.price_in_pln(p_amount numeric, p_currency text)
+returns numeric
+language sql
+stable
+set search_path = public
+as $$
+  select case
+    when p_amount is null then null
+    when coalesce(upper(p_currency), 'PLN') = 'PLN' then p_amount
+    else round(p_amount * (select r.rate_pln from public.exchange_rates r where r.currency = upper(p_currency)), 2)
+  end;
+$$;
+
+-- Maksymalna cena alertu jest w PLN, więc ceny ogłoszeń w innych walutach przeliczamy po bieżącym kursie
+create or replace view public.alerts_match as
+select distinct on (l.id, a.id)
+  l.id as listing_id,
+  a.id as alert_id,
+  a.user_id,
+  a.send_email,
+  a.mode,
+  a.max_price,
+  a.distance,
+  a.event_id,
+  a.event_label,
+  a.query_text
+from public.listings l
+left join lateral public.listing_bundle_items(l.payload) bi on true
+join public.alerts a
+  on a.is_active
+  and (a.mode = 'any' or a.mode = l.type)
+  and (
+    (a.event_id is not null and a.event_id = l.edition_id)
+    or (
+      a.event_id is null
+      and coalesce(trim(a.query_text), '') <> ''
+      and position(lower(trim(a.query_text)) in lower(l.race_name)) > 0
+    )
+  )
+  and (
+    a.distance is null
+    or coalesce(trim(a.distance), '') = ''
+    or a.distance = coalesce(bi.distance, l.distance)
+  )
+  and (
+    a.max_price is null
+    or public.price_in_pln(
+      case
+        when bi.price is not null and coalesce(l.payload->'bundle'->>'sellMode', 'separately') = 'separately' then bi.price
+        else l.price
+      end,
+      l.payload->>'currency'
+    ) <= a.max_price
+  )
+where l.status = 'active'
+  and l.archived_at is null;
+
+grant select on public.alerts_match to service_role;
+
+create or replace function public.listing_matches(max_results integer default 200)
+returns table (listing_id text, match_id text)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select mine.id, other.id
+  from public.listings mine
+  join public.listings other
+    on other.edition_id = mine.edition_id
+    and other.type <> mine.type
+    and other.owner_id <> mine.owner_id
+    and other.status = 'active'
+    and other.archived_at is null
+  where mine.owner_id = auth.uid()
+    and mine.status = 'active'
+    and mine.archived_at is null
+    and mine.edition_id is not null
+    and public.listing_distance_keys(mine.payload, mine.distance)
+      && public.listing_distance_keys(other.payload, other.distance)
+    and (
+      case
+        when mine.type = 'buy'
+          then public.price_in_pln(mine.price, mine.payload->>'currency') >= public.price_in_pln(other.price, other.payload->>'currency')
+        else public.price_in_pln(other.price, other.payload->>'currency') >= public.price_in_pln(mine.price, mine.payload->>'currency')
+      end
+    )
+  order by other.created_at desc
+  limit greatest(1, least(coalesce(max_results, 200), 500));
+$$;
+
+revoke all on function public.listing_matches(integer) from public;
+grant execute on function public.listing_matches(integer) to authenticated;
+
+-- Limit ceny (supabase/edition_fees.sql) obowiązuje także ogłoszenia w innych walutach – cenę przeliczamy na PLN.
+-- Bez znanego kursu nie da się sprawdzić limitu, więc takie ogłoszenie odrzucamy.
+create or replace function public.listings_enforce_price_cap()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  cap numeric;
+  item jsonb;
+  item_price numeric;
+  total_cap numeric := 0;
+  total_known boolean := true;
+  listing_currency text := upper(coalesce(new.payload->>'currency', 'PLN'));
+begin
+  if new.type <> 'sell' or new.edition_id is null or new.status in ('sold', 'withdrawn') then
+    return new;
+  end if;
+  if tg_op = 'UPDATE'
+    and new.price is not distinct from old.price
+    and new.edition_id is not distinct from old.edition_id
+    and new.distance is not distinct from old.distance
+    and (new.payload->'bundle') is not distinct from (old.payload->'bundle')
+    and (new.payload->>'currency') is not distinct from (old.payload->>'currency')
+    and not (old.status = 'draft' and new.status <> 'draft') then
+    return new;
+  end if;
+
+  if jsonb_typeof(new.payload->'bundle'->'items') = 'array' and jsonb_array_length(new.payload->'bundle'->'items') > 0 then
+    for item in select value from jsonb_array_elements(new.payload->'bundle'->'items') loop
+      cap := public.listing_price_cap(new.edition_id, item->>'distance');
+      if cap is null then
+        total_known := false;
+      else
+        total_cap := total_cap + cap;
+      end if;
+      if coalesce(new.payload->'bundle'->>'sellMode', 'separately') = 'separately'
+        and cap is not null
+        and (item->>'price') ~ '^\d+(\.\d+)?$' then
+        item_price := public.price_in_pln((item->>'price')::numeric, listing_currency);
+        if item_price is null then
+          raise exception 'Brak kursu waluty % – nie można sprawdzić limitu ceny.', listing_currency
+            using errcode = 'check_violation';
+        end if;
+        if item_price > cap then
+          raise exception 'Cena pakietu na dystansie % przekracza dopuszczalny limit % PLN.', item->>'distance', cap
+            using errcode = 'check_violation';
+        end if;
+      end if;
+    end loop;
+    if new.payload->'bundle'->>'sellMode' = 'together' and total_known then
+      item_price := public.price_in_pln(new.price, listing_currency);
+      if item_price is null or item_price > total_cap then
+        raise exception 'Cena pakietu zbiorczego przekracza dopuszczalny limit % PLN.', total_cap
+          using errcode = 'check_violation';
+      end if;
+    end if;
+    return new;
+  end if;
+
+  cap := public.listing_price_cap(new.edition_id, new.distance);
+  if cap is null then
+    return new;
+  end if;
+  item_price := public.price_in_pln(new.price, listing_currency);
+  if item_price is null then
+    raise exception 'Brak kursu waluty % – nie można sprawdzić limitu ceny.', listing_currency
+      using errcode = 'check_violation';
+  end if;
+  if item_price > cap then
+    raise exception 'Cena przekracza dopuszczalny limit % PLN (oficjalna opłata startowa + % proc.).', cap, public.max_markup_percent()
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
@@ -0,0 +1,40 @@
+-- Załączniki ogłoszeń (zdjęcia i PDF-y) w Supabase Storage
+
+insert into storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+values (
+  'listing-attachments',
+  'listing-attachments',
+  true,
+  5242880,
+  array['image/jpeg', 'image/png', 'image/webp', 'application/pdf']
+)
+on conflict (id) do update
+set public = excluded.public,
+    file_size_limit = excluded.file_size_limit,
+    allowed_mime_types = excluded.allowed_mime_types;
+
+-- Pliki leżą w katalogach <owner_id>/<listing_id>/…; zapisywać i usuwać można tylko we własnym katalogu
+
+drop policy if exists "Listing attachments are public" on storage.objects;
+create policy "Listing attachments are public" on storage.objects
+for select
+using (bucket_id = 'listing-attachments');
+
+drop policy if exists "Users upload own listing attachments" on storage.objects;
+create policy "Users upload own listing attachments" on storage.objects
+for insert
+to authenticated
+with check (bucket_id = 'listing-attachments' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "Users update own listing attachments" on storage.objects;
+create policy "Users update own listing attachments" on storage.objects
+for update
+to authenticated
+using (bucket_id = 'listing-attachments' and (storage.foldername(name))[1] = auth.uid()::text)
+with check (bucket_id = 'listing-attachments' and (storage.foldername(name))[1] = auth.uid()::text);
+
+drop policy if exists "Users delete own listing attachments" on storage.objects;
+create policy "Users delete own listing attachments" on storage.objects
+for delete
+to authenticated
+using (bucket_id = 'listing-attachments' and (storage.foldername(name))[1] = auth.uid()::text);
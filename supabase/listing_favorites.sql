@@ -0,0 +1,32 @@
+-- Obserwowane ogłoszenia (powiadomienia o obniżce ceny)
+
+create table if not exists public.listing_favorites (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  listing_id text not null references public.listings(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (user_id, listing_id)
+);
+
+create index if not exists listing_favorites_listing_id_idx on public.listing_favorites(listing_id);
+
+alter table public.listing_favorites enable row level security;
+
+drop policy if exists "Users read own favorites" on public.listing_favorites;
+create policy "Users read own favorites" on public.listing_favorites
+for select
+using (auth.uid() = user_id);
+
+drop policy if exists "Users add own favorites" on public.listing_favorites;
+create policy "Users add own favorites" on public.listing_favorites
+for insert
+with check (auth.uid() = user_id);
+
+drop policy if exists "Users remove own favorites" on public.listing_favorites;
+create policy "Users remove own favorites" on public.listing_favorites
+for delete
+using (auth.uid() = user_id);
+
+-- Szybkie sprawdzanie, czy dla danej wersji cenowej wysłano już powiadomienie
+create index if not exists notifications_price_drop_idx
+  on public.notifications (listing_id, ((payload->>'history_id')))
+  where payload->>'kind' = 'price_drop';
@@ -0,0 +1,73 @@
+-- Historia zmian ogłoszeń (cena, dystanse, opłata za przepisanie, BIB i jego weryfikacja)
+
+create table if not exists public.listing_history (
+  id bigserial primary key,
+  listing_id text not null references public.listings(id) on delete cascade,
+  version integer not null,
+  changed_at timestamptz not null default now(),
+  changed_by uuid references auth.users(id) on delete set null,
+  changes jsonb not null,
+  unique (listing_id, version)
+);
+
+create index if not exists listing_history_listing_id_idx on public.listing_history(listing_id, version);
+
+alter table public.listing_history enable row level security;
+
+-- Historię widzi każdy, kto widzi samo ogłoszenie; wpisy dodaje wyłącznie wyzwalacz
+drop policy if exists "Listing history read access" on public.listing_history;
+create policy "Listing history read access" on public.listing_history
+for select
+using (
+  exists (
+    select 1
+    from public.listings l
+    where l.id = listing_history.listing_id
+      and (l.status <> 'draft' or l.owner_id = auth.uid())
+  )
+);
+
+-- Zapisuje wersję z listą zmienionych pól w postaci {"pole": {"from": ..., "to": ...}}
+create or replace function public.listings_record_history()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  changes jsonb := '{}'::jsonb;
+  field text;
+begin
+  if new.price is distinct from old.price then
+    changes := changes || jsonb_build_object('price', jsonb_build_object('from', old.price, 'to', new.price));
+  end if;
+  foreach field in array array['distances', 'transferFee', 'transferFeeCurrency', 'bib', 'proof_status', 'proof_source_url'] loop
+    if (old.payload -> field) is distinct from (new.payload -> field) then
+      changes := changes || jsonb_build_object(
+        field,
+        jsonb_build_object('from', old.payload -> field, 'to', new.payload -> field)
+      );
+    end if;
+  end loop;
+
+  if changes = '{}'::jsonb then
+    return new;
+  end if;
+
+  -- Blokada na ogłoszenie do końca transakcji: równoległe zapisy nie odczytają tego samego max(version)
+  -- (unikalny indeks (listing_id, version) odrzuciłby wtedy drugą zmianę)
+  perform pg_advisory_xact_lock(hashtext('listing_history:' || new.id));
+
+  insert into public.listing_history (listing_id, version, changed_by, changes)
+  select new.id, coalesce(max(h.version), 0) + 1, auth.uid(), changes
+  from public.listing_history h
+  where h.listing_id = new.id;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_record_history on public.listings;
+create trigger listings_record_history
+after update on public.listings
+for each row
+execute function public.listings_record_history();
@@ -0,0 +1,49 @@
+-- Dopasowania kupna i sprzedaży: ta sama edycja, wspólny dystans, budżet kupującego ≥ cena sprzedającego
+
+-- Dystanse ogłoszenia (payload.distances oraz kolumna distance) znormalizowane do porównań
+create or replace function public.listing_distance_keys(payload jsonb, distance text)
+returns text[]
+language sql
+immutable
+as $$
+  select coalesce(array_agg(distinct lower(trim(value))) filter (where coalesce(trim(value), '') <> ''), '{}')
+  from (
+    select jsonb_array_elements_text(
+      case when jsonb_typeof(payload->'distances') = 'array' then payload->'distances' else '[]'::jsonb end
+    ) as value
+    union all
+    select distance
+  ) as items;
+$$;
+
+-- Dla aktywnych ogłoszeń zalogowanego użytkownika zwraca pasujące ogłoszenia przeciwnego typu innych osób
+create or replace function public.listing_matches(max_results integer default 200)
+returns table (listing_id text, match_id text)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select mine.id, other.id
+  from public.listings mine
+  join public.listings other
+    on other.edition_id = mine.edition_id
+    and other.type <> mine.type
+    and other.owner_id <> mine.owner_id
+    and other.status = 'active'
+    and other.archived_at is null
+  where mine.owner_id = auth.uid()
+    and mine.status = 'active'
+    and mine.archived_at is null
+    and mine.edition_id is not null
+    and public.listing_distance_keys(mine.payload, mine.distance)
+      && public.listing_distance_keys(other.payload, other.distance)
+    and (
+      case when mine.type = 'buy' then mine.price >= other.price else other.price >= mine.price end
+    )
+  order by other.created_at desc
+  limit greatest(1, least(coalesce(max_results, 200), 500));
+$$;
+
+revoke all on function public.listing_matches(integer) from public;
+grant execute on function public.listing_matches(integer) to authenticated;
@@ -0,0 +1,9 @@
+-- Archiwizacja wygasłych ogłoszeń (zadanie /api/expire-listings)
+
+-- Zarchiwizowane ogłoszenia nie są widoczne w serwisie, ale zostają w tabeli na potrzeby statystyk cen
+alter table public.listings
+  add column if not exists archived_at timestamptz,
+  add column if not exists archive_reason text check (archive_reason in ('event_passed','transfer_deadline')),
+  add column if not exists expiry_notice_sent_at timestamptz;
+
+create index if not exists listings_active_idx on public.listings(created_at desc) where archived_at is null;
@@ -0,0 +1,63 @@
+-- Ogłoszenia zbiorcze: payload.bundle = { sellMode: 'separately' | 'together', items: [{ id, distance, price, bib?, sold? }] }
+-- Kolumny price/distance zawierają podsumowanie (cena całości lub najtańszej pozycji, pierwszy dystans),
+-- a alerty dopasowujemy także do poszczególnych, jeszcze niesprzedanych pozycji.
+
+create or replace function public.listing_bundle_items(payload jsonb)
+returns table (distance text, price numeric)
+language sql
+immutable
+as $$
+  select
+    nullif(trim(item->>'distance'), ''),
+    case when (item->>'price') ~ '^\d+(\.\d+)?$' then (item->>'price')::numeric end
+  from jsonb_array_elements(
+    case when jsonb_typeof(payload->'bundle'->'items') = 'array' then payload->'bundle'->'items' else '[]'::jsonb end
+  ) as item
+  where coalesce((item->>'sold')::boolean, false) = false;
+$$;
+
+-- Przy sprzedaży pojedynczo dystans i cena muszą pasować do tej samej pozycji; przy sprzedaży w całości
+-- liczy się cena całości i dowolny dystans z pakietu. Zwykłe ogłoszenia dopasowujemy jak dotąd.
+create or replace view public.alerts_match as
+select distinct on (l.id, a.id)
+  l.id as listing_id,
+  a.id as alert_id,
+  a.user_id,
+  a.send_email,
+  a.mode,
+  a.max_price,
+  a.distance,
+  a.event_id,
+  a.event_label,
+  a.query_text
+from public.listings l
+left join lateral public.listing_bundle_items(l.payload) bi on true
+join public.alerts a
+  on a.is_active
+  and (a.mode = 'any' or a.mode = l.type)
+  and (
+    (a.event_id is not null and a.event_id = l.edition_id)
+    or (
+      a.event_id is null
+      and coalesce(trim(a.query_text), '') <> ''
+      and position(lower(trim(a.query_text)) in lower(l.race_name)) > 0
+    )
+  )
+  and (
+    a.distance is null
+    or coalesce(trim(a.distance), '') = ''
+    or a.distance = coalesce(bi.distance, l.distance)
+  )
+  and (
+    a.max_price is null
+    or (
+      case
+        when bi.price is not null and coalesce(l.payload->'bundle'->>'sellMode', 'separately') = 'separately' then bi.price
+        else l.price
+      end
+    ) <= a.max_price
+  )
+where l.status = 'active'
+  and l.archived_at is null;
+
+grant select on public.alerts_match to service_role;
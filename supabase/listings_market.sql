@@ -0,0 +1,308 @@
+-- Widok rynku po stronie serwera: filtry, liczniki filtrów i sortowanie z kursorem dopasowanym do sortowania.
+-- Odpowiada funkcjom buildFacetPredicates i sortowaniu listy w src/App.jsx. Wymaga wcześniejszych skryptów
+-- supabase/listings_search.sql, supabase/listings_bundles.sql, supabase/listing_matches.sql,
+-- supabase/exchange_rates.sql, supabase/edition_fees.sql, supabase/reports.sql i supabase/listings_region.sql.
+
+-- Data YYYY-MM-DD z tekstu w payloadzie; null dla pustych i niepoprawnych wartości
+create or replace function public.listing_date(value text)
+returns date
+language plpgsql
+immutable
+as $$
+begin
+  if value is null or value !~ '^\d{4}-\d{2}-\d{2}' then
+    return null;
+  end if;
+  return left(value, 10)::date;
+exception when others then
+  return null;
+end;
+$$;
+
+-- Długość dystansu w km z etykiety – te same reguły co parseDistanceToKm w src/App.jsx
+create or replace function public.distance_label_km(label text)
+returns numeric
+language sql
+immutable
+as $$
+  select case
+    when coalesce(trim(label), '') = '' then null
+    when lower(label) ~ '(pół|pol|half)' then 21.0975
+    when lower(label) like '%ultra%' and label !~ '\d' then null
+    when lower(label) like '%marat%' then 42.195
+    else replace((regexp_match(lower(label), '(\d+(?:[.,]\d+)?)\s*(?:km|kilom)'))[1], ',', '.')::numeric
+  end;
+$$;
+
+-- Fraza wyszukiwania jako tsquery (każde słowo jako prefiks); null dla pustej frazy
+create or replace function public.listing_search_query(q text)
+returns tsquery
+language sql
+immutable
+as $$
+  select to_tsquery('simple', string_agg(token || ':*', ' & '))
+  from (
+    select distinct public.search_stem(t) as token
+    from regexp_split_to_table(lower(public.f_unaccent(coalesce(q, ''))), '[^a-z0-9]+') as t
+    where t <> ''
+  ) as tokens;
+$$;
+
+
+-- Ogłoszenia rynku spełniające filtry podstawowe (status, typ, dystans, fraza) z wartościami do sortowania i wynikiem
+-- każdego filtra dodatkowego osobno – liczniki filtrów liczymy przy pozostałych filtrach aktywnych.
+-- p_filters: { query, type, distance, status, currency, today, facets: { dateFrom, dateTo, city, region, priceMin,
+-- priceMax, verifiedOnly, deadlineOpen, shirtSize, gender, extras } }; zakres cen jest w walucie oglądającego (currency).
+-- Funkcja działa z uprawnieniami wywołującego, więc szkice innych użytkowników pozostają ukryte przez RLS.
+create or replace function public.market_candidates(p_filters jsonb)
+returns table (
+  id text,
+  created_at timestamptz,
+  rank real,
+  price_pln numeric,
+  price_per_km_pln numeric,
+  event_date date,
+  open_deadline date,
+  city_key text,
+  city_label text,
+  region text,
+  f_date boolean,
+  f_city boolean,
+  f_region boolean,
+  f_price boolean,
+  f_verified boolean,
+  f_deadline boolean,
+  f_shirt_size boolean,
+  f_gender boolean,
+  f_extras boolean
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with params as (
+    select
+      public.listing_search_query(p_filters->>'query') as tsq,
+      coalesce(nullif(p_filters->>'type', ''), 'all') as type_filter,
+      lower(coalesce(nullif(p_filters->>'distance', ''), 'all')) as distance_filter,
+      coalesce(nullif(p_filters->>'status', ''), 'visible') as status_filter,
+      coalesce(public.listing_date(p_filters->>'today'), current_date) as today,
+      coalesce(p_filters->'facets', '{}'::jsonb) as facets,
+      case
+        when upper(coalesce(nullif(p_filters->>'currency', ''), 'PLN')) = 'PLN' then 1::numeric
+        else (select r.rate_pln from public.exchange_rates r where r.currency = upper(p_filters->>'currency'))
+      end as viewer_rate_pln
+  ),
+  base as (
+    select
+      l.id,
+      l.created_at,
+      l.payload,
+      l.edition_start_date,
+      l.location,
+      case when public.is_voivodeship(l.region) then l.region else 'nieznane' end as region_key,
+      coalesce(jsonb_typeof(l.payload->'bundle'->'items') = 'array' and jsonb_array_length(l.payload->'bundle'->'items') > 0, false) as is_bundle,
+      coalesce(l.payload->'bundle'->>'sellMode' = 'together', false) as sold_together,
+      public.price_in_pln(l.price, l.payload->>'currency') as summary_pln,
+      public.listing_date(l.payload->>'transferDeadline') as deadline,
+      coalesce(l.edition_start_date, public.listing_date(l.payload->>'eventDate')) as race_date,
+      case when p.tsq is not null then ts_rank_cd(l.search_vector, p.tsq) end as search_rank,
+      p.today,
+      p.facets,
+      p.viewer_rate_pln
+    from public.listings l
+    cross join params p
+    where l.archived_at is null
+      -- Ogłoszenia ukryte po zgłoszeniach widzi na rynku tylko administrator; autor – w swoim profilu
+      and (l.hidden_at is null or public.is_admin())
+      and case
+        when p.status_filter = 'visible' then l.status in ('active', 'reserved', 'sold')
+        else l.status = p.status_filter
+      end
+      -- Domyślny widok pomija ogłoszenia po terminie przepisania, zanim zadanie nocne je zarchiwizuje
+      and not (
+        p.status_filter = 'visible'
+        and coalesce(public.listing_date(l.payload->>'transferDeadline') < p.today, false)
+      )
+      and (p.type_filter = 'all' or l.type = p.type_filter)
+      and (p.distance_filter = 'all' or p.distance_filter = any(public.listing_distance_keys(l.payload, l.distance)))
+      and (p.tsq is null or l.search_vector @@ p.tsq)
+  ),
+  priced as (
+    select
+      b.*,
+      -- Ceny, które kupujący może zapłacić: przy sprzedaży pojedynczo każda dostępna pozycja pakietu
+      case
+        when b.is_bundle and not b.sold_together then
+          array(select public.price_in_pln(bi.price, b.payload->>'currency') from public.listing_bundle_items(b.payload) bi)
+        else array[b.summary_pln]
+      end as options_pln,
+      case
+        when b.is_bundle then (
+          select case
+            when b.sold_together then sum(items.pln) / sum(items.km)
+            else min(items.pln / items.km)
+          end
+          from (
+            select public.price_in_pln(bi.price, b.payload->>'currency') as pln, public.distance_label_km(bi.distance) as km
+            from public.listing_bundle_items(b.payload) bi
+          ) as items
+          where items.pln is not null and items.km > 0
+        )
+        else b.summary_pln / nullif(public.distance_label_km(b.payload->>'distance'), 0)
+      end as per_km_pln,
+      nullif(regexp_replace(lower(public.f_unaccent(trim(split_part(coalesce(b.location, ''), ',', 1)))), '\s+', ' ', 'g'), '') as location_key
+    from base b
+  )
+  select
+    pr.id,
+    pr.created_at,
+    pr.search_rank,
+    pr.summary_pln,
+    round(pr.per_km_pln, 6),
+    public.listing_date(pr.payload->>'eventDate'),
+    case when pr.deadline >= pr.today then pr.deadline end,
+    pr.location_key,
+    trim(split_part(pr.location, ',', 1)),
+    pr.region_key,
+    (nullif(pr.facets->>'dateFrom', '') is null and nullif(pr.facets->>'dateTo', '') is null)
+      or (
+        pr.race_date is not null
+        and (nullif(pr.facets->>'dateFrom', '') is null or pr.race_date >= public.listing_date(pr.facets->>'dateFrom'))
+        and (nullif(pr.facets->>'dateTo', '') is null or pr.race_date <= public.listing_date(pr.facets->>'dateTo'))
+      ),
+    nullif(pr.facets->>'city', '') is null or pr.location_key = pr.facets->>'city',
+    nullif(pr.facets->>'region', '') is null or pr.region_key = pr.facets->>'region',
+    (nullif(pr.facets->>'priceMin', '') is null and nullif(pr.facets->>'priceMax', '') is null)
+      or exists (
+        select 1
+        from unnest(pr.options_pln) as option_pln
+        where option_pln is not null
+          and pr.viewer_rate_pln is not null
+          and (
+            (pr.facets->>'priceMin') !~ '^\d+(\.\d+)?$'
+            or option_pln >= (pr.facets->>'priceMin')::numeric * pr.viewer_rate_pln
+          )
+          and (
+            (pr.facets->>'priceMax') !~ '^\d+(\.\d+)?$'
+            or option_pln <= (pr.facets->>'priceMax')::numeric * pr.viewer_rate_pln
+          )
+      ),
+    coalesce((pr.facets->>'verifiedOnly')::boolean, false) = false or pr.payload->>'proof_status' = 'verified',
+    coalesce((pr.facets->>'deadlineOpen')::boolean, false) = false or pr.deadline is null or pr.deadline >= pr.today,
+    nullif(pr.facets->>'shirtSize', '') is null
+      or upper(trim(pr.payload->'packageContents'->>'shirtSize')) = pr.facets->>'shirtSize',
+    nullif(pr.facets->>'gender', '') is null or pr.payload->'packageContents'->>'gender' = pr.facets->>'gender',
+    nullif(pr.facets->>'extras', '') is null
+      or coalesce(pr.payload->'packageContents'->'extras', '[]'::jsonb)
+        @> to_jsonb(string_to_array(pr.facets->>'extras', ','))
+  from priced pr;
+$$;
+
+-- Strona rynku w kolejności wybranego sortowania (jak MARKET_SORTS w src/App.jsx). Kursor to { key, createdAt, id }
+-- ostatniego wiersza poprzedniej strony: key to zwrócone sort_key, a remis rozstrzyga (created_at, id) malejąco.
+-- Wiersze bez wartości sortowania (brak kursu, daty, terminu) są zawsze na końcu; „newest” i „relevance” bez frazy
+-- mają pusty klucz, więc stronicują wyłącznie po (created_at, id).
+create or replace function public.market_listings(
+  p_filters jsonb,
+  p_sort text default 'newest',
+  p_cursor jsonb default null,
+  p_limit integer default 100
+)
+returns table (listing jsonb, sort_key numeric, rank real)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with keyed as (
+    select
+      c.id,
+      c.created_at,
+      c.rank,
+      case p_sort
+        when 'priceAsc' then c.price_pln
+        when 'priceDesc' then c.price_pln
+        when 'eventSoonest' then (c.event_date - date '1970-01-01')::numeric
+        when 'deadlineSoonest' then (c.open_deadline - date '1970-01-01')::numeric
+        when 'pricePerKm' then c.price_per_km_pln
+        when 'relevance' then c.rank::numeric
+      end as k
+    from public.market_candidates(p_filters) c
+    where c.f_date and c.f_city and c.f_region and c.f_price and c.f_verified and c.f_deadline
+      and c.f_shirt_size and c.f_gender and c.f_extras
+  ),
+  cursor_row as (
+    select
+      (p_cursor->>'key')::numeric as ck,
+      (p_cursor->>'createdAt')::timestamptz as cc,
+      p_cursor->>'id' as ci,
+      coalesce(p_sort in ('priceDesc', 'relevance'), false) as descending
+  )
+  select to_jsonb(l) - 'search_vector', k.k, k.rank
+  from keyed k
+  cross join cursor_row cur
+  join public.listings l on l.id = k.id
+  where p_cursor is null
+    or case
+      when cur.ck is null then k.k is null and (k.created_at, k.id) < (cur.cc, cur.ci)
+      else k.k is null
+        or (cur.descending and k.k < cur.ck)
+        or (not cur.descending and k.k > cur.ck)
+        or (k.k = cur.ck and (k.created_at, k.id) < (cur.cc, cur.ci))
+    end
+  order by
+    k.k is null,
+    case when cur.descending then k.k end desc,
+    case when not cur.descending then k.k end asc,
+    k.created_at desc,
+    k.id desc
+  limit least(greatest(coalesce(p_limit, 100), 1), 200);
+$$;
+
+-- Liczniki filtrów dodatkowych dla bieżących filtrów: total – ogłoszenia spełniające wszystkie filtry (licznik
+-- każdego filtra innego niż miasto i województwo), cities i regions – liczone bez własnego filtra
+create or replace function public.market_facet_counts(p_filters jsonb)
+returns jsonb
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  with c as (
+    select * from public.market_candidates(p_filters)
+  ),
+  cities as (
+    select c.city_key, min(c.city_label) as label, count(*) as listings
+    from c
+    where c.city_key is not null
+      and c.f_date and c.f_region and c.f_price and c.f_verified and c.f_deadline
+      and c.f_shirt_size and c.f_gender and c.f_extras
+    group by c.city_key
+  ),
+  regions as (
+    select c.region, count(*) as listings
+    from c
+    where c.f_date and c.f_city and c.f_price and c.f_verified and c.f_deadline
+      and c.f_shirt_size and c.f_gender and c.f_extras
+    group by c.region
+  )
+  select jsonb_build_object(
+    'total', (
+      select count(*)
+      from c
+      where c.f_date and c.f_city and c.f_region and c.f_price and c.f_verified and c.f_deadline
+        and c.f_shirt_size and c.f_gender and c.f_extras
+    ),
+    'cities', coalesce(
+      (select jsonb_agg(jsonb_build_object('key', city_key, 'label', label, 'count', listings) order by listings desc, label) from cities),
+      '[]'::jsonb
+    ),
+    'regions', coalesce((select jsonb_object_agg(region, listings) from regions), '{}'::jsonb)
+  );
+$$;
+
+grant execute on function public.market_candidates(jsonb) to anon, authenticated;
+grant execute on function public.market_listings(jsonb, text, jsonb, integer) to anon, authenticated;
+grant execute on function public.market_facet_counts(jsonb) to anon, authenticated;
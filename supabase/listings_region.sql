@@ -0,0 +1,60 @@
+-- Województwo biegu: zapisane przy wydarzeniu (scraper) i w ogłoszeniu; z tej kolumny liczony jest filtr „Województwo”
+
+create or replace function public.is_voivodeship(p_region text)
+returns boolean
+language sql
+immutable
+as $$
+  select p_region in (
+    'dolnośląskie', 'kujawsko-pomorskie', 'lubelskie', 'lubuskie', 'łódzkie', 'małopolskie', 'mazowieckie', 'opolskie',
+    'podkarpackie', 'podlaskie', 'pomorskie', 'śląskie', 'świętokrzyskie', 'warmińsko-mazurskie', 'wielkopolskie',
+    'zachodniopomorskie'
+  );
+$$;
+
+alter table public.events add column if not exists region text;
+alter table public.events drop constraint if exists events_region_check;
+alter table public.events add constraint events_region_check check (region is null or public.is_voivodeship(region));
+
+alter table public.listings add column if not exists region text;
+alter table public.listings drop constraint if exists listings_region_check;
+alter table public.listings add constraint listings_region_check check (region is null or public.is_voivodeship(region));
+
+create index if not exists listings_region_idx on public.listings(region) where archived_at is null;
+
+-- Ogłoszenie przypięte do edycji dostaje województwo wydarzenia; bez edycji (lub gdy wydarzenie go nie zna) zostaje
+-- województwo wybrane przez autora
+create or replace function public.listings_fill_region()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  event_region text;
+begin
+  if new.edition_id is not null then
+    select e.region into event_region
+    from public.event_editions ed
+    join public.events e on e.id = ed.event_id
+    where ed.id = new.edition_id;
+    new.region := coalesce(event_region, new.region);
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_fill_region on public.listings;
+create trigger listings_fill_region
+before insert or update of edition_id, region on public.listings
+for each row
+execute function public.listings_fill_region();
+
+-- Uzupełnienie istniejących ogłoszeń (wyzwalacz listings_touch_updated_at zmieni ich updated_at)
+update public.listings l
+set region = e.region
+from public.event_editions ed
+join public.events e on e.id = ed.event_id
+where ed.id = l.edition_id
+  and e.region is not null
+  and l.region is distinct from e.region;
@@ -0,0 +1,65 @@
+-- Wyszukiwanie pełnotekstowe ogłoszeń bez polskich znaków diakrytycznych
+
+create extension if not exists unaccent with schema extensions;
+
+-- unaccent() jest STABLE; opakowanie IMMUTABLE pozwala użyć go w kolumnie generowanej i indeksie
+create or replace function public.f_unaccent(value text)
+returns text
+language sql
+immutable
+parallel safe
+strict
+as $$
+  select extensions.unaccent('extensions.unaccent'::regdictionary, value)
+$$;
+
+-- Prosty stemmer dla polskich końcówek fleksyjnych (te same reguły co searchStem w src/App.jsx)
+create or replace function public.search_stem(token text)
+returns text
+language sql
+immutable
+parallel safe
+strict
+as $$
+  select case
+    when length(token) > 4 and length(regexp_replace(token, '(owie|ami|ach|iem|ow|om|em|ie|iu|y|i|a|u|e|o)$', '')) >= 3
+      then regexp_replace(token, '(owie|ami|ach|iem|ow|om|em|ie|iu|y|i|a|u|e|o)$', '')
+    else token
+  end
+$$;
+
+alter table public.listings
+  add column if not exists search_vector tsvector generated always as (
+    setweight(to_tsvector('simple', public.f_unaccent(coalesce(race_name, '') || ' ' || coalesce(edition_event_name, ''))), 'A') ||
+    setweight(to_tsvector('simple', public.f_unaccent(coalesce(location, '') || ' ' || coalesce(distance, ''))), 'B') ||
+    setweight(to_tsvector('simple', public.f_unaccent(coalesce(payload->>'description', ''))), 'C')
+  ) stored;
+
+create index if not exists listings_search_vector_idx on public.listings using gin (search_vector);
+
+-- Zwraca identyfikatory pasujących ogłoszeń z oceną trafności; każde słowo frazy dopasowywane jest jako prefiks.
+-- Funkcja działa z uprawnieniami wywołującego, więc szkice innych użytkowników pozostają ukryte przez RLS.
+create or replace function public.search_listings(q text, max_results integer default 200)
+returns table (listing_id text, rank real)
+language sql
+stable
+as $$
+  with tokens as (
+    select distinct public.search_stem(t) as token
+    from regexp_split_to_table(lower(public.f_unaccent(coalesce(q, ''))), '[^a-z0-9]+') as t
+    where t <> ''
+  ),
+  search as (
+    select to_tsquery('simple', string_agg(token || ':*', ' & ')) as tsq
+    from tokens
+  )
+  select l.id, ts_rank_cd(l.search_vector, search.tsq) as rank
+  from public.listings l, search
+  where search.tsq is not null
+    and l.archived_at is null
+    and l.search_vector @@ search.tsq
+  order by rank desc, l.created_at desc
+  limit least(greatest(coalesce(max_results, 200), 1), 500)
+$$;
+
+grant execute on function public.search_listings(text, integer) to anon, authenticated;
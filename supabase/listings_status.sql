@@ -0,0 +1,106 @@
+-- Cykl życia ogłoszenia: draft → active → reserved → sold / withdrawn
+
+alter table public.listings
+  add column if not exists status text not null default 'active'
+    check (status in ('draft','active','reserved','sold','withdrawn')),
+  add column if not exists status_changed_at timestamptz,
+  add column if not exists published_at timestamptz,
+  add column if not exists reserved_at timestamptz,
+  add column if not exists sold_at timestamptz,
+  add column if not exists withdrawn_at timestamptz;
+
+create index if not exists listings_status_idx on public.listings(status);
+
+-- Pilnuje dozwolonych przejść i zapisuje czas każdej zmiany statusu
+create or replace function public.listings_status_transition()
+returns trigger
+language plpgsql
+as $$
+declare
+  allowed text[];
+begin
+  -- Nowe ogłoszenie zaczyna jako szkic albo aktywne – rezerwacja i sprzedaż to zawsze przejście z aktywnego
+  if tg_op = 'INSERT' and new.status not in ('draft','active') then
+    raise exception 'Nowe ogłoszenie nie może mieć statusu %', new.status
+      using errcode = 'check_violation';
+  end if;
+
+  if tg_op = 'UPDATE' then
+    if new.status is not distinct from old.status then
+      return new;
+    end if;
+    allowed := case old.status
+      when 'draft' then array['active','withdrawn']
+      when 'active' then array['reserved','sold','withdrawn']
+      when 'reserved' then array['active','sold','withdrawn']
+      when 'withdrawn' then array['active']
+      else array[]::text[]
+    end;
+    if not (new.status = any(allowed)) then
+      raise exception 'Niedozwolona zmiana statusu ogłoszenia: % -> %', old.status, new.status
+        using errcode = 'check_violation';
+    end if;
+  end if;
+
+  new.status_changed_at := now();
+  case new.status
+    when 'active' then new.published_at := coalesce(new.published_at, now());
+    when 'reserved' then new.reserved_at := now();
+    when 'sold' then new.sold_at := now();
+    when 'withdrawn' then new.withdrawn_at := now();
+    else null;
+  end case;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_status_transition on public.listings;
+create trigger listings_status_transition
+before insert or update of status on public.listings
+for each row
+execute function public.listings_status_transition();
+
+-- Szkice widzi wyłącznie autor
+drop policy if exists "Public listings read access" on public.listings;
+create policy "Public listings read access" on public.listings
+for select
+using (status <> 'draft' or owner_id = auth.uid());
+
+-- Alerty dopasowujemy wyłącznie do aktywnych, niezarchiwizowanych ogłoszeń
+create or replace view public.alerts_match as
+select
+  l.id as listing_id,
+  a.id as alert_id,
+  a.user_id,
+  a.send_email,
+  a.mode,
+  a.max_price,
+  a.distance,
+  a.event_id,
+  a.event_label,
+  a.query_text
+from public.listings l
+join public.alerts a
+  on a.is_active
+  and (a.mode = 'any' or a.mode = l.type)
+  and (
+    (a.event_id is not null and a.event_id = l.edition_id)
+    or (
+      a.event_id is null
+      and coalesce(trim(a.query_text), '') <> ''
+      and position(lower(trim(a.query_text)) in lower(l.race_name)) > 0
+    )
+  )
+  and (
+    a.distance is null
+    or coalesce(trim(a.distance), '') = ''
+    or a.distance = l.distance
+  )
+  and (
+    a.max_price is null
+    or l.price <= a.max_price
+  )
+where l.status = 'active'
+  and l.archived_at is null;
+
+grant select on public.alerts_match to service_role;
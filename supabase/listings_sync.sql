@@ -0,0 +1,24 @@
+-- Wersjonowanie ogłoszeń na potrzeby kolejki zmian offline (wykrywanie konfliktów)
+
+alter table public.listings add column if not exists updated_at timestamptz not null default now();
+
+-- updated_at zmienia się tylko przy faktycznej zmianie treści, więc powtórzony zapis tej samej wersji
+-- ani zapis pól technicznych przez zadania cron nie jest traktowany jak edycja
+create or replace function public.listings_touch_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (to_jsonb(new) - 'updated_at' - 'expiry_notice_sent_at')
+     is distinct from (to_jsonb(old) - 'updated_at' - 'expiry_notice_sent_at') then
+    new.updated_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_touch_updated_at on public.listings;
+create trigger listings_touch_updated_at
+before update on public.listings
+for each row
+execute function public.listings_touch_updated_at();
@@ -0,0 +1,433 @@
+-- Konsola moderacji: blokady kont, zdejmowanie ogłoszeń, zmiana ról i dziennik działań.
+-- Uruchom po supabase/reports.sql – funkcja resolve_reports jest tu odtwarzana z zapisem do dziennika. Kolumnę
+-- profiles.role i funkcję is_admin() dodaje supabase/edition_fees.sql.
+
+alter table public.profiles
+  add column if not exists banned_until timestamptz,
+  add column if not exists ban_reason text check (char_length(ban_reason) <= 500);
+
+-- Blokada obowiązuje do banned_until ('infinity' = na stałe)
+create or replace function public.is_banned(p_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce((select banned_until > now() from public.profiles where id = p_user_id), false);
+$$;
+
+-- Status dowolnego konta sprawdza tylko serwer (klucz serwisowy) i funkcje security definer; klienci pytają
+-- wyłącznie o siebie przez current_user_is_banned()
+revoke all on function public.is_banned(uuid) from public, anon, authenticated;
+grant execute on function public.is_banned(uuid) to service_role;
+
+create or replace function public.current_user_is_banned()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.is_banned(auth.uid());
+$$;
+
+grant execute on function public.current_user_is_banned() to anon, authenticated;
+
+-- Zgłoszenia zablokowanych kont nie liczą się do progu ukrycia ogłoszenia (rozszerza funkcję z supabase/reports.sql)
+create or replace function public.report_counts_toward_hide(p_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.reporter_account_old_enough(p_user_id) and not public.is_banned(p_user_id);
+$$;
+
+-- Rolę i blokadę zmienia tylko administrator (rozszerza funkcję z supabase/edition_fees.sql o pola blokady)
+create or replace function public.profiles_guard_moderation()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user not in ('anon', 'authenticated') or public.is_admin() then
+    return new;
+  end if;
+  if tg_op = 'INSERT' then
+    new.role := 'user';
+    new.banned_until := null;
+    new.ban_reason := null;
+  else
+    new.role := old.role;
+    new.banned_until := old.banned_until;
+    new.ban_reason := old.ban_reason;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists profiles_guard_moderation on public.profiles;
+create trigger profiles_guard_moderation
+before insert or update on public.profiles
+for each row
+execute function public.profiles_guard_moderation();
+
+drop policy if exists "Admins read profiles" on public.profiles;
+create policy "Admins read profiles" on public.profiles
+for select
+using (public.is_admin());
+
+-- Zablokowane konto nie publikuje ani nie edytuje ogłoszeń i nie wysyła wiadomości
+drop policy if exists "Banned users cannot write listings" on public.listings;
+create policy "Banned users cannot write listings" on public.listings
+as restrictive
+for insert
+with check (not public.current_user_is_banned());
+
+drop policy if exists "Banned users cannot update listings" on public.listings;
+create policy "Banned users cannot update listings" on public.listings
+as restrictive
+for update
+using (not public.current_user_is_banned());
+
+drop policy if exists "Banned users cannot send messages" on public.messages;
+create policy "Banned users cannot send messages" on public.messages
+as restrictive
+for insert
+with check (not public.current_user_is_banned());
+
+-- Ogłoszenia zablokowanego konta znikają z rynku (hidden_reason = 'ban') i wracają po zdjęciu blokady
+alter table public.listings drop constraint if exists listings_hidden_reason_check;
+alter table public.listings
+  add constraint listings_hidden_reason_check check (hidden_reason in ('reports', 'moderation', 'ban'));
+
+create table if not exists public.moderation_log (
+  id bigserial primary key,
+  admin_id uuid references auth.users(id) on delete set null default auth.uid(),
+  action text not null check (action in (
+    'remove_listing', 'restore_listing', 'resolve_reports', 'ban_user', 'unban_user', 'set_role'
+  )),
+  listing_id text,
+  user_id uuid references auth.users(id) on delete set null,
+  reason text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists moderation_log_created_at_idx on public.moderation_log(created_at desc);
+
+alter table public.moderation_log enable row level security;
+
+-- Wpisy dodają wyłącznie funkcje administracyjne poniżej; dziennika nie da się edytować
+drop policy if exists "Admins read moderation log" on public.moderation_log;
+create policy "Admins read moderation log" on public.moderation_log
+for select
+using (public.is_admin());
+
+create or replace function public.log_moderation_action(
+  p_action text,
+  p_listing_id text,
+  p_user_id uuid,
+  p_reason text,
+  p_details jsonb default '{}'::jsonb
+)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into public.moderation_log (admin_id, action, listing_id, user_id, reason, details)
+  values (auth.uid(), p_action, p_listing_id, p_user_id, nullif(trim(coalesce(p_reason, '')), ''), coalesce(p_details, '{}'::jsonb));
+$$;
+
+revoke all on function public.log_moderation_action(text, text, uuid, text, jsonb) from public, anon, authenticated;
+
+create or replace function public.require_admin()
+returns void
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_admin() then
+    raise exception 'Tylko administrator może wykonać tę operację.' using errcode = 'insufficient_privilege';
+  end if;
+end;
+$$;
+
+create or replace function public.notify_listing_owner(p_listing public.listings, p_kind text, p_reason text default null)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into public.notifications (user_id, listing_id, channel, is_read, payload)
+  values (
+    p_listing.owner_id,
+    p_listing.id,
+    'inapp',
+    false,
+    jsonb_build_object(
+      'kind', p_kind,
+      'reason', p_reason,
+      'listing', jsonb_build_object('id', p_listing.id, 'type', p_listing.type, 'race_name', p_listing.race_name)
+    )
+  );
+$$;
+
+revoke all on function public.notify_listing_owner(public.listings, text, text) from public, anon, authenticated;
+
+-- Zdjęcie ogłoszenia: wycofanie, trwałe ukrycie, uznanie otwartych zgłoszeń i powiadomienie autora
+create or replace function public.admin_remove_listing(p_listing_id text, p_reason text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  listing_row public.listings%rowtype;
+begin
+  perform public.require_admin();
+  select * into listing_row from public.listings where id = p_listing_id;
+  if not found then
+    raise exception 'Nie znaleziono ogłoszenia.' using errcode = 'no_data_found';
+  end if;
+
+  update public.listings
+  set hidden_at = coalesce(hidden_at, now()),
+    hidden_reason = 'moderation',
+    status = case when status in ('draft', 'active', 'reserved') then 'withdrawn' else status end
+  where id = p_listing_id;
+
+  update public.reports
+  set status = 'accepted', reviewed_at = now(), reviewed_by = auth.uid()
+  where target_type = 'listing' and listing_id = p_listing_id and status = 'open';
+
+  perform public.notify_listing_owner(listing_row, 'listing_removed', p_reason);
+  perform public.log_moderation_action('remove_listing', p_listing_id, listing_row.owner_id, p_reason,
+    jsonb_build_object('previous_status', listing_row.status));
+end;
+$$;
+
+-- Przywrócenie ogłoszenia ukrytego przez moderację lub zgłoszenia (status autor zmienia sam)
+create or replace function public.admin_restore_listing(p_listing_id text, p_reason text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  listing_row public.listings%rowtype;
+begin
+  perform public.require_admin();
+  select * into listing_row from public.listings where id = p_listing_id;
+  if not found then
+    raise exception 'Nie znaleziono ogłoszenia.' using errcode = 'no_data_found';
+  end if;
+  if listing_row.hidden_at is null then
+    return;
+  end if;
+  if listing_row.hidden_reason = 'ban' and public.is_banned(listing_row.owner_id) then
+    raise exception 'Konto autora jest zablokowane – najpierw zdejmij blokadę.' using errcode = 'check_violation';
+  end if;
+
+  update public.listings set hidden_at = null, hidden_reason = null where id = p_listing_id;
+  update public.reports
+  set status = 'dismissed', reviewed_at = now(), reviewed_by = auth.uid()
+  where target_type = 'listing' and listing_id = p_listing_id and status = 'open';
+
+  perform public.notify_listing_owner(listing_row, 'listing_restored', p_reason);
+  perform public.log_moderation_action('restore_listing', p_listing_id, listing_row.owner_id, p_reason,
+    jsonb_build_object('hidden_reason', listing_row.hidden_reason));
+end;
+$$;
+
+-- Wersja z supabase/reports.sql rozszerzona o dziennik; zdjęcie i przywrócenie ogłoszenia deleguje do funkcji wyżej
+create or replace function public.resolve_reports(
+  p_target_type text,
+  p_listing_id text default null,
+  p_reported_user_id uuid default null,
+  p_decision text default 'dismissed'
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  resolved integer;
+  listing_row public.listings%rowtype;
+begin
+  perform public.require_admin();
+  if p_decision not in ('accepted', 'dismissed') then
+    raise exception 'Nieznana decyzja: %', p_decision using errcode = 'invalid_parameter_value';
+  end if;
+
+  if p_target_type = 'listing' then
+    select * into listing_row from public.listings where id = p_listing_id;
+  end if;
+
+  update public.reports
+  set status = p_decision, reviewed_at = now(), reviewed_by = auth.uid()
+  where status = 'open'
+    and target_type = p_target_type
+    and (
+      (p_target_type = 'listing' and listing_id = p_listing_id)
+      or (p_target_type = 'user' and reported_user_id = p_reported_user_id)
+    );
+  get diagnostics resolved = row_count;
+
+  if listing_row.id is not null then
+    if p_decision = 'accepted' then
+      perform public.admin_remove_listing(p_listing_id, 'Uznane zgłoszenia');
+    elsif listing_row.hidden_reason = 'reports' then
+      perform public.admin_restore_listing(p_listing_id, 'Odrzucone zgłoszenia');
+    end if;
+  end if;
+
+  perform public.log_moderation_action(
+    'resolve_reports',
+    p_listing_id,
+    coalesce(p_reported_user_id, listing_row.owner_id),
+    null,
+    jsonb_build_object('target_type', p_target_type, 'decision', p_decision, 'reports', resolved)
+  );
+  return resolved;
+end;
+$$;
+
+-- Blokada konta (p_until = null zdejmuje blokadę, 'infinity' blokuje na stałe). Logowanie blokuje dodatkowo
+-- /api/admin-ban-user w Supabase Auth; tu zapisujemy blokadę w profilu, ukrywamy ogłoszenia i prowadzimy dziennik.
+create or replace function public.admin_set_user_ban(p_user_id uuid, p_until timestamptz, p_reason text default null)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.require_admin();
+  if p_user_id = auth.uid() then
+    raise exception 'Nie można zablokować własnego konta.' using errcode = 'check_violation';
+  end if;
+  if p_until is not null and p_until <= now() then
+    raise exception 'Data końca blokady musi być w przyszłości.' using errcode = 'invalid_parameter_value';
+  end if;
+
+  update public.profiles
+  set banned_until = p_until,
+    ban_reason = case when p_until is null then null else nullif(trim(coalesce(p_reason, '')), '') end
+  where id = p_user_id;
+  if not found then
+    raise exception 'Nie znaleziono profilu użytkownika.' using errcode = 'no_data_found';
+  end if;
+
+  if p_until is null then
+    update public.listings set hidden_at = null, hidden_reason = null
+    where owner_id = p_user_id and hidden_reason = 'ban';
+  else
+    update public.listings set hidden_at = now(), hidden_reason = 'ban'
+    where owner_id = p_user_id and hidden_at is null;
+    update public.reports
+    set status = 'accepted', reviewed_at = now(), reviewed_by = auth.uid()
+    where target_type = 'user' and reported_user_id = p_user_id and status = 'open';
+  end if;
+
+  perform public.log_moderation_action(
+    case when p_until is null then 'unban_user' else 'ban_user' end,
+    null,
+    p_user_id,
+    p_reason,
+    jsonb_build_object('until', p_until)
+  );
+end;
+$$;
+
+create or replace function public.admin_set_user_role(p_user_id uuid, p_role text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  previous text;
+begin
+  perform public.require_admin();
+  if p_role not in ('user', 'admin') then
+    raise exception 'Nieznana rola: %', p_role using errcode = 'invalid_parameter_value';
+  end if;
+  if p_user_id = auth.uid() and p_role <> 'admin' then
+    raise exception 'Nie można odebrać uprawnień samemu sobie.' using errcode = 'check_violation';
+  end if;
+
+  select role into previous from public.profiles where id = p_user_id;
+  if not found then
+    raise exception 'Nie znaleziono profilu użytkownika.' using errcode = 'no_data_found';
+  end if;
+  if previous = p_role then
+    return;
+  end if;
+  update public.profiles set role = p_role where id = p_user_id;
+  perform public.log_moderation_action('set_role', null, p_user_id, null,
+    jsonb_build_object('from', previous, 'to', p_role));
+end;
+$$;
+
+-- Lista użytkowników dla konsoli (e-mail z auth.users widzi tylko administrator)
+create or replace function public.admin_users(p_query text default null, p_limit integer default 50)
+returns table (
+  id uuid,
+  display_name text,
+  email text,
+  role text,
+  banned_until timestamptz,
+  ban_reason text,
+  created_at timestamptz,
+  last_sign_in_at timestamptz,
+  listings_count bigint,
+  open_reports bigint
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  q text := nullif(trim(coalesce(p_query, '')), '');
+begin
+  perform public.require_admin();
+  return query
+  select
+    p.id,
+    p.display_name,
+    u.email::text,
+    p.role,
+    p.banned_until,
+    p.ban_reason,
+    p.created_at,
+    u.last_sign_in_at,
+    (select count(*) from public.listings l where l.owner_id = p.id),
+    (select count(*) from public.reports r where r.reported_user_id = p.id and r.status = 'open')
+  from public.profiles p
+  left join auth.users u on u.id = p.id
+  where q is null
+    or p.display_name ilike '%' || q || '%'
+    or u.email ilike '%' || q || '%'
+    or p.id::text = q
+  order by p.created_at desc nulls last
+  limit least(greatest(coalesce(p_limit, 50), 1), 200);
+end;
+$$;
+
+revoke all on function public.admin_remove_listing(text, text) from public;
+revoke all on function public.admin_restore_listing(text, text) from public;
+revoke all on function public.admin_set_user_ban(uuid, timestamptz, text) from public;
+revoke all on function public.admin_set_user_role(uuid, text) from public;
+revoke all on function public.admin_users(text, integer) from public;
+grant execute on function public.admin_remove_listing(text, text) to authenticated;
+grant execute on function public.admin_restore_listing(text, text) to authenticated;
+grant execute on function public.admin_set_user_ban(uuid, timestamptz, text) to authenticated;
+grant execute on function public.admin_set_user_role(uuid, text) to authenticated;
+grant execute on function public.admin_users(text, integer) to authenticated;
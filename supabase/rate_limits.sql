@@ -0,0 +1,142 @@
+-- Limity częstotliwości (token bucket): publikacja ogłoszeń i wysyłka wiadomości sprawdzane w bazie oraz kubełki
+-- dla endpointów /api/* (api/_lib/rate-limit.js). Uruchom po supabase/edition_fees.sql (marketplace_settings).
+
+create table if not exists public.rate_limit_buckets (
+  key text primary key,
+  tokens double precision not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists rate_limit_buckets_updated_at_idx on public.rate_limit_buckets(updated_at);
+
+-- Bez polityk: kubełki zmieniają wyłącznie funkcje poniżej i klucz serwisowy
+alter table public.rate_limit_buckets enable row level security;
+
+-- Pojemność kubełka i liczba żetonów odnawianych na godzinę; wartości można zmienić bez wdrożenia
+insert into public.marketplace_settings (key, value)
+values (
+  'rate_limits',
+  '{"listing_publish": {"capacity": 20, "per_hour": 20}, "message_send": {"capacity": 10, "per_hour": 120}}'::jsonb
+)
+on conflict (key) do nothing;
+
+-- Pobiera p_cost żetonów z kubełka p_key (tworzy pełny kubełek przy pierwszym użyciu). Wiersz jest blokowany do końca
+-- transakcji, więc równoległe żądania nie pobiorą tego samego żetonu.
+create or replace function public.consume_rate_limit(
+  p_key text,
+  p_capacity integer,
+  p_per_hour numeric,
+  p_cost integer default 1
+)
+returns table (allowed boolean, remaining integer, retry_after integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  refill_per_second double precision := greatest(coalesce(p_per_hour, 0), 0) / 3600.0;
+  available double precision;
+begin
+  insert into public.rate_limit_buckets as b (key, tokens, updated_at)
+  values (p_key, p_capacity, now())
+  on conflict (key) do update
+    set tokens = least(p_capacity, b.tokens + extract(epoch from now() - b.updated_at) * refill_per_second),
+      updated_at = now()
+  returning b.tokens into available;
+
+  if available >= p_cost then
+    update public.rate_limit_buckets set tokens = available - p_cost where key = p_key;
+    return query select true, floor(available - p_cost)::integer, 0;
+  else
+    return query select
+      false,
+      0,
+      case when refill_per_second > 0 then ceil((p_cost - available) / refill_per_second)::integer else 3600 end;
+  end if;
+end;
+$$;
+
+revoke all on function public.consume_rate_limit(text, integer, numeric, integer) from public, anon, authenticated;
+grant execute on function public.consume_rate_limit(text, integer, numeric, integer) to service_role;
+
+-- Limit zalogowanego użytkownika z ustawień rate_limits. Przekroczenie zwraca błąd PT429 – PostgREST odpowiada wtedy
+-- kodem HTTP 429, a aplikacja pokazuje komunikat.
+create or replace function public.enforce_rate_limit(p_name text, p_message text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  rule jsonb;
+  result record;
+begin
+  if auth.uid() is null then
+    return;
+  end if;
+  select value -> p_name into rule from public.marketplace_settings where key = 'rate_limits';
+  if rule is null or jsonb_typeof(rule) <> 'object' then
+    return;
+  end if;
+  select * into result
+  from public.consume_rate_limit(
+    p_name || ':user:' || auth.uid()::text,
+    coalesce((rule->>'capacity')::integer, 1),
+    coalesce((rule->>'per_hour')::numeric, 0)
+  );
+  if not result.allowed then
+    raise exception '% Spróbuj ponownie za % s.', p_message, result.retry_after
+      using errcode = 'PT429', hint = result.retry_after::text;
+  end if;
+end;
+$$;
+
+-- Wyzwalacze działają z uprawnieniami użytkownika; wywołanie wprost zużywa najwyżej jego własne żetony
+revoke all on function public.enforce_rate_limit(text, text) from public, anon;
+grant execute on function public.enforce_rate_limit(text, text) to authenticated;
+
+-- Publikacja = nowe aktywne ogłoszenie albo szkic lub wycofane ogłoszenie wracające na rynek. Upsert z aplikacji
+-- uruchamia też wyzwalacz INSERT dla istniejącego wiersza, więc wtedy decyduje tylko zmiana statusu.
+create or replace function public.listings_rate_limit()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user not in ('anon', 'authenticated') or new.status <> 'active' then
+    return new;
+  end if;
+  if tg_op = 'INSERT' and exists (select 1 from public.listings where id = new.id) then
+    return new;
+  end if;
+  if tg_op = 'UPDATE' and old.status not in ('draft', 'withdrawn') then
+    return new;
+  end if;
+  perform public.enforce_rate_limit('listing_publish', 'Publikujesz zbyt wiele ogłoszeń w krótkim czasie.');
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_rate_limit on public.listings;
+create trigger listings_rate_limit
+before insert or update of status on public.listings
+for each row
+execute function public.listings_rate_limit();
+
+create or replace function public.messages_rate_limit()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user in ('anon', 'authenticated') then
+    perform public.enforce_rate_limit('message_send', 'Wysyłasz zbyt wiele wiadomości.');
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists messages_rate_limit on public.messages;
+create trigger messages_rate_limit
+before insert on public.messages
+for each row
+execute function public.messages_rate_limit();
@@ -0,0 +1,298 @@
+-- Zgłoszenia ogłoszeń i użytkowników z kolejką moderacji. Ogłoszenie, które zgłosi co najmniej
+-- report_hide_threshold różnych osób, jest ukrywane do czasu decyzji administratora.
+-- Uruchom po supabase/edition_fees.sql (funkcja is_admin i tabela marketplace_settings) i supabase/listings_status.sql.
+
+alter table public.listings
+  add column if not exists hidden_at timestamptz,
+  add column if not exists hidden_reason text check (hidden_reason in ('reports', 'moderation'));
+
+create index if not exists listings_hidden_at_idx on public.listings(hidden_at) where hidden_at is not null;
+
+-- Ukryte ogłoszenia widzi tylko autor i administrator (szkice nadal wyłącznie autor)
+drop policy if exists "Public listings read access" on public.listings;
+create policy "Public listings read access" on public.listings
+for select
+using (
+  (status <> 'draft' and hidden_at is null)
+  or owner_id = auth.uid()
+  or (status <> 'draft' and public.is_admin())
+);
+
+-- Autor może edytować ogłoszenie, ale nie zdejmie ukrycia sam – kolumny zmienia tylko moderacja
+create or replace function public.listings_guard_hidden()
+returns trigger
+language plpgsql
+as $$
+begin
+  if (new.hidden_at is distinct from old.hidden_at or new.hidden_reason is distinct from old.hidden_reason)
+    and coalesce(current_setting('app.moderation', true), '') <> 'on'
+    and coalesce(auth.role(), '') <> 'service_role'
+    and not public.is_admin() then
+    new.hidden_at := old.hidden_at;
+    new.hidden_reason := old.hidden_reason;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists listings_guard_hidden on public.listings;
+create trigger listings_guard_hidden
+before update on public.listings
+for each row
+execute function public.listings_guard_hidden();
+
+insert into public.marketplace_settings (key, value)
+values ('report_hide_threshold', '3'::jsonb), ('report_min_account_age_days', '7'::jsonb)
+on conflict (key) do nothing;
+
+create table if not exists public.reports (
+  id uuid primary key default gen_random_uuid(),
+  target_type text not null check (target_type in ('listing', 'user')),
+  listing_id text references public.listings(id) on delete cascade,
+  reported_user_id uuid not null references auth.users(id) on delete cascade,
+  reporter_id uuid not null default auth.uid() references auth.users(id) on delete cascade,
+  reason text not null check (reason in ('scam', 'fake', 'price', 'offensive', 'spam', 'other')),
+  details text check (char_length(details) <= 1000),
+  status text not null default 'open' check (status in ('open', 'accepted', 'dismissed')),
+  created_at timestamptz not null default now(),
+  reviewed_at timestamptz,
+  reviewed_by uuid references auth.users(id) on delete set null,
+  check (target_type <> 'listing' or listing_id is not null),
+  check (reporter_id <> reported_user_id)
+);
+
+-- Jedna osoba zgłasza dane ogłoszenie (lub użytkownika) tylko raz – kolejne zgłoszenia są pomijane (submit_report
+-- wskazuje te indeksy w on conflict)
+create unique index if not exists reports_listing_reporter_key
+  on public.reports(listing_id, reporter_id) where target_type = 'listing';
+create unique index if not exists reports_user_reporter_key
+  on public.reports(reported_user_id, reporter_id) where target_type = 'user';
+create index if not exists reports_open_idx on public.reports(created_at desc) where status = 'open';
+
+alter table public.reports enable row level security;
+
+drop policy if exists "Reporters read own reports" on public.reports;
+create policy "Reporters read own reports" on public.reports
+for select
+using (reporter_id = auth.uid());
+
+drop policy if exists "Admins read reports" on public.reports;
+create policy "Admins read reports" on public.reports
+for select
+using (public.is_admin());
+
+create or replace function public.report_hide_threshold()
+returns integer
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(
+    (select case when jsonb_typeof(value) = 'number' then (value #>> '{}')::integer end
+     from public.marketplace_settings
+     where key = 'report_hide_threshold'),
+    3
+  );
+$$;
+
+-- Konto zgłaszającego musi mieć co najmniej report_min_account_age_days dni, żeby kilka świeżo założonych kont nie mogło
+-- zdjąć cudzego ogłoszenia
+create or replace function public.reporter_account_old_enough(p_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from auth.users u
+    where u.id = p_user_id
+      and u.created_at <= now() - make_interval(days => coalesce(
+        (select case when jsonb_typeof(value) = 'number' then (value #>> '{}')::integer end
+         from public.marketplace_settings
+         where key = 'report_min_account_age_days'),
+        7
+      ))
+  );
+$$;
+
+-- Czy zgłoszenie tej osoby liczy się do progu ukrycia; supabase/moderation.sql dodaje warunek blokady konta
+create or replace function public.report_counts_toward_hide(p_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select public.reporter_account_old_enough(p_user_id);
+$$;
+
+revoke all on function public.reporter_account_old_enough(uuid) from public, anon, authenticated;
+revoke all on function public.report_counts_toward_hide(uuid) from public, anon, authenticated;
+
+-- Zapisuje zgłoszenie (powtórne jest pomijane) i ukrywa ogłoszenie po przekroczeniu progu.
+-- Zwraca { created, hidden }.
+create or replace function public.submit_report(
+  p_target_type text,
+  p_listing_id text default null,
+  p_reported_user_id uuid default null,
+  p_reason text default 'other',
+  p_details text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  me uuid := auth.uid();
+  target_user uuid := p_reported_user_id;
+  listing_row public.listings%rowtype;
+  report_id uuid;
+  reporters integer;
+  hidden boolean := false;
+begin
+  if me is null then
+    raise exception 'Zaloguj się, aby zgłosić naruszenie.' using errcode = 'insufficient_privilege';
+  end if;
+  if p_target_type not in ('listing', 'user') then
+    raise exception 'Nieznany rodzaj zgłoszenia.' using errcode = 'invalid_parameter_value';
+  end if;
+
+  if p_listing_id is not null then
+    select * into listing_row from public.listings where id = p_listing_id;
+    if not found or (listing_row.status = 'draft' and listing_row.owner_id <> me) then
+      raise exception 'Nie znaleziono ogłoszenia.' using errcode = 'no_data_found';
+    end if;
+    if p_target_type = 'listing' then
+      target_user := listing_row.owner_id;
+    end if;
+  end if;
+  if p_target_type = 'listing' and p_listing_id is null then
+    raise exception 'Brak ogłoszenia do zgłoszenia.' using errcode = 'invalid_parameter_value';
+  end if;
+  if target_user is null then
+    raise exception 'Brak użytkownika do zgłoszenia.' using errcode = 'invalid_parameter_value';
+  end if;
+  if target_user = me then
+    raise exception 'Nie można zgłosić własnego ogłoszenia ani konta.' using errcode = 'check_violation';
+  end if;
+
+  -- Powtórne zgłoszenie pomija tylko unikalny indeks danego rodzaju; inne naruszenia ograniczeń zwracają błąd
+  if p_target_type = 'listing' then
+    insert into public.reports (target_type, listing_id, reported_user_id, reporter_id, reason, details)
+    values (p_target_type, p_listing_id, target_user, me, p_reason, nullif(trim(coalesce(p_details, '')), ''))
+    on conflict (listing_id, reporter_id) where target_type = 'listing' do nothing
+    returning id into report_id;
+  else
+    insert into public.reports (target_type, listing_id, reported_user_id, reporter_id, reason, details)
+    values (p_target_type, p_listing_id, target_user, me, p_reason, nullif(trim(coalesce(p_details, '')), ''))
+    on conflict (reported_user_id, reporter_id) where target_type = 'user' do nothing
+    returning id into report_id;
+  end if;
+
+  if p_target_type = 'listing' and report_id is not null and listing_row.hidden_at is null then
+    select count(distinct reporter_id) into reporters
+    from public.reports
+    where target_type = 'listing'
+      and listing_id = p_listing_id
+      and status = 'open'
+      and public.report_counts_toward_hide(reporter_id);
+    if reporters >= public.report_hide_threshold() then
+      perform set_config('app.moderation', 'on', true);
+      update public.listings
+      set hidden_at = now(), hidden_reason = 'reports'
+      where id = p_listing_id and hidden_at is null;
+      perform set_config('app.moderation', 'off', true);
+      insert into public.notifications (user_id, listing_id, channel, is_read, payload)
+      values (
+        listing_row.owner_id,
+        listing_row.id,
+        'inapp',
+        false,
+        jsonb_build_object(
+          'kind', 'listing_hidden',
+          'listing', jsonb_build_object('id', listing_row.id, 'type', listing_row.type, 'race_name', listing_row.race_name)
+        )
+      );
+      hidden := true;
+    end if;
+  end if;
+
+  return jsonb_build_object('created', report_id is not null, 'hidden', hidden);
+end;
+$$;
+
+revoke all on function public.submit_report(text, text, uuid, text, text) from public;
+grant execute on function public.submit_report(text, text, uuid, text, text) to authenticated;
+
+-- Decyzja administratora dla wszystkich otwartych zgłoszeń celu: 'dismissed' przywraca ukryte ogłoszenie,
+-- 'accepted' wycofuje je i zostawia ukryte na stałe. Zwraca liczbę rozpatrzonych zgłoszeń.
+create or replace function public.resolve_reports(
+  p_target_type text,
+  p_listing_id text default null,
+  p_reported_user_id uuid default null,
+  p_decision text default 'dismissed'
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  resolved integer;
+  listing_row public.listings%rowtype;
+begin
+  if not public.is_admin() then
+    raise exception 'Tylko administrator może rozpatrywać zgłoszenia.' using errcode = 'insufficient_privilege';
+  end if;
+  if p_decision not in ('accepted', 'dismissed') then
+    raise exception 'Nieznana decyzja: %', p_decision using errcode = 'invalid_parameter_value';
+  end if;
+
+  update public.reports
+  set status = p_decision, reviewed_at = now(), reviewed_by = auth.uid()
+  where status = 'open'
+    and target_type = p_target_type
+    and (
+      (p_target_type = 'listing' and listing_id = p_listing_id)
+      or (p_target_type = 'user' and reported_user_id = p_reported_user_id)
+    );
+  get diagnostics resolved = row_count;
+
+  if p_target_type = 'listing' then
+    select * into listing_row from public.listings where id = p_listing_id;
+    if found then
+      if p_decision = 'dismissed' and listing_row.hidden_reason = 'reports' then
+        update public.listings set hidden_at = null, hidden_reason = null where id = p_listing_id;
+      elsif p_decision = 'accepted' then
+        update public.listings
+        set hidden_at = coalesce(hidden_at, now()),
+          hidden_reason = 'moderation',
+          status = case when status in ('draft', 'active', 'reserved') then 'withdrawn' else status end
+        where id = p_listing_id;
+      end if;
+      if p_decision = 'accepted' or listing_row.hidden_reason = 'reports' then
+        insert into public.notifications (user_id, listing_id, channel, is_read, payload)
+        values (
+          listing_row.owner_id,
+          listing_row.id,
+          'inapp',
+          false,
+          jsonb_build_object(
+            'kind', case when p_decision = 'accepted' then 'listing_removed' else 'listing_restored' end,
+            'listing', jsonb_build_object('id', listing_row.id, 'type', listing_row.type, 'race_name', listing_row.race_name)
+          )
+        );
+      end if;
+    end if;
+  end if;
+
+  return resolved;
+end;
+$$;
+
+revoke all on function public.resolve_reports(text, text, uuid, text) from public;
+grant execute on function public.resolve_reports(text, text, uuid, text) to authenticated;
@@ -0,0 +1,17 @@
+-- Przypomnienia o terminie przepisania pakietu (zadanie /api/expire-listings)
+
+-- Jeden wpis na odbiorcę, etap ("days" – N dni przed, "24h" – dzień przed) i termin; zmiana terminu w ogłoszeniu
+-- oznacza nowe przypomnienia
+create table if not exists public.transfer_deadline_reminders (
+  listing_id text not null references public.listings(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  stage text not null check (stage in ('days', '24h')),
+  deadline date not null,
+  sent_at timestamptz not null default now(),
+  primary key (listing_id, user_id, stage, deadline)
+);
+
+-- Tabela jest używana wyłącznie przez zadanie z kluczem service role
+alter table public.transfer_deadline_reminders enable row level security;
+
+create index if not exists messages_listing_created_idx on public.messages(listing_id, created_at desc);
@@ -0,0 +1,32 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { banDuration } from "../api/admin-ban-user.js";
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2026-01-01T12:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe("banDuration", () => {
+  it("lifts the ban without an end date", () => {
+    expect(banDuration(null)).toBe("none");
+    expect(banDuration("")).toBe("none");
+  });
+
+  it("uses a 100-year ban for a permanent block", () => {
+    expect(banDuration("infinity")).toBe("876000h");
+  });
+
+  it("rounds the remaining time up to whole hours", () => {
+    expect(banDuration("2026-01-02T12:00:00Z")).toBe("24h");
+    expect(banDuration("2026-01-01T13:30:00Z")).toBe("2h");
+  });
+
+  it("bans for at least an hour when the end date is close or past", () => {
+    expect(banDuration("2026-01-01T12:10:00Z")).toBe("1h");
+    expect(banDuration("2025-12-31T00:00:00Z")).toBe("1h");
+  });
+});
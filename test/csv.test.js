@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { csvCell, parseCsv, stripCsvFormulaGuard } from "../src/lib/csv";
+
+describe("csvCell", () => {
+  it("prefixes text that a spreadsheet would read as a formula", () => {
+    expect(csvCell("=HYPERLINK(\"http://x\")")).toBe("\"'=HYPERLINK(\"\"http://x\"\")\"");
+    expect(csvCell("+48 600 000 000")).toBe("'+48 600 000 000");
+    expect(csvCell("-10%")).toBe("'-10%");
+    expect(csvCell("@SUM(A1)")).toBe("'@SUM(A1)");
+    expect(csvCell("\tukryte")).toBe("'\tukryte");
+  });
+
+  it("leaves numbers and ordinary text alone", () => {
+    expect(csvCell(-250)).toBe("-250");
+    expect(csvCell("Maraton Warszawski")).toBe("Maraton Warszawski");
+    expect(csvCell(null)).toBe("");
+    expect(csvCell(undefined)).toBe("");
+  });
+
+  it("quotes cells with the separator, quotes or line breaks", () => {
+    expect(csvCell("a;b")).toBe('"a;b"');
+    expect(csvCell('pakiet "VIP"')).toBe('"pakiet ""VIP"""');
+    expect(csvCell("linia 1\nlinia 2")).toBe('"linia 1\nlinia 2"');
+  });
+});
+
+describe("stripCsvFormulaGuard", () => {
+  it("removes only the apostrophe added before a formula character", () => {
+    expect(stripCsvFormulaGuard("'=1+1")).toBe("=1+1");
+    expect(stripCsvFormulaGuard("'-10%")).toBe("-10%");
+    expect(stripCsvFormulaGuard("'tekst")).toBe("'tekst");
+    expect(stripCsvFormulaGuard("=1+1")).toBe("=1+1");
+  });
+});
+
+describe("parseCsv", () => {
+  it("detects the separator from the header and handles quoted cells", () => {
+    expect(parseCsv('\uFEFFa;b\r\n"x;y";"z ""q"""\n\n')).toEqual([
+      ["a", "b"],
+      ["x;y", 'z "q"'],
+    ]);
+    expect(parseCsv("a,b\n1,2")).toEqual([
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  it("reads back exported cells unchanged", () => {
+    const values = ["=cmd|' /C calc'!A0", "+48 600", "opis; z \"cudzysłowem\"\nw dwóch liniach", "zwykły"];
+    const [parsed] = parseCsv(`x;y;z;w\n${values.map(csvCell).join(";")}`).slice(1);
+    expect(parsed.map(stripCsvFormulaGuard)).toEqual(values);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, expect, it } from "vitest";
+import { listingFromRow, listingToRow, parseDistanceToKm } from "../src/lib/listings";
+
+const row = {
+  id: "l-1",
+  type: "sell",
+  race_name: "Półmaraton Warszawski",
+  edition_id: 42,
+  edition_event_name: "Półmaraton Warszawski",
+  edition_year: 2026,
+  edition_start_date: "2026-03-29",
+  distance: "Półmaraton",
+  price: "250.00",
+  owner_id: "user-1",
+  location: "Warszawa, Mazowsze",
+  region: "mazowieckie",
+  created_at: "2026-01-10T08:00:00.000Z",
+  updated_at: "2026-01-11T09:30:00.123456+00:00",
+  archived_at: null,
+  hidden_at: null,
+  hidden_reason: null,
+  status: "reserved",
+  status_changed_at: "2026-01-11T09:30:00.000Z",
+  published_at: "2026-01-10T08:00:00.000Z",
+  reserved_at: "2026-01-11T09:30:00.000Z",
+  sold_at: null,
+  withdrawn_at: null,
+  payload: {
+    raceName: "stara nazwa",
+    price: 999,
+    currency: "PLN",
+    description: "Pakiet z koszulką",
+    transferDeadline: "2026-03-01",
+    distances: ["Półmaraton"],
+  },
+};
+
+describe("listingFromRow", () => {
+  it("prefers table columns over payload fields", () => {
+    const listing = listingFromRow(row);
+    expect(listing).toMatchObject({
+      id: "l-1",
+      type: "sell",
+      raceName: "Półmaraton Warszawski",
+      price: 250,
+      location: "Warszawa, Mazowsze",
+      region: "mazowieckie",
+      edition_id: 42,
+      editionYear: 2026,
+      editionStartDate: "2026-03-29",
+      owner_id: "user-1",
+      ownerId: "user-1",
+      status: "reserved",
+      updatedAt: "2026-01-11T09:30:00.123456+00:00",
+      description: "Pakiet z koszulką",
+      transferDeadline: "2026-03-01",
+    });
+    expect(listing.createdAt).toBe(Date.parse("2026-01-10T08:00:00.000Z"));
+  });
+
+  it("normalizes distances and computes the distance in km", () => {
+    const listing = listingFromRow({ ...row, payload: { distance: "10 km" } });
+    expect(listing.distance).toBe("10 km");
+    expect(listing.distances).toEqual(["10 km"]);
+    expect(listing.distanceKm).toBe(10);
+  });
+
+  it("falls back to the payload status and defaults to active", () => {
+    expect(listingFromRow({ ...row, status: null, payload: { status: "sold" } }).status).toBe("sold");
+    expect(listingFromRow({ ...row, status: "unknown", payload: {} }).status).toBe("active");
+  });
+
+  it("tolerates a row without payload or created_at", () => {
+    const listing = listingFromRow({ id: 7, type: "buy", race_name: "Bieg", price: 100, owner_id: "u" });
+    expect(listing.id).toBe("7");
+    expect(listing.type).toBe("buy");
+    expect(Number.isFinite(listing.createdAt)).toBe(true);
+  });
+});
+
+describe("listingToRow", () => {
+  it("keeps server-managed fields out of the row and payload", () => {
+    const listing = listingFromRow({ ...row, hidden_at: "2026-01-12T00:00:00Z", hidden_reason: "reports" });
+    const written = listingToRow(listing);
+    expect(written).not.toHaveProperty("updated_at");
+    expect(written.payload).not.toHaveProperty("updatedAt");
+    expect(written.payload).not.toHaveProperty("hiddenAt");
+    expect(written.payload).not.toHaveProperty("hiddenReason");
+    expect(written).toMatchObject({
+      id: "l-1",
+      type: "sell",
+      race_name: "Półmaraton Warszawski",
+      edition_id: 42,
+      edition_start_date: "2026-03-29",
+      distance: "Półmaraton",
+      price: 250,
+      owner_id: "user-1",
+      region: "mazowieckie",
+      status: "reserved",
+      created_at: "2026-01-10T08:00:00.000Z",
+    });
+  });
+
+  it("drops an unknown region and takes the race date from eventDate without an edition", () => {
+    const written = listingToRow({
+      id: "l-2",
+      type: "buy",
+      raceName: "  Bieg Niepodległości ",
+      price: 80,
+      ownerId: "user-2",
+      region: "Mazowsze",
+      eventDate: "2026-11-11",
+      createdAt: Date.parse("2026-02-01T12:00:00Z"),
+    });
+    expect(written).toMatchObject({
+      type: "buy",
+      race_name: "Bieg Niepodległości",
+      edition_id: null,
+      edition_start_date: "2026-11-11",
+      owner_id: "user-2",
+      region: null,
+      status: "active",
+      created_at: "2026-02-01T12:00:00.000Z",
+    });
+  });
+
+  it("round-trips through listingFromRow", () => {
+    const listing = listingFromRow(row);
+    const again = listingFromRow({ ...listingToRow(listing), updated_at: row.updated_at });
+    expect(again).toEqual(listing);
+  });
+});
+
+describe("parseDistanceToKm", () => {
+  it("recognizes named distances and kilometres", () => {
+    expect(parseDistanceToKm("Półmaraton")).toBe(21.0975);
+    expect(parseDistanceToKm("Maraton")).toBe(42.195);
+    expect(parseDistanceToKm("10 km")).toBe(10);
+    expect(parseDistanceToKm("12,5 kilometrów")).toBe(12.5);
+    expect(parseDistanceToKm("Ultramaraton")).toBeNaN();
+    expect(parseDistanceToKm("")).toBeNaN();
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, expect, it, vi } from "vitest";
+
+const { supabase } = vi.hoisted(() => ({ supabase: { rpc: vi.fn() } }));
+vi.mock("../src/lib/supabase", () => ({ supabase }));
+
+const { LISTINGS_PAGE_SIZE, fetchMarketPage, marketPageCursor } = await import("../src/lib/market");
+
+describe("marketPageCursor", () => {
+  it("builds the cursor from the sort key and (created_at, id) of the last row", () => {
+    const rows = [
+      { listing: { id: "a", created_at: "2026-01-02T00:00:00Z" }, sort_key: 150 },
+      { listing: { id: "b", created_at: "2026-01-01T00:00:00Z" }, sort_key: 200 },
+    ];
+    expect(marketPageCursor(rows)).toEqual({ key: 200, createdAt: "2026-01-01T00:00:00Z", id: "b" });
+  });
+
+  it("keeps a null key for rows without a sort value", () => {
+    const rows = [{ listing: { id: "c", created_at: "2026-01-03T00:00:00Z" }, sort_key: null }];
+    expect(marketPageCursor(rows)).toEqual({ key: null, createdAt: "2026-01-03T00:00:00Z", id: "c" });
+    expect(marketPageCursor([{ listing: { id: "d", created_at: "2026-01-04T00:00:00Z" } }]).key).toBeNull();
+  });
+
+  it("returns null for an empty page", () => {
+    expect(marketPageCursor([])).toBeNull();
+  });
+});
+
+describe("fetchMarketPage", () => {
+  it("passes the filters, sort and cursor to market_listings", () => {
+    const filters = { types: ["sell"], q: "maraton" };
+    const cursor = { key: 200, createdAt: "2026-01-01T00:00:00Z", id: "b" };
+    fetchMarketPage({ key: "k", filters, sort: "priceDesc" }, cursor);
+    expect(supabase.rpc).toHaveBeenCalledWith("market_listings", {
+      p_filters: filters,
+      p_sort: "priceDesc",
+      p_cursor: cursor,
+      p_limit: LISTINGS_PAGE_SIZE,
+    });
+  });
+});
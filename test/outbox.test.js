@@ -0,0 +1,273 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const { supabase } = vi.hoisted(() => ({ supabase: { from: vi.fn() } }));
+vi.mock("../src/lib/supabase", () => ({ supabase }));
+
+const { listingToRow } = await import("../src/lib/listings");
+const {
+  applyOutboxToListings,
+  enqueueOutboxMutation,
+  outboxAfterReplay,
+  replayOutboxEntry,
+  retryOutboxListing,
+} = await import("../src/lib/outbox");
+
+/** Zapytanie PostgREST zwracające `result`; zapisuje wywołane metody w `calls`. */
+function mockQuery(result) {
+  const calls = [];
+  const query = {
+    calls,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+  };
+  for (const method of ["select", "insert", "update", "delete", "eq", "single", "maybeSingle"]) {
+    query[method] = (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    };
+  }
+  return query;
+}
+
+function queueQueries(...results) {
+  const queries = results.map(mockQuery);
+  for (const query of queries) supabase.from.mockReturnValueOnce(query);
+  return queries;
+}
+
+const listing = {
+  id: "l-1",
+  type: "sell",
+  raceName: "Maraton Warszawski",
+  price: 300,
+  ownerId: "user-1",
+  status: "active",
+  createdAt: Date.parse("2026-01-01T00:00:00Z"),
+};
+
+function entry(overrides = {}) {
+  return {
+    id: "e-1",
+    op: "upsert",
+    listingId: "l-1",
+    ownerId: "user-1",
+    listing,
+    baseUpdatedAt: null,
+    status: "pending",
+    stage: "write",
+    queuedAt: 1,
+    ...overrides,
+  };
+}
+
+const serverRow = {
+  id: "l-1",
+  type: "sell",
+  race_name: "Maraton Warszawski",
+  price: 280,
+  owner_id: "user-1",
+  status: "active",
+  created_at: "2026-01-01T00:00:00Z",
+  updated_at: "2026-01-03T00:00:00Z",
+  payload: {},
+};
+
+beforeEach(() => {
+  supabase.from.mockReset();
+  vi.spyOn(console, "error").mockImplementation(() => {});
+});
+
+describe("replayOutboxEntry", () => {
+  it("inserts a listing that was never sent and publishes it", async () => {
+    const [insert] = queueQueries({ data: { updated_at: "2026-01-02T00:00:00Z" }, error: null });
+    const publish = vi.fn().mockResolvedValue(true);
+    const result = await replayOutboxEntry(entry(), publish);
+    expect(result).toEqual({ outcome: "done", updatedAt: "2026-01-02T00:00:00Z" });
+    expect(insert.calls[0]).toEqual(["insert", listingToRow(listing)]);
+    expect(publish).toHaveBeenCalledWith("l-1");
+  });
+
+  it("updates only the server version the change was based on", async () => {
+    const [update] = queueQueries({ data: [{ updated_at: "2026-01-04T00:00:00Z" }], error: null });
+    const result = await replayOutboxEntry(entry({ baseUpdatedAt: "2026-01-02T00:00:00Z" }), async () => true);
+    expect(result).toEqual({ outcome: "done", updatedAt: "2026-01-04T00:00:00Z" });
+    expect(update.calls).toContainEqual(["eq", "id", "l-1"]);
+    expect(update.calls).toContainEqual(["eq", "updated_at", "2026-01-02T00:00:00Z"]);
+  });
+
+  it("reports a conflict with the server copy when the row changed in the meantime", async () => {
+    queueQueries({ data: [], error: null }, { data: serverRow, error: null });
+    const publish = vi.fn();
+    const result = await replayOutboxEntry(entry({ baseUpdatedAt: "2026-01-02T00:00:00Z" }), publish);
+    expect(result.outcome).toBe("conflict");
+    expect(result.serverListing).toMatchObject({ id: "l-1", price: 280, updatedAt: "2026-01-03T00:00:00Z" });
+    expect(publish).not.toHaveBeenCalled();
+  });
+
+  it("treats an insert of an existing id as a conflict", async () => {
+    queueQueries({ data: null, error: { code: "23505", message: "duplicate key" } }, { data: serverRow, error: null });
+    const result = await replayOutboxEntry(entry(), async () => true);
+    expect(result.outcome).toBe("conflict");
+    expect(result.serverListing?.id).toBe("l-1");
+  });
+
+  it("keeps the entry for a later retry when the database rate limit is hit", async () => {
+    queueQueries({ data: null, error: { code: "PT429", message: "", hint: "90" } });
+    const result = await replayOutboxEntry(entry(), async () => true);
+    expect(result).toEqual({
+      outcome: "offline",
+      rateLimited: true,
+      error: "Zbyt wiele żądań – spróbuj ponownie za 90 s.",
+    });
+  });
+
+  it("stays offline on network errors and reports other errors", async () => {
+    queueQueries({ data: null, error: { message: "TypeError: Failed to fetch" } });
+    expect(await replayOutboxEntry(entry(), async () => true)).toEqual({ outcome: "offline" });
+    queueQueries({ data: null, error: { code: "23514", message: "Cena przekracza limit" } });
+    expect(await replayOutboxEntry(entry(), async () => true)).toEqual({
+      outcome: "error",
+      error: "Cena przekracza limit",
+    });
+  });
+
+  it("remembers a written row whose fanout failed and later only retries the fanout", async () => {
+    queueQueries({ data: { updated_at: "2026-01-02T00:00:00Z" }, error: null });
+    const first = await replayOutboxEntry(entry(), async () => false);
+    expect(first).toEqual({ outcome: "offline", stage: "fanout", updatedAt: "2026-01-02T00:00:00Z" });
+
+    const publish = vi.fn().mockResolvedValue(true);
+    const second = await replayOutboxEntry(
+      entry({ stage: "fanout", baseUpdatedAt: "2026-01-02T00:00:00Z" }),
+      publish
+    );
+    expect(second).toEqual({ outcome: "done", updatedAt: "2026-01-02T00:00:00Z" });
+    expect(supabase.from).toHaveBeenCalledTimes(1);
+    expect(publish).toHaveBeenCalledWith("l-1");
+  });
+
+  it("finishes a delete of a listing that is already gone from the server", async () => {
+    queueQueries({ data: [], error: null }, { data: null, error: null });
+    const result = await replayOutboxEntry(
+      entry({ op: "delete", baseUpdatedAt: "2026-01-02T00:00:00Z" }),
+      async () => true
+    );
+    expect(result).toEqual({ outcome: "done", updatedAt: null });
+  });
+});
+
+describe("enqueueOutboxMutation", () => {
+  const options = { id: "e-2", ownerId: "user-1", inFlightId: null, queuedAt: 2 };
+
+  it("merges a change into the last pending entry of the listing", () => {
+    const edited = { ...listing, price: 320 };
+    const next = enqueueOutboxMutation([entry()], { op: "upsert", listing: edited }, options);
+    expect(next).toHaveLength(1);
+    expect(next[0]).toMatchObject({ id: "e-1", listing: edited, baseUpdatedAt: null });
+  });
+
+  it("queues a new entry while the last one is being sent", () => {
+    const edited = { ...listing, price: 320, updatedAt: "2026-01-02T00:00:00Z" };
+    const next = enqueueOutboxMutation([entry()], { op: "upsert", listing: edited }, { ...options, inFlightId: "e-1" });
+    expect(next).toHaveLength(2);
+    expect(next[1]).toMatchObject({
+      id: "e-2",
+      op: "upsert",
+      listingId: "l-1",
+      baseUpdatedAt: "2026-01-02T00:00:00Z",
+      status: "pending",
+      stage: "write",
+      queuedAt: 2,
+    });
+  });
+
+  it("does not merge a status the database rejects on insert into an unsent listing", () => {
+    const reserved = { ...listing, status: "reserved" };
+    const next = enqueueOutboxMutation([entry()], { op: "upsert", listing: reserved }, options);
+    expect(next.map((item) => item.id)).toEqual(["e-1", "e-2"]);
+  });
+
+  it("drops every unsent write when a listing that never reached the server is deleted", () => {
+    const pending = [
+      entry(),
+      entry({ id: "e-3", listing: { ...listing, status: "reserved" } }),
+      entry({ id: "e-9", listingId: "other" }),
+    ];
+    const next = enqueueOutboxMutation(pending, { op: "delete", listing }, options);
+    expect(next.map((item) => item.id)).toEqual(["e-9"]);
+  });
+
+  it("keeps the delete when the insert is already in flight", () => {
+    const next = enqueueOutboxMutation([entry()], { op: "delete", listing }, { ...options, inFlightId: "e-1" });
+    expect(next.map((item) => [item.id, item.op])).toEqual([
+      ["e-1", "upsert"],
+      ["e-2", "delete"],
+    ]);
+  });
+});
+
+describe("outboxAfterReplay", () => {
+  it("removes a finished entry and rebases later changes of the same listing", () => {
+    const entries = [entry(), entry({ id: "e-2" }), entry({ id: "e-3", listingId: "other" })];
+    const next = outboxAfterReplay(entries, entries[0], { outcome: "done", updatedAt: "2026-01-02T00:00:00Z" });
+    expect(next.map((item) => [item.id, item.baseUpdatedAt])).toEqual([
+      ["e-2", "2026-01-02T00:00:00Z"],
+      ["e-3", null],
+    ]);
+  });
+
+  it("keeps a written entry that still waits for the fanout", () => {
+    const entries = [entry()];
+    const next = outboxAfterReplay(entries, entries[0], {
+      outcome: "offline",
+      stage: "fanout",
+      updatedAt: "2026-01-02T00:00:00Z",
+    });
+    expect(next[0]).toMatchObject({ id: "e-1", stage: "fanout", baseUpdatedAt: "2026-01-02T00:00:00Z" });
+  });
+
+  it("leaves the queue untouched when the write did not happen", () => {
+    const entries = [entry()];
+    expect(outboxAfterReplay(entries, entries[0], { outcome: "offline" })).toBe(entries);
+  });
+
+  it("blocks a conflicting entry with the server copy", () => {
+    const entries = [entry()];
+    const serverListing = { ...listing, updatedAt: "2026-01-03T00:00:00Z" };
+    const next = outboxAfterReplay(entries, entries[0], { outcome: "conflict", serverListing });
+    expect(next[0]).toMatchObject({ status: "conflict", serverListing });
+  });
+});
+
+describe("retryOutboxListing", () => {
+  it("rebases a conflict onto the server copy so the local version wins", () => {
+    const blocked = entry({
+      status: "conflict",
+      baseUpdatedAt: "2026-01-02T00:00:00Z",
+      serverListing: { ...listing, updatedAt: "2026-01-03T00:00:00Z" },
+    });
+    const next = retryOutboxListing([blocked, entry({ id: "e-2", listingId: "other" })], blocked);
+    expect(next[0]).toMatchObject({ status: "pending", baseUpdatedAt: "2026-01-03T00:00:00Z", serverListing: null });
+    expect(next[1]).toMatchObject({ id: "e-2", baseUpdatedAt: null });
+  });
+
+  it("retries an error on the same base version", () => {
+    const blocked = entry({ status: "error", baseUpdatedAt: "2026-01-02T00:00:00Z", error: "Cena przekracza limit" });
+    const [next] = retryOutboxListing([blocked], blocked);
+    expect(next).toMatchObject({ status: "pending", baseUpdatedAt: "2026-01-02T00:00:00Z", error: undefined });
+  });
+});
+
+describe("applyOutboxToListings", () => {
+  it("overlays unsent changes on the server list", () => {
+    const server = [{ ...listing, price: 280 }, { ...listing, id: "l-2" }];
+    const next = applyOutboxToListings(server, [
+      entry(),
+      entry({ id: "e-2", op: "delete", listingId: "l-2" }),
+      entry({ id: "e-3", listingId: "l-3", listing: { ...listing, id: "l-3" } }),
+    ]);
+    expect(next.map((item) => [item.id, item.price])).toEqual([
+      ["l-3", 300],
+      ["l-1", 300],
+    ]);
+  });
+});
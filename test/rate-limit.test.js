@@ -0,0 +1,80 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { checkRateLimits, consumeRateLimit } from "../api/_lib/rate-limit.js";
+
+let bucket = 0;
+const nextKey = () => `test:${(bucket += 1)}`;
+
+beforeEach(() => {
+  vi.stubEnv("RATE_LIMIT_STORE", "memory");
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date("2026-01-01T00:00:00Z"));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.unstubAllEnvs();
+});
+
+describe("consumeRateLimit (in-memory)", () => {
+  it("allows up to the capacity, then blocks with the time until the next token", async () => {
+    const key = nextKey();
+    const rule = { capacity: 3, perHour: 60 };
+    expect(await consumeRateLimit(key, rule)).toEqual({ allowed: true, remaining: 2, retryAfter: 0 });
+    await consumeRateLimit(key, rule);
+    expect(await consumeRateLimit(key, rule)).toEqual({ allowed: true, remaining: 0, retryAfter: 0 });
+    expect(await consumeRateLimit(key, rule)).toEqual({ allowed: false, remaining: 0, retryAfter: 60 });
+  });
+
+  it("refills at perHour tokens per hour up to the capacity", async () => {
+    const key = nextKey();
+    const rule = { capacity: 2, perHour: 60 };
+    await consumeRateLimit(key, rule);
+    await consumeRateLimit(key, rule);
+    vi.advanceTimersByTime(30_000);
+    expect((await consumeRateLimit(key, rule)).retryAfter).toBe(30);
+    vi.advanceTimersByTime(30_000);
+    expect(await consumeRateLimit(key, rule)).toMatchObject({ allowed: true, remaining: 0 });
+    vi.advanceTimersByTime(24 * 3_600_000);
+    expect(await consumeRateLimit(key, rule)).toMatchObject({ allowed: true, remaining: 1 });
+  });
+
+  it("takes the cost of the request and keeps buckets separate per key", async () => {
+    const key = nextKey();
+    const rule = { capacity: 5, perHour: 10, cost: 3 };
+    expect(await consumeRateLimit(key, rule)).toMatchObject({ allowed: true, remaining: 2 });
+    expect(await consumeRateLimit(key, rule)).toEqual({ allowed: false, remaining: 0, retryAfter: 360 });
+    expect(await consumeRateLimit(nextKey(), rule)).toMatchObject({ allowed: true, remaining: 2 });
+  });
+
+  it("blocks for an hour when the bucket never refills", async () => {
+    const key = nextKey();
+    await consumeRateLimit(key, { capacity: 1, perHour: 0 });
+    expect(await consumeRateLimit(key, { capacity: 1, perHour: 0 })).toMatchObject({ allowed: false, retryAfter: 3600 });
+  });
+});
+
+describe("checkRateLimits", () => {
+  function mockResponse() {
+    const headers = {};
+    return { headers, setHeader: (name, value) => (headers[name] = value) };
+  }
+
+  it("sets the lowest remaining count when every limit passes", async () => {
+    const res = mockResponse();
+    const result = await checkRateLimits(res, [
+      { key: nextKey(), capacity: 10, perHour: 60 },
+      { key: nextKey(), capacity: 3, perHour: 60 },
+    ]);
+    expect(result).toBeNull();
+    expect(res.headers).toEqual({ "X-RateLimit-Remaining": "2" });
+  });
+
+  it("returns the first exceeded limit with Retry-After", async () => {
+    const res = mockResponse();
+    const key = nextKey();
+    await consumeRateLimit(key, { capacity: 1, perHour: 120 });
+    const result = await checkRateLimits(res, [{ key, capacity: 1, perHour: 120 }]);
+    expect(result).toMatchObject({ allowed: false, retryAfter: 30 });
+    expect(res.headers).toEqual({ "Retry-After": "30", "X-RateLimit-Remaining": "0" });
+  });
+});
@@ -1,6 +1,59 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+const ATTACHMENT_CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+}
+
+// Zastępstwo Supabase Storage w trybie dev (VITE_ATTACHMENTS_LOCAL=1): pliki trafiają do katalogu .attachments
+function localAttachments() {
+  const root = path.resolve('.attachments')
+  return {
+    name: 'local-attachments',
+    apply: 'serve',
+    configureServer(server) {
+      server.middlewares.use('/__attachments', async (req, res, next) => {
+        const rel = decodeURIComponent((req.url || '').split('?')[0]).replace(/^\/+/, '')
+        const file = path.resolve(root, rel)
+        const contentType = ATTACHMENT_CONTENT_TYPES[path.extname(file)]
+        if (!rel || !contentType || !file.startsWith(root + path.sep)) {
+          res.statusCode = 400
+          res.end()
+          return
+        }
+        try {
+          if (req.method === 'PUT') {
+            const chunks = []
+            for await (const chunk of req) chunks.push(chunk)
+            await fs.mkdir(path.dirname(file), { recursive: true })
+            await fs.writeFile(file, Buffer.concat(chunks))
+            res.statusCode = 201
+            res.end()
+          } else if (req.method === 'DELETE') {
+            await fs.rm(file, { force: true })
+            res.statusCode = 204
+            res.end()
+          } else if (req.method === 'GET') {
+            const data = await fs.readFile(file)
+            res.setHeader('Content-Type', contentType)
+            res.end(data)
+          } else {
+            next()
+          }
+        } catch {
+          res.statusCode = 404
+          res.end()
+        }
+      })
+    },
+  }
+}
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), localAttachments()],
 })